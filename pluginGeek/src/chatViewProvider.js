@@ -241,6 +241,9 @@ class ChatViewProvider {
                     case 'executeTool':
                         this.handleToolExecution(message.toolName, message.parameters);
                         return;
+                    case 'sendFeedback':
+                        this.handleFeedback(message.feedback, message.rating);
+                        return;
                     case 'createNewChat':
                         this.createNewChat();
                         return;
@@ -528,6 +531,21 @@ class ChatViewProvider {
         .execute-button:hover {
             background: var(--vscode-button-prominentHoverBackground);
         }
+        .feedback-actions {
+            margin-top: 6px;
+        }
+        .feedback-button {
+            background: none;
+            border: 1px solid var(--vscode-panel-border);
+            border-radius: 4px;
+            padding: 2px 6px;
+            font-size: 11px;
+            cursor: pointer;
+        }
+        .feedback-button:disabled {
+            cursor: default;
+            opacity: 0.5;
+        }
         .status {
             text-align: center;
             color: var(--vscode-descriptionForeground);
@@ -834,6 +852,15 @@ class ChatViewProvider {
                 </div>\`;
             }
 
+            // Thumbs-up/down on how OllamaGeek understood the request
+            if (response.feedback) {
+                const feedback = JSON.stringify(response.feedback).replace(/"/g, '&quot;');
+                content += \`<div class="feedback-actions">
+                    <button class="feedback-button" data-rating="up" data-feedback="\${feedback}" title="Understood correctly">👍</button>
+                    <button class="feedback-button" data-rating="down" data-feedback="\${feedback}" title="Misunderstood - pick the right kind of request">👎</button>
+                </div>\`;
+            }
+
             responseDiv.innerHTML = content;
             messagesDiv.appendChild(responseDiv);
             messagesDiv.scrollTop = messagesDiv.scrollHeight;
@@ -975,6 +1002,15 @@ class ChatViewProvider {
                 const toolParams = JSON.parse(event.target.getAttribute('data-tool-params'));
                 executeTool(toolName, toolParams);
             }
+            if (event.target.classList.contains('feedback-button')) {
+                // One rating per response
+                event.target.parentElement.querySelectorAll('.feedback-button').forEach(button => button.disabled = true);
+                vscode.postMessage({
+                    command: 'sendFeedback',
+                    rating: event.target.getAttribute('data-rating'),
+                    feedback: JSON.parse(event.target.getAttribute('data-feedback'))
+                });
+            }
         });
 
         // Listen for messages from extension
@@ -1156,6 +1192,11 @@ class ChatViewProvider {
                     break;
             }
 
+            // Lets the webview offer thumbs-up/down on the intent OllamaGeek picked
+            if (chatResponse.intentCategory) {
+                response.feedback = { prompt: parsedText, predicted: chatResponse.intentCategory };
+            }
+
             // Add assistant message to chat
             if (this.currentChatId && this.chatSessions.has(this.currentChatId)) {
                 const chat = this.chatSessions.get(this.currentChatId);
@@ -1560,6 +1601,29 @@ class ChatViewProvider {
         }
     }
 
+    /**
+     * Send a thumbs-up/down from the webview. A thumbs-down asks which kind
+     * of request it really was, so OllamaGeek can learn the correction.
+     */
+    async handleFeedback(feedback, rating) {
+        try {
+            let label = null;
+            if (rating === 'down') {
+                const labels = await this.ollamaGeekClient.getFeedbackLabels();
+                label = await vscode.window.showQuickPick(
+                    labels.intent.filter(intent => intent !== feedback.predicted),
+                    { placeHolder: `What kind of request was this? (understood as "${feedback.predicted}")` }
+                ) || null;
+            }
+
+            await this.ollamaGeekClient.sendFeedback({ ...feedback, classifier: 'intent', label, rating });
+            this.updateStatus(rating === 'up' ? '👍 Thanks for the feedback!' : `👎 Feedback sent${label ? `: ${label}` : ''}`);
+        } catch (error) {
+            console.error('Error sending feedback:', error);
+            this.updateStatus(`❌ ${error.message}`, true);
+        }
+    }
+
     /**
      * Get current workspace context
      */
@@ -1571,15 +1635,19 @@ class ChatViewProvider {
             }
 
             const workspacePath = workspaceFolder.uri.fsPath;
+            const structure = await this.analyzeWorkspaceStructure(workspacePath);
+            const language = this.detectLanguage(structure);
+            const activeEditor = vscode.window.activeTextEditor;
 
-            // Basic context for now - in the future this would use ContextManager
+            // OllamaGeek weighs the workspace language and the open file when detecting the request's language
             return {
                 workspace: {
                     path: workspacePath,
                     name: require('path').basename(workspacePath),
-                    language: 'Unknown',
-                    framework: 'Unknown'
+                    language,
+                    framework: this.detectFramework(structure, language)
                 },
+                activeFile: activeEditor ? vscode.workspace.asRelativePath(activeEditor.document.uri) : undefined,
                 files: [],
                 directories: []
             };
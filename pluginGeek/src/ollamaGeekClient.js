@@ -30,7 +30,11 @@ class OllamaGeekClient {
             });
 
             console.log(`✅ Chat response received:`, response.data);
-            return response.data;
+            // The intent category OllamaGeek picked, for thumbs-up/down feedback
+            return {
+                ...response.data,
+                intentCategory: response.headers['x-ollamageek-intent-category'] || null
+            };
 
         } catch (error) {
             console.error('❌ Error in chat:', error);
@@ -38,6 +42,47 @@ class OllamaGeekClient {
         }
     }
 
+    /**
+     * Send thumbs-up/down feedback on how a prompt was classified
+     */
+    async sendFeedback({ prompt, classifier = 'intent', predicted, label = null, rating }) {
+        try {
+            const response = await axios.post(`${this.baseUrl}/api/feedback`, {
+                prompt,
+                classifier,
+                predicted,
+                label,
+                rating
+            }, {
+                timeout: 10000,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'VS-Code-PluginGeek'
+                }
+            });
+
+            console.log(`👍 Feedback recorded: ${rating}${label ? ` -> ${label}` : ''}`);
+            return response.data.data;
+
+        } catch (error) {
+            console.error('❌ Error sending feedback:', error);
+            throw new Error(`Feedback failed: ${error.response?.data?.details || error.message}`);
+        }
+    }
+
+    /**
+     * Labels OllamaGeek accepts as corrections, per classifier
+     */
+    async getFeedbackLabels() {
+        const response = await axios.get(`${this.baseUrl}/api/feedback`, {
+            timeout: 10000,
+            headers: {
+                'User-Agent': 'VS-Code-PluginGeek'
+            }
+        });
+        return response.data.data.labels;
+    }
+
     /**
      * Plan a feature using OllamaGeek's enhanced planning
      */
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { ApiKeyStore, API_KEY_SCOPES } = require('../services/apiKeyStore');
+
+const USAGE = `
+API Key Management
+
+Usage:
+  npm run keys -- <command> [options]
+
+Commands:
+  list                     List keys with today's usage
+  create --name <name>     Create a key (printed once)
+  update <id>              Change a key's name, scopes or limits
+  revoke <id>              Revoke a key
+
+Options:
+  --name <name>            Key name
+  --scopes <list>          Comma-separated: ${API_KEY_SCOPES.join(', ')} (default: chat)
+  --rpm <n|none>           Requests per minute
+  --streams <n|none>       Concurrent streams
+  --daily-tokens <n|none>  Tokens per day (UTC)
+  --db <path>              Database file (default: data/api_keys.db)
+
+Examples:
+  npm run keys -- create --name ci --scopes chat --rpm 30 --daily-tokens 200000
+  npm run keys -- update 1a2b3c4d5e6f --scopes chat,tools --streams 2
+  npm run keys -- revoke 1a2b3c4d5e6f
+`;
+
+function parseLimit(value, option) {
+  if (value === undefined) return undefined;
+  if (value === 'none') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`--${option} must be a positive integer or "none"`);
+  }
+  return number;
+}
+
+function formatKey(key, usage) {
+  const limits = Object.entries(key.limits)
+    .map(([name, value]) => `${name}=${value ?? 'unlimited'}`)
+    .join(' ');
+  const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+  const usageText = usage ? ` | today: ${usage.requests} requests, ${usage.tokens} tokens` : '';
+  return `${key.id}  ${key.prefix}…  ${key.name}  [${key.scopes.join(',')}]  ${limits}  (${status})${usageText}`;
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      name: { type: 'string' },
+      scopes: { type: 'string' },
+      rpm: { type: 'string' },
+      streams: { type: 'string' },
+      'daily-tokens': { type: 'string' },
+      db: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const [command, id] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const store = new ApiKeyStore({ dbPath: values.db });
+  const fields = {
+    name: values.name,
+    scopes: values.scopes ? values.scopes.split(',').map(scope => scope.trim()) : undefined,
+    requestsPerMinute: parseLimit(values.rpm, 'rpm'),
+    maxConcurrentStreams: parseLimit(values.streams, 'streams'),
+    dailyTokenLimit: parseLimit(values['daily-tokens'], 'daily-tokens')
+  };
+
+  try {
+    switch (command) {
+    case 'list': {
+      const keys = store.listKeys();
+      if (keys.length === 0) console.log('No API keys yet');
+      keys.forEach(key => console.log(formatKey(key, store.getUsage(key.id))));
+      return 0;
+    }
+    case 'create': {
+      const created = store.createKey(fields);
+      console.log(`✅ Created ${formatKey(created)}`);
+      console.log(`\n   ${created.key}\n`);
+      console.log('Store this key now, it cannot be shown again.');
+      return 0;
+    }
+    case 'update': {
+      const updated = id && store.updateKey(id, fields);
+      if (!updated) {
+        console.error(`❌ API key not found: ${id}`);
+        return 1;
+      }
+      console.log(`✅ Updated ${formatKey(updated)}`);
+      return 0;
+    }
+    case 'revoke': {
+      if (!id || !store.revokeKey(id)) {
+        console.error(`❌ API key not found: ${id}`);
+        return 1;
+      }
+      console.log(`✅ Revoked ${formatKey(store.getKey(id))}`);
+      return 0;
+    }
+    default:
+      console.error(`❌ Unknown command: ${command}`);
+      console.log(USAGE);
+      return 1;
+    }
+  } finally {
+    store.close();
+  }
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
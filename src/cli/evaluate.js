@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// Service logs would drown the report; LOG_LEVEL=info brings them back
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { CassetteRecorder } = require('../services/cassetteRecorder');
+const { BackendPool } = require('../services/backendPool');
+const { EmbeddingService } = require('../services/embeddingService');
+const { EmbeddingClassifier } = require('../services/embeddingClassifier');
+const PerformanceMonitor = require('../services/performanceMonitor');
+const MemoryManager = require('../services/memoryManager');
+const IntentRecognizer = require('../services/intentRecognizer');
+const ApproachMapper = require('../services/approachMapper');
+const { ClassificationEvaluator, EVAL_STAGES } = require('../services/classificationEvaluator');
+
+const EVAL_DIR = path.join(__dirname, '../../tests/eval');
+
+const USAGE = `
+Classification Evaluation
+
+Runs a labelled JSONL prompt set through task classification, intent
+recognition and approach mapping, and reports precision, recall, confusion
+matrices and latency. Runs offline from recorded embeddings and model
+replies; record them once against a live Ollama with --record.
+
+Usage:
+  npm run eval -- [options]
+
+Options:
+  --dataset <path>       Labelled prompts (default: tests/eval/classification.jsonl)
+  --embeddings <path>    Recorded embedding cache (default: tests/eval/embeddings.db)
+  --cassette <path>      Recorded model replies (default: tests/eval/cassette.json)
+  --record               Call Ollama (OLLAMA_BASE_URL): adds to the embedding
+                         cache and records a fresh cassette
+  --stages <list>        Comma-separated: ${EVAL_STAGES.join(', ')} (default: all)
+  --baseline <path>      Report to compare with (default: tests/eval/baseline.json)
+  --save-baseline        Write this run's report to the baseline path
+  --json                 Print the full report as JSON
+
+Exits with status 1 when a case that was right in the baseline is now wrong.
+
+Examples:
+  npm run eval -- --record --save-baseline
+  npm run eval -- --stages task
+`;
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+const signed = (value, format) => (value > 0 ? `+${format(value)}` : value < 0 ? `-${format(-value)}` : '±0');
+
+function printSummary(field, summary) {
+  console.log(`\n📏 ${field}: ${summary.correct}/${summary.total} correct (${percent(summary.accuracy)})`);
+
+  const labels = Object.keys(summary.classes);
+  const width = Math.max(12, ...labels.map(label => label.length + 5)) + 2;
+  console.log(`   ${'label'.padEnd(width)}${'precision'.padStart(10)}${'recall'.padStart(10)}${'f1'.padStart(8)}${'support'.padStart(9)}`);
+  for (const [label, stats] of Object.entries(summary.classes)) {
+    console.log(`   ${label.padEnd(width)}${percent(stats.precision).padStart(10)}${percent(stats.recall).padStart(10)}${stats.f1.toFixed(2).padStart(8)}${String(stats.support).padStart(9)}`);
+  }
+
+  // Rows: expected, columns: predicted (numbered to keep the table narrow)
+  console.log('\n   confusion (rows expected, columns predicted)');
+  console.log(`   ${''.padEnd(width)}${labels.map((_, index) => `[${index + 1}]`.padStart(6)).join('')}`);
+  labels.forEach((label, index) => {
+    const row = summary.confusion[label] || {};
+    console.log(`   ${`[${index + 1}] ${label}`.padEnd(width)}${labels.map(column => String(row[column] || '.').padStart(6)).join('')}`);
+  });
+}
+
+function printComparison(comparison) {
+  console.log(`\n🔁 Compared with baseline from ${comparison.baselineGeneratedAt || 'unknown date'}`);
+
+  for (const [field, diff] of Object.entries(comparison.labels)) {
+    const accuracy = diff.accuracy.delta === null ? 'new' : signed(diff.accuracy.delta, percent);
+    console.log(`   ${field}: accuracy ${accuracy}, ${diff.fixed.length} fixed, ${diff.regressed.length} regressed`);
+    for (const [label, delta] of Object.entries(diff.recall)) {
+      console.log(`      recall ${label} ${signed(delta, percent)}`);
+    }
+    for (const change of diff.regressed) {
+      console.log(`      ❌ #${change.id} "${change.prompt}": ${change.before} -> ${change.after} (expected ${change.expected})`);
+    }
+    for (const change of diff.fixed) {
+      console.log(`      ✅ #${change.id} "${change.prompt}": ${change.before} -> ${change.after}`);
+    }
+  }
+
+  for (const [stage, diff] of Object.entries(comparison.latency)) {
+    console.log(`   ${stage} p50 latency ${signed(diff.delta, value => `${value}ms`)}`);
+  }
+}
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      dataset: { type: 'string', default: path.join(EVAL_DIR, 'classification.jsonl') },
+      embeddings: { type: 'string', default: path.join(EVAL_DIR, 'embeddings.db') },
+      cassette: { type: 'string', default: path.join(EVAL_DIR, 'cassette.json') },
+      record: { type: 'boolean', default: false },
+      stages: { type: 'string' },
+      baseline: { type: 'string', default: path.join(EVAL_DIR, 'baseline.json') },
+      'save-baseline': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const stages = values.stages ? values.stages.split(',').map(stage => stage.trim()) : EVAL_STAGES;
+  const unknown = stages.filter(stage => !EVAL_STAGES.includes(stage));
+  if (unknown.length > 0) throw new Error(`Unknown stage: ${unknown.join(', ')} (expected ${EVAL_STAGES.join(', ')})`);
+
+  const cases = ClassificationEvaluator.parseDataset(fs.readFileSync(values.dataset, 'utf8'));
+
+  if (!values.record && !fs.existsSync(values.embeddings)) {
+    throw new Error(`No recorded embeddings at ${values.embeddings}; run once with --record against a live Ollama`);
+  }
+
+  // Model replies for intent recognition and approach mapping come from the cassette
+  const needsModels = stages.some(stage => stage !== 'task');
+  if (needsModels && !values.record && !fs.existsSync(values.cassette)) {
+    throw new Error(`No recorded model replies at ${values.cassette}; run once with --record, or use --stages task`);
+  }
+  if (needsModels) {
+    new CassetteRecorder({ mode: values.record ? 'record' : 'replay', filePath: values.cassette }).install();
+  }
+
+  // Offline, every embedding has to be in the recorded cache already. Lookups
+  // touch the cache, so replay reads a scratch copy and leaves the recording as committed.
+  const backendPool = values.record ? new BackendPool() : {
+    post: async () => {
+      const error = new Error(`embedding not in ${values.embeddings}`);
+      error.code = 'ERR_EMBEDDING_MISS';
+      throw error;
+    }
+  };
+  const scratchDir = values.record ? null : fs.mkdtempSync(path.join(os.tmpdir(), 'ollamageek-eval-'));
+  const embeddingsPath = values.record ? values.embeddings : path.join(scratchDir, 'embeddings.db');
+  if (scratchDir) fs.copyFileSync(values.embeddings, embeddingsPath);
+  const embeddingService = new EmbeddingService({ backendPool, dbPath: embeddingsPath });
+
+  // Timings of an evaluation run are not real traffic; keep them out of data/sage_memories.db
+  const performanceMonitor = new PerformanceMonitor({ memoryManager: new MemoryManager({ dbPath: ':memory:' }) });
+
+  const evaluator = new ClassificationEvaluator({
+    embeddingClassifier: new EmbeddingClassifier({ embeddingService }),
+    intentRecognizer: new IntentRecognizer({ embeddingService, performanceMonitor }),
+    approachMapper: new ApproachMapper({ performanceMonitor })
+  });
+
+  console.error(`📏 Evaluating ${cases.length} prompts (${stages.join(', ')})${values.record ? ', recording' : ', offline'}`);
+  const report = await evaluator.run(cases, {
+    stages,
+    onProgress: (done, total) => {
+      if (process.stderr.isTTY) process.stderr.write(`\r   ${done}/${total}`);
+    }
+  });
+  if (process.stderr.isTTY) process.stderr.write('\n');
+  embeddingService.close();
+  performanceMonitor.close();
+  if (scratchDir) fs.rmSync(scratchDir, { recursive: true, force: true });
+
+  const baseline = fs.existsSync(values.baseline) ? JSON.parse(fs.readFileSync(values.baseline, 'utf8')) : null;
+  const comparison = baseline ? evaluator.compare(report, baseline) : null;
+
+  if (values.json) {
+    console.log(JSON.stringify({ ...report, comparison }, null, 2));
+  } else {
+    Object.entries(report.labels).forEach(([field, summary]) => printSummary(field, summary));
+
+    console.log('\n⏱️  latency (ms)');
+    for (const [stage, stats] of Object.entries(report.latency)) {
+      console.log(`   ${stage.padEnd(10)} mean ${stats.mean}  p50 ${stats.p50}  p95 ${stats.p95}  max ${stats.max}`);
+    }
+
+    const failed = report.cases.filter(result => result.errors);
+    if (failed.length > 0) console.log(`\n⚠️  ${failed.length} cases had errors (see --json)`);
+
+    if (comparison) printComparison(comparison);
+  }
+
+  // The classifiers fall back quietly when an embedding is missing, which would skew every number
+  if (!values.record && embeddingService.stats.failures > 0) {
+    throw new Error(`Some embeddings are not in ${values.embeddings}; run once with --record against a live Ollama`);
+  }
+
+  if (values['save-baseline']) {
+    fs.mkdirSync(path.dirname(values.baseline), { recursive: true });
+    fs.writeFileSync(values.baseline, `${JSON.stringify(report, null, 2)}\n`);
+    console.error(`💾 Baseline saved to ${values.baseline}`);
+  }
+
+  // Saving a baseline accepts its changes
+  return comparison && comparison.regressions > 0 && !values['save-baseline'] ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
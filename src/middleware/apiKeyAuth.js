@@ -0,0 +1,174 @@
+const { Logger } = require('../utils/logger');
+const { ApiKeyStore } = require('../services/apiKeyStore');
+const { ApiKeyLimiter } = require('../services/apiKeyLimiter');
+const { withTokenMeter } = require('../utils/tokenUsage');
+
+const PUBLIC_PATHS = ['/', '/health'];
+
+// Managing keys and the models installed on the box
+const ADMIN_PATHS = [/^\/api\/keys(\/|$)/, /^\/api\/(pull|push|create|copy)$/, /^\/api\/blobs\//];
+
+// Anything that runs tools or multi-step workflows on the server
+const TOOLS_PATHS = [
+  /^\/api\/workflows(\/|$)/,
+  /^\/api\/chat\/unified$/,
+  /^\/api\/ai\//,
+  /^\/api\/orchestrate$/,
+  /^\/api\/plan(\/|$)/,
+  /^\/api\/tools$/,
+  /^\/api\/search$/
+];
+
+// Ollama streams unless told otherwise
+const STREAMING_BY_DEFAULT = ['/api/chat', '/api/generate'];
+
+/**
+ * Scope a request needs: null for public endpoints, `admin` for key and
+ * model management and any DELETE, `tools` for tool and workflow execution,
+ * `chat` for everything else
+ */
+function requiredScope(req) {
+  const path = routePath(req);
+  if (PUBLIC_PATHS.includes(path)) return null;
+  if (req.method === 'DELETE' || ADMIN_PATHS.some(pattern => pattern.test(path))) return 'admin';
+  if (TOOLS_PATHS.some(pattern => pattern.test(path))) return 'tools';
+  return 'chat';
+}
+
+/**
+ * The path as Express routes it: case-insensitive and with an optional
+ * trailing slash, so `/API/Pull/` is matched like `/api/pull`
+ */
+function routePath(req) {
+  return req.path.toLowerCase().replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Whether the request's key grants a scope (always true when auth is off)
+ */
+function hasScope(req, scope) {
+  return !req.apiKey || ApiKeyStore.hasScope(req.apiKey, scope);
+}
+
+/**
+ * API key authentication, scopes and per-key limits.
+ *
+ * Off unless ENABLE_API_KEYS=true. Keys are sent as `Authorization: Bearer
+ * <key>` (or `x-api-key`, for Anthropic clients). The tokens Ollama reports
+ * for the upstream calls a request makes are counted towards the key's daily
+ * quota, whatever the response sent to the client says.
+ */
+function createApiKeyAuth({ apiKeyStore, limiter = new ApiKeyLimiter(), enabled = process.env.ENABLE_API_KEYS === 'true' } = {}) {
+  const logger = new Logger();
+
+  if (!enabled) {
+    return function(req, res, next) {
+      next();
+    };
+  }
+
+  return function(req, res, next) {
+    const scope = requiredScope(req);
+    if (!scope) return next();
+
+    const token = readToken(req);
+    if (!token) {
+      return reject(req, res, 401, 'API key required: send it as "Authorization: Bearer <key>"');
+    }
+
+    const key = apiKeyStore.authenticate(token);
+    if (!key) {
+      return reject(req, res, 401, 'Invalid or revoked API key');
+    }
+
+    if (!ApiKeyStore.hasScope(key, scope)) {
+      logger.warn(`🔑 Key "${key.name}" lacks the ${scope} scope`, { path: req.path, scopes: key.scopes });
+      return reject(req, res, 403, `API key does not have the "${scope}" scope`);
+    }
+
+    if (key.limits.dailyTokenLimit && apiKeyStore.getUsage(key.id).tokens >= key.limits.dailyTokenLimit) {
+      return reject(req, res, 429, 'Daily token quota exceeded', secondsUntilUtcMidnight());
+    }
+
+    const rate = limiter.checkRate(key);
+    if (!rate.allowed) {
+      return reject(req, res, 429, 'Rate limit exceeded: too many requests per minute', rate.retryAfterSeconds);
+    }
+
+    let releaseStream = null;
+    if (isStreamingRequest(req)) {
+      releaseStream = limiter.acquireStream(key);
+      if (!releaseStream) {
+        return reject(req, res, 429, 'Too many concurrent streams for this API key', 1);
+      }
+    }
+
+    req.apiKey = key;
+    const meter = { tokens: 0 };
+    onResponseDone(res, () => {
+      if (releaseStream) releaseStream();
+      try {
+        apiKeyStore.recordUsage(key.id, meter.tokens);
+      } catch (error) {
+        logger.error('Failed to record API key usage', { key: key.id, error: error.message });
+      }
+    });
+
+    withTokenMeter(meter, next);
+  };
+}
+
+function readToken(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+function isStreamingRequest(req) {
+  if (req.method !== 'POST' || !req.body) return false;
+  if (req.body.stream !== undefined) return req.body.stream === true;
+  return STREAMING_BY_DEFAULT.includes(routePath(req));
+}
+
+/**
+ * Call `onDone` once, when the response finishes or the client goes away
+ */
+function onResponseDone(res, onDone) {
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    onDone();
+  };
+  res.once('finish', finish);
+  res.once('close', finish);
+}
+
+function reject(req, res, status, message, retryAfterSeconds = null) {
+  if (retryAfterSeconds) {
+    res.set('Retry-After', String(retryAfterSeconds));
+  }
+  res.status(status).json({
+    error: {
+      message,
+      status,
+      timestamp: new Date().toISOString(),
+      path: req.url,
+      method: req.method
+    }
+  });
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+module.exports = {
+  createApiKeyAuth,
+  requiredScope,
+  hasScope
+};
@@ -0,0 +1,25 @@
+const { Logger } = require('../utils/logger');
+
+/**
+ * Gives every request `req.abortSignal`, aborted when the client disconnects
+ * before the response is complete (e.g. the user pressed stop in Continue or
+ * PluginGeek). Pass it as `signal` to upstream calls so Ollama stops
+ * generating instead of running to the end for nobody.
+ */
+function createClientAbort() {
+  return function(req, res, next) {
+    const controller = new AbortController();
+    req.abortSignal = controller.signal;
+
+    res.on('close', () => {
+      if (res.writableFinished) return;
+
+      new Logger().info(`🚫 Client disconnected, cancelling ${req.method} ${req.originalUrl}`);
+      controller.abort();
+    });
+
+    next();
+  };
+}
+
+module.exports = { createClientAbort };
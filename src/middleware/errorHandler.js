@@ -4,6 +4,12 @@ function createErrorHandler() {
   return function(err, req, res, next) {
     const logger = new Logger();
 
+    // The client went away and its upstream request was cancelled: nobody to answer
+    if (req.abortSignal?.aborted) {
+      logger.info(`🚫 ${req.method} ${req.url} cancelled by the client`, { error: err.message });
+      return;
+    }
+
     // Log the error
     logger.error('Unhandled error', {
       error: err.message,
@@ -0,0 +1,107 @@
+const express = require('express');
+const { AnthropicTranslator } = require('../services/anthropicTranslator');
+const { NdjsonTransform } = require('../utils/ndjsonStream');
+
+/**
+ * 🔌 Anthropic-Compatible API Routes
+ *
+ * Provides:
+ * - POST /v1/messages (content blocks, tool_use/tool_result, SSE streaming)
+ *
+ * Requests are translated to Ollama chat requests and go through the same
+ * routing pipeline as /api/chat, so scripts written against the Anthropic
+ * Messages API can point at local models.
+ */
+function createAnthropicRoutes({ routingPipeline, backendPool }) {
+  const router = express.Router();
+  const translator = new AnthropicTranslator();
+
+  /**
+   * POST /v1/messages
+   */
+  router.post('/messages', async (req, res) => {
+    try {
+      const ollamaRequest = translator.toOllamaChatRequest(req.body);
+      const routed = await routingPipeline.route(ollamaRequest);
+      routingPipeline.trackUsage(res, routed);
+      ollamaRequest.model = routed.recommendedModel;
+      if (routed.messages) ollamaRequest.messages = routed.messages;
+      res.set(routingPipeline.buildHeaders(req.body, routed));
+
+      const meta = translator.createResponseMeta(routed.recommendedModel);
+
+      if (ollamaRequest.stream) {
+        const state = { ...meta, started: false, openBlock: null, blockIndex: 0, sawToolUse: false };
+        await streamFromOllama(res, ollamaRequest, state);
+        return;
+      }
+
+      const ollamaResponse = await backendPool.post('/api/chat', ollamaRequest, { signal: req.abortSignal });
+      res.json({
+        ...translator.fromOllamaChatResponse(ollamaResponse.data, meta),
+        _ollamaGeek: routingPipeline.buildMetadata(req.body, routed)
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * Stream an Ollama chat response to the client as Anthropic SSE events
+   */
+  async function streamFromOllama(res, ollamaRequest, state) {
+    const ollamaResponse = await backendPool.post('/api/chat', ollamaRequest, {
+      responseType: 'stream',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      signal: res.req.abortSignal // set by the clientAbort middleware
+    });
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    const sse = new NdjsonTransform(
+      chunk => (chunk.error
+        ? translator.toErrorBody(new Error(chunk.error))
+        : translator.fromOllamaChatChunk(chunk, state)),
+      { serialize: event => translator.toSseEvent(event), passInvalidLines: false }
+    );
+
+    await new Promise((resolve) => {
+      ollamaResponse.data.on('error', (error) => {
+        console.error('❌ Ollama stream error:', error.message);
+        ollamaResponse.data.unpipe(sse);
+        res.write(translator.toSseEvent(translator.toErrorBody(error)));
+        res.end();
+        resolve();
+      });
+
+      sse.on('end', () => {
+        res.end();
+        resolve();
+      });
+
+      ollamaResponse.data.pipe(sse).pipe(res, { end: false });
+    });
+  }
+
+  /**
+   * Send an Anthropic-style error, or close the stream if headers already went out
+   */
+  function sendError(res, error) {
+    console.error('❌ Error in Anthropic-compatible endpoint:', error.message);
+
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    res.status(translator.errorStatus(error)).json(translator.toErrorBody(error));
+  }
+
+  return router;
+}
+
+module.exports = { createAnthropicRoutes };
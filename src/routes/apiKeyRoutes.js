@@ -0,0 +1,101 @@
+const express = require('express');
+
+/**
+ * 🔑 API Key Management Routes
+ *
+ * Provides endpoints for:
+ * - Listing keys with today's usage
+ * - Creating keys (the key itself is only returned here)
+ * - Changing a key's name, scopes or limits
+ * - Revoking keys
+ *
+ * Mounted at /api/keys; requires the admin scope when API keys are enabled.
+ */
+function createApiKeyRoutes({ apiKeyStore, limiter = null }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/keys
+   * List keys and today's usage
+   */
+  router.get('/', (req, res) => {
+    try {
+      const keys = apiKeyStore.listKeys().map(key => ({ ...key, usage: apiKeyStore.getUsage(key.id) }));
+
+      res.json({
+        success: true,
+        data: {
+          keys,
+          totalKeys: keys.length,
+          limiter: limiter ? limiter.getStats() : null
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to list API keys');
+    }
+  });
+
+  /**
+   * POST /api/keys
+   * Create a key: { name, scopes?, requestsPerMinute?, maxConcurrentStreams?, dailyTokenLimit? }
+   */
+  router.post('/', (req, res) => {
+    try {
+      const { name, scopes, requestsPerMinute, maxConcurrentStreams, dailyTokenLimit } = req.body || {};
+      const created = apiKeyStore.createKey({ name, scopes, requestsPerMinute, maxConcurrentStreams, dailyTokenLimit });
+
+      res.status(201).json({
+        success: true,
+        data: created,
+        message: 'Store this key now, it cannot be shown again'
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to create API key');
+    }
+  });
+
+  /**
+   * PATCH /api/keys/:id
+   * Change a key's name, scopes or limits (null removes a limit)
+   */
+  router.patch('/:id', (req, res) => {
+    try {
+      const { name, scopes, requestsPerMinute, maxConcurrentStreams, dailyTokenLimit } = req.body || {};
+      const updated = apiKeyStore.updateKey(req.params.id, { name, scopes, requestsPerMinute, maxConcurrentStreams, dailyTokenLimit });
+
+      if (!updated) {
+        return res.status(404).json({ success: false, error: 'API key not found' });
+      }
+      res.json({ success: true, data: updated });
+    } catch (error) {
+      sendError(res, error, 'Failed to update API key');
+    }
+  });
+
+  /**
+   * DELETE /api/keys/:id
+   * Revoke a key
+   */
+  router.delete('/:id', (req, res) => {
+    try {
+      if (!apiKeyStore.revokeKey(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'API key not found' });
+      }
+      res.json({ success: true, data: apiKeyStore.getKey(req.params.id) });
+    } catch (error) {
+      sendError(res, error, 'Failed to revoke API key');
+    }
+  });
+
+  function sendError(res, error, message) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: message,
+      details: error.message
+    });
+  }
+
+  return router;
+}
+
+module.exports = { createApiKeyRoutes };
@@ -0,0 +1,72 @@
+const express = require('express');
+
+/**
+ * 🗳️ Classifier Pipeline Routes
+ *
+ * Provides endpoints for:
+ * - Listing the pipeline's stages, weights and confidence threshold
+ * - Classifying a prompt without running it, with the per-stage trace
+ *
+ * Mounted at /api/classify. `getCategories` returns the label definitions
+ * per classifier (task types and intent categories).
+ */
+function createClassifyRoutes({ classifierPipeline, embeddingService, getCategories }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/classify
+   * Stages in the order they run, their weights, the threshold and the classifiers
+   */
+  router.get('/', (req, res) => {
+    res.json({
+      success: true,
+      data: { ...classifierPipeline.describe(), classifiers: Object.keys(getCategories()) }
+    });
+  });
+
+  /**
+   * POST /api/classify
+   * Classify a prompt: { prompt, classifier?: 'task' | 'intent' }
+   */
+  router.post('/', async (req, res) => {
+    try {
+      const { prompt, classifier = 'task' } = req.body || {};
+      if (!prompt || typeof prompt !== 'string' || !prompt.trim()) throw invalid('prompt is required');
+
+      const categories = getCategories()[classifier];
+      if (!categories) throw invalid(`classifier must be one of: ${Object.keys(getCategories()).join(', ')}`);
+
+      // Without an embedding the pattern and keyword stages still vote
+      const embedding = await embeddingService.embed(prompt, { signal: req.abortSignal }).catch(() => null);
+      const vote = await classifierPipeline.classify({
+        classifier,
+        text: prompt,
+        embedding,
+        categories,
+        signal: req.abortSignal
+      });
+
+      res.json({ success: true, data: { classifier, prompt, ...vote } });
+    } catch (error) {
+      sendError(res, error, 'Failed to classify prompt');
+    }
+  });
+
+  function invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  function sendError(res, error, message) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: message,
+      details: error.message
+    });
+  }
+
+  return router;
+}
+
+module.exports = { createClassifyRoutes };
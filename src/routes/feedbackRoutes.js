@@ -0,0 +1,61 @@
+const express = require('express');
+
+/**
+ * 👍 Classification Feedback Routes
+ *
+ * Provides endpoints for:
+ * - Recording a thumbs-up/down or a corrected label for a classified prompt
+ * - Listing the valid labels and feedback counts
+ *
+ * Mounted at /api/feedback. The predicted labels come from the
+ * X-OllamaGeek-Task-Type and X-OllamaGeek-Intent-Category response headers.
+ */
+function createFeedbackRoutes({ classificationFeedback }) {
+  const router = express.Router();
+
+  /**
+   * GET /api/feedback
+   * Valid labels per classifier and feedback counts
+   */
+  router.get('/', (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: {
+          labels: classificationFeedback.getLabels(),
+          stats: classificationFeedback.getStats()
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to read feedback');
+    }
+  });
+
+  /**
+   * POST /api/feedback
+   * Record feedback: { prompt, classifier?: 'task' | 'intent', predicted?, label?, rating?: 'up' | 'down' }
+   */
+  router.post('/', (req, res) => {
+    try {
+      const { classifier, prompt, predicted, label, rating } = req.body || {};
+      const source = req.get('user-agent') || null;
+      const recorded = classificationFeedback.record({ classifier, prompt, predicted, label, rating, source });
+
+      res.status(201).json({ success: true, data: recorded });
+    } catch (error) {
+      sendError(res, error, 'Failed to record feedback');
+    }
+  });
+
+  function sendError(res, error, message) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: message,
+      details: error.message
+    });
+  }
+
+  return router;
+}
+
+module.exports = { createFeedbackRoutes };
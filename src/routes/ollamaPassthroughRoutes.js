@@ -0,0 +1,246 @@
+const express = require('express');
+const axios = require('axios');
+const { Logger } = require('../utils/logger');
+
+/**
+ * 🔀 Ollama Passthrough Routes
+ *
+ * The parts of the Ollama API that OllamaGeek has nothing to add to, relayed
+ * byte for byte (status, content type and streamed NDJSON progress), so the
+ * `ollama` CLI works with OLLAMA_HOST pointed at OllamaGeek:
+ * - GET /api/version, GET /api/ps (merged across backends)
+ * - POST /api/pull and /api/push, streaming progress unless `stream: false`
+ * - POST /api/copy, DELETE /api/delete, POST /api/create
+ * - HEAD/POST /api/blobs/:digest
+ *
+ * Blob uploads and /api/create go to the primary backend, where the blobs
+ * the model is created from were uploaded. Pulls and pushes fail over on
+ * 5xx and run outside the scheduler's model slots. Mounted at /api.
+ */
+function createOllamaPassthroughRoutes({ backendPool, modelDiscovery = null }) {
+  const router = express.Router();
+  const logger = new Logger();
+
+  // Pulled, copied, created or deleted models change what can be routed to
+  const refreshModels = () => {
+    if (!modelDiscovery) return;
+    modelDiscovery.refresh().catch(error => logger.error('❌ Model discovery failed', { error: error.message }));
+  };
+
+  /**
+   * GET /api/version
+   */
+  router.get('/version', async (req, res, next) => {
+    try {
+      relay(res, await send(backendPool.primaryBackend(), 'get', '/api/version'));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * GET /api/ps
+   * Models loaded in memory, on every backend
+   */
+  router.get('/ps', async (req, res, next) => {
+    try {
+      if (backendPool.backends.length === 1) {
+        return relay(res, await send(backendPool.backends[0], 'get', '/api/ps'));
+      }
+
+      const results = await Promise.allSettled(
+        backendPool.backends.map(backend => send(backend, 'get', '/api/ps', undefined, { responseType: 'json' }))
+      );
+      const answered = results.filter(result => result.status === 'fulfilled' && result.value.status === 200);
+      if (answered.length === 0) {
+        const failed = results.find(result => result.status === 'rejected');
+        return failed ? next(failed.reason) : relayJson(res, results[0].value);
+      }
+
+      res.json({ models: answered.flatMap(result => result.value.data.models || []) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * POST /api/pull and /api/push
+   */
+  for (const action of ['pull', 'push']) {
+    router.post(`/${action}`, async (req, res, next) => {
+      try {
+        const model = action === 'push' ? req.body.model || req.body.name : null;
+        // Downloads and uploads don't use the GPU, so they take no model slot
+        const response = await backendPool.withFailover(
+          model,
+          backend => sendOrFail(backend, 'post', `/api/${action}`, req.body, { signal: req.abortSignal }),
+          { signal: req.abortSignal, schedule: false }
+        );
+
+        if (action === 'pull' && response.status === 200) {
+          response.data.once('end', refreshModels);
+        }
+        relay(res, response);
+      } catch (error) {
+        // Every backend failed; pass on the last answer Ollama gave
+        if (error.upstream) return relayBody(res, error.upstream);
+        next(error);
+      }
+    });
+  }
+
+  /**
+   * POST /api/copy
+   * Copies on the backend that has the source model
+   */
+  router.post('/copy', async (req, res, next) => {
+    try {
+      const [backend] = backendPool.selectBackends(req.body.source);
+      const response = await send(backend, 'post', '/api/copy', req.body);
+      if (response.status === 200) refreshModels();
+      relay(res, response);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * DELETE /api/delete
+   * Deletes the model from every backend; 404 only if none had it
+   */
+  router.delete('/delete', async (req, res, next) => {
+    try {
+      const results = await Promise.allSettled(
+        backendPool.backends.map(backend => send(backend, 'delete', '/api/delete', req.body, { responseType: 'json' }))
+      );
+      const responses = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+      if (responses.length === 0) return next(results[0].reason);
+
+      const response = responses.find(candidate => candidate.status === 200) ||
+        responses.find(candidate => candidate.status !== 404) ||
+        responses[0];
+      if (response.status === 200) refreshModels();
+      relayJson(res, response);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * POST /api/create
+   */
+  router.post('/create', async (req, res, next) => {
+    try {
+      const response = await send(backendPool.primaryBackend(), 'post', '/api/create', req.body, { signal: req.abortSignal });
+      response.data.once('end', refreshModels);
+      relay(res, response);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * HEAD /api/blobs/:digest
+   * Whether the blob exists (200) or still needs uploading (404)
+   */
+  router.head('/blobs/:digest', async (req, res, next) => {
+    try {
+      const response = await send(backendPool.primaryBackend(), 'head', `/api/blobs/${encodeURIComponent(req.params.digest)}`);
+      res.status(response.status).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * POST /api/blobs/:digest
+   * The raw upload is streamed on; express.json leaves these bodies alone
+   */
+  router.post('/blobs/:digest', async (req, res, next) => {
+    try {
+      const headers = { 'Content-Type': 'application/octet-stream' };
+      if (req.headers['content-length']) headers['Content-Length'] = req.headers['content-length'];
+
+      const response = await send(backendPool.primaryBackend(), 'post', `/api/blobs/${encodeURIComponent(req.params.digest)}`, req, {
+        headers,
+        maxBodyLength: Infinity,
+        signal: req.abortSignal
+      });
+      relay(res, response);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Call a backend and resolve with whatever it answers, errors included:
+ * the CLI reads Ollama's own `{ error }` bodies and status codes
+ */
+function send(backend, method, path, data, config = {}) {
+  return axios({
+    method,
+    url: `${backend.url}${path}`,
+    data,
+    responseType: 'stream',
+    maxContentLength: Infinity,
+    validateStatus: () => true,
+    ...config
+  });
+}
+
+/**
+ * Like send, but a 5xx is thrown so BackendPool fails over to the next
+ * backend; the error keeps the status and body as `upstream`
+ */
+async function sendOrFail(backend, method, path, data, config = {}) {
+  const response = await send(backend, method, path, data, config);
+  if (response.status < 500) return response;
+
+  const chunks = [];
+  for await (const chunk of response.data) chunks.push(chunk);
+  const upstream = { status: response.status, headers: response.headers, body: Buffer.concat(chunks) };
+  throw Object.assign(new Error(`${backend.url}${path} answered ${response.status}`), { response: upstream, upstream });
+}
+
+/**
+ * Pass a streamed upstream response on unchanged
+ */
+function relay(res, response) {
+  res.status(response.status);
+  const contentType = response.headers['content-type'];
+  if (contentType) res.set('Content-Type', contentType);
+
+  if (response.data && typeof response.data.pipe === 'function') {
+    response.data.on('error', () => res.end());
+    response.data.pipe(res);
+  } else {
+    res.end();
+  }
+}
+
+/**
+ * Pass a buffered upstream response on
+ */
+function relayBody(res, upstream) {
+  res.status(upstream.status);
+  const contentType = upstream.headers['content-type'];
+  if (contentType) res.set('Content-Type', contentType);
+  res.end(upstream.body);
+}
+
+/**
+ * Pass a parsed upstream response on (Ollama answers some calls with an empty body)
+ */
+function relayJson(res, response) {
+  res.status(response.status);
+  if (response.data === '' || response.data === undefined) {
+    res.end();
+  } else {
+    res.json(response.data);
+  }
+}
+
+module.exports = { createOllamaPassthroughRoutes };
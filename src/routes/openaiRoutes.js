@@ -0,0 +1,201 @@
+const express = require('express');
+const { OpenAITranslator } = require('../services/openaiTranslator');
+const { NdjsonTransform } = require('../utils/ndjsonStream');
+
+/**
+ * 🔌 OpenAI-Compatible API Routes
+ *
+ * Provides endpoints for:
+ * - POST /v1/chat/completions (with SSE streaming and tool_calls)
+ * - POST /v1/completions
+ * - POST /v1/embeddings
+ * - GET  /v1/models
+ *
+ * Requests are translated to Ollama's format and go through the same
+ * routing pipeline as /api/chat, so OpenAI SDK clients get model routing
+ * without changes. Embeddings come from the shared EmbeddingService.
+ */
+function createOpenAIRoutes({ routingPipeline, orchestrator, backendPool, embeddingService, modelDiscovery = null }) {
+  const router = express.Router();
+  const translator = new OpenAITranslator();
+
+  /**
+   * POST /v1/chat/completions
+   */
+  router.post('/chat/completions', async (req, res) => {
+    try {
+      const ollamaRequest = translator.toOllamaChatRequest(req.body);
+      const routed = await routingPipeline.route(ollamaRequest);
+      routingPipeline.trackUsage(res, routed);
+      ollamaRequest.model = routed.recommendedModel;
+      if (routed.messages) ollamaRequest.messages = routed.messages;
+      res.set(routingPipeline.buildHeaders(req.body, routed));
+
+      const meta = translator.createResponseMeta('chatcmpl', routed.recommendedModel);
+
+      if (ollamaRequest.stream) {
+        const state = {
+          ...meta,
+          includeUsage: req.body.stream_options?.include_usage === true,
+          sentRole: false,
+          toolCallCount: 0,
+          sawToolCalls: false
+        };
+
+        await streamFromOllama(res, '/api/chat', ollamaRequest, chunk =>
+          translator.fromOllamaChatChunk(chunk, state)
+        );
+        return;
+      }
+
+      const ollamaResponse = await backendPool.post('/api/chat', ollamaRequest, { signal: req.abortSignal });
+      res.json({
+        ...translator.fromOllamaChatResponse(ollamaResponse.data, meta),
+        _ollamaGeek: routingPipeline.buildMetadata(req.body, routed)
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /v1/completions
+   */
+  router.post('/completions', async (req, res) => {
+    try {
+      const ollamaRequests = translator.toOllamaGenerateRequests(req.body);
+
+      if (req.body.stream === true) {
+        if (ollamaRequests.length !== 1) {
+          const error = new Error('Streaming supports a single prompt per request');
+          error.status = 400;
+          error.param = 'prompt';
+          throw error;
+        }
+
+        const ollamaRequest = ollamaRequests[0];
+        const routed = await routingPipeline.route(ollamaRequest);
+        routingPipeline.trackUsage(res, routed);
+        ollamaRequest.model = routed.recommendedModel;
+        res.set(routingPipeline.buildHeaders(req.body, routed));
+
+        const state = {
+          ...translator.createResponseMeta('cmpl', routed.recommendedModel),
+          includeUsage: req.body.stream_options?.include_usage === true
+        };
+
+        await streamFromOllama(res, '/api/generate', ollamaRequest, chunk =>
+          [translator.fromOllamaGenerateChunk(chunk, state)]
+        );
+        return;
+      }
+
+      const responses = [];
+      let lastRouted = null;
+      for (const ollamaRequest of ollamaRequests) {
+        lastRouted = await routingPipeline.route(ollamaRequest);
+        ollamaRequest.model = lastRouted.recommendedModel;
+        const ollamaResponse = await backendPool.post('/api/generate', ollamaRequest, { signal: req.abortSignal });
+        responses.push(ollamaResponse.data);
+      }
+
+      routingPipeline.trackUsage(res, lastRouted);
+      const meta = translator.createResponseMeta('cmpl', lastRouted.recommendedModel);
+      res.set(routingPipeline.buildHeaders(req.body, lastRouted));
+      res.json({
+        ...translator.fromOllamaGenerateResponses(responses, meta),
+        _ollamaGeek: routingPipeline.buildMetadata(req.body, lastRouted)
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /v1/embeddings
+   */
+  router.post('/embeddings', async (req, res) => {
+    try {
+      const inputs = translator.toEmbeddingInputs(req.body);
+
+      // The named model if it is an installed embedding model; all inputs share batches and the cache
+      const model = modelDiscovery ? modelDiscovery.embeddingModelFor(req.body.model) : embeddingService.model;
+      const embeddings = await embeddingService.embedMany(inputs, { model, signal: req.abortSignal });
+
+      res.json(translator.fromEmbeddings(embeddings, inputs, model, req.body.encoding_format));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /v1/models
+   */
+  router.get('/models', async (req, res) => {
+    try {
+      const tags = await orchestrator.handleTags();
+      res.json(translator.fromOllamaTags(tags));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * Stream an Ollama NDJSON response to the client as server-sent events
+   */
+  async function streamFromOllama(res, endpoint, ollamaRequest, convertChunk) {
+    const ollamaResponse = await backendPool.post(endpoint, ollamaRequest, {
+      responseType: 'stream',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      signal: res.req.abortSignal // set by the clientAbort middleware
+    });
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    const toSseEvent = (payload) => `data: ${JSON.stringify(payload)}\n\n`;
+    const sse = new NdjsonTransform(
+      chunk => (chunk.error ? translator.toErrorBody(new Error(chunk.error)) : convertChunk(chunk)),
+      { serialize: toSseEvent, passInvalidLines: false }
+    );
+
+    await new Promise((resolve) => {
+      ollamaResponse.data.on('error', (error) => {
+        console.error('❌ Ollama stream error:', error.message);
+        ollamaResponse.data.unpipe(sse);
+        res.write(toSseEvent(translator.toErrorBody(error)));
+        res.end();
+        resolve();
+      });
+
+      sse.on('end', () => {
+        res.write('data: [DONE]\n\n');
+        res.end();
+        resolve();
+      });
+
+      ollamaResponse.data.pipe(sse).pipe(res, { end: false });
+    });
+  }
+
+  /**
+   * Send an OpenAI-style error, or close the stream if headers already went out
+   */
+  function sendError(res, error) {
+    console.error('❌ Error in OpenAI-compatible endpoint:', error.message);
+
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    res.status(translator.errorStatus(error)).json(translator.toErrorBody(error));
+  }
+
+  return router;
+}
+
+module.exports = { createOpenAIRoutes };
@@ -6,18 +6,46 @@ require('dotenv').config();
 
 const { OllamaOrchestrator } = require('./services/orchestrator');
 const { EmbeddingClassifier } = require('./services/embeddingClassifier');
+const { RoutingRules } = require('./services/routingRules');
+const { ModelDiscovery } = require('./services/modelDiscovery');
+const { ContextBudgeter } = require('./services/contextBudgeter');
 const { RequestLogger } = require('./middleware/requestLogger');
 const { ErrorHandler } = require('./middleware/errorHandler');
+const { createApiKeyAuth, hasScope } = require('./middleware/apiKeyAuth');
+const { createClientAbort } = require('./middleware/clientAbort');
 const { SessionManager } = require('./services/sessionManager');
 const { SmartContextManager } = require('./services/smartContextManager');
 const { AgenticWorkflowExecutor } = require('./services/agenticWorkflowExecutor');
 const { AICodeAnalyzer } = require('./services/aiCodeAnalyzer');
 const { EnhancedContextManager } = require('./services/enhancedContextManager');
+const { RoutingPipeline, ROUTING_HEADERS } = require('./services/routingPipeline');
+const { BackendPool } = require('./services/backendPool');
+const { RequestScheduler } = require('./services/requestScheduler');
+const { AgentLoop } = require('./services/agentLoop');
+const { ResponseCache } = require('./services/responseCache');
+const { ApiKeyStore } = require('./services/apiKeyStore');
+const { ShadowRouter } = require('./services/shadowRouter');
+const { CascadePolicy } = require('./services/cascadePolicy');
+const { ApiKeyLimiter } = require('./services/apiKeyLimiter');
+const { CassetteRecorder } = require('./services/cassetteRecorder');
+const { ModelPreloader } = require('./services/modelPreloader');
+const { StructuredOutput } = require('./services/structuredOutput');
+const { EmbeddingService } = require('./services/embeddingService');
+const { ClassificationFeedback } = require('./services/classificationFeedback');
+const { ClassifierPipeline } = require('./services/classifierPipeline');
+const { LanguageDetector } = require('./services/languageDetector');
+const { createEnrichmentTransform, createResponseCollector, createReplayStream } = require('./utils/ndjsonStream');
 const IntentRecognizer = require('./services/intentRecognizer');
 const ApproachMapper = require('./services/approachMapper');
 const AIToolGenerator = require('./services/aiToolGenerator');
 const PerformanceDashboard = require('./services/performanceDashboard');
 const workflowRoutes = require('./routes/workflowRoutes');
+const { createOpenAIRoutes } = require('./routes/openaiRoutes');
+const { createAnthropicRoutes } = require('./routes/anthropicRoutes');
+const { createApiKeyRoutes } = require('./routes/apiKeyRoutes');
+const { createFeedbackRoutes } = require('./routes/feedbackRoutes');
+const { createClassifyRoutes } = require('./routes/classifyRoutes');
+const { createOllamaPassthroughRoutes } = require('./routes/ollamaPassthroughRoutes');
 const WebSearchService = require('./services/webSearchService');
 
 // Helper function to generate tool plan summary
@@ -249,24 +277,123 @@ async function executeTools(tools, prompt) {
 const app = express();
 const PORT = process.env.PORT || 3003;
 
+// Record or replay upstream traffic (OLLAMA_CASSETTE_MODE); installed before any client is created
+const cassetteRecorder = new CassetteRecorder();
+cassetteRecorder.install();
+
 // Initialize services
-const orchestrator = new OllamaOrchestrator();
-const embeddingClassifier = new EmbeddingClassifier();
+const requestScheduler = new RequestScheduler();
+const performanceDashboard = new PerformanceDashboard({ requestScheduler });
+const backendPool = new BackendPool({ scheduler: requestScheduler, performanceMonitor: performanceDashboard.performanceMonitor });
+const routingRules = new RoutingRules();
+routingRules.watch();
+const modelDiscovery = new ModelDiscovery({ backendPool, routingRules });
+const languageDetector = new LanguageDetector({ routingRules });
+const orchestrator = new OllamaOrchestrator({ backendPool, routingRules, modelDiscovery, languageDetector });
+const embeddingService = new EmbeddingService({ backendPool });
+const classificationFeedback = new ClassificationFeedback({
+  embeddingService,
+  getLabels: () => ({
+    intent: Object.keys(intentRecognizer.intentCategories),
+    task: Object.keys(embeddingClassifier.taskCategories)
+  })
+});
+const structuredOutput = new StructuredOutput({ backendPool });
+// One pipeline classifies both task types and intent categories
+const classifierPipeline = new ClassifierPipeline({ embeddingService, feedback: classificationFeedback, structuredOutput });
+const embeddingClassifier = new EmbeddingClassifier({ routingRules, modelDiscovery, embeddingService, classifierPipeline, languageDetector });
 const sessionManager = new SessionManager();
 const contextManager = new SmartContextManager();
-const agenticExecutor = new AgenticWorkflowExecutor();
-const aiCodeAnalyzer = new AICodeAnalyzer();
+const agenticExecutor = new AgenticWorkflowExecutor({ backendPool, modelDiscovery, structuredOutput });
+const aiCodeAnalyzer = new AICodeAnalyzer({ backendPool, structuredOutput, languageDetector, modelDiscovery });
 const enhancedContextManager = new EnhancedContextManager();
-const intentRecognizer = new IntentRecognizer();
-const approachMapper = new ApproachMapper();
-const aiToolGenerator = new AIToolGenerator();
-const performanceDashboard = new PerformanceDashboard();
+const intentRecognizer = new IntentRecognizer({ backendPool, embeddingService, classifierPipeline });
+const approachMapper = new ApproachMapper({ structuredOutput });
+const aiToolGenerator = new AIToolGenerator({ backendPool, structuredOutput });
 const webSearchService = new WebSearchService();
+const contextBudgeter = new ContextBudgeter({ backendPool, modelSelector: orchestrator.modelSelector, modelDiscovery });
+const routingPipeline = new RoutingPipeline({
+  embeddingClassifier,
+  contextManager,
+  contextBudgeter,
+  performanceMonitor: performanceDashboard.performanceMonitor
+});
+const agentLoop = new AgentLoop({ backendPool });
+const responseCache = new ResponseCache();
+const apiKeyStore = new ApiKeyStore();
+const cascadePolicy = new CascadePolicy({ backendPool, modelSelector: orchestrator.modelSelector });
+const shadowRouter = new ShadowRouter({ backendPool, performanceMonitor: performanceDashboard.performanceMonitor, modelDiscovery });
+const apiKeyLimiter = new ApiKeyLimiter();
+const modelPreloader = new ModelPreloader({ backendPool, memoryManager: performanceDashboard.performanceMonitor.memoryManager, modelDiscovery });
+
+// _ollamaGeek metadata, noting when the response came from the cache
+function buildResponseMetadata(requestBody, routed, cached) {
+  const metadata = routingPipeline.buildMetadata(requestBody, routed);
+  if (cached) {
+    metadata.cache = { match: cached.match, similarity: cached.similarity };
+  }
+  return metadata;
+}
+
+// X-OllamaGeek-* routing headers, plus the cache match when the response came from the cache
+function setRoutingHeaders(res, requestBody, routed, cached) {
+  res.set(routingPipeline.buildHeaders(requestBody, routed));
+  if (cached) {
+    res.set('X-OllamaGeek-Cache', cached.match);
+  }
+}
+
+// Cascade a request through cheap-to-large models; null when there is nothing to escalate to
+async function runCascade(path, requestBody, upstreamRequest, routed, cached, signal) {
+  if (cached || !cascadePolicy.isEnabledFor(requestBody)) return null;
+
+  const chain = await cascadePolicy.buildChain(routed);
+  if (chain.length < 2) return null;
+
+  return cascadePolicy.run(path, upstreamRequest, chain, { signal });
+}
+
+// Schema-checked reply for requests whose `format` is a JSON schema, answered in one piece
+async function runStructured(path, req, res, upstreamRequest, routed, cached) {
+  if (cached || !structuredOutput.isEnabledFor(req.body, req.headers)) return null;
+
+  const structured = await structuredOutput.generate(path, upstreamRequest, upstreamRequest.format, {
+    signal: req.abortSignal,
+    taskType: routed.analysis.taskType
+  });
+  res.set('X-OllamaGeek-Structured', String(structured.attempts));
+  return structured;
+}
+
+// Headers naming the model that answered after a cascade and the models tried
+function setCascadeHeaders(res, cascade) {
+  res.set({
+    'X-OllamaGeek-Model': cascade.finalModel,
+    'X-OllamaGeek-Cascade': cascade.attempts.map(attempt => attempt.model).join(', ')
+  });
+}
+
+// Copy of a complete chat response with the routing footer appended to its content
+function appendFooter(response, footer) {
+  return {
+    ...response,
+    message: { ...response.message, content: (response.message?.content || '') + footer }
+  };
+}
+
+// Record a fresh upstream stream into the response cache as it passes through
+function cacheStream(stream, cacheKey, cached, routed) {
+  if (!cacheKey || cached) return stream;
+  return stream.pipe(createResponseCollector(response => {
+    responseCache.store(cacheKey, routed.embedding, response);
+  }));
+}
 
 // Middleware
 app.use(helmet());
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+app.use(cors({ exposedHeaders: [...Object.values(ROUTING_HEADERS), 'X-OllamaGeek-Cache', 'X-OllamaGeek-Cascade', 'X-OllamaGeek-Structured', 'X-OllamaGeek-Intent-Category'] }));
+// Blob uploads are raw bytes (labelled application/json by the ollama CLI) and are streamed on as-is
+app.use(express.json({ limit: '50mb', type: req => !req.path.startsWith('/api/blobs/') && Boolean(req.is('application/json')) }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Logging middleware
@@ -275,6 +402,17 @@ if (process.env.LOG_REQUESTS === 'true') {
   app.use(RequestLogger.middleware);
 }
 
+// Cancel upstream work when the client disconnects (req.abortSignal)
+app.use(createClientAbort());
+
+// API keys, scopes and per-key limits (ENABLE_API_KEYS=true)
+app.use(createApiKeyAuth({ apiKeyStore, limiter: apiKeyLimiter }));
+
+// Heartbeat the ollama CLI checks before every command
+app.get('/', (req, res) => {
+  res.type('text/plain').send('Ollama is running');
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -284,6 +422,21 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Ollama backend health and installed models
+app.get('/api/backends', (req, res) => {
+  res.json(backendPool.getStatus());
+});
+
+// Usage-driven model preloading: schedule and recent decisions
+app.get('/api/preload', (req, res) => {
+  res.json(modelPreloader.getStatus());
+});
+
+// Active model routing rules (reloaded automatically when the file changes)
+app.get('/api/routing', (req, res) => {
+  res.json({ ...routingRules.getStatus(), discovery: modelDiscovery.getStatus() });
+});
+
 // Session management endpoint (for debugging)
 app.get('/api/sessions', (req, res) => {
   res.json(sessionManager.getStats());
@@ -300,7 +453,7 @@ app.post('/api/ai/analyze', async (req, res, next) => {
       return res.status(400).json({ error: 'File path is required' });
     }
 
-    const analysis = await aiCodeAnalyzer.analyzeCode(filePath, options);
+    const analysis = await aiCodeAnalyzer.analyzeCode(filePath, { ...options, signal: req.abortSignal });
     res.json(analysis);
   } catch (error) {
     next(error);
@@ -316,7 +469,7 @@ app.post('/api/ai/refactor', async (req, res, next) => {
       return res.status(400).json({ error: 'File path and refactoring type are required' });
     }
 
-    const refactoring = await aiCodeAnalyzer.refactorCode(filePath, refactoringType, options);
+    const refactoring = await aiCodeAnalyzer.refactorCode(filePath, refactoringType, { ...options, signal: req.abortSignal });
     res.json(refactoring);
   } catch (error) {
     next(error);
@@ -332,7 +485,7 @@ app.post('/api/ai/tests', async (req, res, next) => {
       return res.status(400).json({ error: 'File path is required' });
     }
 
-    const tests = await aiCodeAnalyzer.generateTests(filePath, testFramework, options);
+    const tests = await aiCodeAnalyzer.generateTests(filePath, testFramework, { ...options, signal: req.abortSignal });
     res.json(tests);
   } catch (error) {
     next(error);
@@ -348,7 +501,7 @@ app.post('/api/ai/debug', async (req, res, next) => {
       return res.status(400).json({ error: 'File path is required' });
     }
 
-    const debugging = await aiCodeAnalyzer.debugCode(filePath, errorContext, options);
+    const debugging = await aiCodeAnalyzer.debugCode(filePath, errorContext, { ...options, signal: req.abortSignal });
     res.json(debugging);
   } catch (error) {
     next(error);
@@ -364,7 +517,7 @@ app.post('/api/ai/review', async (req, res, next) => {
       return res.status(400).json({ error: 'File path is required' });
     }
 
-    const review = await aiCodeAnalyzer.reviewCode(filePath, reviewType, options);
+    const review = await aiCodeAnalyzer.reviewCode(filePath, reviewType, { ...options, signal: req.abortSignal });
     res.json(review);
   } catch (error) {
     next(error);
@@ -380,7 +533,7 @@ app.post('/api/ai/documentation', async (req, res, next) => {
       return res.status(400).json({ error: 'File path is required' });
     }
 
-    const documentation = await aiCodeAnalyzer.generateDocumentation(filePath, docType, options);
+    const documentation = await aiCodeAnalyzer.generateDocumentation(filePath, docType, { ...options, signal: req.abortSignal });
     res.json(documentation);
   } catch (error) {
     next(error);
@@ -396,7 +549,7 @@ app.post('/api/ai/optimize', async (req, res, next) => {
       return res.status(400).json({ error: 'File path is required' });
     }
 
-    const optimization = await aiCodeAnalyzer.optimizeCode(filePath, optimizationType, options);
+    const optimization = await aiCodeAnalyzer.optimizeCode(filePath, optimizationType, { ...options, signal: req.abortSignal });
     res.json(optimization);
   } catch (error) {
     next(error);
@@ -423,9 +576,8 @@ app.delete('/api/ai/cache', (req, res) => {
     console.log('🔍 /api/show endpoint called');
     console.log('📋 Request body:', JSON.stringify(req.body, null, 2));
 
-    // Get model info from Ollama
-    const axios = require('axios');
-    const ollamaResponse = await axios.post('http://localhost:11434/api/show', req.body);
+    // Get model info from the backend that has the model
+    const ollamaResponse = await backendPool.post('/api/show', { ...req.body, model: req.body.model || req.body.name });
 
     // Get available tools from our services
     const availableTools = [
@@ -510,9 +662,9 @@ app.delete('/api/ai/cache', (req, res) => {
           }
         }
       })),
-      // Add tool capabilities to the existing capabilities
-      capabilities: {
-        ...ollamaResponse.data.capabilities,
+      // Ollama's capabilities stay a list of strings: the ollama CLI decodes it as one
+      capabilities: [...new Set([...(ollamaResponse.data.capabilities || []), 'tools'])],
+      ollamageek_capabilities: {
         tool_execution: true,
         file_operations: true,
         terminal_commands: true,
@@ -533,15 +685,117 @@ app.delete('/api/ai/cache', (req, res) => {
     res.json(enhancedResponse);
   } catch (error) {
     console.error('❌ Error in /api/show:', error.message);
+    // Keep Ollama's own status: the ollama CLI pulls the model on a 404
+    if (error.response) {
+      return res.status(error.response.status).json({ error: error.response.data?.error || error.message });
+    }
     res.status(500).json({ error: 'Failed to show model info' });
   }
 });
 
 app.post('/api/generate', async (req, res, next) => {
   try {
-    const result = await orchestrator.handleGenerate(req.body);
-    res.json(result);
+    // Same embedding-based model selection and context enrichment as /api/chat
+    const routed = await routingPipeline.route(req.body);
+    routingPipeline.trackUsage(res, routed);
+    const { recommendedModel } = routed;
+
+    // Opt-in response cache (exact or near-duplicate prompt)
+    const cacheKey = responseCache.isCacheable(req.body, req.headers) ? responseCache.createKey('generate', req.body) : null;
+    const cached = cacheKey ? responseCache.lookup(cacheKey, routed.embedding) : null;
+    if (cached) {
+      console.log(`💾 Response cache ${cached.match} hit (similarity ${cached.similarity.toFixed(3)})`);
+    }
+
+    const generateRequest = {
+      model: recommendedModel,
+      prompt: req.body.prompt || '',
+      stream: req.body.stream !== false // Ollama streams by default
+    };
+
+    // Pass through the remaining Ollama generate parameters
+    for (const field of ['suffix', 'images', 'format', 'system', 'template', 'context', 'raw', 'keep_alive']) {
+      if (req.body[field] !== undefined) generateRequest[field] = req.body[field];
+    }
+    if (req.body.options && typeof req.body.options === 'object') {
+      generateRequest.options = req.body.options;
+    }
+
+    const metadata = buildResponseMetadata(req.body, routed, cached);
+    setRoutingHeaders(res, req.body, routed, cached);
+
+    // Cascade: cheap models first, escalating when a reply fails its checks
+    const cascaded = await runCascade('/api/generate', req.body, generateRequest, routed, cached, req.abortSignal);
+    if (cascaded) {
+      if (cacheKey) {
+        responseCache.store(cacheKey, routed.embedding, cascaded.response);
+      }
+      setCascadeHeaders(res, cascaded.cascade);
+      const cascadeMetadata = { ...metadata, cascade: cascaded.cascade };
+
+      if (generateRequest.stream) {
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        const chunks = cascadePolicy.toStreamChunks(cascaded.response);
+        chunks[chunks.length - 1]._ollamaGeek = cascadeMetadata;
+        chunks.forEach(chunk => res.write(JSON.stringify(chunk) + '\n'));
+        res.end();
+      } else {
+        res.json({ ...cascaded.response, _ollamaGeek: cascadeMetadata });
+      }
+      return;
+    }
+
+    // Structured output: validate against the `format` schema, re-asking the model on a mismatch
+    const structured = await runStructured('/api/generate', req, res, generateRequest, routed, cached);
+    const completed = cached?.response || structured?.response;
+
+    if (generateRequest.stream) {
+      const ollamaResponse = completed
+        ? { data: createReplayStream(completed) }
+        : await backendPool.post('/api/generate', generateRequest, {
+          responseType: 'stream',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          signal: req.abortSignal
+        }, { taskType: routed.analysis.taskType });
+
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Transfer-Encoding', 'chunked');
+
+      ollamaResponse.data.on('error', (streamError) => {
+        console.error('❌ Ollama generate stream interrupted:', streamError.message);
+        res.end();
+      });
+
+      // Completions are inserted verbatim by editors, so only metadata is added
+      cacheStream(ollamaResponse.data, cacheKey, cached, routed)
+        .pipe(createEnrichmentTransform({ metadata }))
+        .pipe(res);
+      return;
+    }
+
+    const ollamaResponse = completed
+      ? { data: completed }
+      : await backendPool.post('/api/generate', generateRequest, {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        signal: req.abortSignal
+      }, { taskType: routed.analysis.taskType });
+    if (cacheKey && !cached) {
+      responseCache.store(cacheKey, routed.embedding, ollamaResponse.data);
+    }
+
+    res.json({
+      ...ollamaResponse.data,
+      _ollamaGeek: metadata
+    });
   } catch (error) {
+    console.error('❌ Ollama generate error:', {
+      status: error.response?.status,
+      message: error.message
+    });
     next(error);
   }
 });
@@ -556,26 +810,28 @@ app.post('/api/chat', async (req, res, next) => {
     // Log session information
     console.log(`🆔 Session: ${sessionId} | History: ${sessionHistory.length} messages | User-Agent: ${userAgent.substring(0, 50)}...`);
 
-    // Use embedding-based classification for intelligent model selection
-    const analysis = await embeddingClassifier.classifyRequest(req.body);
-    const recommendedModel = analysis.recommendedModel;
-
-    // Log the embedding classification decision
-    console.log(`🧠 Embedding Classification: "${req.body.model}" -> "${recommendedModel}"`);
-    console.log(`📊 Analysis: ${analysis.taskType} | ${analysis.complexity} | ${analysis.language} | ${analysis.reasoning}`);
+    // Embedding-based model selection plus smart context (fast heuristics + AI when needed)
+    const routed = await routingPipeline.route(req.body);
+    routingPipeline.trackUsage(res, routed);
+    const { analysis, context, recommendedModel } = routed;
 
-    // Get smart context for the request (fast heuristics + AI when needed)
-    const context = await contextManager.getSmartContext(req.body, analysis.taskType, analysis.complexity);
-    if (context.files.length > 0 || context.gitStatus || context.reasoning) {
-      console.log(`📁 Smart Context: ${contextManager.formatContext(context)}`);
+    // Opt-in response cache, keyed on the request as the client sent it
+    const cacheKey = responseCache.isCacheable(req.body, req.headers) ? responseCache.createKey('chat', req.body) : null;
+    const cached = cacheKey ? responseCache.lookup(cacheKey, routed.embedding) : null;
+    if (cached) {
+      console.log(`💾 Response cache ${cached.match} hit (similarity ${cached.similarity.toFixed(3)})`);
     }
 
+    // Routing is reported in headers and _ollamaGeek; the footer only when the client asks for it
+    setRoutingHeaders(res, req.body, routed, cached);
+    const footer = routingPipeline.wantsFooter(req.headers) ? routingPipeline.buildFooter(routed) : null;
+
         // Analyze if tools are needed
     const content = req.body.prompt || (req.body.messages && req.body.messages.length > 0 ? req.body.messages[req.body.messages.length - 1].content : '');
 
     // Get tool plan from Ollama's intelligence
     console.log(`🧠 Getting tool plan from Ollama...`);
-    const toolPlan = await agenticExecutor.planTools(req.body, context);
+    const toolPlan = await agenticExecutor.planTools(req.body, { ...context, signal: req.abortSignal });
 
     if (toolPlan && toolPlan.tools.length > 0) {
       // Add tool plan to context for Continue to use
@@ -602,8 +858,6 @@ app.post('/api/chat', async (req, res, next) => {
     }
 
         // Forward to Ollama with the intelligently selected model
-    const axios = require('axios');
-
     // Debug: Log what we're sending to Ollama
     const ollamaRequest = {
       ...req.body,
@@ -621,7 +875,7 @@ app.post('/api/chat', async (req, res, next) => {
     // Clean the request to remove any potentially problematic fields
     const cleanRequest = {
       model: ollamaRequest.model,
-      messages: ollamaRequest.messages,
+      messages: routed.messages || ollamaRequest.messages, // trimmed to the model's context window
       stream: ollamaRequest.stream
     };
 
@@ -631,90 +885,123 @@ app.post('/api/chat', async (req, res, next) => {
     }
 
     // Add any other valid Ollama parameters
+    if (ollamaRequest.format) cleanRequest.format = ollamaRequest.format;
     if (ollamaRequest.template) cleanRequest.template = ollamaRequest.template;
     if (ollamaRequest.context) cleanRequest.context = ollamaRequest.context;
     if (ollamaRequest.keep_alive) cleanRequest.keep_alive = ollamaRequest.keep_alive;
+    if (Array.isArray(ollamaRequest.tools) && ollamaRequest.tools.length > 0) cleanRequest.tools = ollamaRequest.tools;
 
     console.log(`📤 Sending to Ollama:`, JSON.stringify(cleanRequest, null, 2));
     console.log(`🔍 Original request body:`, JSON.stringify(req.body, null, 2));
     console.log(`🎯 Recommended model:`, recommendedModel);
     console.log(`🧹 Cleaned request:`, JSON.stringify(cleanRequest, null, 2));
 
-        // Check if this is a tool execution request from Continue
-    if (req.body.tools && req.body.tools.length > 0) {
-      console.log(`🛠️ Continue sent tools: ${req.body.tools.map(t => t.function?.name || t.name).join(', ')}`);
+    // Tool-aware clients: run OllamaGeek's own tools server-side, hand the rest back
+    if (agentLoop.isEnabledFor(req.body) && hasScope(req, 'tools')) {
+      console.log(`🛠️ Client declared tools: ${req.body.tools.map(t => t.function?.name || t.name).join(', ')}`);
+
+      const { response: loopResponse, agentLoop: loopInfo } = await agentLoop.run(cleanRequest, { signal: req.abortSignal });
+      console.log(`🔁 Agent loop finished after ${loopInfo.iterations} iteration(s), ${loopInfo.executedTools.length} server tool call(s)`);
+
+      const metadata = { ...routingPipeline.buildMetadata(req.body, routed), agentLoop: loopInfo };
+      const enhancedResponse = footer ? appendFooter(loopResponse, footer) : loopResponse;
+
+      if (cleanRequest.stream) {
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        const chunks = agentLoop.toStreamChunks(enhancedResponse);
+        chunks[chunks.length - 1]._ollamaGeek = metadata;
+        chunks.forEach(chunk => res.write(JSON.stringify(chunk) + '\n'));
+        res.end();
+      } else {
+        res.json({ ...enhancedResponse, _ollamaGeek: metadata });
+      }
+
+      sessionManager.updateSession(sessionId, req.body.messages || []);
+      return;
+    }
+
+    // Shadow routing: maybe ask a candidate model too, once the client has its answer
+    const shadow = cached ? null : shadowRouter.sample(cleanRequest, routed);
+    if (shadow) {
+      // No-op once compare() has the run; frees the slot when the primary failed
+      res.once('close', () => shadowRouter.release(shadow));
+    }
+    const primaryStartTime = Date.now();
+
+    // Cascade: cheap models first, escalating when a reply fails its checks
+    const cascaded = await runCascade('/api/chat', req.body, cleanRequest, routed, cached, req.abortSignal);
+    if (cascaded) {
+      const { response: cascadeResponse, cascade } = cascaded;
+      if (cacheKey) {
+        responseCache.store(cacheKey, routed.embedding, cascadeResponse);
+      }
+      if (shadow) {
+        shadowRouter.compare(shadow, cascadeResponse, Date.now() - primaryStartTime);
+      }
+
+      setCascadeHeaders(res, cascade);
+      const metadata = { ...buildResponseMetadata(req.body, routed, cached), cascade };
+      const finalResponse = footer
+        ? appendFooter(cascadeResponse, routingPipeline.buildFooter({ ...routed, recommendedModel: cascade.finalModel }))
+        : cascadeResponse;
 
-      // For now, let's not modify the tools in the request to Ollama
-      // as this might be causing the 400 error
-      console.log(`🔄 Continue tool execution mode - passing through to Ollama without modification`);
+      if (cleanRequest.stream) {
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        const chunks = cascadePolicy.toStreamChunks(finalResponse);
+        chunks[chunks.length - 1]._ollamaGeek = metadata;
+        chunks.forEach(chunk => res.write(JSON.stringify(chunk) + '\n'));
+        res.end();
+      } else {
+        res.json({ ...finalResponse, _ollamaGeek: metadata });
+      }
 
-      // We'll handle tool execution differently - by intercepting the response
-      // and executing tools when Ollama requests them
+      sessionManager.updateSession(sessionId, req.body.messages || []);
+      return;
     }
 
+    // Structured output: validate against the `format` schema, re-asking the model on a mismatch
+    const structured = await runStructured('/api/chat', req, res, cleanRequest, routed, cached);
+    const completed = cached?.response || structured?.response;
+
     // Check if streaming is requested
     const isStreaming = ollamaRequest.stream;
 
     if (isStreaming) {
       // Handle streaming response
       try {
-        const ollamaResponse = await axios.post(`${process.env.OLLAMA_BASE_URL || 'http://localhost:11434'}/api/chat`, cleanRequest, {
-          responseType: 'stream',
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
+        const ollamaResponse = completed
+          ? { data: createReplayStream(completed) }
+          : await backendPool.post('/api/chat', cleanRequest, {
+            responseType: 'stream',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            signal: req.abortSignal
+          }, { taskType: analysis.taskType });
 
         // Set streaming headers
         res.setHeader('Content-Type', 'application/x-ndjson');
         res.setHeader('Transfer-Encoding', 'chunked');
 
-                // Intercept the stream to inject model information
-        let firstChunk = true;
-        let messageBuffer = '';
-        let isMessageComplete = false;
-
-        ollamaResponse.data.on('data', (chunk) => {
-          const chunkStr = chunk.toString();
-          messageBuffer += chunkStr;
-
-          if (firstChunk) {
-            // Inject model info into the first chunk
-            if (chunkStr.includes('"model"')) {
-              // Replace the model name with our enhanced version
-              const enhancedChunk = chunkStr.replace(
-                `"model":"${recommendedModel}"`,
-                `"model":"${recommendedModel} (OllamaGeek enhanced)"`
-              );
-              res.write(enhancedChunk);
-            } else {
-              res.write(chunk);
-            }
-            firstChunk = false;
-          } else {
-            // Check if this chunk completes a message
-            if (chunkStr.includes('"done":true')) {
-              isMessageComplete = true;
-            }
-
-            // If message is complete, inject model note
-            if (isMessageComplete && chunkStr.includes('"content"')) {
-              const enhancedChunk = chunkStr.replace(
-                /"content":"([^"]*)"/,
-                `"content":"$1\\n\\n---\\n🤖 **OllamaGeek AI Assistant**\\n🎯 **Model Used:** ${recommendedModel}\\n⏰ **Timestamp:** ${new Date().toLocaleString()}\\n---"`
-              );
-              res.write(enhancedChunk);
-              isMessageComplete = false;
-            } else {
-              res.write(chunk);
-            }
-          }
+        // Re-serialise each NDJSON line with the metadata (and the footer, if requested) applied
+        const enrichment = createEnrichmentTransform({
+          footer,
+          metadata: buildResponseMetadata(req.body, routed, cached)
         });
 
-        ollamaResponse.data.on('end', () => {
+        ollamaResponse.data.on('error', (streamError) => {
+          console.error('❌ Ollama stream interrupted:', streamError.message);
           res.end();
         });
 
+        let upstream = cacheStream(ollamaResponse.data, cacheKey, cached, routed);
+        if (shadow) {
+          upstream = upstream.pipe(createResponseCollector(response => {
+            shadowRouter.compare(shadow, response, Date.now() - primaryStartTime);
+          }));
+        }
+        upstream.pipe(enrichment).pipe(res);
+
         // Update session after successful streaming response
         sessionManager.updateSession(sessionId, req.body.messages || []);
       } catch (ollamaError) {
@@ -729,28 +1016,31 @@ app.post('/api/chat', async (req, res, next) => {
     } else {
       // Handle non-streaming response
       try {
-        const ollamaResponse = await axios.post(`${process.env.OLLAMA_BASE_URL || 'http://localhost:11434'}/api/chat`, cleanRequest, {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
+        const ollamaResponse = completed
+          ? { data: completed }
+          : await backendPool.post('/api/chat', cleanRequest, {
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            signal: req.abortSignal
+          }, { taskType: analysis.taskType });
+        if (cacheKey && !cached) {
+          responseCache.store(cacheKey, routed.embedding, ollamaResponse.data);
+        }
 
-                // Enhance the response with model information
+        // Attach the routing metadata (and the footer, if requested)
         const enhancedResponse = {
-          ...ollamaResponse.data,
-          model: `${ollamaResponse.data.model} (OllamaGeek enhanced)`,
-          _ollamaGeek: {
-            originalModel: req.body.model,
-            selectedModel: recommendedModel,
-            taskType: analysis.taskType,
-            complexity: analysis.complexity,
-            reasoning: analysis.reasoning
-          }
+          ...(footer ? appendFooter(ollamaResponse.data, footer) : ollamaResponse.data),
+          _ollamaGeek: buildResponseMetadata(req.body, routed, cached)
         };
 
         // Return the enhanced response
         res.json(enhancedResponse);
 
+        if (shadow) {
+          shadowRouter.compare(shadow, ollamaResponse.data, Date.now() - primaryStartTime);
+        }
+
         // Update session after successful response
         sessionManager.updateSession(sessionId, req.body.messages || []);
       } catch (ollamaError) {
@@ -786,23 +1076,8 @@ app.get('/api/tags', async (req, res, next) => {
   }
 });
 
-app.post('/api/pull', async (req, res, next) => {
-  try {
-    const result = await orchestrator.handlePull(req.body);
-    res.json(result);
-  } catch (error) {
-    next(error);
-  }
-});
-
-app.post('/api/push', async (req, res, next) => {
-  try {
-    const result = await orchestrator.handlePush(req.body);
-    res.json(result);
-  } catch (error) {
-    next(error);
-  }
-});
+// Pull/push progress, version, ps, copy, delete, create and blobs, relayed unchanged
+app.use('/api', createOllamaPassthroughRoutes({ backendPool, modelDiscovery }));
 
 // Additional orchestration endpoints (invisible to standard Ollama clients)
 app.post('/api/orchestrate', async (req, res, next) => {
@@ -933,7 +1208,7 @@ app.post('/api/plan/enhanced', async (req, res, next) => {
 
     // Get tool plan from Ollama's intelligence with enhanced context
     console.log(`🧠 Generating enhanced tool plan...`);
-    const toolPlan = await agenticExecutor.planTools(req.body, planningContext);
+    const toolPlan = await agenticExecutor.planTools(req.body, { ...planningContext, signal: req.abortSignal });
 
     if (toolPlan && toolPlan.tools.length > 0) {
       console.log(`🎯 Enhanced tool plan generated: ${toolPlan.tools.length} tools needed`);
@@ -1022,7 +1297,7 @@ app.post('/api/plan', async (req, res, next) => {
 
     // Get tool plan from Ollama's intelligence
     console.log(`🧠 Generating tool plan...`);
-    const toolPlan = await agenticExecutor.planTools(req.body, context);
+    const toolPlan = await agenticExecutor.planTools(req.body, { ...context, signal: req.abortSignal });
 
     if (toolPlan && toolPlan.tools.length > 0) {
       console.log(`🎯 Tool plan generated: ${toolPlan.tools.length} tools needed`);
@@ -1066,7 +1341,9 @@ app.post('/api/plan', async (req, res, next) => {
 // Unified chat endpoint - handles classification and planning internally
 app.post('/api/chat/unified', async (req, res, next) => {
   try {
-    const { prompt, context } = req.body;
+    const { prompt } = req.body;
+    // The AI services below pass the signal on to their Ollama calls
+    const context = { ...req.body.context, signal: req.abortSignal };
 
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
@@ -1081,6 +1358,8 @@ app.post('/api/chat/unified', async (req, res, next) => {
        // Recognize user intent using AI-powered semantic analysis
        const intentResult = await intentRecognizer.recognizeIntent(prompt, context);
        console.log(`🎯 Intent Recognition Result:`, intentResult);
+       // Lets clients send a correction to /api/feedback
+       if (intentResult.intentCategory) res.set('X-OllamaGeek-Intent-Category', intentResult.intentCategory);
 
        // Map intent to specific approach using AI reasoning
        const mappedApproach = await approachMapper.mapIntentToApproach(intentResult, context);
@@ -1187,6 +1466,14 @@ app.post('/api/chat/unified', async (req, res, next) => {
   }
 });
 
+// Shadow routing report: primary vs shadow model per task type
+app.get('/api/shadow/report', (req, res) => {
+  res.json(shadowRouter.getReport({
+    days: parseInt(req.query.days) || 7,
+    taskType: req.query.taskType || null
+  }));
+});
+
 // Performance Dashboard endpoint
 app.get('/api/performance', async (req, res, next) => {
   try {
@@ -1230,6 +1517,24 @@ app.post('/api/search', async (req, res, next) => {
   }
 });
 
+// Response cache stats and reset
+app.get('/api/cache/stats', (req, res) => {
+  res.json(responseCache.getStats());
+});
+
+app.delete('/api/cache', (req, res) => {
+  res.json(responseCache.clear());
+});
+
+// Embedding cache stats and reset
+app.get('/api/embeddings/cache/stats', (req, res) => {
+  res.json(embeddingService.getStats());
+});
+
+app.delete('/api/embeddings/cache', (req, res) => {
+  res.json(embeddingService.clear());
+});
+
 // Web Search cache management
 app.get('/api/search/cache/stats', (req, res) => {
   try {
@@ -1262,6 +1567,25 @@ app.delete('/api/search/cache', (req, res) => {
 // Workflow Orchestration endpoints
 app.use('/api/workflows', workflowRoutes);
 
+// API key management
+app.use('/api/keys', createApiKeyRoutes({ apiKeyStore, limiter: apiKeyLimiter }));
+
+// Corrections for the intent and task classifiers
+app.use('/api/feedback', createFeedbackRoutes({ classificationFeedback }));
+
+// Classifier pipeline stages and per-stage traces
+app.use('/api/classify', createClassifyRoutes({
+  classifierPipeline,
+  embeddingService,
+  getCategories: () => ({ task: embeddingClassifier.taskCategories, intent: intentRecognizer.intentCategories })
+}));
+
+// OpenAI-compatible endpoints (same routing pipeline as /api/chat)
+app.use('/v1', createOpenAIRoutes({ routingPipeline, orchestrator, backendPool, embeddingService, modelDiscovery }));
+
+// Anthropic Messages-compatible endpoint (same routing pipeline as /api/chat)
+app.use('/v1', createAnthropicRoutes({ routingPipeline, backendPool }));
+
 // Error handling middleware
 app.use(ErrorHandler.middleware);
 
@@ -1276,14 +1600,28 @@ app.use('*', (req, res) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 OllamaGeek API wrapper running on port ${PORT}`);
-  console.log(`📡 Forwarding requests to: ${process.env.OLLAMA_BASE_URL || 'http://localhost:11434'}`);
+  console.log(`📡 Forwarding requests to: ${backendPool.backends.map(backend => backend.url).join(', ')}`);
+  backendPool.startHealthChecks();
+  modelDiscovery.start();
+  modelPreloader.start();
+  // Embed the category examples before the first request needs them
+  Promise.all([
+    classifierPipeline.warm('task', embeddingClassifier.taskCategories),
+    classifierPipeline.warm('intent', intentRecognizer.intentCategories)
+  ]).catch(error => {
+    console.log(`⚠️ Classifier examples not embedded yet: ${error.message}`);
+  });
+  console.log(`📐 Routing rules: ${routingRules.filePath}`);
+  console.log(`🔑 API keys required: ${process.env.ENABLE_API_KEYS === 'true' ? 'Yes' : 'No'}`);
+  console.log(`🔥 Model preloading enabled: ${modelPreloader.isEnabled() ? 'Yes' : 'No'}`);
   console.log(`🧠 Orchestration enabled: ${process.env.ENABLE_AGENTIC_ORCHESTRATION === 'true' ? 'Yes' : 'No'}`);
   console.log(`🆔 Session management enabled with ${sessionManager.maxHistoryLength} message history`);
 });
 
-// Clean up expired sessions every 5 minutes
+// Clean up expired sessions and cache entries every 5 minutes
 setInterval(() => {
   sessionManager.cleanupExpiredSessions();
+  responseCache.purgeExpired();
 }, 5 * 60 * 1000);
 
 // Graceful shutdown
@@ -0,0 +1,155 @@
+const { Logger } = require('../utils/logger');
+const ToolExecutionEngine = require('./toolExecutionEngine');
+const { BackendPool } = require('./backendPool');
+
+/**
+ * 🔁 Agent Loop
+ *
+ * Server-side handling of native Ollama tool_calls. OllamaGeek's own tools
+ * (the ToolExecutionEngine set) are offered to the model alongside the tools
+ * the client declared. When the model calls one of ours we run it, append a
+ * `role: "tool"` message and ask the model again, until it answers or the
+ * iteration cap is reached. Calls to client-declared tools are handed back
+ * to the client untouched; when a reply mixes both, our calls still run and
+ * their results come back in `agentLoop.toolMessages`, ready to be sent
+ * ahead of the client's own tool results on the next turn.
+ */
+class AgentLoop {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.toolExecutionEngine = options.toolExecutionEngine || new ToolExecutionEngine();
+    this.maxIterations = options.maxIterations || parseInt(process.env.AGENT_MAX_ITERATIONS) || 5;
+    this.toolContext = options.toolContext || {
+      targetDir: process.env.AGENT_WORKSPACE_DIR || process.cwd()
+    };
+    this.backendPool = options.backendPool || new BackendPool();
+    this.chat = options.chat || (async (request, { signal } = {}) => {
+      const response = await this.backendPool.post('/api/chat', request, {
+        headers: { 'Content-Type': 'application/json' },
+        signal
+      });
+      return response.data;
+    });
+  }
+
+  /**
+   * Whether the loop should run for a request
+   */
+  isEnabledFor(requestBody) {
+    return process.env.ENABLE_TOOL_CALLING === 'true' &&
+      Array.isArray(requestBody.tools) && requestBody.tools.length > 0;
+  }
+
+  /**
+   * Run the tool loop for a (non-streaming) Ollama chat request.
+   * Options: `signal` cancels the upstream chat calls.
+   */
+  async run(request, options = {}) {
+    const clientToolNames = new Set((request.tools || []).map(tool => this._toolName(tool)));
+    const serverTools = this.toolExecutionEngine.getToolDefinitions()
+      .filter(tool => !clientToolNames.has(tool.function.name));
+    const serverToolNames = new Set(serverTools.map(tool => tool.function.name));
+
+    const messages = [...(request.messages || [])];
+    const tools = [...(request.tools || []), ...serverTools];
+    const executedTools = [];
+
+    for (let iteration = 1; iteration <= this.maxIterations; iteration++) {
+      const response = await this.chat({ ...request, messages, tools, stream: false }, options);
+      const toolCalls = response.message?.tool_calls || [];
+
+      if (toolCalls.length === 0) {
+        return this._result(response, iteration, executedTools, false);
+      }
+
+      const serverCalls = toolCalls.filter(call => serverToolNames.has(call.function?.name));
+      const clientCalls = toolCalls.filter(call => !serverToolNames.has(call.function?.name));
+
+      const toolMessages = [];
+      for (const call of serverCalls) {
+        toolMessages.push(await this._executeCall(call, executedTools));
+      }
+
+      if (clientCalls.length > 0) {
+        // The client has to run these; give it back only the calls it knows about,
+        // plus the exchange for any of ours that ran in the same turn
+        this.logger.info(`🔁 Handing ${clientCalls.length} tool call(s) back to the client`);
+        const handBack = {
+          ...response,
+          message: { ...response.message, tool_calls: clientCalls }
+        };
+        const result = this._result(handBack, iteration, executedTools, false);
+        if (serverCalls.length > 0) {
+          result.agentLoop.toolMessages = [
+            { role: 'assistant', content: '', tool_calls: serverCalls },
+            ...toolMessages
+          ];
+        }
+        return result;
+      }
+
+      messages.push(response.message, ...toolMessages);
+    }
+
+    // Cap reached - ask for a final answer without offering tools
+    this.logger.warn(`⚠️ Agent loop hit the ${this.maxIterations} iteration cap, requesting a final answer`);
+    const { tools: _omit, ...finalRequest } = request;
+    const finalResponse = await this.chat({ ...finalRequest, messages, stream: false }, options);
+    return this._result(finalResponse, this.maxIterations + 1, executedTools, true);
+  }
+
+  /**
+   * Convert a complete chat response into NDJSON stream objects
+   */
+  toStreamChunks(response) {
+    const { message, ...stats } = response;
+    return [
+      { model: response.model, created_at: response.created_at, message, done: false },
+      { ...stats, message: { role: 'assistant', content: '' }, done: true }
+    ];
+  }
+
+  /**
+   * Execute one server-owned tool call and build its tool message
+   */
+  async _executeCall(call, executedTools) {
+    const name = call.function.name;
+    const args = this._parseArguments(call.function.arguments);
+
+    this.logger.info(`🛠️ Agent loop executing ${name}`);
+    const result = await this.toolExecutionEngine.executeTool(name, args, this.toolContext);
+    executedTools.push({ tool: name, success: result.success });
+
+    return {
+      role: 'tool',
+      tool_name: name,
+      content: JSON.stringify(result.success ? result.result : { error: result.error })
+    };
+  }
+
+  _result(response, iterations, executedTools, hitIterationCap) {
+    return {
+      response,
+      agentLoop: {
+        iterations,
+        executedTools,
+        hitIterationCap
+      }
+    };
+  }
+
+  _toolName(tool) {
+    return tool.function?.name || tool.name;
+  }
+
+  _parseArguments(args) {
+    if (typeof args !== 'string') return args || {};
+    try {
+      return JSON.parse(args);
+    } catch {
+      return {};
+    }
+  }
+}
+
+module.exports = { AgentLoop };
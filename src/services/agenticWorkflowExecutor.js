@@ -1,7 +1,41 @@
 const path = require('path');
+const { BackendPool } = require('./backendPool');
+const { ModelDiscovery } = require('./modelDiscovery');
+const { RoutingRules } = require('./routingRules');
+const { StructuredOutput } = require('./structuredOutput');
+
+// The plan Continue executes, enforced through StructuredOutput
+const TOOL_PLAN_SCHEMA = {
+  type: 'object',
+  required: ['description', 'tools'],
+  properties: {
+    description: { type: 'string' },
+    tools: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['tool', 'parameters'],
+        properties: {
+          tool: {
+            type: 'string',
+            enum: ['create_file', 'create_directory', 'edit_file', 'delete_file', 'run_terminal', 'git_operation', 'search_files']
+          },
+          description: { type: 'string' },
+          parameters: { type: 'object' }
+        }
+      }
+    },
+    context: { type: 'string' }
+  }
+};
 
 class AgenticWorkflowExecutor {
-  constructor() {
+  constructor(options = {}) {
+    this.backendPool = options.backendPool || new BackendPool();
+    // Picks the planning model from the routing rules' coding category
+    this.modelDiscovery = options.modelDiscovery ||
+      new ModelDiscovery({ backendPool: this.backendPool, routingRules: new RoutingRules() });
+    this.structuredOutput = options.structuredOutput || new StructuredOutput({ backendPool: this.backendPool });
     this.workflowCache = new Map();
   }
 
@@ -970,8 +1004,6 @@ Created automatically by OllamaGeek! 🚀`;
    */
   async _getToolPlanFromOllama(content, context) {
     try {
-      const axios = require('axios');
-
       // Create a prompt for Ollama to understand what tools are needed
       const planningPrompt = `Analyze this request and determine what tools Continue should execute:
 
@@ -1049,28 +1081,22 @@ Respond with a JSON plan:
   "context": "Additional context for Continue"
 }`;
 
-      const response = await axios.post('http://localhost:11434/api/generate', {
-        model: 'codellama:13b-instruct-q4_K_M',
+      const { data } = await this.structuredOutput.generate('/api/generate', {
+        model: this.modelDiscovery.modelForCategory('coding'),
         prompt: planningPrompt,
-        stream: false,
         options: {
           temperature: 0.1,
           top_p: 0.9
         }
-      });
+      }, TOOL_PLAN_SCHEMA, { signal: context?.signal, taskType: 'tool_planning' });
 
-      const planText = response.data.response;
+      return data;
 
-      try {
-        // Try to parse the JSON response
-        const plan = JSON.parse(planText);
-        return plan;
-      } catch (parseError) {
-        console.log('⚠️ Failed to parse Ollama response as JSON, using fallback');
+    } catch (error) {
+      if (error.code === 'STRUCTURED_OUTPUT_INVALID') {
+        console.log('⚠️ Ollama never replied with a valid tool plan, using fallback');
         return this._getFallbackToolPlan(content);
       }
-
-    } catch (error) {
       console.error('❌ Error getting tool plan from Ollama:', error.message);
       return null;
     }
@@ -1,14 +1,71 @@
 const fs = require('fs').promises;
-const path = require('path');
-const axios = require('axios');
+const { BackendPool } = require('./backendPool');
+const { StructuredOutput } = require('./structuredOutput');
+const { LanguageDetector } = require('./languageDetector');
+const { ModelDiscovery } = require('./modelDiscovery');
+const { RoutingRules } = require('./routingRules');
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const objectList = { type: 'array', items: { type: 'object' } };
+
+// Reply shapes requested by the prompts below, enforced through StructuredOutput
+const RESPONSE_SCHEMAS = {
+  analysis: {
+    type: 'object',
+    required: ['score', 'issues', 'suggestions', 'improvements'],
+    properties: { score: { type: 'number' }, issues: objectList, suggestions: objectList, improvements: objectList }
+  },
+  refactoring: {
+    type: 'object',
+    required: ['code', 'changes', 'explanation'],
+    properties: { code: { type: 'string' }, changes: objectList, explanation: { type: 'string' } }
+  },
+  tests: {
+    type: 'object',
+    required: ['tests', 'testFile'],
+    properties: { tests: { type: 'string' }, testFile: { type: 'string' }, setupInstructions: { type: 'string' }, coverage: { type: 'string' } }
+  },
+  debug: {
+    type: 'object',
+    required: ['issues', 'solutions', 'correctedCode'],
+    properties: { issues: objectList, solutions: objectList, correctedCode: { type: 'string' }, preventionTips: stringList }
+  },
+  review: {
+    type: 'object',
+    required: ['score', 'feedback', 'suggestions'],
+    properties: {
+      score: { type: 'object', required: ['overall'], properties: { overall: { type: 'number' } } },
+      feedback: { type: 'string' },
+      suggestions: objectList,
+      bestPractices: stringList,
+      securityIssues: objectList,
+      performanceIssues: objectList
+    }
+  },
+  documentation: {
+    type: 'object',
+    required: ['documentation'],
+    properties: { documentation: { type: 'string' }, apiDocs: { type: 'string' }, examples: stringList, usageGuide: { type: 'string' } }
+  },
+  optimization: {
+    type: 'object',
+    required: ['code', 'improvements', 'explanation'],
+    properties: { code: { type: 'string' }, improvements: objectList, metrics: { type: 'object' }, explanation: { type: 'string' } }
+  }
+};
 
 /**
  * AI-Powered Code Analysis and Refactoring Service
  * Provides advanced code understanding, refactoring, testing, and debugging capabilities
  */
 class AICodeAnalyzer {
-  constructor() {
-    this.ollamaBaseUrl = 'http://localhost:11434';
+  constructor(options = {}) {
+    this.backendPool = options.backendPool || new BackendPool();
+    this.structuredOutput = options.structuredOutput || new StructuredOutput({ backendPool: this.backendPool });
+    this.languageDetector = options.languageDetector || new LanguageDetector();
+    // Default model for every analysis: the routing rules' coding category, installed first
+    this.modelDiscovery = options.modelDiscovery ||
+      new ModelDiscovery({ backendPool: this.backendPool, routingRules: new RoutingRules() });
     this.analysisCache = new Map();
     this.refactoringHistory = new Map();
   }
@@ -19,15 +76,16 @@ class AICodeAnalyzer {
   async analyzeCode(filePath, options = {}) {
     try {
       const content = await fs.readFile(filePath, 'utf8');
-      const fileExtension = path.extname(filePath);
-      const language = this._detectLanguage(fileExtension);
+      const language = this._detectLanguage(filePath, content, options.context);
       
       const analysisPrompt = this._buildAnalysisPrompt(content, language, options);
       
       const analysis = await this._getAIResponse(analysisPrompt, {
-        model: options.model || 'codellama:13b-instruct-q4_K_M',
+        model: options.model || this.modelDiscovery.modelForCategory('coding'),
         temperature: 0.1,
-        max_tokens: 2000
+        max_tokens: 2000,
+        signal: options.signal,
+        schema: RESPONSE_SCHEMAS.analysis
       });
 
       const parsedAnalysis = this._parseAnalysisResponse(analysis);
@@ -63,8 +121,7 @@ class AICodeAnalyzer {
   async refactorCode(filePath, refactoringType, options = {}) {
     try {
       const content = await fs.readFile(filePath, 'utf8');
-      const fileExtension = path.extname(filePath);
-      const language = this._detectLanguage(fileExtension);
+      const language = this._detectLanguage(filePath, content, options.context);
       
       const refactoringPrompt = this._buildRefactoringPrompt(
         content, 
@@ -74,9 +131,11 @@ class AICodeAnalyzer {
       );
       
       const refactoredCode = await this._getAIResponse(refactoringPrompt, {
-        model: options.model || 'codellama:13b-instruct-q4_K_M',
+        model: options.model || this.modelDiscovery.modelForCategory('coding'),
         temperature: 0.2,
-        max_tokens: 4000
+        max_tokens: 4000,
+        signal: options.signal,
+        schema: RESPONSE_SCHEMAS.refactoring
       });
 
       const parsedRefactoring = this._parseRefactoringResponse(refactoredCode);
@@ -115,8 +174,7 @@ class AICodeAnalyzer {
   async generateTests(filePath, testFramework = 'auto', options = {}) {
     try {
       const content = await fs.readFile(filePath, 'utf8');
-      const fileExtension = path.extname(filePath);
-      const language = this._detectLanguage(fileExtension);
+      const language = this._detectLanguage(filePath, content, options.context);
       
       // Auto-detect test framework if not specified
       if (testFramework === 'auto') {
@@ -131,9 +189,11 @@ class AICodeAnalyzer {
       );
       
       const generatedTests = await this._getAIResponse(testPrompt, {
-        model: options.model || 'codellama:13b-instruct-q4_K_M',
+        model: options.model || this.modelDiscovery.modelForCategory('coding'),
         temperature: 0.3,
-        max_tokens: 3000
+        max_tokens: 3000,
+        signal: options.signal,
+        schema: RESPONSE_SCHEMAS.tests
       });
 
       const parsedTests = this._parseTestResponse(generatedTests);
@@ -162,8 +222,7 @@ class AICodeAnalyzer {
   async debugCode(filePath, errorContext = null, options = {}) {
     try {
       const content = await fs.readFile(filePath, 'utf8');
-      const fileExtension = path.extname(filePath);
-      const language = this._detectLanguage(fileExtension);
+      const language = this._detectLanguage(filePath, content, options.context);
       
       const debugPrompt = this._buildDebugPrompt(
         content, 
@@ -173,9 +232,11 @@ class AICodeAnalyzer {
       );
       
       const debugSolution = await this._getAIResponse(debugPrompt, {
-        model: options.model || 'codellama:13b-instruct-q4_K_M',
+        model: options.model || this.modelDiscovery.modelForCategory('coding'),
         temperature: 0.1,
-        max_tokens: 2500
+        max_tokens: 2500,
+        signal: options.signal,
+        schema: RESPONSE_SCHEMAS.debug
       });
 
       const parsedDebug = this._parseDebugResponse(debugSolution);
@@ -203,8 +264,7 @@ class AICodeAnalyzer {
   async reviewCode(filePath, reviewType = 'comprehensive', options = {}) {
     try {
       const content = await fs.readFile(filePath, 'utf8');
-      const fileExtension = path.extname(filePath);
-      const language = this._detectLanguage(fileExtension);
+      const language = this._detectLanguage(filePath, content, options.context);
       
       const reviewPrompt = this._buildReviewPrompt(
         content, 
@@ -214,9 +274,11 @@ class AICodeAnalyzer {
       );
       
       const review = await this._getAIResponse(reviewPrompt, {
-        model: options.model || 'codellama:13b-instruct-q4_K_M',
+        model: options.model || this.modelDiscovery.modelForCategory('coding'),
         temperature: 0.2,
-        max_tokens: 3000
+        max_tokens: 3000,
+        signal: options.signal,
+        schema: RESPONSE_SCHEMAS.review
       });
 
       const parsedReview = this._parseReviewResponse(review);
@@ -247,8 +309,7 @@ class AICodeAnalyzer {
   async generateDocumentation(filePath, docType = 'comprehensive', options = {}) {
     try {
       const content = await fs.readFile(filePath, 'utf8');
-      const fileExtension = path.extname(filePath);
-      const language = this._detectLanguage(fileExtension);
+      const language = this._detectLanguage(filePath, content, options.context);
       
       const docPrompt = this._buildDocumentationPrompt(
         content, 
@@ -258,9 +319,11 @@ class AICodeAnalyzer {
       );
       
       const documentation = await this._getAIResponse(docPrompt, {
-        model: options.model || 'codellama:13b-instruct-q4_K_M',
+        model: options.model || this.modelDiscovery.modelForCategory('coding'),
         temperature: 0.1,
-        max_tokens: 3000
+        max_tokens: 3000,
+        signal: options.signal,
+        schema: RESPONSE_SCHEMAS.documentation
       });
 
       const parsedDocs = this._parseDocumentationResponse(documentation);
@@ -289,8 +352,7 @@ class AICodeAnalyzer {
   async optimizeCode(filePath, optimizationType = 'performance', options = {}) {
     try {
       const content = await fs.readFile(filePath, 'utf8');
-      const fileExtension = path.extname(filePath);
-      const language = this._detectLanguage(fileExtension);
+      const language = this._detectLanguage(filePath, content, options.context);
       
       const optimizationPrompt = this._buildOptimizationPrompt(
         content, 
@@ -300,9 +362,11 @@ class AICodeAnalyzer {
       );
       
       const optimizedCode = await this._getAIResponse(optimizationPrompt, {
-        model: options.model || 'codellama:13b-instruct-q4_K_M',
+        model: options.model || this.modelDiscovery.modelForCategory('coding'),
         temperature: 0.1,
-        max_tokens: 4000
+        max_tokens: 4000,
+        signal: options.signal,
+        schema: RESPONSE_SCHEMAS.optimization
       });
 
       const parsedOptimization = this._parseOptimizationResponse(optimizedCode);
@@ -327,25 +391,11 @@ class AICodeAnalyzer {
   }
 
   // Private helper methods
-  _detectLanguage(fileExtension) {
-    const languageMap = {
-      '.js': 'javascript',
-      '.jsx': 'javascript',
-      '.ts': 'typescript',
-      '.tsx': 'typescript',
-      '.py': 'python',
-      '.java': 'java',
-      '.cpp': 'cpp',
-      '.c': 'c',
-      '.go': 'go',
-      '.rs': 'rust',
-      '.php': 'php',
-      '.rb': 'ruby',
-      '.swift': 'swift',
-      '.kt': 'kotlin',
-      '.scala': 'scala'
-    };
-    return languageMap[fileExtension] || 'text';
+  // The file's extension decides; the content is only read for files without a known one
+  _detectLanguage(filePath, content, context = {}) {
+    const text = this.languageDetector.languageOfPath(filePath) ? '' : content;
+    const { language } = this.languageDetector.detect({ text, context: { ...context, activeFile: filePath } });
+    return language === 'general' ? 'text' : language;
   }
 
   _detectTestFramework(language, options) {
@@ -360,21 +410,35 @@ class AICodeAnalyzer {
     return frameworkMap[language] || 'default';
   }
 
+  /**
+   * The model's reply: parsed JSON when `options.schema` is given, text otherwise.
+   * A reply that never matches the schema comes back as text for the fallback parsers.
+   */
   async _getAIResponse(prompt, options) {
+    const request = {
+      model: options.model,
+      prompt: prompt,
+      options: {
+        temperature: options.temperature || 0.1,
+        top_p: options.top_p || 0.9,
+        max_tokens: options.max_tokens || 2000
+      }
+    };
+
     try {
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, {
-        model: options.model,
-        prompt: prompt,
-        stream: false,
-        options: {
-          temperature: options.temperature || 0.1,
-          top_p: options.top_p || 0.9,
-          max_tokens: options.max_tokens || 2000
-        }
-      });
-      
+      // Analysis jobs run in the background and yield to interactive chat
+      if (options.schema) {
+        const { data } = await this.structuredOutput.generate('/api/generate', request, options.schema, {
+          signal: options.signal,
+          priority: 'background'
+        });
+        return data;
+      }
+
+      const response = await this.backendPool.post('/api/generate', { ...request, stream: false }, { signal: options.signal }, { priority: 'background' });
       return response.data.response;
     } catch (error) {
+      if (error.code === 'STRUCTURED_OUTPUT_INVALID') return error.reply;
       throw new Error(`AI request failed: ${error.message}`);
     }
   }
@@ -547,58 +611,40 @@ Respond in JSON format:
   }
 
   _parseAnalysisResponse(response) {
-    try {
-      return JSON.parse(response);
-    } catch (error) {
-      return this._fallbackAnalysisResponse(response);
-    }
+    return this._parseJSONResponse(response, () => this._fallbackAnalysisResponse(response));
   }
 
   _parseRefactoringResponse(response) {
-    try {
-      return JSON.parse(response);
-    } catch (error) {
-      return this._fallbackRefactoringResponse(response);
-    }
+    return this._parseJSONResponse(response, () => this._fallbackRefactoringResponse(response));
   }
 
   _parseTestResponse(response) {
-    try {
-      return JSON.parse(response);
-    } catch (error) {
-      return this._fallbackTestResponse(response);
-    }
+    return this._parseJSONResponse(response, () => this._fallbackTestResponse(response));
   }
 
   _parseDebugResponse(response) {
-    try {
-      return JSON.parse(response);
-    } catch (error) {
-      return this._fallbackDebugResponse(response);
-    }
+    return this._parseJSONResponse(response, () => this._fallbackDebugResponse(response));
   }
 
   _parseReviewResponse(response) {
-    try {
-      return JSON.parse(response);
-    } catch (error) {
-      return this._fallbackReviewResponse(response);
-    }
+    return this._parseJSONResponse(response, () => this._fallbackReviewResponse(response));
   }
 
   _parseDocumentationResponse(response) {
-    try {
-      return JSON.parse(response);
-    } catch (error) {
-      return this._fallbackDocumentationResponse(response);
-    }
+    return this._parseJSONResponse(response, () => this._fallbackDocumentationResponse(response));
   }
 
   _parseOptimizationResponse(response) {
+    return this._parseJSONResponse(response, () => this._fallbackOptimizationResponse(response));
+  }
+
+  // Structured replies arrive parsed; text that isn't JSON gets the fallback
+  _parseJSONResponse(response, fallback) {
+    if (response && typeof response === 'object') return response;
     try {
       return JSON.parse(response);
     } catch (error) {
-      return this._fallbackOptimizationResponse(response);
+      return fallback();
     }
   }
 
@@ -1,12 +1,43 @@
 const { Logger } = require('../utils/logger');
-const axios = require('axios');
+const { isCancellation } = require('../utils/cancellation');
 const PerformanceMonitor = require('./performanceMonitor');
+const { StructuredOutput } = require('./structuredOutput');
+const { BackendPool } = require('./backendPool');
+
+// A planned list of tools, enforced through StructuredOutput
+const TOOL_PLAN_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['toolName', 'description', 'context'],
+    properties: {
+      toolName: { type: 'string', enum: ['create_directory', 'create_file', 'run_terminal'] },
+      description: { type: 'string' },
+      priority: { type: 'integer', minimum: 1 },
+      dependencies: { type: 'array' },
+      estimatedTime: { type: 'string' },
+      context: {
+        type: 'object',
+        required: ['targetDir'],
+        properties: {
+          projectType: { type: 'string' },
+          projectName: { type: 'string' },
+          targetDir: { type: 'string' }
+        }
+      }
+    }
+  }
+};
 
 class AIToolGenerator {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger();
-    this.ollamaBaseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-    this.performanceMonitor = new PerformanceMonitor();
+    // Created on first use when not given. Tools are planned while a chat request
+    // waits for them, so these calls keep the default interactive priority
+    this.backendPool = options.backendPool || null;
+    this.performanceMonitor = options.performanceMonitor || new PerformanceMonitor();
+    this.structuredOutput = options.structuredOutput || new StructuredOutput({ backendPool: this.backendPool });
   }
 
   /**
@@ -184,23 +215,14 @@ Common code analysis tools:
 
 Respond with JSON array of tools.`;
 
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, {
+      const { data: tools } = await this.structuredOutput.generate('/api/generate', {
         model: 'qwen2.5-coder:7b-instruct-q6_K',
         prompt: analysisPrompt,
-        stream: false,
         options: { temperature: 0.1, top_p: 0.9 }
-      }, { timeout: 120000 });
-
-      const content = response.data.response;
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
-
-      if (jsonMatch) {
-        const tools = JSON.parse(jsonMatch[0]);
-        this.logger.info(`✅ Generated ${tools.length} code analysis tools with AI`);
-        return tools;
-      }
+      }, TOOL_PLAN_SCHEMA, { timeout: 120000, signal: context?.signal, taskType: 'tool_planning' });
 
-      throw new Error('Failed to parse AI-generated code analysis tools');
+      this.logger.info(`✅ Generated ${tools.length} code analysis tools with AI`);
+      return tools;
 
     } catch (error) {
       this.logger.error('AI code analysis tool generation failed:', error);
@@ -232,23 +254,14 @@ Common system operation tools:
 
 Respond with JSON array of tools.`;
 
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, {
+      const { data: tools } = await this.structuredOutput.generate('/api/generate', {
         model: 'qwen2.5-coder:7b-instruct-q6_K',
         prompt: systemPrompt,
-        stream: false,
         options: { temperature: 0.1, top_p: 0.9 }
-      }, { timeout: 120000 });
-
-      const content = response.data.response;
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
+      }, TOOL_PLAN_SCHEMA, { timeout: 120000, signal: context?.signal, taskType: 'tool_planning' });
 
-      if (jsonMatch) {
-        const tools = JSON.parse(jsonMatch[0]);
-        this.logger.info(`✅ Generated ${tools.length} system operation tools with AI`);
-        return tools;
-      }
-
-      throw new Error('Failed to parse AI-generated system operation tools');
+      this.logger.info(`✅ Generated ${tools.length} system operation tools with AI`);
+      return tools;
 
     } catch (error) {
       this.logger.error('AI system operation tool generation failed:', error);
@@ -275,21 +288,13 @@ Respond with JSON array of tools.`;
 
       Respond with JSON array of tools.`;
 
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, {
+      const { data: tools } = await this.structuredOutput.generate('/api/generate', {
         model: 'qwen2.5-coder:7b-instruct-q6_K',
         prompt: workflowPrompt,
-        stream: false,
         options: { temperature: 0.1, top_p: 0.9 }
-      }, { timeout: 120000 });
-
-      const content = response.data.response;
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
-
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      }, TOOL_PLAN_SCHEMA, { timeout: 120000, signal: context?.signal, taskType: 'tool_planning' });
 
-      throw new Error('Failed to parse complex workflow tools');
+      return tools;
 
     } catch (error) {
       this.logger.error('Complex workflow tool generation failed:', error);
@@ -321,23 +326,14 @@ Common general tools:
 
 Respond with JSON array of tools.`;
 
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, {
+      const { data: tools } = await this.structuredOutput.generate('/api/generate', {
         model: 'qwen2.5-coder:7b-instruct-q6_K',
         prompt: generalPrompt,
-        stream: false,
         options: { temperature: 0.1, top_p: 0.9 }
-      }, { timeout: 120000 });
-
-      const content = response.data.response;
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
+      }, TOOL_PLAN_SCHEMA, { timeout: 120000, signal: context?.signal, taskType: 'tool_planning' });
 
-      if (jsonMatch) {
-        const tools = JSON.parse(jsonMatch[0]);
-        this.logger.info(`✅ Generated ${tools.length} general tools with AI`);
-        return tools;
-      }
-
-      throw new Error('Failed to parse AI-generated general tools');
+      this.logger.info(`✅ Generated ${tools.length} general tools with AI`);
+      return tools;
 
     } catch (error) {
       this.logger.error('AI general tool generation failed:', error);
@@ -349,6 +345,7 @@ Respond with JSON array of tools.`;
    * AI-powered tool planning - determines what tools are needed
    */
   async planToolsWithAI(prompt, targetDir, context) {
+    let operationId = null;
     try {
       const planningPrompt = `Generate tools for: "${prompt}"
 
@@ -391,264 +388,21 @@ Respond with a JSON array of tools.`;
       this.logger.info('🧠 Planning tools with AI...');
 
       // Start performance monitoring
-      const operationId = `tool_planning_${Date.now()}`;
+      operationId = `tool_planning_${Date.now()}`;
       this.performanceMonitor.startTiming(operationId, 'qwen2.5-coder:7b-instruct-q6_K', 'tool_planning');
 
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, {
+      let { data: toolPlan } = await this.structuredOutput.generate('/api/generate', {
         model: 'qwen2.5-coder:7b-instruct-q6_K',
         prompt: planningPrompt,
-        stream: false,
         options: {
           temperature: 0.1,
           top_p: 0.9
         }
-      }, { timeout: 120000 });
+      }, TOOL_PLAN_SCHEMA, { timeout: 120000, signal: context?.signal, taskType: 'tool_planning' });
 
       // End performance monitoring
       this.performanceMonitor.endTiming(operationId, true);
 
-      const content = response.data.response;
-      this.logger.info(`🧠 AI planning response: ${content.length} characters`);
-      this.logger.info(`🧠 AI planning response content: ${content.substring(0, 500)}...`);
-
-            // Try to extract JSON with multiple strategies
-      let toolPlan = null;
-
-      // Strategy 1: Direct JSON array extraction
-      try {
-        const jsonMatch = content.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-          toolPlan = JSON.parse(jsonMatch[0]);
-          this.logger.info(`✅ JSON parsed successfully with Strategy 1`);
-        }
-      } catch (parseError) {
-        this.logger.warn(`⚠️ Strategy 1 failed: ${parseError.message}`);
-      }
-
-      // Strategy 1.5: Extract JSON from markdown code blocks
-      if (!toolPlan) {
-        try {
-          const codeBlockMatch = content.match(/```(?:json)?\s*(\[[\s\S]*?\])\s*```/);
-          if (codeBlockMatch) {
-            toolPlan = JSON.parse(codeBlockMatch[1]);
-            this.logger.info(`✅ JSON parsed successfully with Strategy 1.5 (markdown)`);
-          }
-        } catch (parseError) {
-          this.logger.warn(`⚠️ Strategy 1.5 failed: ${parseError.message}`);
-        }
-      }
-
-            // Strategy 1.6: Parse numbered list format from AI
-      if (!toolPlan) {
-        try {
-          // AI generates numbered lists like "1. Tool: create_directory" or "1. Tool Name: create_directory"
-          const toolMatches = content.match(/\d+\.\s*Tool(?:\s+Name)?:\s*([^\n]+)[\s\S]*?Context:\s*(\{[^}]*\})/g);
-          if (toolMatches && toolMatches.length > 0) {
-            const tools = [];
-            for (const match of toolMatches) {
-              try {
-                const toolNameMatch = match.match(/Tool(?:\s+Name)?:\s*([^\n]+)/);
-                const contextMatch = match.match(/Context:\s*(\{[^}]*\})/);
-                const descriptionMatch = match.match(/Description:\s*([^\n]+)/);
-                const priorityMatch = match.match(/Priority:\s*(\d+)/);
-                const timeMatch = match.match(/Estimated Time:\s*"([^"]+)"/);
-                const dependenciesMatch = match.match(/Dependencies:\s*(\[[^\]]*\])/);
-
-                if (toolNameMatch) {
-                  const tool = {
-                    toolName: toolNameMatch[1].trim(),
-                    description: descriptionMatch ? descriptionMatch[1].trim() : 'Generated by AI',
-                    priority: priorityMatch ? parseInt(priorityMatch[1]) : 1,
-                    dependencies: dependenciesMatch ? JSON.parse(dependenciesMatch[1]) : [],
-                    estimatedTime: timeMatch ? timeMatch[1] : '5 minutes',
-                    context: contextMatch ? JSON.parse(contextMatch[1]) : {}
-                  };
-                  tools.push(tool);
-                }
-              } catch (parseError) {
-                this.logger.warn(`⚠️ Failed to parse tool from numbered list: ${parseError.message}`);
-              }
-            }
-            if (tools.length > 0) {
-              toolPlan = tools;
-              this.logger.info(`✅ JSON parsed successfully with Strategy 1.6 (numbered list)`);
-            }
-          }
-        } catch (parseError) {
-          this.logger.warn(`⚠️ Strategy 1.6 failed: ${parseError.message}`);
-                }
-      }
-
-      // Strategy 1.7: Parse bullet-point format from AI (more flexible)
-      if (!toolPlan) {
-        try {
-          // AI sometimes generates bullet-point format like "• create_file - Creates a file"
-          const toolMatches = content.match(/[•\-\*]\s*([^\s]+)\s*-\s*([^\n]+)[\s\S]*?Context:\s*(\{[^}]*\})/g);
-          if (toolMatches && toolMatches.length > 0) {
-            const tools = [];
-            for (const match of toolMatches) {
-              try {
-                const toolNameMatch = match.match(/[•\-\*]\s*([^\s]+)\s*-\s*([^\n]+)/);
-                const contextMatch = match.match(/Context:\s*(\{[^}]*\})/);
-                const priorityMatch = match.match(/Priority:\s*(\d+)/);
-                const timeMatch = match.match(/Estimated Time:\s*"([^"]+)"/);
-                const dependenciesMatch = match.match(/Dependencies:\s*(\[[^\]]*\])/);
-
-                if (toolNameMatch) {
-                  const tool = {
-                    toolName: toolNameMatch[1].trim(),
-                    description: toolNameMatch[2].trim(),
-                    priority: priorityMatch ? parseInt(priorityMatch[1]) : 1,
-                    dependencies: dependenciesMatch ? JSON.parse(dependenciesMatch[1]) : [],
-                    estimatedTime: timeMatch ? timeMatch[1] : '5 minutes',
-                    context: contextMatch ? JSON.parse(contextMatch[1]) : {}
-                  };
-                  tools.push(tool);
-                }
-              } catch (parseError) {
-                this.logger.warn(`⚠️ Failed to parse tool from bullet format: ${parseError.message}`);
-              }
-            }
-            if (tools.length > 0) {
-              toolPlan = tools;
-              this.logger.info(`✅ JSON parsed successfully with Strategy 1.7 (bullet format)`);
-            }
-          }
-        } catch (parseError) {
-          this.logger.warn(`⚠️ Strategy 1.7 failed: ${parseError.message}`);
-        }
-      }
-
-      // Strategy 2: Try to find the last complete JSON array
-      if (!toolPlan) {
-        const allMatches = content.match(/\[[\s\S]*\]/g);
-        if (allMatches) {
-          for (let i = allMatches.length - 1; i >= 0; i--) {
-            try {
-              toolPlan = JSON.parse(allMatches[i]);
-              this.logger.info(`✅ JSON parsed successfully with Strategy 2`);
-              break;
-            } catch (parseError) {
-              // Continue to next match
-            }
-          }
-        }
-      }
-
-      // Strategy 2.5: Try to find JSON array with minimal cleaning
-      if (!toolPlan) {
-        try {
-          // Just remove markdown code blocks, keep everything else
-          let minimalClean = content
-            .replace(/```(?:json)?\s*/g, '')
-            .replace(/```\s*$/g, '');
-
-          this.logger.info(`🔍 Strategy 2.5 minimal clean: ${minimalClean.substring(0, 200)}...`);
-
-          const minimalMatch = minimalClean.match(/\[[\s\S]*\]/);
-          if (minimalMatch) {
-            this.logger.info(`🔍 Strategy 2.5 extracted match: ${minimalMatch[0].substring(0, 200)}...`);
-            toolPlan = JSON.parse(minimalMatch[0]);
-            this.logger.info(`✅ JSON parsed successfully with Strategy 2.5 (minimal cleaning)`);
-          }
-        } catch (parseError) {
-          this.logger.warn(`⚠️ Strategy 2.5 failed: ${parseError.message}`);
-        }
-      }
-
-      // Strategy 3: Try to fix common AI JSON issues
-      if (!toolPlan) {
-        try {
-          // Remove common AI artifacts and try to reconstruct JSON
-          let cleanedContent = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '');
-          cleanedContent = cleanedContent.replace(/^[^{]*/, '').replace(/[^}]*$/, '');
-
-          // Try to find JSON array in cleaned content
-          const fixedMatch = cleanedContent.match(/\[[\s\S]*\]/);
-          if (fixedMatch) {
-            toolPlan = JSON.parse(fixedMatch[0]);
-            this.logger.info(`✅ JSON parsed successfully with Strategy 3 (cleaned)`);
-          }
-        } catch (parseError) {
-          this.logger.warn(`⚠️ Strategy 3 failed: ${parseError.message}`);
-        }
-      }
-
-      // Strategy 3.5: More aggressive markdown cleaning
-      if (!toolPlan) {
-        try {
-          // Remove all markdown formatting and extract pure JSON
-          let aggressiveClean = content
-            .replace(/```(?:json)?\s*/g, '')
-            .replace(/```\s*$/g, '')
-            .replace(/^[\s\S]*?\[/, '[')
-            .replace(/\][\s\S]*$/, ']');
-
-          this.logger.info(`🔍 Strategy 3.5 cleaned content: ${aggressiveClean.substring(0, 200)}...`);
-
-          const aggressiveMatch = aggressiveClean.match(/\[[\s\S]*\]/);
-          if (aggressiveMatch) {
-            this.logger.info(`🔍 Strategy 3.5 extracted match: ${aggressiveMatch[0].substring(0, 200)}...`);
-            toolPlan = JSON.parse(aggressiveMatch[0]);
-            this.logger.info(`✅ JSON parsed successfully with Strategy 3.5 (aggressive cleaning)`);
-          }
-        } catch (parseError) {
-          this.logger.warn(`⚠️ Strategy 3.5 failed: ${parseError.message}`);
-        }
-      }
-
-      // Strategy 4: Try to extract individual tools and reconstruct array
-      if (!toolPlan) {
-        try {
-          const toolMatches = content.match(/\{[^{}]*\}/g);
-          if (toolMatches && toolMatches.length > 0) {
-            const tools = [];
-            for (const toolMatch of toolMatches) {
-              try {
-                const tool = JSON.parse(toolMatch);
-                if (tool.toolName || tool.name) {
-                  tools.push(tool);
-                }
-              } catch (parseError) {
-                // Skip invalid tools
-              }
-            }
-            if (tools.length > 0) {
-              toolPlan = tools;
-              this.logger.info(`✅ JSON parsed successfully with Strategy 4 (reconstructed)`);
-            }
-          }
-        } catch (parseError) {
-          this.logger.warn(`⚠️ Strategy 4 failed: ${parseError.message}`);
-        }
-      }
-
-      // Strategy 5: Last resort - try to find any valid JSON structure
-      if (!toolPlan) {
-        try {
-          // Look for any array-like structure and try to fix it
-          const anyArrayMatch = content.match(/\[[\s\S]*\]/);
-          if (anyArrayMatch) {
-            let lastResort = anyArrayMatch[0];
-
-            // Try to fix common JSON issues
-            lastResort = lastResort
-              .replace(/([a-zA-Z_][a-zA-Z0-9_]*):/g, '"$1":') // Quote unquoted keys
-              .replace(/'/g, '"') // Replace single quotes with double quotes
-              .replace(/,(\s*[}\]])/g, '$1'); // Remove trailing commas
-
-            toolPlan = JSON.parse(lastResort);
-            this.logger.info(`✅ JSON parsed successfully with Strategy 5 (last resort)`);
-          }
-        } catch (parseError) {
-          this.logger.warn(`⚠️ Strategy 5 failed: ${parseError.message}`);
-        }
-      }
-
-      if (!toolPlan) {
-        throw new Error('Failed to parse AI-generated tool plan with all strategies');
-      }
-
       // Debug: Log what we actually parsed
       this.logger.info(`🔍 Parsed tool plan structure:`, {
         length: toolPlan.length,
@@ -699,6 +453,7 @@ Respond with a JSON array of tools.`;
       }
 
     } catch (error) {
+      if (isCancellation(error)) this.performanceMonitor.cancelTiming(operationId);
       this.logger.error('AI tool planning failed:', error);
       this.logger.error('Error details:', {
         message: error.message,
@@ -765,6 +520,7 @@ Respond with a JSON array of tools.`;
    * Generate a single tool with AI
    */
   async generateSingleToolWithAI(plan, targetDir, context) {
+    let operationId = null;
     try {
       const toolPrompt = `Generate a ${plan.toolName} tool INSTANCE for a Node.js project.
 
@@ -799,84 +555,29 @@ Respond with valid JSON:
       this.logger.info(`🧠 Selected model for tool generation: ${selectedModel} (${modelSelection.reason})`);
 
       // Start performance monitoring
-      const operationId = `tool_generation_${Date.now()}`;
+      operationId = `tool_generation_${Date.now()}`;
       this.performanceMonitor.startTiming(operationId, selectedModel, 'tool_generation');
 
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, {
+      const { data: tool } = await this.structuredOutput.generate('/api/generate', {
         model: selectedModel,
         prompt: toolPrompt,
-        stream: false,
         options: {
           temperature: 0.1,
           top_p: 0.9
         }
-      }, { timeout: timeout });
+      }, {
+        type: 'object',
+        required: ['name', 'description', 'parameters'],
+        properties: {
+          name: { type: 'string', enum: [plan.toolName] },
+          description: { type: 'string' },
+          parameters: { type: 'object' }
+        }
+      }, { timeout, signal: context?.signal, taskType: 'tool_generation' });
 
       // End performance monitoring
       this.performanceMonitor.endTiming(operationId, true);
-
-      const content = response.data.response;
-      this.logger.info(`🧠 AI response received: ${content.length} characters`);
-
-      // Extract JSON from the response with multiple strategies
-      let tool = null;
-
-      // Strategy 1: Find the first complete JSON object by counting braces
-      const firstBrace = content.indexOf('{');
-      if (firstBrace !== -1) {
-        let braceCount = 0;
-        let endPos = firstBrace;
-
-        for (let i = firstBrace; i < content.length; i++) {
-          if (content[i] === '{') braceCount++;
-          if (content[i] === '}') braceCount--;
-          if (braceCount === 0) {
-            endPos = i;
-            break;
-          }
-        }
-
-        if (braceCount === 0) {
-          try {
-            tool = JSON.parse(content.substring(firstBrace, endPos + 1));
-            this.logger.info(`✅ JSON parsed successfully with brace counting`);
-          } catch (parseError) {
-            this.logger.warn(`⚠️ Brace counting parse failed: ${parseError.message}`);
-          }
-        }
-      }
-
-      // Strategy 2: Try regex extraction
-      if (!tool) {
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          try {
-            tool = JSON.parse(jsonMatch[0]);
-            this.logger.info(`✅ JSON parsed successfully with regex`);
-          } catch (parseError) {
-            this.logger.warn(`⚠️ Regex parse failed: ${parseError.message}`);
-          }
-        }
-      }
-
-      // Strategy 3: Try to fix common AI JSON issues
-      if (!tool) {
-        try {
-          let cleanedContent = this.fixAIJSON(content);
-          const fixedMatch = cleanedContent.match(/\{[\s\S]*\}/);
-          if (fixedMatch) {
-            tool = JSON.parse(fixedMatch[0]);
-            this.logger.info(`✅ JSON parsed successfully after fixing`);
-          }
-        } catch (parseError) {
-          this.logger.warn(`⚠️ Fixed JSON parse failed: ${parseError.message}`);
-        }
-      }
-
-      if (!tool) {
-        this.logger.error(`All JSON extraction strategies failed for ${plan.toolName}`);
-        return null;
-      }
+      this.logger.info(`🧠 AI tool received: ${tool.name}`);
 
       // Validate and fix the tool
       const validatedTool = this.validateTool(tool);
@@ -894,6 +595,7 @@ Respond with valid JSON:
       return tool;
 
     } catch (error) {
+      if (isCancellation(error)) this.performanceMonitor.cancelTiming(operationId);
       this.logger.error(`Failed to generate tool for plan ${plan.toolName}:`, error.message);
       if (error.response) {
         this.logger.error(`Response status: ${error.response.status}`);
@@ -1147,39 +849,6 @@ Respond with valid JSON:
     }
   }
 
-  /**
-   * Fix common AI JSON generation issues
-   */
-  fixAIJSON(jsonStr) {
-    try {
-      // Replace backticks with regular quotes in content fields
-      jsonStr = jsonStr.replace(/`([^`]*)`/g, '"$1"');
-
-      // Fix escaped quotes in content
-      jsonStr = jsonStr.replace(/\\"/g, '"');
-
-      // Fix newlines in content
-      jsonStr = jsonStr.replace(/\\n/g, '\\n');
-
-      // Fix tabs in content
-      jsonStr = jsonStr.replace(/\\t/g, '\\t');
-
-      // Fix control characters
-      jsonStr = jsonStr.replace(/[\x00-\x1F\x7F]/g, '');
-
-      // Fix common AI mistakes: ensure tool name matches plan
-      if (jsonStr.includes('"name"') && !jsonStr.includes('"name":"create_file"')) {
-        // If this should be a create_file tool, fix the name
-        jsonStr = jsonStr.replace(/"name"\s*:\s*"[^"]*"/, '"name":"create_file"');
-      }
-
-      return jsonStr;
-    } catch (error) {
-      this.logger.error('JSON fixing failed:', error);
-      return jsonStr;
-    }
-  }
-
   /**
    * Fix common tool validation issues
    */
@@ -1323,7 +992,7 @@ Look for:
 Respond with ONLY the folder name, nothing else.
 If no folder is specified, respond with "app".`;
 
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, {
+      const response = await this._pool().post('/api/generate', {
         model: 'granite3.3:8b',
         prompt: extractionPrompt,
         stream: false,
@@ -1350,6 +1019,11 @@ If no folder is specified, respond with "app".`;
     }
   }
 
+  _pool() {
+    if (!this.backendPool) this.backendPool = new BackendPool();
+    return this.backendPool;
+  }
+
   // All fallback methods removed - system is now AI-only
 }
 
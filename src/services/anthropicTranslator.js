@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+
+/**
+ * 🔁 Anthropic Translator
+ *
+ * Converts between the Anthropic Messages format (content blocks,
+ * tool_use/tool_result, SSE event stream) and Ollama's /api/chat so scripts
+ * written against the Messages API can be served by local models through the
+ * normal OllamaGeek routing pipeline.
+ */
+class AnthropicTranslator {
+  /**
+   * Convert an Anthropic Messages request into an Ollama /api/chat request
+   */
+  toOllamaChatRequest(body) {
+    if (!Array.isArray(body.messages)) {
+      throw this._invalidRequest('messages: field required and must be an array');
+    }
+
+    const messages = [];
+    const system = this._systemText(body.system);
+    if (system) {
+      messages.push({ role: 'system', content: system });
+    }
+
+    const toolNamesById = new Map();
+    for (const message of body.messages) {
+      messages.push(...this._convertMessage(message, toolNamesById));
+    }
+
+    const ollamaRequest = {
+      model: body.model,
+      messages,
+      stream: body.stream === true
+    };
+
+    const options = this._convertOptions(body);
+    if (Object.keys(options).length > 0) {
+      ollamaRequest.options = options;
+    }
+
+    if (Array.isArray(body.tools) && body.tools.length > 0 && body.tool_choice?.type !== 'none') {
+      ollamaRequest.tools = body.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description || '',
+          parameters: tool.input_schema || { type: 'object', properties: {} }
+        }
+      }));
+    }
+
+    return ollamaRequest;
+  }
+
+  /**
+   * Convert a complete Ollama chat response into an Anthropic message
+   */
+  fromOllamaChatResponse(ollamaResponse, meta) {
+    const message = ollamaResponse.message || {};
+    const content = [];
+
+    if (message.content) {
+      content.push({ type: 'text', text: message.content });
+    }
+
+    const toolUses = this._convertToolCalls(message.tool_calls);
+    content.push(...toolUses);
+
+    if (content.length === 0) {
+      content.push({ type: 'text', text: '' });
+    }
+
+    return {
+      id: meta.id,
+      type: 'message',
+      role: 'assistant',
+      model: ollamaResponse.model || meta.model,
+      content,
+      stop_reason: this._stopReason(ollamaResponse, toolUses.length > 0),
+      stop_sequence: null,
+      usage: this._usage(ollamaResponse)
+    };
+  }
+
+  /**
+   * Convert one streamed Ollama chat chunk into Anthropic stream events.
+   * `state` carries { id, model, started, openBlock, blockIndex, sawToolUse }
+   * across chunks.
+   */
+  fromOllamaChatChunk(chunk, state) {
+    const events = [];
+    const message = chunk.message || {};
+
+    if (!state.started) {
+      state.started = true;
+      events.push({
+        type: 'message_start',
+        message: {
+          id: state.id,
+          type: 'message',
+          role: 'assistant',
+          model: state.model,
+          content: [],
+          stop_reason: null,
+          stop_sequence: null,
+          usage: { input_tokens: 0, output_tokens: 0 }
+        }
+      });
+    }
+
+    if (message.content) {
+      if (state.openBlock !== 'text') {
+        this._closeBlock(state, events);
+        events.push({ type: 'content_block_start', index: state.blockIndex, content_block: { type: 'text', text: '' } });
+        state.openBlock = 'text';
+      }
+      events.push({ type: 'content_block_delta', index: state.blockIndex, delta: { type: 'text_delta', text: message.content } });
+    }
+
+    for (const toolUse of this._convertToolCalls(message.tool_calls)) {
+      this._closeBlock(state, events);
+      state.sawToolUse = true;
+      events.push(
+        { type: 'content_block_start', index: state.blockIndex, content_block: { ...toolUse, input: {} } },
+        { type: 'content_block_delta', index: state.blockIndex, delta: { type: 'input_json_delta', partial_json: JSON.stringify(toolUse.input) } }
+      );
+      state.openBlock = 'tool_use';
+    }
+
+    if (chunk.done) {
+      this._closeBlock(state, events);
+      events.push(
+        {
+          type: 'message_delta',
+          delta: { stop_reason: this._stopReason(chunk, state.sawToolUse), stop_sequence: null },
+          usage: this._usage(chunk)
+        },
+        { type: 'message_stop' }
+      );
+    }
+
+    return events;
+  }
+
+  /**
+   * Serialise a stream event as a server-sent event named after its type
+   */
+  toSseEvent(event) {
+    return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+  }
+
+  /**
+   * Build an Anthropic-style error body
+   */
+  toErrorBody(error) {
+    const status = this.errorStatus(error);
+    const types = { 400: 'invalid_request_error', 401: 'authentication_error', 403: 'permission_error', 404: 'not_found_error', 429: 'rate_limit_error' };
+
+    return {
+      type: 'error',
+      error: {
+        type: types[status] || (status >= 500 ? 'api_error' : 'invalid_request_error'),
+        message: error.response?.data?.error || error.message || 'Internal Server Error'
+      }
+    };
+  }
+
+  /**
+   * HTTP status to report for an error
+   */
+  errorStatus(error) {
+    return error.status || error.response?.status || 500;
+  }
+
+  /**
+   * Generate the message id for a response
+   */
+  createResponseMeta(model) {
+    return {
+      id: `msg_${crypto.randomBytes(12).toString('hex')}`,
+      model
+    };
+  }
+
+  /**
+   * Flatten the system prompt (string or text blocks)
+   */
+  _systemText(system) {
+    if (!system) return '';
+    if (typeof system === 'string') return system;
+    return system.filter(block => block.type === 'text').map(block => block.text).join('\n');
+  }
+
+  /**
+   * Convert one Anthropic message into one or more Ollama messages.
+   * tool_result blocks become separate `role: "tool"` messages.
+   */
+  _convertMessage(message, toolNamesById) {
+    if (typeof message.content === 'string') {
+      return [{ role: message.role, content: message.content }];
+    }
+
+    const blocks = Array.isArray(message.content) ? message.content : [];
+    const toolMessages = [];
+    const textParts = [];
+    const images = [];
+    const toolCalls = [];
+
+    for (const block of blocks) {
+      switch (block.type) {
+        case 'text':
+          textParts.push(block.text);
+          break;
+        case 'image':
+          images.push(this._imageData(block));
+          break;
+        case 'tool_use':
+          toolNamesById.set(block.id, block.name);
+          toolCalls.push({ function: { name: block.name, arguments: block.input || {} } });
+          break;
+        case 'tool_result': {
+          const toolMessage = { role: 'tool', content: this._toolResultText(block) };
+          const toolName = toolNamesById.get(block.tool_use_id);
+          if (toolName) toolMessage.tool_name = toolName;
+          toolMessages.push(toolMessage);
+          break;
+        }
+        default:
+          // thinking, document etc. have no Ollama equivalent
+          break;
+      }
+    }
+
+    const converted = [...toolMessages];
+    if (textParts.length > 0 || images.length > 0 || toolCalls.length > 0 || toolMessages.length === 0) {
+      const ollamaMessage = { role: message.role, content: textParts.join('\n') };
+      if (images.length > 0) ollamaMessage.images = images;
+      if (toolCalls.length > 0) ollamaMessage.tool_calls = toolCalls;
+      converted.push(ollamaMessage);
+    }
+
+    return converted;
+  }
+
+  /**
+   * Extract base64 data from an image block
+   */
+  _imageData(block) {
+    if (block.source?.type !== 'base64' || !block.source.data) {
+      throw this._invalidRequest('Only base64 image sources are supported');
+    }
+    return block.source.data;
+  }
+
+  /**
+   * Flatten tool_result content (string or text blocks), flagging errors
+   */
+  _toolResultText(block) {
+    const text = typeof block.content === 'string'
+      ? block.content
+      : (block.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n');
+    return block.is_error ? `Error: ${text}` : text;
+  }
+
+  /**
+   * Map Anthropic sampling parameters onto Ollama options
+   */
+  _convertOptions(body) {
+    const options = {};
+
+    if (body.max_tokens !== undefined) options.num_predict = body.max_tokens;
+    if (body.temperature !== undefined) options.temperature = body.temperature;
+    if (body.top_p !== undefined) options.top_p = body.top_p;
+    if (body.top_k !== undefined) options.top_k = body.top_k;
+    if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+      options.stop = body.stop_sequences;
+    }
+
+    return options;
+  }
+
+  /**
+   * Convert Ollama tool calls into tool_use content blocks
+   */
+  _convertToolCalls(toolCalls) {
+    if (!Array.isArray(toolCalls)) return [];
+
+    return toolCalls.map(toolCall => ({
+      type: 'tool_use',
+      id: `toolu_${crypto.randomBytes(12).toString('hex')}`,
+      name: toolCall.function?.name,
+      input: this._parseArguments(toolCall.function?.arguments)
+    }));
+  }
+
+  _parseArguments(args) {
+    if (typeof args !== 'string') return args || {};
+    try {
+      return JSON.parse(args);
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Emit content_block_stop for the open block, if any
+   */
+  _closeBlock(state, events) {
+    if (!state.openBlock) return;
+    events.push({ type: 'content_block_stop', index: state.blockIndex });
+    state.blockIndex++;
+    state.openBlock = null;
+  }
+
+  /**
+   * Determine the Anthropic stop_reason for an Ollama response
+   */
+  _stopReason(ollamaResponse, hasToolUse) {
+    if (hasToolUse) return 'tool_use';
+    if (ollamaResponse.done_reason === 'length') return 'max_tokens';
+    return 'end_turn';
+  }
+
+  /**
+   * Build Anthropic usage from Ollama token counters
+   */
+  _usage(ollamaResponse) {
+    return {
+      input_tokens: ollamaResponse.prompt_eval_count || 0,
+      output_tokens: ollamaResponse.eval_count || 0
+    };
+  }
+
+  /**
+   * Create a 400 error for malformed requests
+   */
+  _invalidRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+}
+
+module.exports = { AnthropicTranslator };
@@ -0,0 +1,69 @@
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * 🚦 API Key Limiter
+ *
+ * In-memory per-key limits: a sliding one-minute request window and a
+ * count of open streams. Daily token quotas live in the ApiKeyStore since
+ * they have to survive restarts.
+ */
+class ApiKeyLimiter {
+  constructor() {
+    this.requests = new Map(); // key id -> timestamps within the last minute
+    this.streams = new Map(); // key id -> open streams
+  }
+
+  /**
+   * Count a request against the key's per-minute limit.
+   * Returns { allowed, retryAfterSeconds }.
+   */
+  checkRate(key, now = Date.now()) {
+    const limit = key.limits.requestsPerMinute;
+    if (!limit) return { allowed: true, retryAfterSeconds: 0 };
+
+    const recent = (this.requests.get(key.id) || []).filter(timestamp => timestamp > now - WINDOW_MS);
+    if (recent.length >= limit) {
+      this.requests.set(key.id, recent);
+      return { allowed: false, retryAfterSeconds: Math.ceil((recent[0] + WINDOW_MS - now) / 1000) };
+    }
+
+    recent.push(now);
+    this.requests.set(key.id, recent);
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  /**
+   * Take a stream slot. Returns a release function, or null when the key
+   * already has its maximum number of streams open.
+   */
+  acquireStream(key) {
+    const open = this.streams.get(key.id) || 0;
+    if (key.limits.maxConcurrentStreams && open >= key.limits.maxConcurrentStreams) {
+      return null;
+    }
+
+    this.streams.set(key.id, open + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const remaining = (this.streams.get(key.id) || 1) - 1;
+      if (remaining > 0) {
+        this.streams.set(key.id, remaining);
+      } else {
+        this.streams.delete(key.id);
+      }
+    };
+  }
+
+  getStats() {
+    return {
+      openStreams: Object.fromEntries(this.streams),
+      requestsLastMinute: Object.fromEntries(
+        [...this.requests].map(([id, timestamps]) => [id, timestamps.filter(timestamp => timestamp > Date.now() - WINDOW_MS).length])
+      )
+    };
+  }
+}
+
+module.exports = { ApiKeyLimiter };
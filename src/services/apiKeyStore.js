@@ -0,0 +1,247 @@
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Ordered: each scope includes the ones before it
+const API_KEY_SCOPES = ['chat', 'tools', 'admin'];
+
+const LIMIT_FIELDS = {
+  requestsPerMinute: 'requests_per_minute',
+  maxConcurrentStreams: 'max_concurrent_streams',
+  dailyTokenLimit: 'daily_token_limit'
+};
+
+/**
+ * 🔑 API Key Store
+ *
+ * Persists API keys and their daily usage in data/api_keys.db. Only a
+ * SHA-256 hash of each key is stored; the key itself is returned once, when
+ * it is created. Each key has scopes (`chat` < `tools` < `admin`) and
+ * optional limits: requests per minute, concurrent streams and tokens per
+ * day (null means unlimited).
+ */
+class ApiKeyStore {
+  constructor(options = {}) {
+    this.dbPath = options.dbPath || path.join(process.cwd(), 'data', 'api_keys.db');
+    this.db = null; // opened on first use so a disabled feature leaves no file behind
+  }
+
+  /**
+   * Create a key. Returns the record plus the plaintext `key`.
+   */
+  createKey({ name, scopes = ['chat'], ...limits } = {}) {
+    if (!name || typeof name !== 'string') {
+      throw this._invalid('name is required');
+    }
+    this._checkScopes(scopes);
+    const limitValues = this._limitValues(limits);
+
+    const key = `ogk_${crypto.randomBytes(24).toString('base64url')}`;
+    const id = crypto.randomBytes(6).toString('hex');
+
+    this._db().prepare(`
+      INSERT INTO api_keys (id, name, key_hash, prefix, scopes, requests_per_minute, max_concurrent_streams, daily_token_limit, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      name,
+      this._hash(key),
+      key.slice(0, 8),
+      JSON.stringify(scopes),
+      limitValues.requestsPerMinute ?? null,
+      limitValues.maxConcurrentStreams ?? null,
+      limitValues.dailyTokenLimit ?? null,
+      new Date().toISOString()
+    );
+
+    return { ...this.getKey(id), key };
+  }
+
+  listKeys() {
+    return this._db().prepare('SELECT * FROM api_keys ORDER BY created_at').all().map(row => this._toRecord(row));
+  }
+
+  getKey(id) {
+    const row = this._db().prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    return row ? this._toRecord(row) : null;
+  }
+
+  /**
+   * Change a key's name, scopes or limits. Returns the updated record, or
+   * null if the key does not exist.
+   */
+  updateKey(id, changes = {}) {
+    const current = this.getKey(id);
+    if (!current) return null;
+
+    const sets = [];
+    const values = [];
+    if (changes.name !== undefined) {
+      if (!changes.name || typeof changes.name !== 'string') throw this._invalid('name must be a non-empty string');
+      sets.push('name = ?');
+      values.push(changes.name);
+    }
+    if (changes.scopes !== undefined) {
+      this._checkScopes(changes.scopes);
+      sets.push('scopes = ?');
+      values.push(JSON.stringify(changes.scopes));
+    }
+    for (const [field, value] of Object.entries(this._limitValues(changes))) {
+      sets.push(`${LIMIT_FIELDS[field]} = ?`);
+      values.push(value);
+    }
+
+    if (sets.length > 0) {
+      this._db().prepare(`UPDATE api_keys SET ${sets.join(', ')} WHERE id = ?`).run(...values, id);
+    }
+    return this.getKey(id);
+  }
+
+  /**
+   * Revoke a key; returns false if it does not exist
+   */
+  revokeKey(id) {
+    if (!this.getKey(id)) return false;
+
+    this._db().prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+      .run(new Date().toISOString(), id);
+    return true;
+  }
+
+  /**
+   * Look up an active key by its plaintext value
+   */
+  authenticate(key) {
+    if (!key) return null;
+
+    const row = this._db().prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(this._hash(key));
+    if (!row) return null;
+
+    this._db().prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+    return this._toRecord(row);
+  }
+
+  /**
+   * Count one finished request and the tokens it used towards today's usage
+   */
+  recordUsage(id, tokens = 0) {
+    this._db().prepare(`
+      INSERT INTO api_key_usage (key_id, day, requests, tokens) VALUES (?, ?, 1, ?)
+      ON CONFLICT(key_id, day) DO UPDATE SET requests = requests + 1, tokens = tokens + excluded.tokens
+    `).run(id, this._today(), tokens);
+  }
+
+  /**
+   * Requests and tokens used by a key on a day (UTC, defaults to today)
+   */
+  getUsage(id, day = this._today()) {
+    const row = this._db().prepare('SELECT requests, tokens FROM api_key_usage WHERE key_id = ? AND day = ?').get(id, day);
+    return { day, requests: row?.requests || 0, tokens: row?.tokens || 0 };
+  }
+
+  /**
+   * Whether a key's scopes cover the required scope
+   */
+  static hasScope(record, scope) {
+    const required = API_KEY_SCOPES.indexOf(scope);
+    return record.scopes.some(granted => API_KEY_SCOPES.indexOf(granted) >= required);
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  _db() {
+    if (this.db) return this.db;
+
+    if (this.dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        requests_per_minute INTEGER,
+        max_concurrent_streams INTEGER,
+        daily_token_limit INTEGER,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS api_key_usage (
+        key_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        requests INTEGER NOT NULL DEFAULT 0,
+        tokens INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (key_id, day)
+      );
+    `);
+    return this.db;
+  }
+
+  _toRecord(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      prefix: row.prefix,
+      scopes: JSON.parse(row.scopes),
+      limits: {
+        requestsPerMinute: row.requests_per_minute,
+        maxConcurrentStreams: row.max_concurrent_streams,
+        dailyTokenLimit: row.daily_token_limit
+      },
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at
+    };
+  }
+
+  _checkScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+      throw this._invalid(`scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Pick the limit fields out of an object; null clears a limit
+   */
+  _limitValues(source) {
+    const values = {};
+    for (const field of Object.keys(LIMIT_FIELDS)) {
+      if (source[field] === undefined) continue;
+      const value = source[field];
+      if (value !== null && (!Number.isInteger(value) || value <= 0)) {
+        throw this._invalid(`${field} must be a positive integer or null`);
+      }
+      values[field] = value;
+    }
+    return values;
+  }
+
+  _invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  _hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  _today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+}
+
+module.exports = { ApiKeyStore, API_KEY_SCOPES };
@@ -1,12 +1,29 @@
 const { Logger } = require('../utils/logger');
-const axios = require('axios'); // Added axios for AI interaction
+const { isCancellation } = require('../utils/cancellation');
 const PerformanceMonitor = require('./performanceMonitor');
+const { StructuredOutput } = require('./structuredOutput');
+
+// Shape of the AI approach analysis, enforced through StructuredOutput
+const APPROACH_SCHEMA = {
+  type: 'object',
+  required: ['approach', 'requiresApproval', 'actionType', 'reasoning', 'riskAssessment'],
+  properties: {
+    approach: { type: 'string', enum: ['direct_response', 'simple_execution', 'planning_with_execution', 'complex_planning'] },
+    requiresApproval: { type: 'boolean' },
+    actionType: { type: 'string', enum: ['simple_chat', 'execution_simple', 'execution_medium', 'execution_complex', 'web_search'] },
+    reasoning: { type: 'string' },
+    riskAssessment: { type: 'string', enum: ['low', 'medium', 'high'] },
+    estimatedSteps: { type: 'integer', minimum: 0 },
+    userExperience: { type: 'string' },
+    safetyConsiderations: { type: 'array', items: { type: 'string' } }
+  }
+};
 
 class ApproachMapper {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger();
-    this.ollamaBaseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-    this.performanceMonitor = new PerformanceMonitor();
+    this.performanceMonitor = options.performanceMonitor || new PerformanceMonitor();
+    this.structuredOutput = options.structuredOutput || new StructuredOutput();
   }
 
   /**
@@ -34,6 +51,7 @@ class ApproachMapper {
    * AI-powered approach analysis
    */
   async aiApproachAnalysis(intentResult, context) {
+    let operationId = null;
     try {
       const analysisPrompt = `Analyze this task and determine the optimal execution approach:
 
@@ -78,33 +96,26 @@ Respond with JSON:
 }`;
 
       // Start performance monitoring
-      const operationId = `approach_analysis_${Date.now()}`;
+      operationId = `approach_analysis_${Date.now()}`;
       this.performanceMonitor.startTiming(operationId, 'qwen2.5-coder:7b-instruct-q6_K', 'approach_analysis');
 
       // Smart model selection: Use qwen2.5-coder:7b for approach mapping (faster than granite)
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, {
+      const { data } = await this.structuredOutput.generate('/api/generate', {
         model: 'qwen2.5-coder:7b-instruct-q6_K',
         prompt: analysisPrompt,
-        stream: false,
         options: {
           temperature: 0.1,
           top_p: 0.9
         }
-      }, { timeout: 120000 });
+      }, APPROACH_SCHEMA, { timeout: 120000, signal: context?.signal, taskType: 'approach_analysis' });
 
       // End performance monitoring
       this.performanceMonitor.endTiming(operationId, true);
 
-      const content = response.data.response;
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-
-      throw new Error('Failed to parse AI approach analysis');
+      return data;
 
     } catch (error) {
+      if (isCancellation(error)) this.performanceMonitor.cancelTiming(operationId);
       this.logger.error('AI approach analysis failed:', error);
       throw error;
     }
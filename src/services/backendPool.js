@@ -0,0 +1,381 @@
+const axios = require('axios');
+const { OllamaClient } = require('./ollamaClient');
+const { RequestScheduler } = require('./requestScheduler');
+const { Logger } = require('../utils/logger');
+const { isCancellation } = require('../utils/cancellation');
+const { meterUpstreamResult } = require('../utils/tokenUsage');
+
+/**
+ * 🖧 Backend Pool
+ *
+ * Spreads requests over several Ollama servers. Each backend is health-checked
+ * with `OllamaClient.healthCheck` and its installed models are tracked from
+ * `/api/tags`, so a request goes to a healthy backend that already has the
+ * selected model. When a backend fails (unreachable, 5xx, or missing the
+ * model) the request is retried on the next candidate.
+ *
+ * Every call waits for a slot in the RequestScheduler first, which caps
+ * concurrency per model and per backend and serves interactive requests
+ * before background ones. A request whose `signal` aborts (the client went
+ * away) leaves the queue or is cancelled upstream, is never failed over, and
+ * is recorded as a cancellation when a PerformanceMonitor is given. The
+ * tokens Ollama reports are added to the calling request's token meter.
+ *
+ * Backends come from OLLAMA_BACKENDS (comma-separated URLs) and fall back to
+ * OLLAMA_BASE_URL, so a single-server setup behaves exactly as before.
+ */
+class BackendPool {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.scheduler = options.scheduler || new RequestScheduler();
+    // Optional: records cancelled requests
+    this.performanceMonitor = options.performanceMonitor || null;
+    this.healthCheckInterval = options.healthCheckInterval ||
+      parseInt(process.env.OLLAMA_HEALTH_CHECK_INTERVAL) || 30000;
+
+    const urls = options.urls || BackendPool.parseUrls(
+      process.env.OLLAMA_BACKENDS || process.env.OLLAMA_BASE_URL || 'http://localhost:11434'
+    );
+
+    this.backends = urls.map(url => ({
+      url,
+      client: new OllamaClient({ baseURL: url }),
+      healthy: null, // unknown until the first check
+      models: new Set(),
+      lastChecked: null,
+      lastError: null
+    }));
+
+    this.nextIndex = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Parse a comma-separated list of backend URLs
+   */
+  static parseUrls(value) {
+    return value
+      .split(',')
+      .map(url => url.trim().replace(/\/+$/, ''))
+      .filter(Boolean);
+  }
+
+  /**
+   * Check every backend now and refresh its model list
+   */
+  async checkHealth() {
+    await Promise.all(this.backends.map(backend => this._checkBackend(backend)));
+    return this.getStatus();
+  }
+
+  /**
+   * Start periodic health checks (runs one immediately)
+   */
+  startHealthChecks() {
+    if (this.timer) return;
+
+    this.checkHealth().catch(error => {
+      this.logger.error('Backend health check failed', { error: error.message });
+    });
+
+    this.timer = setInterval(() => {
+      this.checkHealth().catch(error => {
+        this.logger.error('Backend health check failed', { error: error.message });
+      });
+    }, this.healthCheckInterval);
+    this.timer.unref();
+  }
+
+  stopHealthChecks() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Backends for a request in the order they would be tried
+   */
+  selectBackends(model) {
+    return this._candidateTiers(model).flat();
+  }
+
+  /**
+   * The first configured backend that is not known to be down, for calls
+   * that must land on the same box every time (blob uploads, /api/create)
+   */
+  primaryBackend() {
+    return this.backends.find(backend => backend.healthy !== false) || this.backends[0];
+  }
+
+  /**
+   * Run an operation against the best backend for a model, failing over to
+   * the next candidate on errors another backend could avoid.
+   * Options: `priority` ('interactive' or 'background'), `signal` (an
+   * AbortSignal that cancels the wait for a slot), `countUsage` (false to
+   * keep the call off the request's token meter), `schedule` (false to skip
+   * the scheduler, for transfers like pulls that would hold a model slot for
+   * minutes without using the GPU).
+   */
+  async withFailover(model, operation, options = {}) {
+    let lastError = null;
+
+    for (const tier of this._candidateTiers(model)) {
+      const remaining = [...tier];
+
+      while (remaining.length > 0) {
+        // Within a tier, take whichever backend frees up first
+        const { backend: url, release } = options.schedule === false
+          ? { backend: remaining[0].url, release: () => {} }
+          : await this.scheduler.acquire({
+            model,
+            backends: remaining.map(backend => backend.url),
+            priority: options.priority,
+            signal: options.signal
+          });
+        const backend = remaining.find(candidate => candidate.url === url);
+        remaining.splice(remaining.indexOf(backend), 1);
+
+        try {
+          let result = await operation(backend);
+          if (options.countUsage !== false) result = meterUpstreamResult(result);
+          this._releaseWhenDone(result, release);
+          return result;
+        } catch (error) {
+          release();
+          lastError = error;
+
+          if (!this._shouldFailover(error)) {
+            throw error;
+          }
+
+          this._recordFailure(backend, model, error);
+          this.logger.warn(`⚠️ Backend ${backend.url} failed, trying next backend`, {
+            model,
+            error: error.message,
+            status: this._errorStatus(error)
+          });
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * POST to an Ollama endpoint (e.g. /api/chat) on the best backend for
+   * `body.model`. Accepts the same config as axios, including responseType: 'stream'
+   * and `signal`; `options` are passed to withFailover, plus `taskType` for
+   * recording cancellations.
+   */
+  async post(path, body, config = {}, options = {}) {
+    const operation = backend => axios.post(`${backend.url}${path}`, body, config);
+    const startTime = Date.now();
+    const taskType = options.taskType || path.replace(/^\/api\//, '');
+    // Calls made after the client already left never reach a model; don't count them
+    const abortedBeforeStart = Boolean(config.signal?.aborted);
+
+    let result;
+    try {
+      result = await this.withFailover(body?.model, operation, { signal: config.signal, ...options });
+    } catch (error) {
+      if (isCancellation(error) && !abortedBeforeStart) this._recordCancellation(body?.model, taskType, startTime);
+      throw error;
+    }
+
+    // A stream cut short by the signal is a cancellation too
+    const stream = result?.data;
+    if (config.signal && stream && typeof stream.once === 'function') {
+      stream.once('close', () => {
+        if (config.signal.aborted && !stream.readableEnded) {
+          this._recordCancellation(body?.model, taskType, startTime);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Combined /api/tags listing across backends, de-duplicated by model name
+   */
+  async listModels() {
+    const targets = this.backends.filter(backend => backend.healthy !== false);
+    const results = await Promise.allSettled(
+      (targets.length > 0 ? targets : this.backends).map(async backend => {
+        const tags = await backend.client.tags();
+        backend.models = new Set((tags.models || []).map(model => model.name));
+        return tags;
+      })
+    );
+
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+    if (fulfilled.length === 0) {
+      throw results[0].reason;
+    }
+
+    if (this.backends.length === 1) {
+      return fulfilled[0].value;
+    }
+
+    const models = new Map();
+    for (const { value } of fulfilled) {
+      for (const model of value.models || []) {
+        if (!models.has(model.name)) models.set(model.name, model);
+      }
+    }
+
+    return { models: Array.from(models.values()) };
+  }
+
+  /**
+   * Models loaded on each backend (/api/ps); unreachable backends are left out
+   */
+  async listLoaded() {
+    const results = await Promise.allSettled(this.backends.map(async backend => {
+      const running = await backend.client.ps();
+      return { backend, models: running.models || [] };
+    }));
+
+    return results.filter(result => result.status === 'fulfilled').map(result => result.value);
+  }
+
+  /**
+   * Unload a model from one backend (an empty request with keep_alive 0).
+   * It waits for a background slot for that model on that backend, so it
+   * never cuts off a request the model is serving.
+   */
+  async unload(url, model) {
+    return this.scheduler.run({ model, backends: [url], priority: 'background' }, () =>
+      axios.post(`${url}/api/generate`, { model, keep_alive: 0 }, { timeout: 30000 }));
+  }
+
+  /**
+   * Snapshot of backend health for status endpoints
+   */
+  getStatus() {
+    return {
+      backends: this.backends.map(backend => ({
+        url: backend.url,
+        healthy: backend.healthy,
+        models: Array.from(backend.models),
+        lastChecked: backend.lastChecked,
+        lastError: backend.lastError
+      })),
+      healthyCount: this.backends.filter(backend => backend.healthy === true).length,
+      totalCount: this.backends.length
+    };
+  }
+
+  /**
+   * Candidate backends grouped by preference: healthy ones with the model,
+   * then other healthy (or not yet checked) ones, and unhealthy ones last so a
+   * stale health result never leaves a request with nowhere to go.
+   */
+  _candidateTiers(model) {
+    const rotated = this._rotate();
+
+    const isUsable = backend => backend.healthy !== false;
+    const hasModel = backend => model && backend.models.has(model);
+
+    return [
+      rotated.filter(backend => isUsable(backend) && hasModel(backend)),
+      rotated.filter(backend => isUsable(backend) && !hasModel(backend)),
+      rotated.filter(backend => !isUsable(backend))
+    ].filter(tier => tier.length > 0);
+  }
+
+  /**
+   * Streaming responses keep their slot until the stream finishes
+   */
+  _releaseWhenDone(result, release) {
+    const stream = result?.data;
+    if (stream && typeof stream.pipe === 'function' && typeof stream.once === 'function') {
+      stream.once('end', release);
+      stream.once('error', release);
+      stream.once('close', release);
+      return;
+    }
+    release();
+  }
+
+  async _checkBackend(backend) {
+    const health = await backend.client.healthCheck();
+    backend.lastChecked = new Date().toISOString();
+
+    if (health.status !== 'healthy') {
+      this._markUnhealthy(backend, health.error);
+      return;
+    }
+
+    try {
+      const tags = await backend.client.tags();
+      backend.models = new Set((tags.models || []).map(model => model.name));
+      if (backend.healthy !== true) {
+        this.logger.info(`✅ Backend ${backend.url} healthy with ${backend.models.size} models`);
+      }
+      backend.healthy = true;
+      backend.lastError = null;
+    } catch (error) {
+      this._markUnhealthy(backend, error.message);
+    }
+  }
+
+  _markUnhealthy(backend, reason) {
+    if (backend.healthy !== false) {
+      this.logger.warn(`❌ Backend ${backend.url} is unhealthy`, { error: reason });
+    }
+    backend.healthy = false;
+    backend.lastError = reason || 'unknown error';
+  }
+
+  _recordFailure(backend, model, error) {
+    const status = this._errorStatus(error);
+
+    if (status === 404) {
+      // Reachable, but the model is not installed there
+      if (model) backend.models.delete(model);
+      return;
+    }
+
+    if (!status) {
+      // No response at all - treat the backend as down until the next health check
+      this._markUnhealthy(backend, error.message);
+    }
+  }
+
+  /**
+   * Client errors (bad request etc.) would fail on every backend, so only
+   * network errors, missing models and server errors move on to the next one
+   */
+  _shouldFailover(error) {
+    if (isCancellation(error)) return false;
+    const status = this._errorStatus(error);
+    if (status) {
+      return status === 404 || status >= 500;
+    }
+    return Boolean(error.code || error.request);
+  }
+
+  _recordCancellation(model, taskType, startTime) {
+    const responseTime = Date.now() - startTime;
+    this.logger.info(`🚫 Cancelled ${taskType} request for ${model || 'any model'} after ${responseTime}ms`);
+    try {
+      this.performanceMonitor?.recordCancellation(model || 'unknown', taskType, responseTime);
+    } catch (error) {
+      this.logger.error('Failed to record cancellation', { error: error.message });
+    }
+  }
+
+  _errorStatus(error) {
+    return error.response?.status || error.status;
+  }
+
+  _rotate() {
+    const count = this.backends.length;
+    const start = this.nextIndex % count;
+    this.nextIndex = (this.nextIndex + 1) % count;
+    return [...this.backends.slice(start), ...this.backends.slice(0, start)];
+  }
+}
+
+module.exports = { BackendPool };
@@ -0,0 +1,226 @@
+const vm = require('vm');
+const { Logger } = require('../utils/logger');
+const { isCancellation } = require('../utils/cancellation');
+const { BackendPool } = require('./backendPool');
+const { ModelSelector } = require('./modelSelector');
+
+// Code blocks we can syntax-check without running anything
+const JAVASCRIPT_LANGUAGES = ['js', 'javascript', 'node', 'mjs', 'cjs'];
+const JSON_LANGUAGES = ['json'];
+
+// Phrases that signal the model is unsure of (or declining) its answer
+const HEDGE_PATTERNS = [
+  /\bI'?m not (?:sure|certain)\b/i,
+  /\bI don'?t (?:know|have enough information)\b/i,
+  /\bI(?: am|'m)? (?:not able|unable) to (?:determine|tell|verify)\b/i,
+  /\bit'?s (?:hard|difficult) to say\b/i
+];
+const REFUSAL_PATTERNS = [
+  /\bI (?:cannot|can'?t|am unable to|'m unable to) (?:help|assist|answer|do that|provide)\b/i,
+  /\bas an AI(?: language model)?\b/i
+];
+const HEDGE_PENALTY = 0.3;
+const REFUSAL_PENALTY = 0.6;
+
+/**
+ * 🪜 Cascade Policy
+ *
+ * Tries cheap models first and escalates. The chain comes from
+ * ModelSelector.getCascade (ranked candidates for the task, smallest
+ * first); each reply is checked and the request moves on to the next model
+ * when the reply is empty, is not valid JSON although `format` was
+ * requested, contains JavaScript or JSON code that does not parse or a code
+ * block that was cut off, or scores below CASCADE_MIN_CONFIDENCE. The
+ * last model's reply is returned either way, together with the attempts.
+ *
+ * Configuration: ENABLE_CASCADE, CASCADE_MAX_STEPS, CASCADE_MIN_CONFIDENCE.
+ */
+class CascadePolicy {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.backendPool = options.backendPool || new BackendPool();
+    this.modelSelector = options.modelSelector || new ModelSelector();
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.ENABLE_CASCADE === 'true';
+    this.maxSteps = options.maxSteps || parseInt(process.env.CASCADE_MAX_STEPS) || 3;
+    this.minConfidence = options.minConfidence !== undefined
+      ? options.minConfidence
+      : parseFloat(process.env.CASCADE_MIN_CONFIDENCE) || 0.5;
+  }
+
+  /**
+   * Whether to cascade a request. Tool-calling requests are left alone:
+   * their replies are tool calls, not answers that can be checked.
+   */
+  isEnabledFor(requestBody) {
+    return this.enabled && !(Array.isArray(requestBody.tools) && requestBody.tools.length > 0);
+  }
+
+  /**
+   * Models to try for a routed request, cheapest first
+   */
+  async buildChain(routed) {
+    return this.modelSelector.getCascade(routed.analysis, routed.recommendedModel, this.maxSteps);
+  }
+
+  /**
+   * Send a (non-streaming) /api/chat or /api/generate request down the chain.
+   * Returns { response, cascade }; throws only if the last model fails, or
+   * as soon as `options.signal` cancels the request.
+   */
+  async run(path, request, chain, options = {}) {
+    const attempts = [];
+
+    for (let index = 0; index < chain.length; index++) {
+      const model = chain[index];
+      const isLast = index === chain.length - 1;
+      const startTime = Date.now();
+
+      let response;
+      try {
+        response = (await this.backendPool.post(path, { ...request, model, stream: false }, {
+          headers: { 'Content-Type': 'application/json' },
+          signal: options.signal
+        })).data;
+      } catch (error) {
+        attempts.push({ model, passed: false, reason: `request failed: ${error.message}`, responseTime: Date.now() - startTime });
+        if (isLast || isCancellation(error)) throw error;
+        this.logger.warn(`🪜 ${model} failed, escalating to ${chain[index + 1]}`, { error: error.message });
+        continue;
+      }
+
+      const result = this.check(response, request);
+      attempts.push({ model, ...result, responseTime: Date.now() - startTime });
+
+      if (result.passed || isLast) {
+        if (index > 0) {
+          this.logger.info(`🪜 Cascade answered by ${model} after ${index} escalation(s)`, { chain });
+        }
+        return {
+          response,
+          cascade: { chain, attempts, finalModel: model, escalations: index, passed: result.passed }
+        };
+      }
+
+      this.logger.info(`🪜 ${model} reply failed the check (${result.reason}), escalating to ${chain[index + 1]}`);
+    }
+  }
+
+  /**
+   * Check a reply. Returns { passed, reason, confidence }.
+   */
+  check(response, request = {}) {
+    const text = this._replyText(response);
+    const confidence = this.confidence(response, text);
+    const fail = reason => ({ passed: false, reason, confidence });
+
+    if (!text.trim() && !(response.message?.tool_calls?.length > 0)) {
+      return fail('empty answer');
+    }
+
+    if (request.format) {
+      try {
+        JSON.parse(this._stripFence(text));
+      } catch (error) {
+        return fail('invalid JSON for the requested format');
+      }
+      return { passed: true, reason: null, confidence };
+    }
+
+    if ((text.match(/^\s*```/gm) || []).length % 2 === 1) {
+      return fail('unterminated code block');
+    }
+
+    for (const block of this._codeBlocks(text)) {
+      const error = this._syntaxError(block);
+      if (error) return fail(`${block.language} code does not parse: ${error}`);
+    }
+
+    if (confidence < this.minConfidence) {
+      return fail(`low confidence (${confidence})`);
+    }
+    return { passed: true, reason: null, confidence };
+  }
+
+  /**
+   * Confidence from 0 to 1: the mean token probability when the backend
+   * reports logprobs, otherwise 1 minus penalties for hedging and refusals
+   */
+  confidence(response, text = this._replyText(response)) {
+    if (Array.isArray(response.logprobs) && response.logprobs.length > 0) {
+      const mean = response.logprobs.reduce((sum, entry) => sum + (entry.logprob || 0), 0) / response.logprobs.length;
+      return Math.round(Math.exp(mean) * 100) / 100;
+    }
+
+    let score = 1;
+    score -= HEDGE_PATTERNS.filter(pattern => pattern.test(text)).length * HEDGE_PENALTY;
+    score -= REFUSAL_PATTERNS.filter(pattern => pattern.test(text)).length * REFUSAL_PENALTY;
+    return Math.max(0, Math.round(score * 100) / 100);
+  }
+
+  /**
+   * Ollama stream objects for a complete response, for clients that asked to stream
+   */
+  toStreamChunks(response) {
+    if (response.message) {
+      const { message, ...stats } = response;
+      return [
+        { model: response.model, created_at: response.created_at, message, done: false },
+        { ...stats, message: { role: 'assistant', content: '' }, done: true }
+      ];
+    }
+
+    const { response: text, ...stats } = response;
+    return [
+      { model: response.model, created_at: response.created_at, response: text, done: false },
+      { ...stats, response: '', done: true }
+    ];
+  }
+
+  _replyText(response) {
+    return response?.message?.content ?? response?.response ?? '';
+  }
+
+  _stripFence(text) {
+    const fenced = text.trim().match(/^```\w*\n([\s\S]*?)\n```$/);
+    return fenced ? fenced[1] : text;
+  }
+
+  _codeBlocks(text) {
+    const blocks = [];
+    for (const match of text.matchAll(/^\s*```(\w+)?[^\n]*\n([\s\S]*?)^\s*```/gm)) {
+      const language = (match[1] || '').toLowerCase();
+      if (JAVASCRIPT_LANGUAGES.includes(language) || JSON_LANGUAGES.includes(language)) {
+        blocks.push({ language, code: match[2] });
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * Compile (never run) a code block; returns the syntax error message or null
+   */
+  _syntaxError({ language, code }) {
+    if (JSON_LANGUAGES.includes(language)) {
+      try {
+        JSON.parse(code);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    }
+
+    // vm.Script only knows scripts: drop module syntax and allow top-level await
+    const script = code
+      .replace(/^\s*import\s[^;]*?from\s*['"][^'"]+['"];?\s*$/gm, '')
+      .replace(/^\s*import\s*['"][^'"]+['"];?\s*$/gm, '')
+      .replace(/^\s*export\s+(?:default\s+)?/gm, '');
+    try {
+      new vm.Script(`(async () => {\n${script}\n})`);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+}
+
+module.exports = { CascadePolicy };
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { PassThrough, Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { Logger } = require('../utils/logger');
+
+const MODES = ['record', 'replay'];
+
+/**
+ * 📼 Cassette Recorder
+ *
+ * Records upstream HTTP traffic to a cassette file and plays it back, so
+ * end-to-end runs of /api/chat, /api/chat/unified and workflows work
+ * without a live Ollama. It replaces the axios adapter: `install(axios)`
+ * covers the raw axios calls (BackendPool, the AI services) and every
+ * instance created afterwards from the same defaults (OllamaClient).
+ *
+ * - record: requests go upstream as usual; each request and its response,
+ *   including streamed chunks and error statuses, is appended to the file.
+ * - replay: nothing leaves the process. Requests are matched on method,
+ *   path and JSON body (host and key order ignored); repeated requests get
+ *   the recordings in order, then the last one again. Unmatched requests
+ *   fail with code ERR_CASSETTE_MISS.
+ *
+ * Configuration: OLLAMA_CASSETTE_MODE (record | replay), OLLAMA_CASSETTE.
+ */
+class CassetteRecorder {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.mode = options.mode !== undefined ? options.mode : process.env.OLLAMA_CASSETTE_MODE || null;
+    this.filePath = options.filePath || process.env.OLLAMA_CASSETTE ||
+      path.join(__dirname, '../../tests/cassettes/ollama.json');
+
+    if (this.mode && !MODES.includes(this.mode)) {
+      throw new Error(`Unknown cassette mode "${this.mode}" (expected ${MODES.join(' or ')})`);
+    }
+
+    this.interactions = this.mode === 'replay' ? this._load() : [];
+    // Replay position per request key
+    this.played = new Map();
+  }
+
+  isEnabled() {
+    return MODES.includes(this.mode);
+  }
+
+  /**
+   * Route an axios instance (the global axios by default) through the cassette
+   */
+  install(instance = axios) {
+    if (!this.isEnabled() || instance.defaults.adapter?.cassette) return instance;
+
+    const upstream = axios.getAdapter(instance.defaults.adapter);
+    const adapter = config => (this.mode === 'replay' ? this.replay(config) : this.record(config, upstream));
+    adapter.cassette = this;
+    instance.defaults.adapter = adapter;
+
+    this.logger.info(`📼 Cassette ${this.mode === 'replay' ? 'replaying from' : 'recording to'} ${this.filePath}`);
+    return instance;
+  }
+
+  /**
+   * Send the request upstream and store the exchange once the response is complete
+   */
+  async record(config, upstream) {
+    const request = this._describeRequest(config);
+
+    try {
+      const response = await upstream(config);
+      this._captureResponse(request, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        this._captureResponse(request, error.response);
+      } else {
+        this._save({ request, error: { message: error.message, code: error.code || null } });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Answer the request from the cassette
+   */
+  async replay(config) {
+    const request = this._describeRequest(config);
+    const key = this._key(request);
+    const recordings = this.interactions.filter(interaction => this._key(interaction.request) === key);
+
+    if (recordings.length === 0) {
+      this.logger.warn(`📼 No recording for ${request.method} ${request.url}`);
+      throw new axios.AxiosError(
+        `No cassette recording for ${request.method} ${request.url} in ${this.filePath}`,
+        'ERR_CASSETTE_MISS',
+        config
+      );
+    }
+
+    const position = this.played.get(key) || 0;
+    this.played.set(key, position + 1);
+    const interaction = recordings[Math.min(position, recordings.length - 1)];
+
+    if (interaction.error) {
+      throw new axios.AxiosError(interaction.error.message, interaction.error.code, config);
+    }
+
+    const recorded = interaction.response;
+    const response = {
+      data: this._replayData(recorded, config),
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: new axios.AxiosHeaders(recorded.headers),
+      config,
+      request: {}
+    };
+
+    // Same outcome as axios' own settle()
+    if (!config.validateStatus || config.validateStatus(response.status)) {
+      return response;
+    }
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status < 500 ? axios.AxiosError.ERR_BAD_REQUEST : axios.AxiosError.ERR_BAD_RESPONSE,
+      config,
+      response.request,
+      response
+    );
+  }
+
+  _captureResponse(request, response) {
+    const recorded = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: this._plainHeaders(response.headers)
+    };
+
+    if (response.data instanceof Readable) {
+      // Hand the caller a copy of the stream and keep the chunks as they pass
+      const chunks = [];
+      const decoder = new StringDecoder('utf8');
+      const copy = new PassThrough();
+      response.data.on('data', chunk => {
+        const text = decoder.write(chunk);
+        if (text) chunks.push(text);
+      });
+      response.data.on('end', () => {
+        const rest = decoder.end();
+        if (rest) chunks.push(rest);
+        this._save({ request, response: { ...recorded, chunks } });
+      });
+      response.data.on('error', error => copy.destroy(error));
+      response.data.pipe(copy);
+      response.data = copy;
+      return;
+    }
+
+    if (Buffer.isBuffer(response.data)) {
+      this._save({ request, response: { ...recorded, base64: response.data.toString('base64') } });
+    } else {
+      this._save({ request, response: { ...recorded, data: response.data } });
+    }
+  }
+
+  _replayData(recorded, config) {
+    if (recorded.chunks) {
+      const stream = Readable.from(recorded.chunks.map(chunk => Buffer.from(chunk)));
+      if (config.responseType === 'stream') return stream;
+      // Recorded as a stream, requested as a whole: axios still expects raw text here
+      return recorded.chunks.join('');
+    }
+    const data = recorded.base64 !== undefined ? Buffer.from(recorded.base64, 'base64') : recorded.data;
+    if (config.responseType === 'stream') {
+      return Readable.from([Buffer.isBuffer(data) ? data : Buffer.from(typeof data === 'string' ? data : JSON.stringify(data))]);
+    }
+    return data;
+  }
+
+  _describeRequest(config) {
+    let url = config.url || '';
+    try {
+      const parsed = new URL(axios.getUri(config));
+      url = `${parsed.pathname}${parsed.search}`;
+    } catch (error) {
+      // Keep the url as given
+    }
+
+    let body = config.data ?? null;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        // Not JSON: keep the raw text
+      }
+    }
+
+    return { method: (config.method || 'get').toUpperCase(), url, body };
+  }
+
+  _key(request) {
+    return `${request.method} ${request.url} ${this._stableStringify(request.body)}`;
+  }
+
+  _stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this._stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this._stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  _plainHeaders(headers) {
+    if (!headers) return {};
+    return typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+  }
+
+  _load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).interactions || [];
+    } catch (error) {
+      throw new Error(`Cannot read cassette ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  _save(interaction) {
+    this.interactions.push(interaction);
+    // Written after every exchange so a killed server still leaves a usable cassette
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, interactions: this.interactions }, null, 2));
+  }
+}
+
+module.exports = { CassetteRecorder };
@@ -0,0 +1,246 @@
+const { performance } = require('perf_hooks');
+const { Logger } = require('../utils/logger');
+
+// Labelled fields a dataset line can carry, and the stage that predicts each
+const EVAL_LABELS = {
+  taskType: 'task',
+  intentCategory: 'intent',
+  intent: 'intent',
+  actionType: 'approach'
+};
+const EVAL_STAGES = ['task', 'intent', 'approach'];
+
+// Stand-in for a prediction that threw or came back without the field
+const NO_PREDICTION = '(none)';
+
+/**
+ * 📏 Classification Evaluator
+ *
+ * Runs a labelled prompt set through the task classifier
+ * (EmbeddingClassifier.classifyRequest), intent recognition
+ * (IntentRecognizer.recognizeIntent) and approach mapping
+ * (ApproachMapper.mapIntentToApproach), then reports per-class precision
+ * and recall, a confusion matrix and latency for each labelled field.
+ * `compare()` diffs a report against a saved baseline case by case.
+ *
+ * Dataset lines are JSON objects: { id?, prompt, context?, taskType?,
+ * intentCategory?, intent?, actionType? }. A stage only runs for cases that
+ * carry one of its labels (approach mapping needs the intent result, so it
+ * also runs intent recognition).
+ */
+class ClassificationEvaluator {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.embeddingClassifier = options.embeddingClassifier;
+    this.intentRecognizer = options.intentRecognizer;
+    this.approachMapper = options.approachMapper;
+  }
+
+  /**
+   * Parse JSONL into cases; throws with the line number of the first bad line
+   */
+  static parseDataset(text) {
+    const cases = [];
+    text.split('\n').forEach((line, index) => {
+      if (!line.trim() || line.trim().startsWith('//')) return;
+
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`line ${index + 1}: ${error.message}`);
+      }
+      if (!item.prompt || typeof item.prompt !== 'string') throw new Error(`line ${index + 1}: prompt is required`);
+
+      const expected = {};
+      for (const field of Object.keys(EVAL_LABELS)) {
+        if (item[field] !== undefined) expected[field] = item[field];
+      }
+      if (Object.keys(expected).length === 0) {
+        throw new Error(`line ${index + 1}: no label (expected one of ${Object.keys(EVAL_LABELS).join(', ')})`);
+      }
+
+      cases.push({ id: String(item.id ?? index + 1), prompt: item.prompt, context: item.context || {}, expected });
+    });
+    return cases;
+  }
+
+  /**
+   * Evaluate every case. `stages` limits which classifiers run.
+   * Resolves to { generatedAt, total, labels, latency, cases }.
+   */
+  async run(cases, options = {}) {
+    const stages = options.stages || EVAL_STAGES;
+    const results = [];
+
+    for (const testCase of cases) {
+      results.push(await this._evaluateCase(testCase, stages));
+      if (options.onProgress) options.onProgress(results.length, cases.length);
+    }
+
+    const labels = {};
+    for (const [field, stage] of Object.entries(EVAL_LABELS)) {
+      const labelled = results.filter(result => field in result.predicted);
+      if (stages.includes(stage) && labelled.length > 0) labels[field] = this.summarize(field, labelled);
+    }
+
+    const latency = {};
+    for (const stage of stages) {
+      const timings = results.map(result => result.latencyMs[stage]).filter(value => value !== undefined);
+      if (timings.length > 0) latency[stage] = this._latencyStats(timings);
+    }
+
+    return { generatedAt: new Date().toISOString(), total: cases.length, labels, latency, cases: results };
+  }
+
+  /**
+   * Accuracy, per-class precision/recall/F1 and the confusion matrix
+   * (expected label -> predicted label -> count) for one field
+   */
+  summarize(field, results) {
+    const confusion = {};
+    let correct = 0;
+
+    for (const result of results) {
+      const expected = result.expected[field];
+      const predicted = result.predicted[field];
+      confusion[expected] = confusion[expected] || {};
+      confusion[expected][predicted] = (confusion[expected][predicted] || 0) + 1;
+      if (expected === predicted) correct++;
+    }
+
+    const labels = [...new Set(results.flatMap(result => [result.expected[field], result.predicted[field]]))].sort();
+    const classes = {};
+    for (const label of labels) {
+      const truePositives = confusion[label]?.[label] || 0;
+      const support = Object.values(confusion[label] || {}).reduce((sum, count) => sum + count, 0);
+      const predictedCount = Object.values(confusion).reduce((sum, row) => sum + (row[label] || 0), 0);
+
+      const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+      const recall = support > 0 ? truePositives / support : 0;
+      classes[label] = {
+        precision,
+        recall,
+        f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+        support
+      };
+    }
+
+    return { total: results.length, correct, accuracy: correct / results.length, classes, confusion };
+  }
+
+  /**
+   * Differences from a baseline report: accuracy and recall deltas per
+   * field, and the cases that went from right to wrong (regressed) or back
+   * (fixed). Cases are matched by id.
+   */
+  compare(report, baseline) {
+    const baselineCases = new Map((baseline.cases || []).map(result => [result.id, result]));
+    const labels = {};
+    let regressions = 0;
+
+    for (const [field, summary] of Object.entries(report.labels)) {
+      const before = baseline.labels?.[field];
+      const regressed = [];
+      const fixed = [];
+
+      for (const result of report.cases) {
+        const previous = baselineCases.get(result.id);
+        if (!(field in result.predicted) || !previous || !(field in (previous.predicted || {}))) continue;
+
+        const wasCorrect = previous.predicted[field] === previous.expected[field];
+        const isCorrect = result.predicted[field] === result.expected[field];
+        const change = { id: result.id, prompt: result.prompt, expected: result.expected[field], before: previous.predicted[field], after: result.predicted[field] };
+        if (wasCorrect && !isCorrect) regressed.push(change);
+        if (!wasCorrect && isCorrect) fixed.push(change);
+      }
+
+      const recall = {};
+      for (const [label, stats] of Object.entries(summary.classes)) {
+        const previous = before?.classes?.[label];
+        if (previous && previous.recall !== stats.recall) recall[label] = stats.recall - previous.recall;
+      }
+
+      regressions += regressed.length;
+      labels[field] = {
+        accuracy: { before: before ? before.accuracy : null, after: summary.accuracy, delta: before ? summary.accuracy - before.accuracy : null },
+        recall,
+        regressed,
+        fixed
+      };
+    }
+
+    const latency = {};
+    for (const [stage, stats] of Object.entries(report.latency)) {
+      const previous = baseline.latency?.[stage];
+      if (previous) latency[stage] = { before: previous.p50, after: stats.p50, delta: stats.p50 - previous.p50 };
+    }
+
+    return { baselineGeneratedAt: baseline.generatedAt || null, regressions, labels, latency };
+  }
+
+  async _evaluateCase(testCase, stages) {
+    const { expected } = testCase;
+    const wants = stage => stages.includes(stage) && Object.keys(expected).some(field => EVAL_LABELS[field] === stage);
+    const result = { id: testCase.id, prompt: testCase.prompt, expected, predicted: {}, latencyMs: {}, errors: {} };
+
+    if (wants('task')) {
+      const { value, latencyMs, error } = await this._time(() => this.embeddingClassifier.classifyRequest({
+        model: 'auto',
+        messages: [{ role: 'user', content: testCase.prompt }]
+      }));
+      result.latencyMs.task = latencyMs;
+      if (error) result.errors.task = error;
+      result.predicted.taskType = value?.taskType || NO_PREDICTION;
+    }
+
+    let intentResult = null;
+    if (wants('intent') || wants('approach')) {
+      const { value, latencyMs, error } = await this._time(() => this.intentRecognizer.recognizeIntent(testCase.prompt, testCase.context));
+      intentResult = value;
+      result.latencyMs.intent = latencyMs;
+      if (error) result.errors.intent = error;
+      for (const field of ['intentCategory', 'intent']) {
+        if (field in expected && stages.includes('intent')) result.predicted[field] = value?.[field] || NO_PREDICTION;
+      }
+    }
+
+    if (wants('approach')) {
+      if (intentResult) {
+        const { value, latencyMs, error } = await this._time(() => this.approachMapper.mapIntentToApproach(intentResult, testCase.context));
+        result.latencyMs.approach = latencyMs;
+        if (error) result.errors.approach = error;
+        result.predicted.actionType = value?.actionType || NO_PREDICTION;
+      } else {
+        result.predicted.actionType = NO_PREDICTION;
+      }
+    }
+
+    if (Object.keys(result.errors).length === 0) delete result.errors;
+    return result;
+  }
+
+  async _time(operation) {
+    const start = performance.now();
+    try {
+      const value = await operation();
+      return { value, latencyMs: Math.round(performance.now() - start) };
+    } catch (error) {
+      this.logger.warn('Evaluation case failed', { error: error.message });
+      return { value: null, latencyMs: Math.round(performance.now() - start), error: error.message };
+    }
+  }
+
+  _latencyStats(timings) {
+    const sorted = [...timings].sort((a, b) => a - b);
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+    return {
+      mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      p50: percentile(50),
+      p95: percentile(95),
+      max: sorted[sorted.length - 1]
+    };
+  }
+}
+
+module.exports = { ClassificationEvaluator, EVAL_LABELS, EVAL_STAGES };
@@ -0,0 +1,227 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+const { EmbeddingService } = require('./embeddingService');
+
+// Which classification a piece of feedback is about
+const FEEDBACK_CLASSIFIERS = ['intent', 'task'];
+const FEEDBACK_RATINGS = ['up', 'down'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 👍 Classification Feedback
+ *
+ * Records corrections to the intent category (IntentRecognizer) and task
+ * type (EmbeddingClassifier) in data/intent_learning.db and turns them into
+ * labelled examples the classifiers consult before their own rules.
+ *
+ * Feedback for the same prompt is pooled into votes per label. Each vote
+ * decays with FEEDBACK_HALF_LIFE_DAYS, and a thumbs-down without a label
+ * counts against the predicted label. An example's weight is its label's
+ * share of the votes, scaled down once those votes are old. A request takes
+ * an example's label when its embedding similarity times that weight reaches
+ * FEEDBACK_MIN_SCORE.
+ */
+class ClassificationFeedback {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.embeddingService = options.embeddingService || new EmbeddingService();
+    this.dbPath = options.dbPath || path.join(process.cwd(), 'data', 'intent_learning.db');
+    this.halfLifeDays = options.halfLifeDays || parseFloat(process.env.FEEDBACK_HALF_LIFE_DAYS) || 30;
+    this.minScore = options.minScore || parseFloat(process.env.FEEDBACK_MIN_SCORE) || 0.85;
+    this.maxExamples = options.maxExamples || 500;
+    // classifier -> valid labels, checked when feedback is recorded
+    this.getLabels = options.getLabels || (() => ({}));
+    this.now = options.now || (() => Date.now());
+
+    this.db = null; // opened on first use
+    this.examples = new Map(); // classifier -> { examples, builtAt }
+  }
+
+  /**
+   * Record feedback: { classifier, prompt, predicted, label, rating, source }.
+   * A thumbs-up confirms `predicted`; a thumbs-down names the correct `label`
+   * when the client knows it. Without a rating, one is derived from whether
+   * the label matches the prediction.
+   */
+  record({ classifier = 'task', prompt, predicted = null, label = null, rating = null, source = null } = {}) {
+    if (!FEEDBACK_CLASSIFIERS.includes(classifier)) {
+      throw this._invalid(`classifier must be one of: ${FEEDBACK_CLASSIFIERS.join(', ')}`);
+    }
+    if (!prompt || typeof prompt !== 'string' || !prompt.trim()) throw this._invalid('prompt is required');
+    if (rating !== null && !FEEDBACK_RATINGS.includes(rating)) {
+      throw this._invalid(`rating must be one of: ${FEEDBACK_RATINGS.join(', ')}`);
+    }
+
+    if (rating === null) {
+      if (!label) throw this._invalid('label or rating is required');
+      rating = predicted && label !== predicted ? 'down' : 'up';
+    }
+    if (rating === 'up') label = label || predicted;
+    if (!label && !predicted) throw this._invalid('label or predicted is required');
+
+    const labels = this.getLabels()[classifier];
+    for (const value of [label, predicted]) {
+      if (value && labels && !labels.includes(value)) {
+        throw this._invalid(`unknown ${classifier} label "${value}"; expected one of: ${labels.join(', ')}`);
+      }
+    }
+
+    const createdAt = this.now();
+    const result = this._db().prepare(`
+      INSERT INTO classification_feedback (classifier, prompt, predicted, label, rating, source, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(classifier, prompt.trim(), predicted, label, rating, source, createdAt);
+
+    this.examples.delete(classifier);
+    this.logger.info(`👍 ${classifier} feedback recorded: ${rating}${label ? ` -> ${label}` : ''}`);
+
+    return {
+      id: result.lastInsertRowid,
+      classifier,
+      prompt: prompt.trim(),
+      predicted,
+      label,
+      rating,
+      createdAt: new Date(createdAt).toISOString()
+    };
+  }
+
+  /**
+   * Labelled examples for a classifier: [{ prompt, label, weight, votes }],
+   * strongest first. Rebuilt when feedback arrives or after an hour, so the
+   * recency decay keeps moving.
+   */
+  getExamples(classifier) {
+    const cached = this.examples.get(classifier);
+    if (cached && this.now() - cached.builtAt < 60 * 60 * 1000) return cached.examples;
+
+    const rows = this._db().prepare(`
+      SELECT prompt, predicted, label, rating, created_at FROM classification_feedback
+      WHERE classifier = ? ORDER BY created_at DESC
+    `).all(classifier);
+
+    const byPrompt = new Map();
+    for (const row of rows) {
+      const key = row.prompt.toLowerCase();
+      if (!byPrompt.has(key)) byPrompt.set(key, { prompt: row.prompt, votes: {} });
+      const { votes } = byPrompt.get(key);
+
+      const decay = Math.pow(0.5, Math.max(0, this.now() - row.created_at) / DAY_MS / this.halfLifeDays);
+      if (row.label) votes[row.label] = (votes[row.label] || 0) + decay;
+      if (row.rating === 'down' && !row.label && row.predicted) {
+        votes[row.predicted] = (votes[row.predicted] || 0) - decay;
+      }
+    }
+
+    const examples = [];
+    for (const { prompt, votes } of byPrompt.values()) {
+      const [label, support] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+      if (support <= 0) continue;
+
+      // Share of all votes cast for this prompt, scaled down once the votes are old
+      const total = Object.values(votes).reduce((sum, value) => sum + Math.abs(value), 0);
+      const weight = (support / total) * Math.min(1, support);
+      examples.push({ prompt, label, weight, votes });
+    }
+
+    examples.sort((a, b) => b.weight - a.weight);
+    const limited = examples.slice(0, this.maxExamples);
+    this.examples.set(classifier, { examples: limited, builtAt: this.now() });
+    return limited;
+  }
+
+  /**
+   * The labelled example that best explains an embedding, or null when none
+   * scores at least minScore. Returns { label, prompt, similarity, weight, score }.
+   */
+  async match(classifier, embedding, options = {}) {
+    const examples = this.getExamples(classifier);
+    if (!embedding || examples.length === 0) return null;
+
+    const vectors = await this.embeddingService.embedMany(examples.map(example => example.prompt), options);
+
+    let best = null;
+    examples.forEach((example, index) => {
+      const similarity = this._cosineSimilarity(embedding, vectors[index]);
+      const score = similarity * example.weight;
+      if (!best || score > best.score) {
+        best = { label: example.label, prompt: example.prompt, similarity, weight: example.weight, score };
+      }
+    });
+
+    return best && best.score >= this.minScore ? best : null;
+  }
+
+  /**
+   * Feedback counts per classifier and rating, plus the current examples
+   */
+  getStats() {
+    const counts = this._db().prepare(`
+      SELECT classifier, rating, COUNT(*) AS count FROM classification_feedback GROUP BY classifier, rating
+    `).all();
+
+    return Object.fromEntries(FEEDBACK_CLASSIFIERS.map(classifier => {
+      const rows = counts.filter(row => row.classifier === classifier);
+      const count = rating => rows.find(row => row.rating === rating)?.count || 0;
+      return [classifier, { up: count('up'), down: count('down'), examples: this.getExamples(classifier).length }];
+    }));
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  _db() {
+    if (this.db) return this.db;
+
+    if (this.dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS classification_feedback (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        classifier TEXT NOT NULL,
+        prompt TEXT NOT NULL,
+        predicted TEXT,
+        label TEXT,
+        rating TEXT NOT NULL,
+        source TEXT,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_classification_feedback_classifier ON classification_feedback(classifier, created_at);
+    `);
+    return this.db;
+  }
+
+  _cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+
+  _invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+}
+
+module.exports = { ClassificationFeedback, FEEDBACK_CLASSIFIERS };
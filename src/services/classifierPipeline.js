@@ -0,0 +1,190 @@
+const { performance } = require('perf_hooks');
+const { Logger } = require('../utils/logger');
+const { isCancellation } = require('../utils/cancellation');
+const { PatternStage, KeywordStage, EmbeddingKnnStage, LlmJudgeStage } = require('./classifierStages');
+
+// Cheapest first; a stage with weight 0 is skipped
+const DEFAULT_STAGE_WEIGHTS = { pattern: 1, keyword: 1, embedding: 2, llm: 2 };
+
+/**
+ * 🗳️ Classifier Pipeline
+ *
+ * One classifier for both taxonomies - task types (EmbeddingClassifier) and
+ * intent categories (IntentRecognizer). Registered stages run in order
+ * (pattern, keyword, embedding kNN, LLM judge by default; see
+ * classifierStages.js) and each returns a score per label and a confidence.
+ *
+ * Votes are combined as the weighted average of confidence x label share over
+ * the stages that answered, so a stage that abstains does not dilute the
+ * others. Once the leading label's combined score reaches
+ * CLASSIFIER_CONFIDENCE_THRESHOLD the remaining stages are skipped. The
+ * result carries a per-stage trace of what each stage said.
+ *
+ * Configuration: CLASSIFIER_STAGE_WEIGHTS (e.g. "pattern=1,keyword=1,embedding=2,llm=2"),
+ * CLASSIFIER_CONFIDENCE_THRESHOLD, CLASSIFIER_KNN_K, CLASSIFIER_JUDGE_MODEL.
+ */
+class ClassifierPipeline {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.weights = { ...DEFAULT_STAGE_WEIGHTS, ...this._parseWeights(process.env.CLASSIFIER_STAGE_WEIGHTS), ...options.weights };
+
+    const threshold = parseFloat(process.env.CLASSIFIER_CONFIDENCE_THRESHOLD);
+    this.threshold = options.threshold !== undefined ? options.threshold : Number.isNaN(threshold) ? 0.75 : threshold;
+
+    this.stages = [];
+    const stages = options.stages || [
+      new PatternStage({ feedback: options.feedback }),
+      new KeywordStage(),
+      new EmbeddingKnnStage({ embeddingService: options.embeddingService, k: options.k }),
+      new LlmJudgeStage({ structuredOutput: options.structuredOutput, model: options.judgeModel })
+    ];
+    stages.forEach(stage => this.register(stage));
+  }
+
+  /**
+   * Add a stage, or replace the one with the same name in place.
+   * Options: `weight`, `before` (name of the stage to run ahead of).
+   */
+  register(stage, options = {}) {
+    if (!stage || !stage.name || typeof stage.classify !== 'function') {
+      throw new Error('A classifier stage needs a name and a classify(input) method');
+    }
+
+    if (options.weight !== undefined) this.weights[stage.name] = options.weight;
+
+    const existing = this.stages.findIndex(registered => registered.name === stage.name);
+    if (existing !== -1) {
+      this.stages[existing] = stage;
+      return this;
+    }
+
+    const before = options.before ? this.stages.findIndex(registered => registered.name === options.before) : -1;
+    this.stages.splice(before === -1 ? this.stages.length : before, 0, stage);
+    return this;
+  }
+
+  /**
+   * Classify a prompt: { classifier, text, embedding, categories, signal }.
+   * `categories` maps each label to its examples, keywords and patterns;
+   * stage votes for other labels are ignored. Resolves to
+   * { label, confidence, labels, stoppedAt, trace } - label is null when no
+   * stage answered.
+   */
+  async classify(input) {
+    const { classifier, categories } = input;
+    const scores = {};
+    const trace = [];
+    let evidence = 0;
+    let best = { label: null, confidence: 0 };
+    let stoppedAt = null;
+
+    for (const stage of this.stages) {
+      const weight = this.weights[stage.name] ?? 1;
+      if (weight <= 0 || stoppedAt) {
+        trace.push({ stage: stage.name, weight, status: weight <= 0 ? 'disabled' : 'skipped' });
+        continue;
+      }
+
+      const start = performance.now();
+      let result;
+      try {
+        result = await stage.classify(input);
+      } catch (error) {
+        if (isCancellation(error)) throw error;
+        this.logger.warn(`Classifier stage ${stage.name} failed`, { classifier, error: error.message });
+        trace.push({ stage: stage.name, weight, status: 'failed', error: error.message, latencyMs: this._elapsed(start) });
+        continue;
+      }
+
+      const distribution = this._distribution(result?.labels, categories);
+      if (!distribution) {
+        trace.push({ stage: stage.name, weight, status: 'abstained', latencyMs: this._elapsed(start) });
+        continue;
+      }
+
+      const confidence = Math.min(1, Math.max(0, Number(result.confidence) || 0));
+      for (const [label, share] of Object.entries(distribution)) {
+        scores[label] = (scores[label] || 0) + weight * confidence * share;
+      }
+      evidence += weight;
+      best = this._best(scores, evidence, categories);
+
+      trace.push({
+        stage: stage.name,
+        weight,
+        status: 'answered',
+        labels: this._round(distribution),
+        confidence: this._round(confidence),
+        detail: result.detail || null,
+        latencyMs: this._elapsed(start)
+      });
+
+      if (best.confidence >= this.threshold) stoppedAt = stage.name;
+    }
+
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    const labels = Object.fromEntries(Object.entries(scores).map(([label, score]) => [label, this._round(score / total)]));
+
+    this.logger.info(`🗳️ ${classifier}: ${best.label || 'no answer'} (${best.confidence.toFixed(2)})${stoppedAt ? ` after ${stoppedAt}` : ''}`);
+    return { label: best.label, confidence: this._round(best.confidence), labels, stoppedAt, trace };
+  }
+
+  /**
+   * Let stages prepare for a classifier's taxonomy (the kNN stage embeds the
+   * examples and computes the centroids)
+   */
+  async warm(classifier, categories) {
+    for (const stage of this.stages) {
+      if (typeof stage.warm === 'function' && (this.weights[stage.name] ?? 1) > 0) await stage.warm(categories, classifier);
+    }
+  }
+
+  /**
+   * The registered stages in order, with their weights, and the threshold
+   */
+  describe() {
+    return {
+      threshold: this.threshold,
+      stages: this.stages.map(stage => ({ name: stage.name, weight: this.weights[stage.name] ?? 1 }))
+    };
+  }
+
+  /**
+   * Scores for known labels scaled to sum to 1; null when nothing is left
+   */
+  _distribution(labels, categories) {
+    if (!labels) return null;
+
+    const known = Object.entries(labels).filter(([label, score]) => label in categories && score > 0);
+    const total = known.reduce((sum, [, score]) => sum + score, 0);
+    return total > 0 ? Object.fromEntries(known.map(([label, score]) => [label, score / total])) : null;
+  }
+
+  // Ties go to the category listed first
+  _best(scores, evidence, categories) {
+    const [label] = Object.keys(categories)
+      .filter(name => name in scores)
+      .sort((a, b) => scores[b] - scores[a]);
+    return { label, confidence: scores[label] / evidence };
+  }
+
+  _parseWeights(value) {
+    if (!value) return {};
+
+    return Object.fromEntries(value.split(',')
+      .map(entry => entry.split('=').map(part => part.trim()))
+      .filter(([name, weight]) => name && weight !== undefined && !Number.isNaN(parseFloat(weight)))
+      .map(([name, weight]) => [name, parseFloat(weight)]));
+  }
+
+  _elapsed(start) {
+    return Math.round(performance.now() - start);
+  }
+
+  _round(value) {
+    if (typeof value === 'number') return Math.round(value * 1000) / 1000;
+    return Object.fromEntries(Object.entries(value).map(([key, number]) => [key, this._round(number)]));
+  }
+}
+
+module.exports = { ClassifierPipeline, DEFAULT_STAGE_WEIGHTS };
@@ -0,0 +1,259 @@
+const { Logger } = require('../utils/logger');
+const { isCancellation } = require('../utils/cancellation');
+const { EmbeddingService } = require('./embeddingService');
+const { StructuredOutput } = require('./structuredOutput');
+
+/*
+ * Stages of the ClassifierPipeline. Each has a `name` and
+ * `classify(input)`, where input is { classifier, text, embedding,
+ * categories, signal } and `categories` maps a label to its definition
+ * ({ examples, keywords, requiredKeywords, patterns, description }, all
+ * optional). A stage resolves to { labels, confidence, detail } - a score per
+ * label and how sure it is, 0-1 - or null when it has nothing to say.
+ */
+
+// How sure a stage is of the matches it can make
+const EXACT_EXAMPLE_CONFIDENCE = 0.95;
+const PATTERN_CONFIDENCE = 0.9;
+const KEYWORD_CONFIDENCE = { base: 0.6, step: 0.1, max: 0.85 };
+
+const normalise = text => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * 🔤 Pattern stage: prompts we already know. A corrected prompt from
+ * /api/feedback (when its embedding matches at FEEDBACK_MIN_SCORE) wins
+ * outright; otherwise a prompt that equals a category example or matches one
+ * of its `patterns` (case-insensitive regular expressions).
+ */
+class PatternStage {
+  constructor(options = {}) {
+    this.name = 'pattern';
+    this.logger = new Logger();
+    this.feedback = options.feedback || null;
+    this.regexes = new Map();
+  }
+
+  async classify({ classifier, text, embedding, categories, signal }) {
+    const corrected = await this._matchFeedback(classifier, embedding, categories, signal);
+    if (corrected) {
+      return {
+        labels: { [corrected.label]: 1 },
+        confidence: Math.min(1, corrected.score),
+        detail: `feedback on "${corrected.prompt}"`
+      };
+    }
+
+    const prompt = normalise(text);
+    const hits = {};
+    const matched = [];
+    for (const [label, category] of Object.entries(categories)) {
+      const example = (category.examples || []).find(value => normalise(value) === prompt);
+      const pattern = example ? null : (category.patterns || []).find(value => this._regex(value)?.test(text));
+      if (example || pattern) {
+        hits[label] = example ? EXACT_EXAMPLE_CONFIDENCE : PATTERN_CONFIDENCE;
+        matched.push(example ? `example "${example}"` : `/${pattern}/`);
+      }
+    }
+
+    if (matched.length === 0) return null;
+    return { labels: hits, confidence: Math.max(...Object.values(hits)), detail: matched.join(', ') };
+  }
+
+  /**
+   * Feedback never blocks classification; a failed lookup falls through to the patterns
+   */
+  async _matchFeedback(classifier, embedding, categories, signal) {
+    if (!this.feedback || !embedding) return null;
+
+    try {
+      const match = await this.feedback.match(classifier, embedding, { signal });
+      return match && match.label in categories ? match : null;
+    } catch (error) {
+      if (isCancellation(error)) throw error;
+      this.logger.warn('Feedback lookup failed', { error: error.message });
+      return null;
+    }
+  }
+
+  _regex(source) {
+    if (!this.regexes.has(source)) {
+      try {
+        this.regexes.set(source, new RegExp(source, 'i'));
+      } catch (error) {
+        this.logger.warn(`Ignoring invalid classifier pattern /${source}/`, { error: error.message });
+        this.regexes.set(source, null);
+      }
+    }
+    return this.regexes.get(source);
+  }
+}
+
+/**
+ * 🔑 Keyword stage: categories score one point per keyword found in the
+ * prompt. A category with `requiredKeywords` only counts when one of those
+ * is present too. More matched keywords, more confidence.
+ */
+class KeywordStage {
+  constructor() {
+    this.name = 'keyword';
+  }
+
+  async classify({ text, categories }) {
+    const lowerText = String(text || '').toLowerCase();
+    const hits = {};
+    const matched = [];
+
+    for (const [label, category] of Object.entries(categories)) {
+      const keywords = (category.keywords || []).filter(keyword => lowerText.includes(keyword.toLowerCase()));
+      if (keywords.length === 0) continue;
+
+      // Categories can demand an additional indicator (e.g. coding needs a verb like "write")
+      const required = category.requiredKeywords;
+      if (required && !required.some(indicator => lowerText.includes(indicator.toLowerCase()))) continue;
+
+      hits[label] = keywords.length;
+      matched.push(`${label}: ${keywords.join(', ')}`);
+    }
+
+    if (matched.length === 0) return null;
+
+    const top = Math.max(...Object.values(hits));
+    const { base, step, max } = KEYWORD_CONFIDENCE;
+    return { labels: hits, confidence: Math.min(max, base + step * (top - 1)), detail: matched.join('; ') };
+  }
+}
+
+/**
+ * 🧬 Embedding kNN stage: the k category examples closest to the prompt's
+ * embedding vote for their category with their cosine similarity, and so
+ * does the nearest category centroid, so one stray example can't outvote a
+ * category that is closer overall. Example embeddings and centroids come
+ * from the shared EmbeddingService, so they are computed once and persisted.
+ */
+class EmbeddingKnnStage {
+  constructor(options = {}) {
+    this.name = 'embedding';
+    this.embeddingService = options.embeddingService || new EmbeddingService();
+    this.k = options.k || parseInt(process.env.CLASSIFIER_KNN_K) || 5;
+  }
+
+  async classify({ classifier, embedding, categories, signal }) {
+    const examples = this._examples(categories);
+    if (!embedding || examples.length === 0) return null;
+
+    const [vectors, centroids] = await Promise.all([
+      this.embeddingService.embedMany(examples.map(example => example.text), { signal }),
+      this.embeddingService.getCentroids(classifier, this._examplesByLabel(categories), { signal })
+    ]);
+    const neighbours = examples
+      .map((example, index) => ({ ...example, similarity: this._cosineSimilarity(embedding, vectors[index]) }))
+      .filter(neighbour => neighbour.similarity > 0)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, this.k);
+
+    if (neighbours.length === 0) return null;
+
+    const labels = {};
+    for (const neighbour of neighbours) {
+      labels[neighbour.label] = (labels[neighbour.label] || 0) + neighbour.similarity;
+    }
+
+    const centroid = Object.entries(centroids)
+      .map(([label, vector]) => ({ label, similarity: this._cosineSimilarity(embedding, vector) }))
+      .sort((a, b) => b.similarity - a.similarity)[0];
+    if (centroid && centroid.similarity > 0) {
+      labels[centroid.label] = (labels[centroid.label] || 0) + centroid.similarity;
+    }
+
+    const [nearest] = neighbours;
+    return {
+      labels,
+      confidence: Math.min(1, nearest.similarity),
+      detail: `nearest "${nearest.text}" (${nearest.label}, ${nearest.similarity.toFixed(3)})` +
+        (centroid ? `, centroid ${centroid.label} (${centroid.similarity.toFixed(3)})` : '')
+    };
+  }
+
+  /**
+   * Embed every example and compute the centroids ahead of the first request
+   */
+  async warm(categories, classifier) {
+    await this.embeddingService.embedMany(this._examples(categories).map(example => example.text));
+    await this.embeddingService.getCentroids(classifier, this._examplesByLabel(categories));
+  }
+
+  _examplesByLabel(categories) {
+    return Object.fromEntries(
+      Object.entries(categories)
+        .map(([label, category]) => [label, category.examples || []])
+        .filter(([, examples]) => examples.length > 0)
+    );
+  }
+
+  _examples(categories) {
+    return Object.entries(categories).flatMap(([label, category]) =>
+      (category.examples || []).map(text => ({ label, text }))
+    );
+  }
+
+  _cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+}
+
+/**
+ * ⚖️ LLM judge stage: asks CLASSIFIER_JUDGE_MODEL to pick a category and say
+ * how sure it is, through StructuredOutput so the reply is always a valid
+ * label. Off (abstains) until a model is configured, since it costs a
+ * generation on every prompt the cheaper stages could not settle.
+ */
+class LlmJudgeStage {
+  constructor(options = {}) {
+    this.name = 'llm';
+    this.structuredOutput = options.structuredOutput || new StructuredOutput();
+    this.model = options.model !== undefined ? options.model : process.env.CLASSIFIER_JUDGE_MODEL || null;
+  }
+
+  async classify({ text, categories, signal }) {
+    const labels = Object.keys(categories);
+    if (!this.model || labels.length === 0 || !text) return null;
+
+    const descriptions = Object.entries(categories).map(([label, category]) => {
+      const hint = category.description || (category.examples || []).slice(0, 3).map(example => `"${example}"`).join(', ');
+      return `- ${label}${hint ? `: ${hint}` : ''}`;
+    });
+
+    const { data } = await this.structuredOutput.generate('/api/generate', {
+      model: this.model,
+      prompt: `Classify the request into exactly one of these categories:
+${descriptions.join('\n')}
+
+Request: "${text}"
+
+Reply with JSON: the category label, your confidence from 0 to 1, and a short reason.`,
+      options: { temperature: 0 }
+    }, {
+      type: 'object',
+      properties: {
+        label: { type: 'string', enum: labels },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        reason: { type: 'string' }
+      },
+      required: ['label', 'confidence']
+    }, { signal, taskType: 'classification' });
+
+    return { labels: { [data.label]: 1 }, confidence: data.confidence, detail: data.reason || null };
+  }
+}
+
+module.exports = { PatternStage, KeywordStage, EmbeddingKnnStage, LlmJudgeStage };
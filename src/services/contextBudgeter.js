@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { BackendPool } = require('./backendPool');
+const { Logger } = require('../utils/logger');
+
+// Rough per-message overhead for role markers and template tokens
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const SUMMARY_MAX_TOKENS = 256;
+const SUMMARY_CACHE_SIZE = 100;
+
+/**
+ * 📏 Context Budgeter
+ *
+ * Keeps chat requests inside the selected model's context window: the
+ * window Ollama actually serves (its default num_ctx unless the request sets
+ * one), not the longer context the model was trained on. Prompt
+ * size is estimated at ~4 characters per token; when a conversation would
+ * not leave room for the response, the oldest turns are dropped and
+ * summarised by a small model into a single system message. System
+ * messages, messages marked `pinned: true` and the latest turns are never
+ * touched. The report returned with the messages says how many tokens were
+ * trimmed.
+ *
+ * Configuration: CONTEXT_DEFAULT_WINDOW (the serving window; falls back to
+ * OLLAMA_CONTEXT_LENGTH, as Ollama does, then 4096), CONTEXT_RESPONSE_RESERVE,
+ * CONTEXT_KEEP_RECENT, CONTEXT_SUMMARIZATION, CONTEXT_SUMMARY_MODEL.
+ */
+class ContextBudgeter {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.backendPool = options.backendPool || new BackendPool();
+    // Optional: context windows come from the model registry, the summary model from discovery
+    this.modelSelector = options.modelSelector || null;
+    this.modelDiscovery = options.modelDiscovery || null;
+
+    this.defaultContextWindow = options.defaultContextWindow || parseInt(process.env.CONTEXT_DEFAULT_WINDOW) ||
+      parseInt(process.env.OLLAMA_CONTEXT_LENGTH) || 4096;
+    this.responseReserve = options.responseReserve || parseInt(process.env.CONTEXT_RESPONSE_RESERVE) || 1024;
+    this.keepRecent = options.keepRecent || parseInt(process.env.CONTEXT_KEEP_RECENT) || 4;
+    this.summarize = options.summarize !== undefined ? options.summarize : process.env.CONTEXT_SUMMARIZATION !== 'false';
+    this.summaryModel = options.summaryModel || process.env.CONTEXT_SUMMARY_MODEL || null;
+
+    // Clients resend the whole history, so the same turns get summarised again and again
+    this.summaryCache = new Map();
+  }
+
+  /**
+   * Estimate the prompt tokens of a message list (plus tool definitions)
+   */
+  estimateTokens(messages, tools = null) {
+    let characters = 0;
+    for (const message of messages) {
+      characters += this._messageText(message).length;
+    }
+    const toolTokens = Array.isArray(tools) && tools.length > 0 ? Math.ceil(JSON.stringify(tools).length / 4) : 0;
+    return Math.ceil(characters / 4) + messages.length * MESSAGE_OVERHEAD_TOKENS + toolTokens;
+  }
+
+  /**
+   * Context window for a model: the request's num_ctx, else the serving
+   * default capped by the registry's contextWindow (the trained length
+   * discovery reads from /api/show)
+   */
+  getContextWindow(model, requestOptions = {}) {
+    if (requestOptions?.num_ctx > 0) return requestOptions.num_ctx;
+    const info = this.modelSelector?.getModelInfo(model);
+    return Math.min(this.defaultContextWindow, info?.contextWindow || Infinity);
+  }
+
+  /**
+   * Fit a chat request's messages into `model`'s context window.
+   * Returns { messages, report }; `messages` is the original array when
+   * nothing had to be trimmed.
+   */
+  async fit(requestBody, model) {
+    const messages = requestBody.messages || [];
+    const contextWindow = this.getContextWindow(model, requestBody.options);
+    const reserve = requestBody.options?.num_predict > 0
+      ? Math.min(requestBody.options.num_predict, Math.floor(contextWindow / 2))
+      : Math.min(this.responseReserve, Math.floor(contextWindow / 4));
+    const budgetTokens = contextWindow - reserve;
+    const toolTokens = this.estimateTokens([], requestBody.tools);
+    const originalTokens = this.estimateTokens(messages, requestBody.tools);
+
+    const report = {
+      model,
+      contextWindow,
+      budgetTokens,
+      originalTokens,
+      promptTokens: originalTokens,
+      trimmedTokens: 0,
+      droppedMessages: 0,
+      summarized: false,
+      overBudget: false
+    };
+
+    if (originalTokens <= budgetTokens) {
+      return { messages, report };
+    }
+
+    const groups = this._groupTurns(messages);
+    const protectedFrom = this._protectedFrom(groups);
+    const droppable = groups.filter((group, index) =>
+      index < protectedFrom && !group.some(message => message.role === 'system' || message.pinned === true)
+    );
+
+    // Drop oldest first until the rest fits (leaving room for a summary)
+    const summaryAllowance = this.summarize ? SUMMARY_MAX_TOKENS + MESSAGE_OVERHEAD_TOKENS : 0;
+    const dropped = new Set();
+    let remainingTokens = originalTokens;
+    for (const group of droppable) {
+      if (remainingTokens + (dropped.size > 0 ? summaryAllowance : 0) <= budgetTokens) break;
+      dropped.add(group);
+      remainingTokens -= this.estimateTokens(group);
+    }
+
+    if (dropped.size === 0) {
+      report.overBudget = true;
+      this.logger.warn(`📏 Prompt for ${model} exceeds its context window but nothing can be trimmed`, {
+        promptTokens: originalTokens,
+        budgetTokens
+      });
+      return { messages, report };
+    }
+
+    const droppedMessages = groups.filter(group => dropped.has(group)).flat();
+    const summary = this.summarize ? await this._summarize(droppedMessages, model) : null;
+
+    const fitted = [];
+    let summaryInserted = false;
+    for (const group of groups) {
+      if (!dropped.has(group)) {
+        fitted.push(...group);
+      } else if (summary && !summaryInserted) {
+        // The summary takes the place of the oldest dropped turn
+        fitted.push({ role: 'system', content: `Summary of earlier conversation (${droppedMessages.length} messages):\n${summary}` });
+        summaryInserted = true;
+      }
+    }
+
+    report.promptTokens = this.estimateTokens(fitted) + toolTokens;
+    report.trimmedTokens = Math.max(0, originalTokens - report.promptTokens);
+    report.droppedMessages = droppedMessages.length;
+    report.summarized = Boolean(summary);
+    report.overBudget = report.promptTokens > budgetTokens;
+
+    this.logger.info(`📏 Trimmed ${report.trimmedTokens} tokens from the prompt for ${model}`, {
+      droppedMessages: report.droppedMessages,
+      summarized: report.summarized,
+      promptTokens: report.promptTokens,
+      budgetTokens
+    });
+
+    return { messages: fitted, report };
+  }
+
+  /**
+   * Group messages into turns so tool results stay with the call that made them
+   */
+  _groupTurns(messages) {
+    const groups = [];
+    for (const message of messages) {
+      if (message.role === 'tool' && groups.length > 0) {
+        groups[groups.length - 1].push(message);
+      } else {
+        groups.push([message]);
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Index of the first protected group: the last `keepRecent` turns and
+   * everything from the latest user message on
+   */
+  _protectedFrom(groups) {
+    const lastUser = groups.map(group => group[0].role).lastIndexOf('user');
+    const recent = Math.max(0, groups.length - this.keepRecent);
+    return lastUser === -1 ? recent : Math.min(recent, lastUser);
+  }
+
+  /**
+   * Summarise dropped turns with a small model; null if that fails
+   */
+  async _summarize(messages, requestModel) {
+    const transcript = messages
+      .map(message => `${message.role}: ${this._messageText(message)}`)
+      .join('\n\n');
+    const cacheKey = crypto.createHash('sha256').update(transcript).digest('hex');
+    if (this.summaryCache.has(cacheKey)) {
+      return this.summaryCache.get(cacheKey);
+    }
+
+    const model = this._pickSummaryModel(requestModel);
+    // Keep the transcript inside the summary model's own window, favouring the newest part
+    const maxCharacters = Math.max(1000, (this.getContextWindow(model) - SUMMARY_MAX_TOKENS - 256) * 4);
+
+    try {
+      const response = await this.backendPool.post('/api/chat', {
+        model,
+        stream: false,
+        options: { num_predict: SUMMARY_MAX_TOKENS, temperature: 0.2 },
+        messages: [
+          {
+            role: 'system',
+            content: 'Summarise the following earlier part of a conversation in a few sentences. Keep facts, decisions, file names and code identifiers needed to continue it. Reply with the summary only.'
+          },
+          { role: 'user', content: transcript.slice(-maxCharacters) }
+        ]
+      });
+
+      const summary = response.data?.message?.content?.trim();
+      if (!summary) return null;
+
+      this.summaryCache.set(cacheKey, summary);
+      if (this.summaryCache.size > SUMMARY_CACHE_SIZE) {
+        this.summaryCache.delete(this.summaryCache.keys().next().value);
+      }
+      return summary;
+    } catch (error) {
+      this.logger.warn('📏 Summarising dropped turns failed, dropping them without a summary', {
+        model,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * CONTEXT_SUMMARY_MODEL, else the smallest installed chat model, else the request's model
+   */
+  _pickSummaryModel(requestModel) {
+    if (this.summaryModel) return this.summaryModel;
+
+    const installed = this.modelDiscovery?.hasInventory()
+      ? Object.values(this.modelDiscovery.getStatus().installed)
+        .filter(model => !model.features.embedding && model.parameters)
+        .sort((a, b) => a.parameters - b.parameters)
+      : [];
+    return installed.length > 0 ? installed[0].name : requestModel;
+  }
+
+  _messageText(message) {
+    let text = '';
+    if (typeof message.content === 'string') {
+      text = message.content;
+    } else if (Array.isArray(message.content)) {
+      text = message.content.map(part => (typeof part === 'string' ? part : part.text || '')).join('\n');
+    }
+    return message.tool_calls ? text + JSON.stringify(message.tool_calls) : text;
+  }
+}
+
+module.exports = { ContextBudgeter };
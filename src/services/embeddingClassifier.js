@@ -1,98 +1,44 @@
-const axios = require('axios');
+const { RoutingRules, COMPLEXITY_LEVELS } = require('./routingRules');
+const { EmbeddingService } = require('./embeddingService');
+const { ClassifierPipeline } = require('./classifierPipeline');
+const { LanguageDetector } = require('./languageDetector');
 const { Logger } = require('../utils/logger');
 
+/**
+ * 🧠 Embedding Classifier
+ *
+ * Classifies requests by task type, complexity and language and picks a
+ * model. Categories, keywords, candidate models and thresholds come from the
+ * RoutingRules config, so edits to the rules file apply to the next request.
+ * The task type is voted on by the ClassifierPipeline.
+ */
 class EmbeddingClassifier {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger();
-    this.embeddingModel = 'nomic-embed-text:latest';
-    this.ollamaBaseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-
-    // Predefined task categories with example prompts
-    this.taskCategories = {
-      coding: {
-        examples: [
-          'write a function to',
-          'create a class for',
-          'implement an algorithm',
-          'debug this code',
-          'optimize this function',
-          'refactor this method',
-          'write a test for',
-          'create an API endpoint',
-          'design a database schema',
-          'build a web application',
-          'implement a data structure',
-          'create a docker container',
-          'write a shell script',
-          'create a configuration file'
-        ],
-        keywords: ['function', 'class', 'algorithm', 'debug', 'optimize', 'refactor', 'test', 'api', 'database', 'web', 'docker', 'script', 'config'],
-        models: ['codellama:13b-instruct-q4_K_M', 'deepseek-coder:6.7b-instruct-q6_K', 'qwen2.5-coder:7b-instruct-q6_K']
-      },
-      technical_analysis: {
-        examples: [
-          'analyze the performance of',
-          'design the architecture for',
-          'explain how this system works',
-          'compare different approaches',
-          'evaluate the security of',
-          'assess the scalability of',
-          'review the design patterns',
-          'analyze the trade-offs',
-          'explain the algorithm complexity',
-          'design a distributed system'
-        ],
-        keywords: ['analyze', 'design', 'architecture', 'performance', 'security', 'scalability', 'patterns', 'trade-offs', 'complexity', 'distributed'],
-        models: ['codellama:13b-instruct-q4_K_M', 'qwen2.5:7b-instruct-q6_K', 'deepseek-coder:6.7b-instruct-q6_K']
-      },
-      general: {
-        examples: [
-          'tell me a joke',
-          'explain this concept',
-          'what is the meaning of',
-          'how do I learn about',
-          'give me advice on',
-          'summarize this text',
-          'translate this to',
-          'write a story about',
-          'explain the difference between',
-          'what are the benefits of'
-        ],
-        keywords: ['explain', 'meaning', 'learn', 'advice', 'summarize', 'translate', 'story', 'difference', 'benefits'],
-        models: ['qwen2.5:7b-instruct-q6_K', 'llama3.1:8b-instruct-q4_K_M', 'granite3.3:8b']
-      },
-      embeddings: {
-        examples: [
-          'create embeddings for',
-          'find similar texts',
-          'calculate semantic similarity',
-          'cluster these documents',
-          'search for similar content'
-        ],
-        keywords: ['embedding', 'similar', 'semantic', 'cluster', 'search'],
-        models: ['nomic-embed-text:latest']
-      }
-    };
+    // Shared with the intent recognizer so a prompt is only embedded once
+    this.embeddingService = options.embeddingService || new EmbeddingService();
+    this.routingRules = options.routingRules || new RoutingRules();
+    // Shared with the intent recognizer; `feedback` lets corrected prompts from /api/feedback win
+    this.classifierPipeline = options.classifierPipeline ||
+      new ClassifierPipeline({ embeddingService: this.embeddingService, feedback: options.feedback });
+    // Shared with the orchestrator and code analyzer; reads fences, file paths and workspace context too
+    this.languageDetector = options.languageDetector || new LanguageDetector({ routingRules: this.routingRules });
+    // Optional; when set, only installed models are recommended
+    this.modelDiscovery = options.modelDiscovery || null;
+  }
 
-    // Complexity detection patterns
-    this.complexityPatterns = {
-      low: {
-        keywords: ['simple', 'basic', 'easy', 'straightforward', 'quick', 'help'],
-        maxTokens: 1000
-      },
-      medium: {
-        keywords: ['explain', 'analyze', 'compare', 'design', 'implement', 'create'],
-        maxTokens: 3000
-      },
-      high: {
-        keywords: ['complex', 'advanced', 'sophisticated', 'optimize', 'refactor', 'debug'],
-        maxTokens: 6000
-      },
-      very_high: {
-        keywords: ['architecture', 'system design', 'distributed', 'microservices', 'scalable', 'enterprise'],
-        maxTokens: 12000
-      }
-    };
+  /**
+   * Task categories with example prompts, keywords and candidate models
+   */
+  get taskCategories() {
+    return this.routingRules.getRules().categories;
+  }
+
+  /**
+   * Complexity keywords and token thresholds
+   */
+  get complexityPatterns() {
+    return this.routingRules.getRules().complexity;
   }
 
   /**
@@ -109,13 +55,15 @@ class EmbeddingClassifier {
       const requestEmbedding = await this._getEmbedding(content);
 
       // Classify the task type
-      const taskType = await this._classifyTaskType(content, requestEmbedding);
+      const vote = await this._classifyTaskType(content, requestEmbedding);
+      const taskType = vote.label || 'general';
 
       // Determine complexity
       const complexity = this._determineComplexity(content);
 
-      // Detect programming language
-      const language = this._detectLanguage(content);
+      // Detect programming language (PluginGeek sends attached files and the workspace in `context`)
+      const detected = this._detectLanguage(content, requestBody.context);
+      const language = detected.language;
 
       // Select optimal model
       const recommendedModel = this._selectOptimalModel(taskType, complexity, language);
@@ -126,14 +74,18 @@ class EmbeddingClassifier {
 
       const classification = {
         taskType,
+        confidence: vote.confidence,
         complexity,
         language,
+        languageConfidence: detected.confidence,
         context: this._generateContext(taskType, content),
         estimatedTokens: this._estimateTokens(content, complexity),
         recommendedModel,
         reasoning: this._generateReasoning(taskType, complexity, language, recommendedModel),
         needsPlanning,
         planningSteps,
+        _embedding: requestEmbedding,
+        _trace: vote.trace,
         _source: 'embedding_classification',
         _timestamp: new Date().toISOString(),
         _originalRequest: {
@@ -176,143 +128,86 @@ class EmbeddingClassifier {
   }
 
   /**
-   * Get embedding for text using nomic-embed-text
+   * Get embedding for text from the shared embedding service
    */
   async _getEmbedding(text) {
-    try {
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/embeddings`, {
-        model: this.embeddingModel,
-        prompt: text
-      });
-
-      return response.data.embedding;
-    } catch (error) {
-      throw new Error(`Failed to get embedding: ${error.message}`);
-    }
+    return this.embeddingService.embed(text);
   }
 
   /**
-   * Classify task type using keyword matching and semantic similarity
+   * Classify task type with the classifier pipeline (pattern, keyword,
+   * embedding kNN and LLM judge stages). Resolves to the pipeline's vote;
+   * its label is null when no stage answered.
    */
   async _classifyTaskType(content, requestEmbedding) {
-    const lowerContent = content.toLowerCase();
-
-    // First, try keyword-based classification (fast and reliable)
-    for (const [taskType, category] of Object.entries(this.taskCategories)) {
-      const hasKeywords = category.keywords.some(keyword =>
-        lowerContent.includes(keyword.toLowerCase())
-      );
-
-      if (hasKeywords) {
-        // Additional validation for coding tasks
-        if (taskType === 'coding') {
-          const codingIndicators = [
-            'write', 'create', 'implement', 'code', 'program', 'function', 'class',
-            'algorithm', 'debug', 'optimize', 'refactor', 'test', 'api', 'database'
-          ];
-          if (codingIndicators.some(indicator => lowerContent.includes(indicator))) {
-            return taskType;
-          }
-        } else {
-          return taskType;
-        }
-      }
-    }
-
-    // Fallback to general for ambiguous cases
-    return 'general';
+    return this.classifierPipeline.classify({
+      classifier: 'task',
+      text: content,
+      embedding: requestEmbedding,
+      categories: this.taskCategories
+    });
   }
 
   /**
-   * Determine complexity based on content analysis
+   * Determine complexity from keywords, raised to the first level whose
+   * maxTokens threshold fits the content's estimated size
    */
   _determineComplexity(content) {
     const lowerContent = content.toLowerCase();
+    const patterns = this.complexityPatterns;
 
-    // Check for very_high complexity indicators
-    if (this.complexityPatterns.very_high.keywords.some(keyword => lowerContent.includes(keyword))) {
-      return 'very_high';
-    }
-
-    // Check for high complexity indicators
-    if (this.complexityPatterns.high.keywords.some(keyword => lowerContent.includes(keyword))) {
-      return 'high';
-    }
+    // The most demanding level with a matching keyword wins
+    let level = [...COMPLEXITY_LEVELS].reverse().find(name =>
+      name !== 'low' && patterns[name].keywords.some(keyword => lowerContent.includes(keyword.toLowerCase()))
+    ) || 'low';
 
-    // Check for medium complexity indicators
-    if (this.complexityPatterns.medium.keywords.some(keyword => lowerContent.includes(keyword))) {
-      return 'medium';
+    const contentTokens = Math.ceil(content.length / 4);
+    while (level !== 'very_high' && contentTokens > patterns[level].maxTokens) {
+      level = COMPLEXITY_LEVELS[COMPLEXITY_LEVELS.indexOf(level) + 1];
     }
 
-    // Default to low complexity
-    return 'low';
+    return level;
   }
 
   /**
-   * Detect programming language from content
+   * Detect programming language from the content and the request's context.
+   * Returns the detector's { language, confidence, scores, signals }.
    */
-  _detectLanguage(content) {
-    const lowerContent = content.toLowerCase();
-
-    const languagePatterns = {
-      python: ['python', 'py', 'pip', 'django', 'flask', 'numpy', 'pandas'],
-      javascript: ['javascript', 'js', 'node', 'react', 'vue', 'angular', 'npm'],
-      java: ['java', 'spring', 'maven', 'gradle', 'jvm'],
-      cpp: ['cpp', 'c++', 'stl', 'boost', 'cmake'],
-      rust: ['rust', 'cargo', 'crate'],
-      go: ['go', 'golang', 'goroutine'],
-      typescript: ['typescript', 'ts', 'tsx'],
-      sql: ['sql', 'database', 'table', 'query'],
-      bash: ['bash', 'shell', 'script', 'terminal'],
-      docker: ['docker', 'container', 'image', 'dockerfile']
-    };
-
-    for (const [language, patterns] of Object.entries(languagePatterns)) {
-      if (patterns.some(pattern => lowerContent.includes(pattern))) {
-        return language;
-      }
-    }
-
-    return 'general';
+  _detectLanguage(content, context = {}) {
+    return this.languageDetector.detect({ text: content, context });
   }
 
   /**
-   * Select optimal model based on task type, complexity, and language
+   * Select optimal model based on task type, complexity, and language.
+   * Candidates are tried in order - the category's language override, its
+   * complexity override, its models, then the default model - and the first
+   * installed one wins.
    */
   _selectOptimalModel(taskType, complexity, language) {
     const category = this.taskCategories[taskType];
-    if (!category) return process.env.DEFAULT_MODEL || 'codellama:13b-instruct-q4_K_M';
-
-    const availableModels = category.models;
-
-    // For coding tasks, prefer models that support the specific language
-    if (taskType === 'coding' && language !== 'general') {
-      const languageSpecificModels = {
-        python: ['deepseek-coder:6.7b-instruct-q6_K', 'codellama:13b-instruct-q4_K_M'],
-        javascript: ['codellama:13b-instruct-q4_K_M', 'qwen2.5-coder:7b-instruct-q6_K'],
-        java: ['codellama:13b-instruct-q4_K_M', 'deepseek-coder:6.7b-instruct-q6_K'],
-        cpp: ['codellama:13b-instruct-q4_K_M', 'codestral:22b-v0.1-q4_K_M'],
-        rust: ['codellama:13b-instruct-q4_K_M', 'codestral:22b-v0.1-q4_K_M']
-      };
+    if (!category) return this._defaultModel();
 
-      const languageModels = languageSpecificModels[language];
-      if (languageModels) {
-        // Find the first available model from the language-specific list
-        for (const model of languageModels) {
-          if (availableModels.includes(model)) {
-            return model;
-          }
-        }
-      }
-    }
+    const candidates = [
+      ...(language !== 'general' ? category.languageOverrides?.[language] || [] : []),
+      ...(category.complexityOverrides?.[complexity] || []),
+      ...category.models
+    ];
+    if (taskType !== 'embeddings') candidates.push(this._configuredDefaultModel());
 
-    // For very high complexity, prefer larger models
-    if (complexity === 'very_high' && availableModels.includes('codestral:22b-v0.1-q4_K_M')) {
-      return 'codestral:22b-v0.1-q4_K_M';
-    }
+    return this._firstInstalled(candidates, taskType === 'embeddings');
+  }
+
+  _defaultModel() {
+    return this._firstInstalled([this._configuredDefaultModel()], false);
+  }
+
+  _configuredDefaultModel() {
+    return process.env.DEFAULT_MODEL || this.routingRules.getRules().defaultModel || 'codellama:13b-instruct-q4_K_M';
+  }
 
-    // Return the first available model (usually the best one for the task)
-    return availableModels[0];
+  _firstInstalled(candidates, embedding) {
+    if (!this.modelDiscovery) return candidates[0];
+    return this.modelDiscovery.pickInstalled(candidates, { embedding });
   }
 
   /**
@@ -394,11 +289,13 @@ class EmbeddingClassifier {
   _getDefaultClassification(requestBody) {
     return {
       taskType: 'general',
+      confidence: 0,
       complexity: 'medium',
       language: 'general',
+      languageConfidence: 0,
       context: 'General conversation',
       estimatedTokens: 100,
-      recommendedModel: process.env.DEFAULT_MODEL || 'codellama:13b-instruct-q4_K_M',
+      recommendedModel: this._defaultModel(),
       reasoning: 'Fallback classification due to embedding failure',
       needsPlanning: false,
       planningSteps: [],
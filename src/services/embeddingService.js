@@ -0,0 +1,368 @@
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+const { BackendPool } = require('./backendPool');
+
+/**
+ * 🧬 Embedding Service
+ *
+ * The one place embeddings come from. Vectors are cached by model plus a
+ * hash of the text: an in-memory LRU in front of data/embeddings.db, so the
+ * same prompt is embedded once no matter how many classifiers look at it,
+ * and a restart starts warm. Misses that arrive within EMBEDDING_BATCH_WINDOW_MS
+ * of each other go to Ollama as a single /api/embed call.
+ *
+ * Category centroids (the mean embedding of a category's examples) are
+ * stored with a fingerprint of the model and examples, and only recomputed
+ * when either changes.
+ *
+ * Configuration: EMBEDDING_MODEL, EMBEDDING_CACHE_SIZE, EMBEDDING_CACHE_DB,
+ * EMBEDDING_BATCH_WINDOW_MS, EMBEDDING_BATCH_SIZE.
+ */
+class EmbeddingService {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    // Created on first use when not given, like the database
+    this.backendPool = options.backendPool || null;
+    this.model = options.model || process.env.EMBEDDING_MODEL || 'nomic-embed-text';
+    this.cacheSize = options.cacheSize || parseInt(process.env.EMBEDDING_CACHE_SIZE) || 2000;
+    this.dbPath = options.dbPath || process.env.EMBEDDING_CACHE_DB || path.join(process.cwd(), 'data', 'embeddings.db');
+
+    const window = parseInt(process.env.EMBEDDING_BATCH_WINDOW_MS);
+    this.batchWindowMs = options.batchWindowMs !== undefined ? options.batchWindowMs : Number.isNaN(window) ? 5 : window;
+    this.maxBatchSize = options.maxBatchSize || parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32;
+
+    this.memory = new Map();
+    // Cache key -> promise of the vector, so concurrent callers share one upstream request
+    this.inflight = new Map();
+    // Model -> texts waiting for the next batch
+    this.queues = new Map();
+    this.db = null;
+
+    this.stats = { memoryHits: 0, diskHits: 0, misses: 0, batches: 0, batchedTexts: 0, failures: 0 };
+  }
+
+  /**
+   * Embedding for one text. Options: `model`, `signal` (stops waiting; the
+   * batch it joined still completes and is cached for the next caller).
+   */
+  async embed(text, options = {}) {
+    const model = this._normaliseModel(options.model || this.model);
+    const key = this._key(model, text);
+
+    const cached = this._fromMemory(key) || this._fromDisk(key);
+    if (cached) return cached;
+
+    if (!this.inflight.has(key)) {
+      this.stats.misses++;
+      const pending = this._enqueue(model, key, String(text));
+      this.inflight.set(key, pending);
+      pending.then(() => this.inflight.delete(key), () => this.inflight.delete(key));
+    }
+
+    return this._abortable(this.inflight.get(key), options.signal);
+  }
+
+  /**
+   * Embeddings for several texts, in order
+   */
+  embedMany(texts, options = {}) {
+    return Promise.all(texts.map(text => this.embed(text, options)));
+  }
+
+  /**
+   * Mean embedding of each category's examples, persisted so restarts skip
+   * recomputing them. `categories` maps a category name to its example texts;
+   * `namespace` keeps different classifiers' categories apart.
+   */
+  async getCentroids(namespace, categories, options = {}) {
+    const model = this._normaliseModel(options.model || this.model);
+    const centroids = {};
+    const missing = [];
+
+    for (const [category, examples] of Object.entries(categories)) {
+      const fingerprint = this._hash(JSON.stringify([model, examples]));
+      const stored = this._readCentroid(namespace, category, fingerprint);
+      if (stored) {
+        centroids[category] = stored;
+      } else {
+        missing.push({ category, examples, fingerprint });
+      }
+    }
+
+    // All missing categories at once, so their examples share batches
+    await Promise.all(missing.map(async ({ category, examples, fingerprint }) => {
+      const vectors = await this.embedMany(examples, { ...options, model });
+      centroids[category] = this._mean(vectors);
+      this._writeCentroid(namespace, category, model, fingerprint, centroids[category]);
+    }));
+
+    if (missing.length > 0) {
+      this.logger.info(`🧬 Computed ${missing.length} ${namespace} category centroids with ${model}`);
+    }
+    return centroids;
+  }
+
+  /**
+   * Cache hit/miss counters and sizes
+   */
+  getStats() {
+    const hits = this.stats.memoryHits + this.stats.diskHits;
+    const lookups = hits + this.stats.misses;
+    const db = this._database();
+
+    return {
+      model: this.model,
+      ...this.stats,
+      hits,
+      hitRate: lookups > 0 ? hits / lookups : 0,
+      averageBatchSize: this.stats.batches > 0 ? this.stats.batchedTexts / this.stats.batches : 0,
+      memoryEntries: this.memory.size,
+      storedEntries: db ? db.prepare('SELECT COUNT(*) AS count FROM embeddings').get().count : 0,
+      storedCentroids: db ? db.prepare('SELECT COUNT(*) AS count FROM embedding_centroids').get().count : 0
+    };
+  }
+
+  /**
+   * Remove every cached embedding and centroid
+   */
+  clear() {
+    this.memory.clear();
+    const db = this._database();
+    if (!db) return { success: true, removed: 0 };
+
+    const removed = db.prepare('DELETE FROM embeddings').run().changes;
+    db.prepare('DELETE FROM embedding_centroids').run();
+    return { success: true, removed };
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  _enqueue(model, key, text) {
+    return new Promise((resolve, reject) => {
+      if (!this.queues.has(model)) this.queues.set(model, { entries: [], timer: null });
+      const queue = this.queues.get(model);
+
+      queue.entries.push({ key, text, resolve, reject });
+
+      if (queue.entries.length >= this.maxBatchSize) {
+        this._flush(model);
+      } else if (!queue.timer) {
+        queue.timer = setTimeout(() => this._flush(model), this.batchWindowMs);
+      }
+    });
+  }
+
+  async _flush(model) {
+    const queue = this.queues.get(model);
+    if (!queue) return;
+    clearTimeout(queue.timer);
+    this.queues.delete(model);
+
+    const { entries } = queue;
+    this.stats.batches++;
+    this.stats.batchedTexts += entries.length;
+
+    try {
+      if (!this.backendPool) this.backendPool = new BackendPool();
+
+      const response = await this.backendPool.post('/api/embed', {
+        model,
+        input: entries.map(entry => entry.text)
+      }, { timeout: 30000 }, { taskType: 'embedding' });
+
+      const embeddings = response.data?.embeddings || [];
+      if (embeddings.length !== entries.length) {
+        throw new Error(`expected ${entries.length} embeddings from ${model}, got ${embeddings.length}`);
+      }
+
+      entries.forEach((entry, index) => {
+        this._remember(entry.key, embeddings[index]);
+        this._persist(entry.key, model, embeddings[index]);
+        entry.resolve(embeddings[index]);
+      });
+    } catch (error) {
+      this.stats.failures++;
+      this.logger.error(`❌ Embedding batch of ${entries.length} failed`, { model, error: error.message });
+      const failure = new Error(`Failed to get embedding: ${error.message}`);
+      entries.forEach(entry => entry.reject(failure));
+    }
+  }
+
+  /**
+   * Resolve with the shared promise, or reject as soon as the caller's signal aborts
+   */
+  _abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(this._abortError());
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(this._abortError());
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(
+        value => { signal.removeEventListener('abort', onAbort); resolve(value); },
+        error => { signal.removeEventListener('abort', onAbort); reject(error); }
+      );
+    });
+  }
+
+  _abortError() {
+    const error = new Error('Embedding request was cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  _fromMemory(key) {
+    const vector = this.memory.get(key);
+    if (!vector) return null;
+
+    // Re-insert to mark as most recently used
+    this.memory.delete(key);
+    this.memory.set(key, vector);
+    this.stats.memoryHits++;
+    return vector;
+  }
+
+  _fromDisk(key) {
+    const db = this._database();
+    if (!db) return null;
+
+    try {
+      const row = db.prepare('SELECT vector FROM embeddings WHERE cache_key = ?').get(key);
+      if (!row) return null;
+
+      db.prepare('UPDATE embeddings SET last_used_at = ? WHERE cache_key = ?').run(Date.now(), key);
+      const vector = this._decode(row.vector);
+      this._remember(key, vector);
+      this.stats.diskHits++;
+      return vector;
+    } catch (error) {
+      this.logger.error('❌ Embedding cache lookup failed', { error: error.message });
+      return null;
+    }
+  }
+
+  _remember(key, vector) {
+    this.memory.delete(key);
+    this.memory.set(key, vector);
+    while (this.memory.size > this.cacheSize) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  _persist(key, model, vector) {
+    const db = this._database();
+    if (!db) return;
+
+    try {
+      const now = Date.now();
+      db.prepare(`
+        INSERT OR REPLACE INTO embeddings (cache_key, model, dimensions, vector, created_at, last_used_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(key, model, vector.length, this._encode(vector), now, now);
+    } catch (error) {
+      this.logger.error('❌ Embedding cache store failed', { error: error.message });
+    }
+  }
+
+  _readCentroid(namespace, category, fingerprint) {
+    const db = this._database();
+    if (!db) return null;
+
+    const row = db.prepare(`
+      SELECT vector FROM embedding_centroids
+      WHERE namespace = ? AND category = ? AND fingerprint = ?
+    `).get(namespace, category, fingerprint);
+    return row ? this._decode(row.vector) : null;
+  }
+
+  _writeCentroid(namespace, category, model, fingerprint, vector) {
+    const db = this._database();
+    if (!db) return;
+
+    db.prepare(`
+      INSERT OR REPLACE INTO embedding_centroids (namespace, category, model, fingerprint, vector, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(namespace, category, model, fingerprint, this._encode(vector), Date.now());
+  }
+
+  /**
+   * Opened on first use; null (memory-only) when it can't be opened
+   */
+  _database() {
+    if (this.db || this.db === false) return this.db || null;
+
+    try {
+      if (this.dbPath !== ':memory:') {
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+      }
+
+      this.db = new Database(this.dbPath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS embeddings (
+          cache_key TEXT PRIMARY KEY,
+          model TEXT NOT NULL,
+          dimensions INTEGER NOT NULL,
+          vector BLOB NOT NULL,
+          created_at INTEGER NOT NULL,
+          last_used_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS embedding_centroids (
+          namespace TEXT NOT NULL,
+          category TEXT NOT NULL,
+          model TEXT NOT NULL,
+          fingerprint TEXT NOT NULL,
+          vector BLOB NOT NULL,
+          created_at INTEGER NOT NULL,
+          PRIMARY KEY (namespace, category)
+        );
+      `);
+      return this.db;
+    } catch (error) {
+      this.logger.error('❌ Embedding cache database unavailable, caching in memory only', { error: error.message });
+      this.db = false;
+      return null;
+    }
+  }
+
+  _mean(vectors) {
+    const mean = new Array(vectors[0].length).fill(0);
+    for (const vector of vectors) {
+      vector.forEach((value, index) => { mean[index] += value / vectors.length; });
+    }
+    return mean;
+  }
+
+  _encode(vector) {
+    return Buffer.from(new Float32Array(vector).buffer);
+  }
+
+  _decode(blob) {
+    // Copied so the Float32Array is aligned whatever the buffer's offset
+    return Array.from(new Float32Array(new Uint8Array(blob).buffer));
+  }
+
+  // "nomic-embed-text" and "nomic-embed-text:latest" are the same model
+  _normaliseModel(model) {
+    return model.replace(/:latest$/, '');
+  }
+
+  _key(model, text) {
+    return `${model}:${this._hash(String(text))}`;
+  }
+
+  _hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+module.exports = { EmbeddingService };
@@ -1,14 +1,24 @@
-const axios = require('axios');
 const { Logger } = require('../utils/logger');
+const { isCancellation } = require('../utils/cancellation');
 const PerformanceMonitor = require('./performanceMonitor');
+const { EmbeddingService } = require('./embeddingService');
+const { ClassifierPipeline } = require('./classifierPipeline');
+const { BackendPool } = require('./backendPool');
 
 class IntentRecognizer {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger();
-    this.ollamaBaseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-    this.performanceMonitor = new PerformanceMonitor();
-
-    // Semantic intent categories with example embeddings
+    // Created on first use when not given. Analysis runs while a chat request
+    // waits for it, so it keeps the default interactive priority
+    this.backendPool = options.backendPool || null;
+    this.performanceMonitor = options.performanceMonitor || new PerformanceMonitor();
+    this.embeddingService = options.embeddingService || new EmbeddingService();
+    // Shared with the task classifier; `feedback` lets corrected prompts from /api/feedback win
+    this.classifierPipeline = options.classifierPipeline ||
+      new ClassifierPipeline({ embeddingService: this.embeddingService, feedback: options.feedback });
+
+    // Intent categories: examples for the embedding kNN stage, keywords and
+    // patterns for the cheaper stages in front of it
     this.intentCategories = {
       conversational: {
         description: 'Basic conversation, greetings, and casual chat',
@@ -21,7 +31,8 @@ class IntentRecognizer {
           'nice to meet you',
           'what\'s up',
           'how\'s it going'
-        ]
+        ],
+        patterns: ['^(hi|hello|hey|thanks|thank you|good (morning|afternoon|evening))\\b[\\s!.,]*$']
       },
       direct_actions: {
         description: 'Simple computational or informational tasks',
@@ -31,7 +42,9 @@ class IntentRecognizer {
           'what time is it',
           'convert 100 dollars to euros',
           'how many days until christmas'
-        ]
+        ],
+        keywords: ['calculate', 'convert', 'what time'],
+        patterns: ['^(what is\\s+)?[\\d\\s.()]+[-+*/x][\\d\\s.()+*/x-]+\\??$']
       },
       file_operations: {
         description: 'File and directory management tasks',
@@ -39,7 +52,8 @@ class IntentRecognizer {
           'create a file called test.txt',
           'make a new directory',
           'delete the old config file'
-        ]
+        ],
+        keywords: ['file', 'directory', 'folder']
       },
       app_development: {
         description: 'Application and project creation tasks',
@@ -48,7 +62,8 @@ class IntentRecognizer {
           'build a react project',
           'set up a python flask application',
           'make me a web service'
-        ]
+        ],
+        keywords: ['app', 'project', 'application']
       },
       code_analysis: {
         description: 'Code review, debugging, and analysis',
@@ -57,7 +72,8 @@ class IntentRecognizer {
           'explain how this code works',
           'find the bug in this code',
           'optimize this algorithm'
-        ]
+        ],
+        keywords: ['analyze', 'explain', 'bug', 'review']
       },
       system_operations: {
         description: 'Environment setup and system configuration',
@@ -66,7 +82,8 @@ class IntentRecognizer {
           'set up the development environment',
           'configure the database',
           'deploy to production'
-        ]
+        ],
+        keywords: ['install', 'deploy', 'configure', 'environment']
       },
       multi_step_workflows: {
         description: 'Complex tasks requiring multiple steps',
@@ -74,7 +91,8 @@ class IntentRecognizer {
           'create a file, calculate something, and write the result',
           'build an app, test it, and deploy it',
           'analyze code, fix bugs, and create tests'
-        ]
+        ],
+        patterns: ['\\b(and then|then|after that)\\b.*\\b(and then|then|and)\\b']
       }
     };
   }
@@ -87,14 +105,14 @@ class IntentRecognizer {
       this.logger.info('🧠 Starting comprehensive AI-native intent recognition');
 
       // 1. Fast semantic embedding for intent category (50-100ms)
-      const promptEmbedding = await this.generateEmbedding(prompt);
-      const intentCategory = await this.findIntentCategory(promptEmbedding);
+      const promptEmbedding = await this.generateEmbedding(prompt, context);
+      const { category: intentCategory, confidence, trace } = await this.findIntentCategory(promptEmbedding, prompt, context);
 
       // 2. Single comprehensive AI analysis (500ms-2s)
       const comprehensiveAnalysis = await this.analyzeComprehensively(prompt, intentCategory, context);
 
       this.logger.info('✅ Intent recognition completed successfully');
-      return comprehensiveAnalysis;
+      return { ...comprehensiveAnalysis, intentCategory, intentConfidence: confidence, intentTrace: trace };
 
     } catch (error) {
       this.logger.error('Intent recognition failed:', error);
@@ -113,72 +131,49 @@ class IntentRecognizer {
   }
 
   /**
-   * Generate semantic embedding using nomic-embed-text
+   * Generate semantic embedding (cached and batched by the embedding service)
    */
-  async generateEmbedding(text) {
+  async generateEmbedding(text, context = {}) {
     try {
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/embeddings`, {
-        model: 'nomic-embed-text',
-        prompt: text
-      }, { timeout: 15000 });
-
-      return response.data.embedding;
+      return await this.embeddingService.embed(text, { signal: context?.signal });
     } catch (error) {
+      if (isCancellation(error)) throw error;
       this.logger.error('Embedding generation failed:', error);
       throw new Error('Failed to generate semantic embedding');
     }
   }
 
   /**
-   * Find intent category using semantic similarity (fast, cached approach)
+   * Find the intent category with the classifier pipeline (pattern, keyword,
+   * embedding kNN and LLM judge stages). Resolves to { category, confidence,
+   * trace }; general_assistance when no stage answers.
    */
-  async findIntentCategory(promptEmbedding) {
+  async findIntentCategory(promptEmbedding, prompt = '', context = {}) {
     try {
-      // Use pre-computed category embeddings for speed
-      const categoryEmbeddings = await this.getCategoryEmbeddings();
-
-      // Calculate cosine similarity with each category
-      let bestMatch = { category: null, similarity: -1 };
-
-      for (const [category, embedding] of Object.entries(categoryEmbeddings)) {
-        const similarity = this.cosineSimilarity(promptEmbedding, embedding);
-        if (similarity > bestMatch.similarity) {
-          bestMatch = { category, similarity };
-        }
-      }
-
-      this.logger.info(`🎯 Intent category detected: ${bestMatch.category} (similarity: ${bestMatch.similarity.toFixed(3)})`);
-      return bestMatch.category || 'general_assistance';
+      const vote = await this.classifierPipeline.classify({
+        classifier: 'intent',
+        text: prompt,
+        embedding: promptEmbedding,
+        categories: this.intentCategories,
+        signal: context?.signal
+      });
+
+      const category = vote.label || 'general_assistance';
+      this.logger.info(`🎯 Intent category detected: ${category} (confidence: ${vote.confidence.toFixed(3)})`);
+      return { category, confidence: vote.confidence, trace: vote.trace };
 
     } catch (error) {
+      if (isCancellation(error)) throw error;
       this.logger.error('Intent category detection failed:', error);
-      return 'general_assistance';
-    }
-  }
-
-  /**
-   * Get or generate category embeddings (cached for performance)
-   */
-  async getCategoryEmbeddings() {
-    // Cache embeddings to avoid regenerating them every time
-    if (!this._categoryEmbeddings) {
-      this.logger.info('🔄 Generating category embeddings (first time)...');
-      this._categoryEmbeddings = {};
-
-      for (const [category, config] of Object.entries(this.intentCategories)) {
-        const categoryText = `${config.description}. Examples: ${config.examples.join(', ')}`;
-        this._categoryEmbeddings[category] = await this.generateEmbedding(categoryText);
-      }
-      this.logger.info('✅ Category embeddings cached');
+      return { category: 'general_assistance', confidence: 0, trace: [] };
     }
-
-    return this._categoryEmbeddings;
   }
 
   /**
    * Comprehensive AI analysis - single call for intent, complexity, and approach
    */
   async analyzeComprehensively(prompt, intentCategory, context) {
+    let operationId = null;
     try {
       const analysisPrompt = `Analyze this user request comprehensively:
 
@@ -220,10 +215,10 @@ Respond with JSON:
       this.logger.info(`🧠 Running comprehensive AI analysis with ${intentCategory} category`);
 
       // Start performance monitoring
-      const operationId = `intent_analysis_${Date.now()}`;
+      operationId = `intent_analysis_${Date.now()}`;
       this.performanceMonitor.startTiming(operationId, 'granite3.3:8b', 'intent_analysis');
 
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, {
+      const response = await this._pool().post('/api/generate', {
         model: 'granite3.3:8b',
         prompt: analysisPrompt,
         stream: false,
@@ -231,7 +226,7 @@ Respond with JSON:
           temperature: 0.1,
           top_p: 0.9
         }
-      }, { timeout: 120000 });
+      }, { timeout: 120000, signal: context?.signal });
 
       // End performance monitoring
       this.performanceMonitor.endTiming(operationId, true);
@@ -248,6 +243,7 @@ Respond with JSON:
       throw new Error('Failed to parse AI-generated analysis');
 
     } catch (error) {
+      if (isCancellation(error)) this.performanceMonitor.cancelTiming(operationId);
       this.logger.error('Comprehensive analysis failed:', error);
       throw error;
     }
@@ -257,6 +253,7 @@ Respond with JSON:
    * AI-powered approach determination
    */
   async determineApproach(prompt, intentResult, complexityAnalysis, context) {
+    let operationId = null;
     try {
       const approachPrompt = `Determine the best approach for this task:
 
@@ -290,10 +287,10 @@ Respond with JSON:
 }`;
 
       // Start performance monitoring
-      const operationId = `approach_determination_${Date.now()}`;
+      operationId = `approach_determination_${Date.now()}`;
       this.performanceMonitor.startTiming(operationId, 'qwen2.5:1.5b-instruct-q4_K_M', 'approach_determination');
 
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, {
+      const response = await this._pool().post('/api/generate', {
         model: 'qwen2.5:1.5b-instruct-q4_K_M',
         prompt: approachPrompt,
         stream: false,
@@ -301,7 +298,7 @@ Respond with JSON:
           temperature: 0.1,
           top_p: 0.9
         }
-      }, { timeout: 120000 });
+      }, { timeout: 120000, signal: context?.signal });
 
       // End performance monitoring
       this.performanceMonitor.endTiming(operationId, true);
@@ -322,6 +319,7 @@ Respond with JSON:
       };
 
     } catch (error) {
+      if (isCancellation(error)) this.performanceMonitor.cancelTiming(operationId);
       this.logger.error('Approach determination failed:', error);
       return {
         approach: 'complex_planning',
@@ -336,6 +334,7 @@ Respond with JSON:
    * AI fallback analysis when main recognition fails
    */
   async aiFallbackAnalysis(prompt, context) {
+    let operationId = null;
     try {
       const fallbackPrompt = `Analyze this user request and provide intent classification:
 
@@ -352,10 +351,10 @@ Provide JSON response:
 }`;
 
       // Start performance monitoring
-      const operationId = `fallback_analysis_${Date.now()}`;
+      operationId = `fallback_analysis_${Date.now()}`;
       this.performanceMonitor.startTiming(operationId, 'granite3.3:8b', 'fallback_analysis');
 
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, {
+      const response = await this._pool().post('/api/generate', {
         model: 'granite3.3:8b',
         prompt: fallbackPrompt,
         stream: false,
@@ -363,7 +362,7 @@ Provide JSON response:
           temperature: 0.1,
           top_p: 0.9
         }
-      }, { timeout: 120000 });
+      }, { timeout: 120000, signal: context?.signal });
 
       // End performance monitoring
       this.performanceMonitor.endTiming(operationId, true);
@@ -394,6 +393,7 @@ Provide JSON response:
       };
 
     } catch (error) {
+      if (isCancellation(error)) this.performanceMonitor.cancelTiming(operationId);
       this.logger.error('AI fallback analysis failed:', error);
       return {
         intent: 'general_assistance',
@@ -444,6 +444,11 @@ Provide JSON response:
     // Delegate to AI fallback
     return this.aiFallbackAnalysis(prompt, context);
   }
+
+  _pool() {
+    if (!this.backendPool) this.backendPool = new BackendPool();
+    return this.backendPool;
+  }
 }
 
 module.exports = IntentRecognizer;
@@ -0,0 +1,348 @@
+const path = require('path');
+const { RoutingRules } = require('./routingRules');
+
+/*
+ * Languages the detector knows: file extensions, code fence tags and syntax
+ * that gives the language away. Keywords for plain-text mentions come from the
+ * routing rules' `languages` section, so they can be tuned without code changes.
+ * Listed so that on a tie the more specific language wins (TypeScript before
+ * JavaScript, C++ before C).
+ */
+const LANGUAGES = {
+  typescript: {
+    name: 'TypeScript',
+    extensions: ['.ts', '.tsx', '.mts', '.cts'],
+    tags: ['typescript', 'ts', 'tsx'],
+    syntax: [/\binterface \w+\s*\{/, /\w+\??:\s*(string|number|boolean)\s*[;,)=]/, /\btype \w+ = \{/]
+  },
+  javascript: {
+    name: 'JavaScript',
+    extensions: ['.js', '.jsx', '.mjs', '.cjs'],
+    tags: ['javascript', 'js', 'jsx', 'node', 'mjs', 'cjs'],
+    syntax: [/\b(const|let) \w+ = /, /\brequire\(['"]/, /\bconsole\.log\(/, /\)\s*=>\s*\{/]
+  },
+  python: {
+    name: 'Python',
+    extensions: ['.py', '.pyw', '.ipynb'],
+    tags: ['python', 'py', 'python3'],
+    syntax: [/^\s*def \w+\(.*\):\s*$/m, /^from [\w.]+ import /m, /\bif __name__ == ['"]__main__['"]/, /\bself\.\w+/]
+  },
+  java: {
+    name: 'Java',
+    extensions: ['.java'],
+    tags: ['java'],
+    syntax: [/\bpublic (static )?(class|void|final)\b/, /\bSystem\.out\.println\(/, /^import java\./m]
+  },
+  kotlin: {
+    name: 'Kotlin',
+    extensions: ['.kt', '.kts'],
+    tags: ['kotlin', 'kt'],
+    syntax: [/\bfun \w+\(/, /\bval \w+(: \w+)? = /]
+  },
+  scala: {
+    name: 'Scala',
+    extensions: ['.scala', '.sc'],
+    tags: ['scala'],
+    syntax: [/\bobject \w+ extends\b/, /\bcase class \w+\(/]
+  },
+  csharp: {
+    name: 'C#',
+    extensions: ['.cs', '.csx'],
+    tags: ['csharp', 'cs', 'c#'],
+    syntax: [/^using System(\.\w+)*;/m, /\bConsole\.WriteLine\(/, /\bnamespace \w+(\.\w+)*\s*[{;]/]
+  },
+  cpp: {
+    name: 'C++',
+    extensions: ['.cpp', '.cc', '.cxx', '.hpp', '.hh', '.hxx'],
+    tags: ['cpp', 'c++', 'cc', 'cxx', 'hpp'],
+    syntax: [/#include <(iostream|vector|string|map|memory)>/, /\bstd::\w+/, /\btemplate\s*</]
+  },
+  c: {
+    name: 'C',
+    extensions: ['.c', '.h'],
+    tags: ['c', 'h'],
+    syntax: [/#include <(stdio|stdlib|string)\.h>/, /\bprintf\(/, /\bmalloc\(/]
+  },
+  go: {
+    name: 'Go',
+    extensions: ['.go'],
+    tags: ['go', 'golang'],
+    syntax: [/^package \w+\s*$/m, /\bfunc (\(\w+ \*?\w+\) )?\w+\(/, /\w+ := /]
+  },
+  rust: {
+    name: 'Rust',
+    extensions: ['.rs'],
+    tags: ['rust', 'rs'],
+    syntax: [/\bfn \w+(<[^>]*>)?\(/, /\blet mut \w+/, /\b(println|vec)!\s*[([]/, /\bimpl(<[^>]*>)? \w+/]
+  },
+  swift: {
+    name: 'Swift',
+    extensions: ['.swift'],
+    tags: ['swift'],
+    syntax: [/^import (UIKit|SwiftUI|Foundation)\s*$/m, /\bguard let \w+/, /\bvar \w+: \w+\s*[={]/]
+  },
+  ruby: {
+    name: 'Ruby',
+    extensions: ['.rb', '.erb', '.rake', '.gemspec'],
+    tags: ['ruby', 'rb'],
+    syntax: [/^\s*def \w+[?!]?\s*$/m, /\bputs ['"]/, /\.each do \|/, /^\s*require ['"]\w+['"]\s*$/m]
+  },
+  php: {
+    name: 'PHP',
+    extensions: ['.php', '.phtml'],
+    tags: ['php'],
+    syntax: [/<\?php/, /\$\w+\s*->\w+/, /\bfunction \w+\(\$\w+/]
+  },
+  dart: {
+    name: 'Dart',
+    extensions: ['.dart'],
+    tags: ['dart', 'flutter'],
+    syntax: [/^import 'package:/m, /\bWidget build\(/]
+  },
+  lua: {
+    name: 'Lua',
+    extensions: ['.lua'],
+    tags: ['lua'],
+    syntax: [/\blocal \w+ = /, /\bfunction \w+[.:]\w+\(/]
+  },
+  r: {
+    name: 'R',
+    extensions: ['.r', '.rmd'],
+    tags: ['r', 'rscript'],
+    syntax: [/\w+ <- /, /\blibrary\(\w+\)/]
+  },
+  julia: {
+    name: 'Julia',
+    extensions: ['.jl'],
+    tags: ['julia', 'jl'],
+    syntax: [/^using \w+(, \w+)*\s*$/m, /^function \w+\(.*\)\s*$[\s\S]*^end\b/m]
+  },
+  haskell: {
+    name: 'Haskell',
+    extensions: ['.hs', '.lhs'],
+    tags: ['haskell', 'hs'],
+    syntax: [/^module \w+(\.\w+)* where/m, /^\w+ :: .+->/m]
+  },
+  elixir: {
+    name: 'Elixir',
+    extensions: ['.ex', '.exs'],
+    tags: ['elixir', 'ex', 'exs'],
+    syntax: [/\bdefmodule \w+/, /\bdefp? \w+\(.*\) do\b/]
+  },
+  perl: {
+    name: 'Perl',
+    extensions: ['.pl', '.pm'],
+    tags: ['perl', 'pl'],
+    syntax: [/^use strict;/m, /\bmy [$@%]\w+/]
+  },
+  sql: {
+    name: 'SQL',
+    extensions: ['.sql'],
+    tags: ['sql', 'mysql', 'postgresql', 'psql', 'sqlite'],
+    syntax: [/\bSELECT\b[\s\S]+?\bFROM\b/, /\bCREATE TABLE\b/i, /\bINSERT INTO\b/i]
+  },
+  bash: {
+    name: 'Bash',
+    extensions: ['.sh', '.bash', '.zsh'],
+    tags: ['bash', 'sh', 'shell', 'zsh', 'console'],
+    syntax: [/^#!\/(usr\/)?bin\/(env )?(ba|z)?sh/m, /^\s*(sudo|apt(-get)?|chmod|export) /m, /^\s*fi\s*$/m]
+  },
+  powershell: {
+    name: 'PowerShell',
+    extensions: ['.ps1', '.psm1'],
+    tags: ['powershell', 'ps1', 'pwsh'],
+    syntax: [/\b(Get|Set|New|Remove|Write)-[A-Z]\w+/, /\$PSVersionTable\b/]
+  },
+  docker: {
+    name: 'Dockerfile',
+    extensions: ['.dockerfile'],
+    filenames: ['dockerfile', 'containerfile'],
+    tags: ['dockerfile', 'docker'],
+    syntax: [/^FROM \S+(\s+AS \w+)?\s*$/m, /^(RUN|COPY|WORKDIR|ENTRYPOINT|CMD) /m]
+  },
+  html: {
+    name: 'HTML',
+    extensions: ['.html', '.htm'],
+    tags: ['html', 'htm'],
+    syntax: [/<!DOCTYPE html>/i, /<(div|body|head|span)\b[^>]*>/i]
+  },
+  css: {
+    name: 'CSS',
+    extensions: ['.css', '.scss', '.sass', '.less'],
+    tags: ['css', 'scss', 'sass', 'less'],
+    syntax: [/^\s*[.#]?[\w-]+[^{}\n]*\{[^}]*\b[\w-]+:(?!:)\s*[^;{}:]+;/m]
+  },
+  yaml: {
+    name: 'YAML',
+    extensions: ['.yaml', '.yml'],
+    tags: ['yaml', 'yml'],
+    syntax: [/^(apiVersion|kind|services|version):\s/m]
+  }
+};
+
+// How much each kind of signal says about the language, 0-1
+const SIGNAL_STRENGTH = {
+  explicit: 0.9, // context.language
+  fence: 0.95, // ```python
+  file: 0.8, // a file attached in context, or the file being analyzed
+  path: 0.7, // a file name mentioned in the prompt
+  syntax: 0.6,
+  keyword: 0.5,
+  workspace: 0.3 // the workspace's main language, a prior only
+};
+
+/**
+ * 🔤 Language Detector
+ *
+ * Works out the programming language a request is about from every signal
+ * it has: code fence tags, file paths attached in `context` (PluginGeek's
+ * @file mentions, `activeFile`), file names in the prompt, syntax, keywords
+ * from the routing rules and the workspace language PluginGeek reports.
+ * Each signal has a strength; a language's confidence is the chance that at
+ * least one of its signals is right (1 - product of (1 - strength)), so
+ * agreeing signals add up. Below `minConfidence` the result is "general".
+ */
+class LanguageDetector {
+  constructor(options = {}) {
+    this.routingRules = options.routingRules || new RoutingRules();
+    this.minConfidence = options.minConfidence !== undefined ? options.minConfidence : 0.3;
+    this.keywordPatterns = new Map();
+  }
+
+  /**
+   * Detect the language of a prompt: { text, context }. Returns
+   * { language, confidence, scores, signals } - language is a key of
+   * LANGUAGES (or of the routing rules' languages), or "general".
+   */
+  detect({ text = '', context = {} } = {}) {
+    const signals = [];
+    const add = (source, language, evidence) => {
+      if (language) signals.push({ source, language, evidence, strength: SIGNAL_STRENGTH[source] });
+    };
+    const content = String(text || '');
+    context = context && typeof context === 'object' ? context : {};
+
+    // Code fences: the info string is a language tag or a file name
+    const fences = [...content.matchAll(/```[ \t]*([^\n`]*)\n([\s\S]*?)(?:```|$)/g)];
+    for (const [, info, body] of fences) {
+      const tag = info.trim().split(/\s+/)[0];
+      if (/[./\\]/.test(tag)) {
+        add('path', this.languageOfPath(tag), tag);
+      } else if (tag) {
+        add('fence', this.languageOfName(tag), `\`\`\`${tag}`);
+      }
+      this._syntaxSignals(body, add);
+    }
+    if (fences.length === 0) this._syntaxSignals(content, add);
+
+    // File names mentioned in the prompt ("fix utils.py", "the Dockerfile")
+    const prose = content.replace(/```[\s\S]*?(```|$)/g, ' ');
+    for (const match of prose.matchAll(/(?:^|[\s`'"(\[<])((?:[\w@.~-]+[/\\])*[\w@~-][\w@.~-]*)(?=$|[\s`'")\]>,:;!?])/gm)) {
+      const candidate = match[1].replace(/\.$/, '');
+      if (/\.\w+$/.test(candidate) || /^(dockerfile|containerfile)$/i.test(candidate)) add('path', this.languageOfPath(candidate), candidate);
+    }
+
+    this._keywordSignals(prose, add);
+    this._contextSignals(context, add);
+
+    const scores = {};
+    for (const signal of signals) {
+      scores[signal.language] = 1 - (1 - (scores[signal.language] || 0)) * (1 - signal.strength);
+    }
+
+    // Ties go to the language listed first
+    const order = [...Object.keys(LANGUAGES), ...Object.keys(this._keywords())];
+    const [best] = Object.keys(scores).sort((a, b) => scores[b] - scores[a] || order.indexOf(a) - order.indexOf(b));
+    const confidence = best ? scores[best] : 0;
+
+    return {
+      language: best && confidence >= this.minConfidence ? best : 'general',
+      confidence: Math.round(confidence * 1000) / 1000,
+      scores: Object.fromEntries(Object.entries(scores).map(([language, score]) => [language, Math.round(score * 1000) / 1000])),
+      signals
+    };
+  }
+
+  /**
+   * Language of a file path from its extension or name; null when unknown
+   */
+  languageOfPath(filePath) {
+    const base = path.basename(String(filePath)).toLowerCase();
+    const extension = path.extname(base);
+    for (const [language, definition] of Object.entries(LANGUAGES)) {
+      if ((definition.filenames || []).includes(base) || (extension && definition.extensions.includes(extension))) return language;
+    }
+    return null;
+  }
+
+  /**
+   * Language for a tag or display name ("py", "C++", "TypeScript"); null when unknown
+   */
+  languageOfName(name) {
+    const lower = String(name || '').trim().toLowerCase();
+    if (!lower || lower === 'unknown') return null;
+    if (lower in LANGUAGES || lower in this._keywords()) return lower;
+    for (const [language, definition] of Object.entries(LANGUAGES)) {
+      if (definition.tags.includes(lower) || definition.name.toLowerCase() === lower) return language;
+    }
+    return null;
+  }
+
+  _syntaxSignals(code, add) {
+    for (const [language, definition] of Object.entries(LANGUAGES)) {
+      const pattern = definition.syntax.find(regex => regex.test(code));
+      if (pattern) add('syntax', language, String(pattern));
+    }
+  }
+
+  _keywordSignals(prose, add) {
+    for (const [language, keywords] of Object.entries(this._keywords())) {
+      for (const keyword of keywords) {
+        if (this._keywordPattern(keyword).test(prose)) add('keyword', language, keyword);
+      }
+    }
+  }
+
+  /**
+   * Attached files (PluginGeek's `file_<path>` entries, `activeFile`), an
+   * explicit `language`, and the workspace language - or, when that is
+   * unknown, the most common language of the workspace files
+   */
+  _contextSignals(context, add) {
+    if (context.language) add('explicit', this.languageOfName(context.language), context.language);
+
+    const attached = Object.values(context)
+      .filter(value => value && typeof value === 'object' && value.type === 'file' && value.path)
+      .map(value => value.path);
+    if (typeof context.activeFile === 'string') attached.push(context.activeFile);
+    for (const filePath of attached) add('file', this.languageOfPath(filePath), filePath);
+
+    const workspace = this.languageOfName(context.workspace?.language);
+    if (workspace) {
+      add('workspace', workspace, context.workspace.language);
+    } else if (Array.isArray(context.files)) {
+      const counts = {};
+      for (const file of context.files) {
+        const language = this.languageOfPath(typeof file === 'string' ? file : file?.path || '');
+        if (language) counts[language] = (counts[language] || 0) + 1;
+      }
+      const [common] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+      if (common) add('workspace', common[0], `${common[1]} of ${context.files.length} workspace files`);
+    }
+  }
+
+  _keywords() {
+    return this.routingRules.getRules().languages || {};
+  }
+
+  // Whole words only, so "go" does not match "good" (but "c++" and "c#" still work)
+  _keywordPattern(keyword) {
+    if (!this.keywordPatterns.has(keyword)) {
+      const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      this.keywordPatterns.set(keyword, new RegExp(`(^|[^\\w+#])${escaped}(?![\\w+#])`, 'i'));
+    }
+    return this.keywordPatterns.get(keyword);
+  }
+}
+
+module.exports = { LanguageDetector, LANGUAGES };
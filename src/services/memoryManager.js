@@ -3,9 +3,9 @@ const path = require('path');
 const { Logger } = require('../utils/logger');
 
 class MemoryManager {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger();
-    this.dbPath = path.join(process.cwd(), 'data', 'sage_memories.db');
+    this.dbPath = options.dbPath || path.join(process.cwd(), 'data', 'sage_memories.db');
 
     // Ensure data directory exists
     const dataDir = path.dirname(this.dbPath);
@@ -74,6 +74,7 @@ class MemoryManager {
           task_type TEXT NOT NULL,
           response_time_ms INTEGER,
           success BOOLEAN DEFAULT 1,
+          outcome TEXT,
           error_message TEXT,
           tokens_used INTEGER,
           repo_path TEXT,
@@ -81,6 +82,25 @@ class MemoryManager {
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         );
 
+        CREATE TABLE IF NOT EXISTS shadow_comparisons (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          task_type TEXT NOT NULL,
+          complexity TEXT,
+          prompt TEXT,
+          primary_model TEXT NOT NULL,
+          primary_response TEXT,
+          primary_response_time_ms INTEGER,
+          primary_tokens INTEGER,
+          shadow_model TEXT NOT NULL,
+          shadow_response TEXT,
+          shadow_response_time_ms INTEGER,
+          shadow_tokens INTEGER,
+          shadow_success BOOLEAN DEFAULT 1,
+          shadow_error TEXT,
+          similarity REAL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
         CREATE TABLE IF NOT EXISTS project_patterns (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           user_id TEXT NOT NULL DEFAULT 'default',
@@ -143,12 +163,16 @@ class MemoryManager {
         CREATE INDEX IF NOT EXISTS idx_memories_tags ON memories(context_tags);
         CREATE INDEX IF NOT EXISTS idx_conversations_user_session ON conversations(user_id, session_id);
         CREATE INDEX IF NOT EXISTS idx_model_performance_model_task ON model_performance(model_name, task_type);
+        CREATE INDEX IF NOT EXISTS idx_shadow_comparisons_task ON shadow_comparisons(task_type, primary_model, shadow_model);
         CREATE INDEX IF NOT EXISTS idx_project_patterns_user_type ON project_patterns(user_id, project_type);
         CREATE INDEX IF NOT EXISTS idx_repo_info_path ON repo_info(repo_path);
         CREATE INDEX IF NOT EXISTS idx_past_errors_error_message ON past_errors(error_message);
         CREATE INDEX IF NOT EXISTS idx_project_model_mappings_repo_task ON project_model_mappings(repo_path, project_type, task_type);
       `);
 
+      // Columns added after the first release
+      this._ensureColumn('model_performance', 'outcome', 'TEXT');
+
       this.logger.info('✅ Database tables initialized');
     } catch (error) {
       this.logger.error('❌ Database initialization failed:', error);
@@ -156,6 +180,16 @@ class MemoryManager {
     }
   }
 
+  /**
+   * Add a column to a table created by an older version
+   */
+  _ensureColumn(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(existing => existing.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
   /**
    * Store a new memory
    */
@@ -216,17 +250,18 @@ class MemoryManager {
   /**
    * Store conversation for learning
    */
-  storeConversation(userId, sessionId, prompt, response, intent, complexity, toolsGenerated, responseTime, success = true) {
+  storeConversation(userId, sessionId, prompt, response, intent, complexity, toolsGenerated, responseTime, success = true, modelsUsed = []) {
     try {
       const stmt = this.db.prepare(`
-        INSERT INTO conversations (user_id, session_id, prompt, response, intent, complexity, tools_generated, response_time_ms, success)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO conversations (user_id, session_id, prompt, response, intent, complexity, tools_generated, response_time_ms, success, models_used)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       // Convert boolean to integer for SQLite
       const successInt = success ? 1 : 0;
 
-      const result = stmt.run(userId, sessionId, prompt, response, intent, complexity, toolsGenerated, responseTime, successInt);
+      const result = stmt.run(userId, sessionId, prompt, response, intent, complexity, toolsGenerated, responseTime, successInt,
+        modelsUsed.length > 0 ? modelsUsed.join(',') : null);
       this.logger.info(`💾 Conversation stored (ID: ${result.lastInsertRowid})`);
       return result.lastInsertRowid;
     } catch (error) {
@@ -238,17 +273,18 @@ class MemoryManager {
   /**
    * Track model performance
    */
-  trackModelPerformance(modelName, taskType, responseTime, success = true, errorMessage = null, tokensUsed = null) {
+  trackModelPerformance(modelName, taskType, responseTime, success = true, errorMessage = null, tokensUsed = null, outcome = null) {
     try {
       const stmt = this.db.prepare(`
-        INSERT INTO model_performance (model_name, task_type, response_time_ms, success, error_message, tokens_used)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO model_performance (model_name, task_type, response_time_ms, success, outcome, error_message, tokens_used)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
       `);
 
       // Convert boolean to integer for SQLite
       const successInt = success ? 1 : 0;
 
-      const result = stmt.run(modelName, taskType, responseTime, successInt, errorMessage, tokensUsed);
+      // 'success', 'error' or 'cancelled' (client went away; says nothing about the model)
+      const result = stmt.run(modelName, taskType, responseTime, successInt, outcome || (success ? 'success' : 'error'), errorMessage, tokensUsed);
       this.logger.info(`📊 Model performance tracked: ${modelName} - ${taskType}`);
       return result.lastInsertRowid;
     } catch (error) {
@@ -257,6 +293,45 @@ class MemoryManager {
     }
   }
 
+  /**
+   * Store a shadow comparison: the primary and shadow model's answers to the same request
+   */
+  storeShadowComparison(comparison) {
+    try {
+      const stmt = this.db.prepare(`
+        INSERT INTO shadow_comparisons (
+          task_type, complexity, prompt,
+          primary_model, primary_response, primary_response_time_ms, primary_tokens,
+          shadow_model, shadow_response, shadow_response_time_ms, shadow_tokens,
+          shadow_success, shadow_error, similarity
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      const result = stmt.run(
+        comparison.taskType,
+        comparison.complexity || null,
+        comparison.prompt || null,
+        comparison.primary.model,
+        comparison.primary.response,
+        comparison.primary.responseTime,
+        comparison.primary.tokens,
+        comparison.shadow.model,
+        comparison.shadow.response,
+        comparison.shadow.responseTime,
+        comparison.shadow.tokens,
+        comparison.shadow.success ? 1 : 0,
+        comparison.shadow.error || null,
+        comparison.similarity
+      );
+      this.logger.info(`🌓 Shadow comparison stored: ${comparison.primary.model} vs ${comparison.shadow.model}`);
+      return result.lastInsertRowid;
+    } catch (error) {
+      this.logger.error('❌ Failed to store shadow comparison:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get model performance analytics
    */
@@ -271,7 +346,7 @@ class MemoryManager {
           SUM(CASE WHEN success THEN 1 ELSE 0 END) as successful_requests,
           (SUM(CASE WHEN success THEN 1 ELSE 0 END) * 100.0 / COUNT(*)) as success_rate
         FROM model_performance
-        WHERE model_name = ? AND task_type = ?
+        WHERE model_name = ? AND task_type = ? AND outcome IS NOT 'cancelled'
         GROUP BY model_name, task_type
       `);
 
@@ -283,6 +358,47 @@ class MemoryManager {
     }
   }
 
+  /**
+   * Requests per model and local hour of day since a timestamp (UTC, as
+   * stored), from model_performance and the models used in conversations.
+   * Rows: { model, hour, requests, last_used }; a model can appear once per
+   * table for the same hour.
+   */
+  getModelUsageByHour(since) {
+    try {
+      const usage = this.db.prepare(`
+        SELECT
+          model_name as model,
+          CAST(strftime('%H', created_at, 'localtime') AS INTEGER) as hour,
+          COUNT(*) as requests,
+          MAX(created_at) as last_used
+        FROM model_performance
+        WHERE created_at >= ? AND outcome IS NOT 'cancelled'
+        GROUP BY model_name, hour
+      `).all(since);
+
+      const conversations = this.db.prepare(`
+        SELECT
+          models_used,
+          CAST(strftime('%H', created_at, 'localtime') AS INTEGER) as hour,
+          created_at
+        FROM conversations
+        WHERE created_at >= ? AND models_used IS NOT NULL AND models_used != ''
+      `).all(since);
+
+      for (const conversation of conversations) {
+        for (const model of conversation.models_used.split(',').map(name => name.trim()).filter(Boolean)) {
+          usage.push({ model, hour: conversation.hour, requests: 1, last_used: conversation.created_at });
+        }
+      }
+
+      return usage;
+    } catch (error) {
+      this.logger.error('❌ Failed to get model usage:', error);
+      return [];
+    }
+  }
+
   /**
    * Store user preference
    */
@@ -550,7 +666,7 @@ class MemoryManager {
           COUNT(*) as total_requests,
           SUM(CASE WHEN success THEN 1 ELSE 0 END) * 100.0 / COUNT(*) as success_rate
         FROM model_performance
-        WHERE task_type = ? AND (repo_path = ? OR repo_path IS NULL)
+        WHERE task_type = ? AND (repo_path = ? OR repo_path IS NULL) AND outcome IS NOT 'cancelled'
         GROUP BY model_name
         HAVING total_requests >= 3
         ORDER BY success_rate DESC, avg_response_time ASC
@@ -0,0 +1,309 @@
+const { BackendPool } = require('./backendPool');
+const { Logger } = require('../utils/logger');
+
+// Name patterns used to guess the task type of models the routing rules don't describe
+const CODING_NAME_PATTERN = /code|coder|starcoder|codestral|codellama|deepseek-coder/i;
+
+/**
+ * 🔎 Model Discovery
+ *
+ * Reconciles the model registry with what is actually installed. On start
+ * and then periodically it reads `/api/tags` from the backend pool and
+ * `/api/show` for new or changed models to learn each model's family,
+ * parameter size, quantization, context length and template capabilities
+ * (tools, vision, embedding).
+ *
+ * Routing asks `pickInstalled` for the first installed candidate, so a model
+ * named in the routing rules but not pulled is skipped instead of failing
+ * with a 404 from Ollama. Until the first successful refresh every candidate
+ * is assumed to be installed.
+ *
+ * Configuration: MODEL_DISCOVERY_INTERVAL (ms, default 5 minutes).
+ */
+class ModelDiscovery {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.backendPool = options.backendPool || new BackendPool();
+    this.routingRules = options.routingRules || null;
+    this.interval = options.interval || parseInt(process.env.MODEL_DISCOVERY_INTERVAL) || 5 * 60 * 1000;
+
+    this.models = new Map(); // name -> discovered facts
+    this.lastRefreshed = null;
+    this.lastError = null;
+    this.timer = null;
+  }
+
+  /**
+   * Refresh now, then periodically
+   */
+  start() {
+    if (this.timer) return;
+
+    const refresh = () => this.refresh().catch(error => {
+      this.logger.error('Model discovery failed', { error: error.message });
+    });
+
+    refresh();
+    this.timer = setInterval(refresh, this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Re-read the installed models. Details are only fetched for models that
+   * are new or whose digest changed since the last refresh.
+   */
+  async refresh() {
+    let tags;
+    try {
+      tags = await this.backendPool.listModels();
+    } catch (error) {
+      // Keep the last known inventory rather than routing blind
+      this.lastError = error.message;
+      throw error;
+    }
+
+    const models = new Map();
+    for (const tag of tags.models || []) {
+      const known = this.models.get(tag.name);
+      if (known && known.digest === tag.digest) {
+        models.set(tag.name, known);
+        continue;
+      }
+
+      let show = null;
+      try {
+        show = await this.backendPool.withFailover(
+          tag.name,
+          backend => backend.client.getModelInfo(tag.name),
+          { priority: 'background' }
+        );
+      } catch (error) {
+        this.logger.warn(`⚠️ Could not read details for ${tag.name}`, { error: error.message });
+      }
+      models.set(tag.name, this._describe(tag, show));
+    }
+
+    const added = [...models.keys()].filter(name => !this.models.has(name));
+    const removed = [...this.models.keys()].filter(name => !models.has(name));
+
+    this.models = models;
+    this.lastRefreshed = new Date().toISOString();
+    this.lastError = null;
+
+    if (added.length > 0 || removed.length > 0) {
+      this.logger.info(`🔎 Model inventory: ${models.size} installed`, { added, removed });
+    }
+    const missing = this.getMissingModels();
+    if (missing.length > 0) {
+      this.logger.warn('⚠️ Routing rules reference models that are not installed', { missing });
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Whether at least one refresh has succeeded
+   */
+  hasInventory() {
+    return this.lastRefreshed !== null;
+  }
+
+  isInstalled(name) {
+    return !this.hasInventory() || this.models.has(name);
+  }
+
+  /**
+   * First installed model from an ordered candidate list. When none is
+   * installed, falls back to any installed model of the right kind
+   * (embedding or not); returns the first candidate if nothing fits.
+   */
+  pickInstalled(candidates, options = {}) {
+    const wanted = candidates.filter(Boolean);
+    if (!this.hasInventory()) return wanted[0] || null;
+
+    const installed = wanted.find(name => this.models.has(name));
+    if (installed) return installed;
+
+    const embedding = options.embedding === true;
+    const fallback = [...this.models.values()].find(model => model.features.embedding === embedding);
+    if (fallback) {
+      this.logger.warn(`⚠️ None of ${wanted.join(', ')} is installed, using ${fallback.name}`);
+      return fallback.name;
+    }
+
+    return wanted[0] || null;
+  }
+
+  /**
+   * Installed model for a routing-rules task category (e.g. 'coding'): the
+   * category's models in order, then the default model. For services that
+   * need "a coding model" rather than routing a request.
+   */
+  modelForCategory(name) {
+    const rules = this.routingRules?.getRules();
+    const category = rules?.categories[name];
+    const candidates = [...(category?.models || [])];
+    if (name !== 'embeddings') candidates.push(process.env.DEFAULT_MODEL || rules?.defaultModel);
+    return this.pickInstalled(candidates, { embedding: name === 'embeddings' });
+  }
+
+  /**
+   * Model for an embedding request that names `requested`: that model when it
+   * is an installed embedding model, otherwise the embeddings category's
+   * (OpenAI clients ask for models like text-embedding-3-small)
+   */
+  embeddingModelFor(requested) {
+    const name = requested && !requested.includes(':') ? `${requested}:latest` : requested;
+    const model = name ? this.models.get(name) || this.models.get(requested) : null;
+    if (model?.features.embedding) return model.name;
+    return this.modelForCategory('embeddings');
+  }
+
+  /**
+   * Merge discovered facts into a registry (name -> entry, as in the routing
+   * rules). Hand-written entries keep their tuning; discovered models without
+   * an entry get one derived from their details. Once an inventory exists,
+   * models that are not installed are left out.
+   */
+  mergeRegistry(registry = {}) {
+    if (!this.hasInventory()) return { ...registry };
+
+    const merged = {};
+    for (const [name, model] of this.models) {
+      const entry = registry[name];
+      merged[name] = entry
+        ? {
+          ...entry,
+          capabilities: [...new Set([...entry.capabilities, ...this._featureCapabilities(model.features)])],
+          // The trained maximum; ContextBudgeter caps it by the window Ollama serves
+          contextWindow: model.contextLength || entry.contextWindow,
+          family: model.family,
+          features: model.features,
+          discovered: true
+        }
+        : this._registryEntry(model);
+    }
+    return merged;
+  }
+
+  /**
+   * Models named in the routing rules that are not installed
+   */
+  getMissingModels() {
+    const rules = this.routingRules?.getRules();
+    if (!rules || !this.hasInventory()) return [];
+
+    const named = new Set();
+    for (const category of Object.values(rules.categories)) {
+      category.models.forEach(name => named.add(name));
+      for (const overrides of [category.languageOverrides, category.complexityOverrides]) {
+        Object.values(overrides || {}).forEach(list => list.forEach(name => named.add(name)));
+      }
+    }
+    return [...named].filter(name => !this.models.has(name));
+  }
+
+  getStatus() {
+    return {
+      lastRefreshed: this.lastRefreshed,
+      lastError: this.lastError,
+      installed: Object.fromEntries(this.models),
+      missing: this.getMissingModels()
+    };
+  }
+
+  /**
+   * Facts about one model from its /api/tags entry and /api/show response
+   */
+  _describe(tag, show) {
+    const details = { ...(tag.details || {}), ...(show?.details || {}) };
+    const modelInfo = show?.model_info || {};
+    const architecture = modelInfo['general.architecture'];
+    const families = details.families || [];
+    const capabilities = Array.isArray(show?.capabilities) ? show.capabilities : null;
+
+    const family = details.family || architecture || 'unknown';
+    const embedding = capabilities
+      ? capabilities.includes('embedding')
+      : /bert/i.test(family) || /embed/i.test(tag.name);
+
+    return {
+      name: tag.name,
+      digest: tag.digest || null,
+      family,
+      parameterSize: details.parameter_size || null,
+      parameters: this._parseParameterSize(details.parameter_size),
+      quantization: details.quantization_level || null,
+      contextLength: (architecture && modelInfo[`${architecture}.context_length`]) || null,
+      features: {
+        // Older Ollama versions don't report capabilities; fall back to the template
+        tools: capabilities ? capabilities.includes('tools') : /\.Tools\b/.test(show?.template || ''),
+        vision: capabilities
+          ? capabilities.includes('vision')
+          : Boolean(show?.projector_info) || families.includes('clip'),
+        embedding
+      }
+    };
+  }
+
+  /**
+   * Registry entry for a model the routing rules don't describe
+   */
+  _registryEntry(model) {
+    const type = model.features.embedding ? 'embedding' : CODING_NAME_PATTERN.test(model.name) ? 'coding' : 'general';
+    const baseCapabilities = {
+      coding: ['code_generation', 'code_completion', 'code_review'],
+      general: ['text_generation', 'conversation', 'analysis'],
+      embedding: ['text_embedding']
+    };
+
+    return {
+      type,
+      size: (model.parameterSize || 'unknown').toLowerCase(),
+      quantization: model.quantization || 'unknown',
+      capabilities: [...new Set([...baseCapabilities[type], ...this._featureCapabilities(model.features)])],
+      languages: [],
+      contextWindow: model.contextLength || 2048,
+      performance: this._performanceTier(model.parameters),
+      specializations: [],
+      family: model.family,
+      features: model.features,
+      discovered: true
+    };
+  }
+
+  _featureCapabilities(features) {
+    const capabilities = [];
+    if (features.tools) capabilities.push('tool_calling');
+    if (features.vision) capabilities.push('vision');
+    if (features.embedding) capabilities.push('text_embedding');
+    return capabilities;
+  }
+
+  /**
+   * "7.6B" -> 7.6, "137M" -> 0.137 (billions of parameters)
+   */
+  _parseParameterSize(value) {
+    const match = /^([\d.]+)\s*([KMBT])?/i.exec(value || '');
+    if (!match) return null;
+    const scale = { K: 1e-6, M: 1e-3, B: 1, T: 1e3 }[(match[2] || 'B').toUpperCase()];
+    return parseFloat(match[1]) * scale;
+  }
+
+  _performanceTier(parameters) {
+    if (!parameters) return 'medium';
+    if (parameters < 4) return 'fast';
+    if (parameters < 10) return 'medium';
+    if (parameters < 20) return 'high';
+    return 'very_high';
+  }
+}
+
+module.exports = { ModelDiscovery };
@@ -0,0 +1,254 @@
+const { Logger } = require('../utils/logger');
+const { BackendPool } = require('./backendPool');
+const MemoryManager = require('./memoryManager');
+
+const GB = 1024 ** 3;
+
+/**
+ * 🔥 Model Preloader
+ *
+ * Warms models before they are asked for. From the usage recorded in
+ * model_performance and conversations over the last
+ * MODEL_PRELOAD_LOOKBACK_DAYS it learns which models are used at which
+ * hour of the day. Every MODEL_PRELOAD_INTERVAL it loads the busiest models
+ * for this hour and the next (an empty generate or embed, at background
+ * priority) with a `keep_alive` that lasts until their busy hours end.
+ *
+ * With MODEL_PRELOAD_MEMORY_BUDGET_GB set, a backend whose loaded models
+ * (GET /api/ps) take more than the budget unloads models that are not
+ * scheduled and have been idle for MODEL_PRELOAD_IDLE_MINUTES, least
+ * recently used first.
+ *
+ * Decisions are kept for GET /api/preload. Off unless ENABLE_MODEL_PRELOAD=true.
+ */
+class ModelPreloader {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.backendPool = options.backendPool || new BackendPool();
+    this.memoryManager = options.memoryManager || new MemoryManager();
+    // Optional: skip uninstalled models and preload embedding models through /api/embed
+    this.modelDiscovery = options.modelDiscovery || null;
+
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.ENABLE_MODEL_PRELOAD === 'true';
+    this.interval = options.interval || parseInt(process.env.MODEL_PRELOAD_INTERVAL) || 10 * 60 * 1000;
+    this.lookbackDays = options.lookbackDays || parseInt(process.env.MODEL_PRELOAD_LOOKBACK_DAYS) || 14;
+    this.maxModels = options.maxModels || parseInt(process.env.MODEL_PRELOAD_MAX_MODELS) || 2;
+    // Requests in the two-hour window over the lookback period before a model is worth warming
+    this.minRequests = options.minRequests || parseInt(process.env.MODEL_PRELOAD_MIN_REQUESTS) || 3;
+    this.idleMinutes = options.idleMinutes || parseInt(process.env.MODEL_PRELOAD_IDLE_MINUTES) || 15;
+    this.memoryBudget = (options.memoryBudgetGb !== undefined
+      ? options.memoryBudgetGb
+      : parseFloat(process.env.MODEL_PRELOAD_MEMORY_BUDGET_GB) || 0) * GB;
+    this.maxDecisions = options.maxDecisions || 100;
+    this.now = options.now || (() => new Date());
+
+    this.usage = new Map(); // model -> { hours: requests per hour of day, lastUsed }
+    this.decisions = [];
+    this.lastRun = null;
+    this.running = false;
+    this.timer = null;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Run now, then periodically
+   */
+  start() {
+    if (!this.isEnabled() || this.timer) return;
+
+    const run = () => this.run().catch(error => {
+      this.logger.error('Model preloading failed', { error: error.message });
+    });
+
+    run();
+    this.timer = setInterval(run, this.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One scheduling pass: learn usage, warm this hour's models, free memory
+   */
+  async run() {
+    if (this.running) return this.lastRun;
+    this.running = true;
+
+    try {
+      const now = this.now();
+      this.usage = this._loadUsage(now);
+      const warm = this.plan(now);
+      const loaded = await this.backendPool.listLoaded();
+
+      for (const entry of warm) {
+        await this._preload(entry, loaded);
+      }
+      await this._freeMemory(loaded, new Set(warm.map(entry => entry.model)), now);
+
+      this.lastRun = { at: now.toISOString(), warm };
+      return this.lastRun;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Models to keep warm at a given time: the busiest ones in this hour and
+   * the next, with the keep_alive that carries them through their busy hours
+   */
+  plan(now = this.now()) {
+    const hour = now.getHours();
+
+    return Array.from(this.usage.entries())
+      .map(([model, usage]) => ({ model, requests: usage.hours[hour] + usage.hours[(hour + 1) % 24], usage }))
+      .filter(candidate => candidate.requests >= this.minRequests)
+      .filter(candidate => !this.modelDiscovery || this.modelDiscovery.isInstalled(candidate.model))
+      .sort((a, b) => b.requests - a.requests)
+      .slice(0, this.maxModels)
+      .map(({ model, requests, usage }) => ({ model, requests, keepAlive: this._keepAlive(usage.hours, now) }));
+  }
+
+  /**
+   * Which models would be warmed at each hour of the day
+   */
+  getSchedule() {
+    const schedule = {};
+    for (let hour = 0; hour < 24; hour++) {
+      const at = this.now();
+      at.setHours(hour, 0, 0, 0);
+      schedule[hour] = this.plan(at).map(entry => entry.model);
+    }
+    return schedule;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      interval: this.interval,
+      lookbackDays: this.lookbackDays,
+      maxModels: this.maxModels,
+      minRequests: this.minRequests,
+      idleMinutes: this.idleMinutes,
+      memoryBudgetGb: this.memoryBudget / GB,
+      lastRun: this.lastRun,
+      schedule: this.getSchedule(),
+      decisions: [...this.decisions].reverse()
+    };
+  }
+
+  /**
+   * Minutes until the model's run of used hours ends, plus one interval so
+   * the next pass can extend it before it expires
+   */
+  _keepAlive(hours, now) {
+    let usedHours = 1;
+    while (usedHours < 24 && hours[(now.getHours() + usedHours) % 24] > 0) {
+      usedHours++;
+    }
+    return `${usedHours * 60 - now.getMinutes() + Math.ceil(this.interval / 60000)}m`;
+  }
+
+  _loadUsage(now) {
+    const since = new Date(now.getTime() - this.lookbackDays * 24 * 60 * 60 * 1000);
+    // Same format as SQLite's CURRENT_TIMESTAMP
+    const rows = this.memoryManager.getModelUsageByHour(since.toISOString().replace('T', ' ').slice(0, 19));
+
+    const usage = new Map();
+    for (const row of rows) {
+      if (!usage.has(row.model)) {
+        usage.set(row.model, { hours: new Array(24).fill(0), lastUsed: null });
+      }
+      const entry = usage.get(row.model);
+      entry.hours[row.hour] += row.requests;
+      const lastUsed = new Date(`${row.last_used.replace(' ', 'T')}Z`);
+      if (!entry.lastUsed || lastUsed > entry.lastUsed) entry.lastUsed = lastUsed;
+    }
+    return usage;
+  }
+
+  async _preload({ model, requests, keepAlive }, loaded) {
+    const isLoaded = loaded.some(({ models }) => models.some(candidate => candidate.name === model));
+    const path = this._isEmbedding(model) ? '/api/embed' : '/api/generate';
+    const body = path === '/api/embed'
+      ? { model, input: 'preload', keep_alive: keepAlive }
+      : { model, prompt: '', stream: false, keep_alive: keepAlive };
+
+    try {
+      // Loading a large model takes a while; it waits behind interactive requests
+      await this.backendPool.post(path, body, { timeout: 5 * 60 * 1000 }, { priority: 'background', taskType: 'preload' });
+      this._decide(isLoaded ? 'extend' : 'preload', model, `${requests} requests around this hour`, { keepAlive });
+    } catch (error) {
+      this._decide('failed', model, error.message, { keepAlive });
+    }
+  }
+
+  /**
+   * Unload idle, unscheduled models from backends that use more than the budget
+   */
+  async _freeMemory(loaded, warm, now) {
+    if (!this.memoryBudget) return;
+
+    const idleSince = new Date(now.getTime() - this.idleMinutes * 60 * 1000);
+    for (const { backend, models } of loaded) {
+      let used = models.reduce((sum, model) => sum + this._modelMemory(model), 0);
+      if (used <= this.memoryBudget) continue;
+
+      const idle = models
+        .filter(model => !warm.has(model.name))
+        .map(model => ({ model, lastUsed: this.usage.get(model.name)?.lastUsed || null }))
+        .filter(({ lastUsed }) => !lastUsed || lastUsed < idleSince)
+        .sort((a, b) => (a.lastUsed ? a.lastUsed.getTime() : 0) - (b.lastUsed ? b.lastUsed.getTime() : 0));
+
+      for (const { model, lastUsed } of idle) {
+        if (used <= this.memoryBudget) break;
+
+        const reason = `${this._formatGb(used)} loaded on ${backend.url} (budget ${this._formatGb(this.memoryBudget)}), ` +
+          (lastUsed ? `idle since ${lastUsed.toISOString()}` : 'no recorded use');
+        try {
+          await this.backendPool.unload(backend.url, model.name);
+          used -= this._modelMemory(model);
+          this._decide('unload', model.name, reason, { backend: backend.url });
+        } catch (error) {
+          this._decide('failed', model.name, error.message, { backend: backend.url });
+        }
+      }
+
+      if (used > this.memoryBudget) {
+        this._decide('keep', null, `${this._formatGb(used)} loaded on ${backend.url} but no idle model to unload`, { backend: backend.url });
+      }
+    }
+  }
+
+  _modelMemory(model) {
+    return model.size_vram || model.size || 0;
+  }
+
+  _isEmbedding(model) {
+    const facts = this.modelDiscovery?.models?.get(model);
+    return facts ? facts.features.embedding : /embed/i.test(model);
+  }
+
+  _formatGb(bytes) {
+    return `${(bytes / GB).toFixed(1)} GB`;
+  }
+
+  _decide(action, model, reason, details = {}) {
+    const decision = { at: this.now().toISOString(), action, model, reason, ...details };
+    this.decisions.push(decision);
+    if (this.decisions.length > this.maxDecisions) this.decisions.shift();
+
+    const icons = { preload: '🔥', extend: '🔥', unload: '🧊', keep: '⚠️', failed: '❌' };
+    this.logger.info(`${icons[action]} Preloader ${action}${model ? ` ${model}` : ''}: ${reason}`);
+    return decision;
+  }
+}
+
+module.exports = { ModelPreloader };
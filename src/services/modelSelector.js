@@ -1,92 +1,15 @@
+const { RoutingRules } = require('./routingRules');
 const { Logger } = require('../utils/logger');
 
 class ModelSelector {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger();
 
-    // Model registry with capabilities and performance characteristics
-    this.modelRegistry = {
-      'codellama:13b-instruct-q4_K_M': {
-        type: 'coding',
-        size: '13b',
-        quantization: 'q4_K_M',
-        capabilities: ['code_generation', 'code_completion', 'code_review', 'debugging'],
-        languages: ['javascript', 'python', 'java', 'cpp', 'go', 'rust', 'typescript'],
-        contextWindow: 8192,
-        performance: 'high',
-        specializations: ['software_development', 'algorithm_optimization']
-      },
-      'deepseek-coder:6.7b-instruct-q6_K': {
-        type: 'coding',
-        size: '6.7b',
-        quantization: 'q6_K',
-        capabilities: ['code_generation', 'code_completion', 'code_review'],
-        languages: ['python', 'javascript', 'java', 'cpp'],
-        contextWindow: 8192,
-        performance: 'medium',
-        specializations: ['python_development', 'web_development']
-      },
-      'qwen2.5:7b-instruct-q6_K': {
-        type: 'general',
-        size: '7b',
-        quantization: 'q6_K',
-        capabilities: ['text_generation', 'conversation', 'analysis', 'planning'],
-        languages: ['english', 'multilingual'],
-        contextWindow: 8192,
-        performance: 'medium',
-        specializations: ['general_conversation', 'content_creation']
-      },
-      'llama3.1:8b-instruct-q4_K_M': {
-        type: 'general',
-        size: '8b',
-        quantization: 'q4_K_M',
-        capabilities: ['text_generation', 'conversation', 'analysis'],
-        languages: ['english'],
-        contextWindow: 8192,
-        performance: 'medium',
-        specializations: ['general_conversation', 'writing']
-      },
-      'sovit123/starcoder2-3b-instruct:latest': {
-        type: 'coding',
-        size: '3b',
-        quantization: 'latest',
-        capabilities: ['code_generation', 'code_completion'],
-        languages: ['python', 'javascript', 'java'],
-        contextWindow: 8192,
-        performance: 'fast',
-        specializations: ['quick_coding', 'prototyping']
-      },
-      'qwen2.5-coder:7b-instruct-q6_K': {
-        type: 'coding',
-        size: '7b',
-        quantization: 'q6_K',
-        capabilities: ['code_generation', 'code_completion', 'code_review'],
-        languages: ['python', 'javascript', 'java', 'cpp', 'go'],
-        contextWindow: 8192,
-        performance: 'medium',
-        specializations: ['coding', 'software_development']
-      },
-      'codestral:22b-v0.1-q4_K_M': {
-        type: 'coding',
-        size: '22b',
-        quantization: 'q4_K_M',
-        capabilities: ['code_generation', 'code_completion', 'code_review', 'debugging', 'optimization'],
-        languages: ['python', 'javascript', 'java', 'cpp', 'go', 'rust', 'typescript'],
-        contextWindow: 8192,
-        performance: 'very_high',
-        specializations: ['complex_coding', 'system_design', 'architecture']
-      },
-      'nomic-embed-text:latest': {
-        type: 'embedding',
-        size: 'latest',
-        quantization: 'latest',
-        capabilities: ['text_embedding', 'semantic_search', 'similarity'],
-        languages: ['multilingual'],
-        contextWindow: 8192,
-        performance: 'fast',
-        specializations: ['embeddings', 'search', 'clustering']
-      }
-    };
+    // Model registry (capabilities and performance characteristics) comes from the routing rules
+    this.routingRules = options.routingRules || new RoutingRules();
+    // Optional; when set, the registry only lists installed models
+    this.modelDiscovery = options.modelDiscovery || null;
+    this.registryUpdates = {};
 
     // Task type mappings
     this.taskTypeMappings = {
@@ -144,7 +67,7 @@ class ModelSelector {
     } catch (error) {
       this.logger.error('Error in model selection', { error: error.message });
       // Fallback to default model
-      return process.env.DEFAULT_MODEL || 'codellama:13b-instruct-q4_K_M';
+      return process.env.DEFAULT_MODEL || this.routingRules.getRules().defaultModel || 'codellama:13b-instruct-q4_K_M';
     }
   }
 
@@ -169,6 +92,37 @@ class ModelSelector {
     }
   }
 
+  /**
+   * Escalation chain for a routed request, cheapest first: the cheapest
+   * candidate for its task, the best-ranked others and the routed model
+   */
+  async getCascade(analysis, routedModel, maxSteps = 3) {
+    const contentAnalysis = {
+      isCode: analysis.taskType === 'coding',
+      isTechnical: analysis.taskType === 'technical_analysis',
+      complexity: analysis.complexity,
+      language: analysis.language
+    };
+    const taskType = this._determineTaskType(contentAnalysis, {});
+    const rankedModels = await this._rankModels(this._getCandidateModels(taskType, contentAnalysis), {}, contentAnalysis);
+
+    const bySize = (a, b) => this._parameterCount(a) - this._parameterCount(b);
+    const candidates = rankedModels.map(model => model.name).filter(name => name !== routedModel);
+    const cheapest = [...candidates].sort(bySize).slice(0, 1);
+
+    const chain = [...new Set([...cheapest, ...candidates])].slice(0, Math.max(0, maxSteps - 1));
+    chain.push(routedModel);
+    return chain.sort(bySize);
+  }
+
+  /**
+   * Parameter count in billions from the registry's size ("6.7b"); unknown sizes sort last
+   */
+  _parameterCount(modelName) {
+    const size = parseFloat(this.getModelInfo(modelName)?.size);
+    return Number.isFinite(size) ? size : Infinity;
+  }
+
   /**
    * Determine the task type based on content analysis
    */
@@ -464,10 +418,20 @@ class ModelSelector {
   }
 
   /**
-   * Update model registry (for dynamic model discovery)
+   * Update model registry (for dynamic model discovery). Updates are layered
+   * over the routing rules' registry and survive rules reloads.
    */
   updateModelRegistry(newModels) {
-    this.modelRegistry = { ...this.modelRegistry, ...newModels };
+    this.registryUpdates = { ...this.registryUpdates, ...newModels };
+  }
+
+  /**
+   * Registry entries from the routing rules plus runtime updates, merged
+   * with what model discovery learned about the installed models
+   */
+  get modelRegistry() {
+    const registry = { ...(this.routingRules.getRules().models || {}), ...this.registryUpdates };
+    return this.modelDiscovery ? this.modelDiscovery.mergeRegistry(registry) : registry;
   }
 }
 
@@ -2,8 +2,8 @@ const axios = require('axios');
 const { Logger } = require('../utils/logger');
 
 class OllamaClient {
-  constructor() {
-    this.baseURL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
     this.timeout = parseInt(process.env.REQUEST_TIMEOUT) || 120000;
     this.logger = new Logger();
 
@@ -121,6 +121,19 @@ class OllamaClient {
     }
   }
 
+  /**
+   * List the models currently loaded in memory
+   */
+  async ps() {
+    try {
+      const response = await this.client.get('/api/ps', { timeout: 5000 });
+      return response.data;
+    } catch (error) {
+      this.logger.error('Ps request failed', { error: error.message });
+      throw this._handleOllamaError(error, 'ps');
+    }
+  }
+
   /**
    * Pull a model from registry
    */
@@ -327,6 +340,18 @@ class OllamaClient {
    * Handle Ollama-specific errors
    */
   _handleOllamaError(error, operation) {
+    const handled = this._describeOllamaError(error, operation);
+
+    // Keep the HTTP status and network code so callers (e.g. BackendPool failover) can act on them
+    handled.status = error.response?.status;
+    handled.code = error.code;
+    return handled;
+  }
+
+  /**
+   * Build a readable error message for a failed Ollama request
+   */
+  _describeOllamaError(error, operation) {
     if (error.response) {
       // Server responded with error status
       const status = error.response.status;
@@ -0,0 +1,466 @@
+const crypto = require('crypto');
+
+/**
+ * 🔁 OpenAI Translator
+ *
+ * Converts between the OpenAI wire format (chat completions, completions,
+ * embeddings, models) and Ollama's native API so OpenAI SDK clients can be
+ * served by the normal OllamaGeek routing pipeline.
+ */
+class OpenAITranslator {
+  /**
+   * Convert an OpenAI chat completion request into an Ollama /api/chat request
+   */
+  toOllamaChatRequest(body) {
+    if (body.messages !== undefined && !Array.isArray(body.messages)) {
+      throw this._invalidRequest('messages must be an array', 'messages');
+    }
+
+    const toolNamesById = new Map();
+    const messages = (body.messages || []).map(message => this._convertMessage(message, toolNamesById));
+
+    const ollamaRequest = {
+      model: body.model,
+      messages,
+      stream: body.stream === true
+    };
+
+    const options = this._convertOptions(body);
+    if (Object.keys(options).length > 0) {
+      ollamaRequest.options = options;
+    }
+
+    const format = this._convertResponseFormat(body.response_format);
+    if (format) ollamaRequest.format = format;
+
+    if (Array.isArray(body.tools) && body.tools.length > 0 && body.tool_choice !== 'none') {
+      ollamaRequest.tools = body.tools;
+    }
+
+    return ollamaRequest;
+  }
+
+  /**
+   * Convert an OpenAI (legacy) completion request into Ollama /api/generate requests,
+   * one per prompt
+   */
+  toOllamaGenerateRequests(body) {
+    const prompts = Array.isArray(body.prompt) ? body.prompt : [body.prompt || ''];
+    const options = this._convertOptions(body);
+
+    return prompts.map(prompt => {
+      if (typeof prompt !== 'string') {
+        throw this._invalidRequest('Token array prompts are not supported; send prompt text instead', 'prompt');
+      }
+
+      const ollamaRequest = {
+        model: body.model,
+        prompt,
+        stream: body.stream === true
+      };
+      if (body.suffix) ollamaRequest.suffix = body.suffix;
+      if (Object.keys(options).length > 0) ollamaRequest.options = options;
+      return ollamaRequest;
+    });
+  }
+
+  /**
+   * Normalise the OpenAI embeddings input into a list of strings
+   */
+  toEmbeddingInputs(body) {
+    const input = body.input;
+    const inputs = Array.isArray(input) ? input : [input];
+
+    if (inputs.length === 0 || inputs.some(item => typeof item !== 'string')) {
+      throw this._invalidRequest('input must be a string or an array of strings', 'input');
+    }
+
+    return inputs;
+  }
+
+  /**
+   * Convert a complete Ollama chat response into an OpenAI chat.completion
+   */
+  fromOllamaChatResponse(ollamaResponse, meta) {
+    const message = ollamaResponse.message || {};
+    const toolCalls = this._convertToolCalls(message.tool_calls);
+
+    const choiceMessage = {
+      role: 'assistant',
+      content: message.content || (toolCalls.length > 0 ? null : '')
+    };
+    if (toolCalls.length > 0) {
+      choiceMessage.tool_calls = toolCalls;
+    }
+
+    return {
+      id: meta.id,
+      object: 'chat.completion',
+      created: meta.created,
+      model: ollamaResponse.model || meta.model,
+      choices: [{
+        index: 0,
+        message: choiceMessage,
+        logprobs: null,
+        finish_reason: this._finishReason(ollamaResponse, toolCalls.length > 0)
+      }],
+      usage: this._usage(ollamaResponse)
+    };
+  }
+
+  /**
+   * Convert one streamed Ollama chat chunk into OpenAI chat.completion.chunk objects
+   */
+  fromOllamaChatChunk(chunk, state) {
+    const chunks = [];
+    const message = chunk.message || {};
+
+    if (!state.sentRole) {
+      chunks.push(this._chatChunk(state, { role: 'assistant', content: '' }, null));
+      state.sentRole = true;
+    }
+
+    if (message.content) {
+      chunks.push(this._chatChunk(state, { content: message.content }, null));
+    }
+
+    const toolCalls = this._convertToolCalls(message.tool_calls);
+    if (toolCalls.length > 0) {
+      const deltas = toolCalls.map(toolCall => ({ index: state.toolCallCount++, ...toolCall }));
+      state.sawToolCalls = true;
+      chunks.push(this._chatChunk(state, { tool_calls: deltas }, null));
+    }
+
+    if (chunk.done) {
+      chunks.push(this._chatChunk(state, {}, this._finishReason(chunk, state.sawToolCalls)));
+      if (state.includeUsage) {
+        chunks.push({
+          id: state.id,
+          object: 'chat.completion.chunk',
+          created: state.created,
+          model: state.model,
+          choices: [],
+          usage: this._usage(chunk)
+        });
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Convert complete Ollama generate responses into an OpenAI text_completion
+   */
+  fromOllamaGenerateResponses(ollamaResponses, meta) {
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    const choices = ollamaResponses.map((response, index) => {
+      const responseUsage = this._usage(response);
+      usage.prompt_tokens += responseUsage.prompt_tokens;
+      usage.completion_tokens += responseUsage.completion_tokens;
+      usage.total_tokens += responseUsage.total_tokens;
+
+      return {
+        text: response.response || '',
+        index,
+        logprobs: null,
+        finish_reason: this._finishReason(response, false)
+      };
+    });
+
+    return {
+      id: meta.id,
+      object: 'text_completion',
+      created: meta.created,
+      model: ollamaResponses[0]?.model || meta.model,
+      choices,
+      usage
+    };
+  }
+
+  /**
+   * Convert one streamed Ollama generate chunk into an OpenAI text_completion chunk
+   */
+  fromOllamaGenerateChunk(chunk, state) {
+    const completionChunk = {
+      id: state.id,
+      object: 'text_completion',
+      created: state.created,
+      model: chunk.model || state.model,
+      choices: [{
+        text: chunk.response || '',
+        index: 0,
+        logprobs: null,
+        finish_reason: chunk.done ? this._finishReason(chunk, false) : null
+      }]
+    };
+
+    if (chunk.done && state.includeUsage) {
+      completionChunk.usage = this._usage(chunk);
+    }
+
+    return completionChunk;
+  }
+
+  /**
+   * Convert a list of embedding vectors into an OpenAI embeddings list
+   */
+  fromEmbeddings(embeddings, inputs, model, encodingFormat = 'float') {
+    const promptTokens = inputs.reduce((sum, input) => sum + Math.ceil(input.length / 4), 0);
+
+    return {
+      object: 'list',
+      data: embeddings.map((embedding, index) => ({
+        object: 'embedding',
+        index,
+        embedding: encodingFormat === 'base64'
+          ? Buffer.from(new Float32Array(embedding).buffer).toString('base64')
+          : embedding
+      })),
+      model,
+      usage: {
+        prompt_tokens: promptTokens,
+        total_tokens: promptTokens
+      }
+    };
+  }
+
+  /**
+   * Convert an Ollama /api/tags listing into an OpenAI model list
+   */
+  fromOllamaTags(tags) {
+    return {
+      object: 'list',
+      data: (tags.models || []).map(model => ({
+        id: model.name || model.model,
+        object: 'model',
+        created: model.modified_at ? Math.floor(new Date(model.modified_at).getTime() / 1000) : 0,
+        owned_by: 'ollama'
+      }))
+    };
+  }
+
+  /**
+   * Build an OpenAI-style error body
+   */
+  toErrorBody(error) {
+    const status = this.errorStatus(error);
+    return {
+      error: {
+        message: error.response?.data?.error || error.message || 'Internal Server Error',
+        type: status >= 500 ? 'api_error' : 'invalid_request_error',
+        param: error.param || null,
+        code: null
+      }
+    };
+  }
+
+  /**
+   * HTTP status to report for an error
+   */
+  errorStatus(error) {
+    return error.status || error.response?.status || 500;
+  }
+
+  /**
+   * Generate ids and timestamps for a response
+   */
+  createResponseMeta(prefix, model) {
+    return {
+      id: `${prefix}-${crypto.randomBytes(12).toString('hex')}`,
+      created: Math.floor(Date.now() / 1000),
+      model
+    };
+  }
+
+  /**
+   * Convert a single OpenAI message into Ollama's message format
+   */
+  _convertMessage(message, toolNamesById) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      throw this._invalidRequest('Each message must be an object', 'messages');
+    }
+
+    const role = message.role === 'developer' ? 'system' : message.role;
+    const { text, images } = this._convertContent(message.content);
+    const converted = { role, content: text };
+
+    if (images.length > 0) {
+      converted.images = images;
+    }
+
+    if (role === 'assistant' && Array.isArray(message.tool_calls)) {
+      converted.tool_calls = message.tool_calls.map(toolCall => {
+        toolNamesById.set(toolCall.id, toolCall.function?.name);
+        return {
+          function: {
+            name: toolCall.function?.name,
+            arguments: this._parseArguments(toolCall.function?.arguments)
+          }
+        };
+      });
+    }
+
+    if (role === 'tool') {
+      const toolName = message.name || toolNamesById.get(message.tool_call_id);
+      if (toolName) converted.tool_name = toolName;
+    }
+
+    return converted;
+  }
+
+  /**
+   * Flatten OpenAI content (string or content parts) into text plus base64 images
+   */
+  _convertContent(content) {
+    if (content === null || content === undefined) {
+      return { text: '', images: [] };
+    }
+
+    if (typeof content === 'string') {
+      return { text: content, images: [] };
+    }
+
+    if (!Array.isArray(content)) {
+      throw this._invalidRequest('Message content must be a string or an array of content parts', 'messages');
+    }
+
+    const textParts = [];
+    const images = [];
+
+    for (const part of content) {
+      if (!part || typeof part !== 'object') {
+        throw this._invalidRequest('Each content part must be an object with a type', 'messages');
+      }
+
+      if (part.type === 'text') {
+        if (typeof part.text !== 'string') {
+          throw this._invalidRequest('Text content parts must have a string text field', 'messages');
+        }
+        textParts.push(part.text);
+      } else if (part.type === 'image_url') {
+        const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+        const match = url && url.match(/^data:[^;]+;base64,(.+)$/);
+        if (!match) {
+          throw this._invalidRequest('Only base64 data URLs are supported for image content', 'messages');
+        }
+        images.push(match[1]);
+      }
+    }
+
+    return { text: textParts.join('\n'), images };
+  }
+
+  /**
+   * Map OpenAI sampling parameters onto Ollama options
+   */
+  _convertOptions(body) {
+    const options = {};
+
+    if (body.temperature !== undefined) options.temperature = body.temperature;
+    if (body.top_p !== undefined) options.top_p = body.top_p;
+    if (body.seed !== undefined) options.seed = body.seed;
+    if (body.frequency_penalty !== undefined) options.frequency_penalty = body.frequency_penalty;
+    if (body.presence_penalty !== undefined) options.presence_penalty = body.presence_penalty;
+
+    const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+    if (maxTokens !== undefined && maxTokens !== null) options.num_predict = maxTokens;
+
+    if (body.stop) {
+      options.stop = Array.isArray(body.stop) ? body.stop : [body.stop];
+    }
+
+    return options;
+  }
+
+  /**
+   * Map OpenAI response_format onto Ollama's format parameter
+   */
+  _convertResponseFormat(responseFormat) {
+    if (!responseFormat) return null;
+    if (responseFormat.type === 'json_object') return 'json';
+    if (responseFormat.type === 'json_schema') return responseFormat.json_schema?.schema || 'json';
+    return null;
+  }
+
+  /**
+   * Convert Ollama tool calls into OpenAI tool calls
+   */
+  _convertToolCalls(toolCalls) {
+    if (!Array.isArray(toolCalls)) return [];
+
+    return toolCalls.map(toolCall => ({
+      id: toolCall.id || `call_${crypto.randomBytes(12).toString('hex')}`,
+      type: 'function',
+      function: {
+        name: toolCall.function?.name,
+        arguments: typeof toolCall.function?.arguments === 'string'
+          ? toolCall.function.arguments
+          : JSON.stringify(toolCall.function?.arguments || {})
+      }
+    }));
+  }
+
+  /**
+   * Parse OpenAI's JSON-encoded tool arguments
+   */
+  _parseArguments(args) {
+    if (typeof args !== 'string') return args || {};
+    try {
+      return JSON.parse(args);
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Build a chat.completion.chunk wrapper
+   */
+  _chatChunk(state, delta, finishReason) {
+    return {
+      id: state.id,
+      object: 'chat.completion.chunk',
+      created: state.created,
+      model: state.model,
+      choices: [{
+        index: 0,
+        delta,
+        logprobs: null,
+        finish_reason: finishReason
+      }]
+    };
+  }
+
+  /**
+   * Determine the OpenAI finish_reason for an Ollama response
+   */
+  _finishReason(ollamaResponse, hasToolCalls) {
+    if (hasToolCalls) return 'tool_calls';
+    if (ollamaResponse.done_reason === 'length') return 'length';
+    return 'stop';
+  }
+
+  /**
+   * Build OpenAI usage from Ollama token counters
+   */
+  _usage(ollamaResponse) {
+    const promptTokens = ollamaResponse.prompt_eval_count || 0;
+    const completionTokens = ollamaResponse.eval_count || 0;
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * Create a 400 error for malformed requests
+   */
+  _invalidRequest(message, param) {
+    const error = new Error(message);
+    error.status = 400;
+    error.param = param;
+    return error;
+  }
+}
+
+module.exports = { OpenAITranslator };
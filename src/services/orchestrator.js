@@ -1,68 +1,24 @@
 const { ModelSelector } = require('./modelSelector');
 const { SmartContextManager } = require('./smartContextManager');
 // ToolManager removed - this is now a planning-only orchestrator
-const { OllamaClient } = require('./ollamaClient');
+const { BackendPool } = require('./backendPool');
+const { LanguageDetector } = require('./languageDetector');
 const { Logger } = require('../utils/logger');
 
 class OllamaOrchestrator {
-  constructor() {
-    this.modelSelector = new ModelSelector();
+  constructor(options = {}) {
+    this.modelSelector = new ModelSelector({
+      routingRules: options.routingRules,
+      modelDiscovery: options.modelDiscovery
+    });
     this.contextManager = new SmartContextManager();
+    this.languageDetector = options.languageDetector || new LanguageDetector({ routingRules: options.routingRules });
     // this.toolManager = new ToolManager(); // Removed - planning-only
-    this.ollamaClient = new OllamaClient();
+    this.backendPool = options.backendPool || new BackendPool();
     this.logger = new Logger();
 
+    // Upstream concurrency and priorities are handled by the pool's RequestScheduler
     this.conversationSessions = new Map();
-    this.requestQueue = [];
-    this.isProcessing = false;
-  }
-
-  /**
-   * Handle generate requests with intelligent orchestration
-   */
-  async handleGenerate(requestBody) {
-    const sessionId = this._getSessionId(requestBody);
-    const enhancedRequest = await this._enhanceRequest(requestBody, 'generate');
-
-    try {
-      // Select optimal model
-      const selectedModel = await this.modelSelector.selectModel(enhancedRequest);
-
-      // Manage context
-      const managedContext = await this.contextManager.manageContext(
-        sessionId,
-        enhancedRequest,
-        selectedModel
-      );
-
-      // Tool execution removed - this is now a planning-only orchestrator
-
-      // Forward to Ollama with enhanced context
-      const ollamaResponse = await this.ollamaClient.generate({
-        ...enhancedRequest,
-        model: selectedModel,
-        context: managedContext
-      });
-
-      // For now, return Ollama response directly to maintain compatibility
-      // TODO: Re-enable response processing once streaming is properly handled
-      const processedResponse = ollamaResponse;
-
-      // Update conversation session
-      this._updateSession(sessionId, enhancedRequest, processedResponse);
-
-      this.logger.info('Generate request processed', {
-        sessionId,
-        model: selectedModel,
-        contextLength: managedContext?.length || 0
-      });
-
-      return processedResponse;
-
-    } catch (error) {
-      this.logger.error('Error in generate request', { sessionId, error: error.message });
-      throw error;
-    }
   }
 
   /**
@@ -89,11 +45,13 @@ class OllamaOrchestrator {
       // Multi-step planning removed - this is now a planning-only orchestrator
 
       // Forward to Ollama
-      const ollamaResponse = await this.ollamaClient.chat({
-        ...enhancedRequest,
-        model: selectedModel,
-        context: managedContext
-      });
+      const ollamaResponse = await this.backendPool.withFailover(selectedModel, backend =>
+        backend.client.chat({
+          ...enhancedRequest,
+          model: selectedModel,
+          context: managedContext
+        })
+      );
 
       // For now, return Ollama response directly to maintain compatibility
       // TODO: Re-enable response processing once streaming is properly handled
@@ -123,10 +81,12 @@ class OllamaOrchestrator {
     try {
       const selectedModel = process.env.EMBEDDING_MODEL || 'nomic-embed-text:latest';
 
-      const response = await this.ollamaClient.embeddings({
-        ...requestBody,
-        model: selectedModel
-      });
+      const response = await this.backendPool.withFailover(selectedModel, backend =>
+        backend.client.embeddings({
+          ...requestBody,
+          model: selectedModel
+        })
+      );
 
       return response;
     } catch (error) {
@@ -140,7 +100,7 @@ class OllamaOrchestrator {
    */
   async handleTags() {
     try {
-      return await this.ollamaClient.tags();
+      return await this.backendPool.listModels();
     } catch (error) {
       this.logger.error('Error in tags request', { error: error.message });
       throw error;
@@ -152,7 +112,7 @@ class OllamaOrchestrator {
    */
   async handlePull(requestBody) {
     try {
-      return await this.ollamaClient.pull(requestBody);
+      return await this.backendPool.withFailover(null, backend => backend.client.pull(requestBody));
     } catch (error) {
       this.logger.error('Error in pull request', { error: error.message });
       throw error;
@@ -164,7 +124,7 @@ class OllamaOrchestrator {
    */
   async handlePush(requestBody) {
     try {
-      return await this.ollamaClient.push(requestBody);
+      return await this.backendPool.withFailover(requestBody.name, backend => backend.client.push(requestBody));
     } catch (error) {
       this.logger.error('Error in push request', { error: error.message });
       throw error;
@@ -240,7 +200,7 @@ class OllamaOrchestrator {
       analysis.complexity = this._estimateComplexity(content);
 
       // Detect programming language
-      analysis.language = this._detectLanguage(content);
+      analysis.language = this._detectLanguage(content, requestBody.context);
 
       // Estimate token count
       analysis.estimatedTokens = this._estimateTokenCount(content);
@@ -344,23 +304,11 @@ class OllamaOrchestrator {
   }
 
   /**
-   * Detect programming language
+   * Detect programming language; null when the request is not about one
    */
-  _detectLanguage(content) {
-    const languagePatterns = {
-      javascript: /function|const|let|var|=>|import|export/,
-      python: /def\s+\w+|import\s+\w+|from\s+\w+|class\s+\w+/,
-      java: /public\s+class|public\s+static|import\s+java/,
-      cpp: /#include|std::|namespace|class\s+\w+/,
-      go: /func\s+\w+|package\s+\w+|import\s*\(/,
-      rust: /fn\s+\w+|use\s+\w+|struct\s+\w+/
-    };
-
-    for (const [lang, pattern] of Object.entries(languagePatterns)) {
-      if (pattern.test(content)) return lang;
-    }
-
-    return null;
+  _detectLanguage(content, context = {}) {
+    const { language } = this.languageDetector.detect({ text: content, context });
+    return language === 'general' ? null : language;
   }
 
   /**
@@ -492,7 +440,7 @@ class OllamaOrchestrator {
    */
   async _getModelStats() {
     try {
-      const tags = await this.ollamaClient.tags();
+      const tags = await this.backendPool.listModels();
       return {
         totalModels: tags.models?.length || 0,
         models: tags.models?.map(model => ({
@@ -2,9 +2,10 @@ const { Logger } = require('../utils/logger');
 const PerformanceMonitor = require('./performanceMonitor');
 
 class PerformanceDashboard {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger();
-    this.performanceMonitor = new PerformanceMonitor();
+    this.performanceMonitor = options.performanceMonitor || new PerformanceMonitor();
+    this.requestScheduler = options.requestScheduler || null;
     this.logger.info('📊 Performance Dashboard initialized');
   }
 
@@ -21,6 +22,7 @@ class PerformanceDashboard {
         summary: summary,
         modelRecommendations: modelRecommendations,
         optimizationOpportunities: optimizationOpportunities,
+        requestQueue: this.requestScheduler ? this.requestScheduler.getStats() : null,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -93,7 +95,7 @@ class PerformanceDashboard {
       const stmt = this.performanceMonitor.memoryManager.db.prepare(`
         SELECT model_name, task_type, AVG(response_time_ms) as avg_response_time, COUNT(*) as request_count
         FROM model_performance
-        WHERE created_at > datetime('now', '-7 days')
+        WHERE created_at > datetime('now', '-7 days') AND outcome IS NOT 'cancelled'
         GROUP BY model_name, task_type
         HAVING avg_response_time > 30000 AND request_count >= 3
         ORDER BY avg_response_time DESC
@@ -115,7 +117,7 @@ class PerformanceDashboard {
         SELECT model_name, task_type, COUNT(*) as total_requests,
                SUM(CASE WHEN success THEN 1 ELSE 0 END) * 100.0 / COUNT(*) as success_rate
         FROM model_performance
-        WHERE created_at > datetime('now', '-7 days')
+        WHERE created_at > datetime('now', '-7 days') AND outcome IS NOT 'cancelled'
         GROUP BY model_name, task_type
         HAVING success_rate < 0.8 AND total_requests >= 3
         ORDER BY success_rate ASC
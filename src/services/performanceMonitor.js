@@ -2,9 +2,9 @@ const { Logger } = require('../utils/logger');
 const MemoryManager = require('./memoryManager');
 
 class PerformanceMonitor {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger();
-    this.memoryManager = new MemoryManager();
+    this.memoryManager = options.memoryManager || new MemoryManager();
     this.startTimes = new Map();
     this.logger.info('📊 Performance Monitor initialized');
   }
@@ -59,6 +59,84 @@ class PerformanceMonitor {
     };
   }
 
+  /**
+   * Record a model run that was timed elsewhere (e.g. a streamed response)
+   */
+  recordTiming(modelName, taskType, responseTime, success = true, errorMessage = null, tokensUsed = null) {
+    this.memoryManager.trackModelPerformance(modelName, taskType, responseTime, success, errorMessage, tokensUsed);
+
+    const status = success ? '✅' : '❌';
+    this.logger.info(`${status} ${modelName} - ${taskType}: ${responseTime}ms`);
+  }
+
+  /**
+   * End timing for an operation whose client went away. Stored with outcome
+   * 'cancelled', which counts neither as a success nor as a model failure.
+   */
+  cancelTiming(operationId) {
+    const timing = this.startTimes.get(operationId);
+    if (!timing) return;
+
+    this.startTimes.delete(operationId);
+    this.recordCancellation(timing.modelName, timing.taskType, Date.now() - timing.startTime);
+  }
+
+  /**
+   * Record a request cancelled by the client (see cancelTiming)
+   */
+  recordCancellation(modelName, taskType, responseTime) {
+    this.memoryManager.trackModelPerformance(modelName, taskType, responseTime, false, 'cancelled by client', null, 'cancelled');
+    this.logger.info(`🚫 ${modelName} - ${taskType}: cancelled after ${responseTime}ms`);
+  }
+
+  /**
+   * Record a shadow comparison; the shadow run also counts towards
+   * model_performance (the primary was recorded when it was served)
+   */
+  recordShadowComparison(comparison) {
+    const { taskType, shadow } = comparison;
+    this.recordTiming(shadow.model, taskType, shadow.responseTime, shadow.success, shadow.error || null, shadow.tokens);
+    return this.memoryManager.storeShadowComparison(comparison);
+  }
+
+  /**
+   * Compare primary and shadow models per task type over the last `days` days
+   */
+  getShadowReport({ days = 7, taskType = null } = {}) {
+    try {
+      const rows = this.memoryManager.db.prepare(`
+        SELECT
+          task_type,
+          primary_model,
+          shadow_model,
+          COUNT(*) as comparisons,
+          AVG(primary_response_time_ms) as primary_avg_response_time,
+          AVG(CASE WHEN shadow_success THEN shadow_response_time_ms END) as shadow_avg_response_time,
+          AVG(primary_tokens) as primary_avg_tokens,
+          AVG(CASE WHEN shadow_success THEN shadow_tokens END) as shadow_avg_tokens,
+          SUM(CASE WHEN shadow_success THEN 1 ELSE 0 END) * 100.0 / COUNT(*) as shadow_success_rate,
+          AVG(similarity) as avg_similarity,
+          MAX(created_at) as last_compared
+        FROM shadow_comparisons
+        WHERE created_at > datetime('now', ?)
+          AND (? IS NULL OR task_type = ?)
+        GROUP BY task_type, primary_model, shadow_model
+        ORDER BY task_type, comparisons DESC
+      `).all(`-${days} days`, taskType, taskType);
+
+      return rows.map(row => ({
+        ...row,
+        // Positive: the shadow model answered faster than the primary
+        latency_delta_ms: row.shadow_avg_response_time !== null && row.primary_avg_response_time !== null
+          ? Math.round(row.primary_avg_response_time - row.shadow_avg_response_time)
+          : null
+      }));
+    } catch (error) {
+      this.logger.error('❌ Failed to get shadow report:', error);
+      return [];
+    }
+  }
+
   /**
    * Get performance recommendations for model selection
    */
@@ -141,8 +219,10 @@ class PerformanceMonitor {
           model_name,
           task_type,
           COUNT(*) as request_count,
-          AVG(response_time_ms) as avg_response_time,
-          SUM(CASE WHEN success THEN 1 ELSE 0 END) * 100.0 / COUNT(*) as success_rate
+          SUM(CASE WHEN outcome = 'cancelled' THEN 1 ELSE 0 END) as cancelled_count,
+          AVG(CASE WHEN outcome IS NOT 'cancelled' THEN response_time_ms END) as avg_response_time,
+          SUM(CASE WHEN success THEN 1 ELSE 0 END) * 100.0 /
+            NULLIF(SUM(CASE WHEN outcome IS NOT 'cancelled' THEN 1 ELSE 0 END), 0) as success_rate
         FROM model_performance
         WHERE created_at > datetime('now', '-7 days')
         GROUP BY model_name, task_type
@@ -157,6 +237,7 @@ class PerformanceMonitor {
           COUNT(*) as total_requests,
           SUM(CASE WHEN success THEN 1 ELSE 0 END) * 100.0 / COUNT(*) as success_rate
         FROM model_performance
+        WHERE outcome IS NOT 'cancelled'
         GROUP BY model_name
         HAVING total_requests >= 3
         ORDER BY success_rate DESC, avg_response_time ASC
@@ -171,7 +252,7 @@ class PerformanceMonitor {
           error_message,
           created_at
         FROM model_performance
-        WHERE success = 0
+        WHERE success = 0 AND outcome IS NOT 'cancelled'
         ORDER BY created_at DESC
         LIMIT 10
       `).all();
@@ -183,6 +264,7 @@ class PerformanceMonitor {
         summary: {
           totalModels: new Set(recentModels.map(m => m.model_name)).size,
           totalRequests: recentModels.reduce((sum, m) => sum + m.request_count, 0),
+          cancelledRequests: recentModels.reduce((sum, m) => sum + m.cancelled_count, 0),
           avgSuccessRate: recentModels.reduce((sum, m) => sum + m.success_rate, 0) / recentModels.length || 0
         }
       };
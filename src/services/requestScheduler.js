@@ -0,0 +1,223 @@
+const { Logger } = require('../utils/logger');
+
+// Lower number = served first
+const PRIORITIES = {
+  interactive: 0,
+  background: 1
+};
+
+/**
+ * 🚦 Request Scheduler
+ *
+ * Sits in front of every upstream Ollama call made through the BackendPool.
+ * Requests wait in a queue until a candidate backend has a free slot both
+ * overall and for the requested model, so concurrent editor requests don't
+ * all hit Ollama at once and thrash model loading. Interactive requests
+ * (chat, completions) are always dispatched before background work such as
+ * /api/ai/* analysis.
+ *
+ * Limits (per backend): MAX_CONCURRENT_PER_MODEL (default 2) and
+ * MAX_CONCURRENT_REQUESTS (default 5).
+ */
+class RequestScheduler {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.maxPerModel = options.maxPerModel || parseInt(process.env.MAX_CONCURRENT_PER_MODEL) || 2;
+    this.maxPerBackend = options.maxPerBackend || parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 5;
+
+    this.waiting = [];
+    this.activeByModel = new Map();
+    this.activeByBackend = new Map();
+    this.sequence = 0;
+
+    this.stats = {
+      dispatched: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0,
+      byPriority: Object.fromEntries(
+        Object.keys(PRIORITIES).map(priority => [priority, { dispatched: 0, totalWaitMs: 0 }])
+      )
+    };
+  }
+
+  /**
+   * Wait for a slot for the model on one of the candidate backends
+   * (tried in the given order). Resolves with the chosen backend and a
+   * release function that must be called once the upstream call is done.
+   * Rejects with the signal's reason if `signal` aborts while still queued.
+   */
+  acquire({ model = null, backends, priority = 'interactive', signal = null }) {
+    if (!(priority in PRIORITIES)) {
+      throw new Error(`Unknown request priority: ${priority}`);
+    }
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        model,
+        backends,
+        priority,
+        rank: PRIORITIES[priority],
+        sequence: this.sequence++,
+        enqueuedAt: Date.now(),
+        resolve
+      };
+
+      if (signal) {
+        const onAbort = () => {
+          const index = this.waiting.indexOf(entry);
+          if (index === -1) return;
+          this.waiting.splice(index, 1);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.resolve = slot => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(slot);
+        };
+      }
+
+      this.waiting.push(entry);
+      this.waiting.sort((a, b) => a.rank - b.rank || a.sequence - b.sequence);
+      this._drain();
+    });
+  }
+
+  /**
+   * Acquire a slot, run the task on the chosen backend and release afterwards
+   */
+  async run(request, task) {
+    const { backend, release } = await this.acquire(request);
+    try {
+      return await task(backend);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Queue depth, active requests and wait times for /api/performance
+   */
+  getStats() {
+    const queueDepth = { total: this.waiting.length, byPriority: {}, byModel: {} };
+    for (const priority of Object.keys(PRIORITIES)) {
+      queueDepth.byPriority[priority] = this.waiting.filter(entry => entry.priority === priority).length;
+    }
+    for (const entry of this.waiting) {
+      const key = entry.model || 'unspecified';
+      queueDepth.byModel[key] = (queueDepth.byModel[key] || 0) + 1;
+    }
+
+    const now = Date.now();
+    const averageWait = (total, count) => (count > 0 ? Math.round(total / count) : 0);
+
+    return {
+      limits: {
+        perModel: this.maxPerModel,
+        perBackend: this.maxPerBackend
+      },
+      queueDepth,
+      active: {
+        byModel: this._countByModel(),
+        byBackend: Object.fromEntries(this.activeByBackend)
+      },
+      waitTimeMs: {
+        average: averageWait(this.stats.totalWaitMs, this.stats.dispatched),
+        max: this.stats.maxWaitMs,
+        oldestWaiting: this.waiting.length > 0
+          ? now - Math.min(...this.waiting.map(entry => entry.enqueuedAt))
+          : 0,
+        byPriority: Object.fromEntries(
+          Object.entries(this.stats.byPriority).map(([priority, stats]) => [
+            priority,
+            { dispatched: stats.dispatched, average: averageWait(stats.totalWaitMs, stats.dispatched) }
+          ])
+        )
+      },
+      dispatched: this.stats.dispatched
+    };
+  }
+
+  /**
+   * Dispatch every waiting request that can run now, in priority order.
+   * A request blocked on a busy model does not hold up other models.
+   */
+  _drain() {
+    for (let i = 0; i < this.waiting.length; i++) {
+      const entry = this.waiting[i];
+      const backend = this._pickBackend(entry);
+      if (!backend) continue;
+
+      this.waiting.splice(i, 1);
+      i--;
+      this._dispatch(entry, backend);
+    }
+  }
+
+  _pickBackend(entry) {
+    return entry.backends.find(backend =>
+      (this.activeByBackend.get(backend) || 0) < this.maxPerBackend &&
+      (!entry.model || (this.activeByModel.get(this._modelKey(backend, entry.model)) || 0) < this.maxPerModel)
+    ) || null;
+  }
+
+  _dispatch(entry, backend) {
+    const modelKey = entry.model ? this._modelKey(backend, entry.model) : null;
+    this._increment(this.activeByModel, modelKey);
+    this._increment(this.activeByBackend, backend);
+
+    const waitMs = Date.now() - entry.enqueuedAt;
+    this.stats.dispatched++;
+    this.stats.totalWaitMs += waitMs;
+    this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+    this.stats.byPriority[entry.priority].dispatched++;
+    this.stats.byPriority[entry.priority].totalWaitMs += waitMs;
+
+    if (waitMs > 1000) {
+      this.logger.info(`🚦 ${entry.priority} request for ${entry.model || 'any model'} waited ${waitMs}ms`);
+    }
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      this._decrement(this.activeByModel, modelKey);
+      this._decrement(this.activeByBackend, backend);
+      this._drain();
+    };
+
+    entry.resolve({ backend, release });
+  }
+
+  _modelKey(backend, model) {
+    return `${backend}|${model}`;
+  }
+
+  _countByModel() {
+    const counts = {};
+    for (const [key, count] of this.activeByModel) {
+      const model = key.slice(key.indexOf('|') + 1);
+      counts[model] = (counts[model] || 0) + count;
+    }
+    return counts;
+  }
+
+  _increment(counts, key) {
+    if (!key) return;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  _decrement(counts, key) {
+    if (!key) return;
+    const next = (counts.get(key) || 0) - 1;
+    if (next > 0) {
+      counts.set(key, next);
+    } else {
+      counts.delete(key);
+    }
+  }
+}
+
+module.exports = { RequestScheduler, PRIORITIES };
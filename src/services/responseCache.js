@@ -0,0 +1,287 @@
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+// Request fields that change the answer; stream/keep_alive etc. do not
+const KEY_FIELDS = ['model', 'messages', 'prompt', 'suffix', 'system', 'template', 'context', 'format', 'options', 'images', 'raw'];
+
+/**
+ * 💾 Response Cache
+ *
+ * Opt-in cache for /api/chat and /api/generate responses, stored in
+ * data/response_cache.db. Lookups first try an exact match on a hash of the
+ * normalised request. Failing that, entries with the same conversation
+ * context (everything except the latest user input) are compared by cosine
+ * similarity of the nomic-embed-text embedding the classifier already
+ * computed, so near-duplicate questions are served from cache too.
+ *
+ * Configuration: ENABLE_RESPONSE_CACHE, RESPONSE_CACHE_TTL_MS,
+ * RESPONSE_CACHE_SIMILARITY.
+ */
+class ResponseCache {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.ENABLE_RESPONSE_CACHE === 'true';
+    this.ttlMs = options.ttlMs || parseInt(process.env.RESPONSE_CACHE_TTL_MS) || 60 * 60 * 1000;
+    this.similarityThreshold = options.similarityThreshold ||
+      parseFloat(process.env.RESPONSE_CACHE_SIMILARITY) || 0.95;
+    this.dbPath = options.dbPath || path.join(process.cwd(), 'data', 'response_cache.db');
+
+    this.stats = { exactHits: 0, semanticHits: 0, misses: 0, stores: 0, skips: 0 };
+    this.db = null;
+
+    if (this.enabled) {
+      this._openDatabase();
+    }
+  }
+
+  /**
+   * Whether a request may use the cache. Clients opt out per request with
+   * `Cache-Control: no-cache` / `no-store` or `X-OllamaGeek-Cache: skip`;
+   * tool-calling requests are never cached because tools have side effects.
+   */
+  isCacheable(requestBody, headers = {}) {
+    if (!this.enabled) return false;
+
+    const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+    const skip = /no-cache|no-store/.test(cacheControl) ||
+      String(headers['x-ollamageek-cache'] || '').toLowerCase() === 'skip' ||
+      (Array.isArray(requestBody.tools) && requestBody.tools.length > 0);
+
+    if (skip) {
+      this.stats.skips++;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Build the cache key for a request to an endpoint ('chat' or 'generate').
+   * Create it before the request is modified (e.g. by context injection).
+   * requestHash identifies the exact request; contextHash leaves out the
+   * latest user input so semantically similar questions can be compared.
+   */
+  createKey(endpoint, requestBody) {
+    const normalised = { endpoint };
+    for (const field of KEY_FIELDS) {
+      if (requestBody[field] !== undefined) normalised[field] = this._normalise(requestBody[field]);
+    }
+
+    const context = { ...normalised };
+    if (Array.isArray(context.messages)) {
+      const lastUser = context.messages.map(message => message.role).lastIndexOf('user');
+      context.messages = context.messages.filter((_, index) => index !== lastUser);
+    }
+    delete context.prompt;
+
+    return {
+      endpoint,
+      model: requestBody.model || null,
+      requestHash: this._hash(normalised),
+      contextHash: this._hash(context)
+    };
+  }
+
+  /**
+   * Find a cached response for a key.
+   * Returns { response, match: 'exact' | 'semantic', similarity } or null.
+   */
+  lookup(key, embedding = null) {
+    try {
+      return this._lookup(key, embedding);
+    } catch (error) {
+      this.logger.error('❌ Response cache lookup failed', { error: error.message });
+      return null;
+    }
+  }
+
+  _lookup(key, embedding) {
+    const now = Date.now();
+
+    const exact = this.db.prepare(`
+      SELECT id, response FROM response_cache
+      WHERE request_hash = ? AND expires_at > ?
+    `).get(key.requestHash, now);
+
+    if (exact) {
+      this._recordHit(exact.id);
+      this.stats.exactHits++;
+      return { response: JSON.parse(exact.response), match: 'exact', similarity: 1 };
+    }
+
+    if (embedding) {
+      const candidates = this.db.prepare(`
+        SELECT id, response, embedding FROM response_cache
+        WHERE context_hash = ? AND expires_at > ? AND embedding IS NOT NULL
+      `).all(key.contextHash, now);
+
+      let best = null;
+      for (const candidate of candidates) {
+        const similarity = this._cosineSimilarity(embedding, JSON.parse(candidate.embedding));
+        if (similarity >= this.similarityThreshold && (!best || similarity > best.similarity)) {
+          best = { ...candidate, similarity };
+        }
+      }
+
+      if (best) {
+        this._recordHit(best.id);
+        this.stats.semanticHits++;
+        return { response: JSON.parse(best.response), match: 'semantic', similarity: best.similarity };
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Store a complete (non-streaming form) upstream response
+   */
+  store(key, embedding, response) {
+    if (!response || response.error || response.done === false) return;
+
+    try {
+      this._store(key, embedding, response);
+      this.stats.stores++;
+    } catch (error) {
+      this.logger.error('❌ Response cache store failed', { error: error.message });
+    }
+  }
+
+  _store(key, embedding, response) {
+    const now = Date.now();
+
+    this.db.prepare(`
+      INSERT INTO response_cache (request_hash, context_hash, endpoint, model, embedding, response, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(request_hash) DO UPDATE SET
+        response = excluded.response,
+        embedding = excluded.embedding,
+        created_at = excluded.created_at,
+        expires_at = excluded.expires_at,
+        hit_count = 0
+    `).run(
+      key.requestHash,
+      key.contextHash,
+      key.endpoint,
+      key.model,
+      embedding ? JSON.stringify(embedding) : null,
+      JSON.stringify(response),
+      now,
+      now + this.ttlMs
+    );
+  }
+
+  /**
+   * Drop expired entries
+   */
+  purgeExpired() {
+    if (!this.db) return 0;
+    return this.db.prepare('DELETE FROM response_cache WHERE expires_at <= ?').run(Date.now()).changes;
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    if (!this.db) return { success: true, removed: 0 };
+    const removed = this.db.prepare('DELETE FROM response_cache').run().changes;
+    return { success: true, removed };
+  }
+
+  /**
+   * Hit/miss counters and cache size
+   */
+  getStats() {
+    const hits = this.stats.exactHits + this.stats.semanticHits;
+    const lookups = hits + this.stats.misses;
+
+    return {
+      enabled: this.enabled,
+      ttlMs: this.ttlMs,
+      similarityThreshold: this.similarityThreshold,
+      ...this.stats,
+      hits,
+      hitRate: lookups > 0 ? hits / lookups : 0,
+      entries: this.db
+        ? this.db.prepare('SELECT COUNT(*) AS count FROM response_cache WHERE expires_at > ?').get(Date.now()).count
+        : 0
+    };
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  _openDatabase() {
+    if (this.dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS response_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_hash TEXT NOT NULL UNIQUE,
+        context_hash TEXT NOT NULL,
+        endpoint TEXT NOT NULL,
+        model TEXT,
+        embedding TEXT,
+        response TEXT NOT NULL,
+        hit_count INTEGER DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_response_cache_context ON response_cache(context_hash, expires_at);
+    `);
+
+    const purged = this.purgeExpired();
+    this.logger.info(`💾 Response cache enabled (${purged} expired entries purged)`);
+  }
+
+  _recordHit(id) {
+    this.db.prepare('UPDATE response_cache SET hit_count = hit_count + 1 WHERE id = ?').run(id);
+  }
+
+  /**
+   * Sort object keys and trim strings so cosmetic differences don't cause
+   * misses (inner whitespace is kept - it matters in code)
+   */
+  _normalise(value) {
+    if (typeof value === 'string') return value.trim();
+    if (Array.isArray(value)) return value.map(item => this._normalise(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.keys(value).sort().map(key => [key, this._normalise(value[key])])
+      );
+    }
+    return value;
+  }
+
+  _hash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+  }
+
+  _cosineSimilarity(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+}
+
+module.exports = { ResponseCache };
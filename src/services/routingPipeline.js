@@ -0,0 +1,174 @@
+const { Logger } = require('../utils/logger');
+
+// Response headers describing the routing decision (exposed to browser clients via CORS)
+const ROUTING_HEADERS = {
+  selectedModel: 'X-OllamaGeek-Model',
+  originalModel: 'X-OllamaGeek-Original-Model',
+  taskType: 'X-OllamaGeek-Task-Type',
+  confidence: 'X-OllamaGeek-Confidence',
+  complexity: 'X-OllamaGeek-Complexity',
+  reasoning: 'X-OllamaGeek-Reasoning',
+  contextFiles: 'X-OllamaGeek-Context-Files',
+  trimmedTokens: 'X-OllamaGeek-Trimmed-Tokens'
+};
+const HEADER_VALUE_MAX_LENGTH = 512;
+
+/**
+ * 🧭 Routing Pipeline
+ *
+ * The model routing and context enrichment that every chat-style endpoint
+ * shares: embedding classification picks the model, SmartContextManager
+ * gathers the workspace context for that task and the optional
+ * ContextBudgeter fits the conversation into that model's context window.
+ *
+ * The decision is reported in X-OllamaGeek-* headers and the _ollamaGeek
+ * response field; the model's output itself is left untouched unless the
+ * client asks for the routing footer (RESPONSE_FOOTER,
+ * RESPONSE_FOOTER_CLIENTS or the X-OllamaGeek-Footer request header).
+ *
+ * With a PerformanceMonitor, every routed request that gets an answer is
+ * recorded in model_performance, which is what ModelPreloader learns from.
+ */
+class RoutingPipeline {
+  constructor({ embeddingClassifier, contextManager, contextBudgeter = null, performanceMonitor = null, footer, footerClients }) {
+    this.embeddingClassifier = embeddingClassifier;
+    this.contextManager = contextManager;
+    this.contextBudgeter = contextBudgeter;
+    this.performanceMonitor = performanceMonitor;
+    this.footer = footer !== undefined ? footer : process.env.RESPONSE_FOOTER === 'true';
+    // User-Agent substrings of clients that get the footer by default
+    this.footerClients = footerClients || (process.env.RESPONSE_FOOTER_CLIENTS || '')
+      .split(',')
+      .map(client => client.trim().toLowerCase())
+      .filter(Boolean);
+    this.logger = new Logger();
+  }
+
+  /**
+   * Classify an Ollama-format request and gather context for it.
+   * `embedding` is the classifier's embedding of the latest user input
+   * (null when classification fell back to defaults). For chat requests,
+   * `messages` is the conversation to send upstream (trimmed to the model's
+   * context window when needed) and `budget` the budgeter's report.
+   */
+  async route(requestBody) {
+    const analysis = await this.embeddingClassifier.classifyRequest(requestBody);
+    const recommendedModel = analysis.recommendedModel;
+
+    console.log(`🧠 Embedding Classification: "${requestBody.model}" -> "${recommendedModel}"`);
+    console.log(`📊 Analysis: ${analysis.taskType} | ${analysis.complexity} | ${analysis.language} | ${analysis.reasoning}`);
+
+    const context = await this.contextManager.getSmartContext(requestBody, analysis.taskType, analysis.complexity);
+    if (context.files.length > 0 || context.gitStatus || context.reasoning) {
+      console.log(`📁 Smart Context: ${this.contextManager.formatContext(context)}`);
+    }
+
+    let messages = requestBody.messages;
+    let budget = null;
+    if (this.contextBudgeter && Array.isArray(requestBody.messages)) {
+      ({ messages, report: budget } = await this.contextBudgeter.fit(requestBody, recommendedModel));
+    }
+
+    return { analysis, context, recommendedModel, embedding: analysis._embedding || null, messages, budget };
+  }
+
+  /**
+   * Record the routed request once its response has been sent, under the
+   * model named in X-OllamaGeek-Model (a cascade may have replaced the routed
+   * one). Cache hits never reached a model and cancellations are recorded by
+   * BackendPool, so neither is counted here.
+   */
+  trackUsage(res, routed) {
+    if (!this.performanceMonitor) return;
+    const startTime = Date.now();
+
+    res.once('finish', () => {
+      if (res.get('X-OllamaGeek-Cache')) return;
+
+      const model = res.get('X-OllamaGeek-Model') || routed.recommendedModel;
+      try {
+        this.performanceMonitor.recordTiming(model, routed.analysis.taskType, Date.now() - startTime, res.statusCode < 400,
+          res.statusCode < 400 ? null : `HTTP ${res.statusCode}`);
+      } catch (error) {
+        this.logger.error('Failed to record routed request', { model, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Build the _ollamaGeek metadata block attached to responses
+   */
+  buildMetadata(requestBody, routed) {
+    const metadata = {
+      originalModel: requestBody.model,
+      selectedModel: routed.recommendedModel,
+      taskType: routed.analysis.taskType,
+      confidence: routed.analysis.confidence,
+      complexity: routed.analysis.complexity,
+      reasoning: routed.analysis.reasoning,
+      contextFiles: (routed.context?.files || []).map(file => file.path)
+    };
+    if (routed.budget) {
+      metadata.contextBudget = routed.budget;
+    }
+    return metadata;
+  }
+
+  /**
+   * Build the X-OllamaGeek-* response headers for a routing decision
+   */
+  buildHeaders(requestBody, routed) {
+    const metadata = this.buildMetadata(requestBody, routed);
+    const values = {
+      ...metadata,
+      contextFiles: metadata.contextFiles.join(', '),
+      trimmedTokens: routed.budget ? routed.budget.trimmedTokens : null
+    };
+
+    const headers = {};
+    for (const [field, header] of Object.entries(ROUTING_HEADERS)) {
+      const value = this._headerValue(values[field]);
+      if (value) headers[header] = value;
+    }
+    return headers;
+  }
+
+  /**
+   * Whether a request wants the routing footer appended to the reply:
+   * the X-OllamaGeek-Footer header wins, then RESPONSE_FOOTER_CLIENTS, then
+   * RESPONSE_FOOTER
+   */
+  wantsFooter(requestHeaders = {}) {
+    const explicit = requestHeaders['x-ollamageek-footer'];
+    if (explicit !== undefined) {
+      return ['true', 'on', '1', 'yes'].includes(String(explicit).toLowerCase());
+    }
+
+    const userAgent = (requestHeaders['user-agent'] || '').toLowerCase();
+    if (this.footerClients.some(client => userAgent.includes(client))) {
+      return true;
+    }
+    return this.footer;
+  }
+
+  /**
+   * Markdown footer naming the model that answered
+   */
+  buildFooter(routed) {
+    return `\n\n---\n🤖 **OllamaGeek AI Assistant**\n🎯 **Model Used:** ${routed.recommendedModel}\n📊 **Task:** ${routed.analysis.taskType} (${routed.analysis.complexity})\n---`;
+  }
+
+  /**
+   * Header-safe string: printable ASCII only, bounded length
+   */
+  _headerValue(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/[^\x20-\x7E\s]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, HEADER_VALUE_MAX_LENGTH);
+  }
+}
+
+module.exports = { RoutingPipeline, ROUTING_HEADERS };
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'routingRules.json');
+
+// Ordered from least to most demanding; other services key off these names
+const COMPLEXITY_LEVELS = ['low', 'medium', 'high', 'very_high'];
+
+/**
+ * 📐 Routing Rules
+ *
+ * Loads the declarative model routing config: task categories (examples,
+ * keywords, optional patterns, candidate models, per-language and
+ * per-complexity overrides), complexity keywords and token thresholds,
+ * language detection keywords and the model registry used by ModelSelector.
+ *
+ * The file is validated on load. `watch()` reloads it whenever it changes on
+ * disk; an invalid edit is logged and the previous rules stay active.
+ *
+ * Configuration: ROUTING_RULES_FILE (defaults to src/config/routingRules.json).
+ */
+class RoutingRules {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.filePath = options.filePath || process.env.ROUTING_RULES_FILE || DEFAULT_RULES_FILE;
+    this.watchInterval = options.watchInterval || 1000;
+
+    this.rules = null;
+    this.version = 0;
+    this.loadedAt = null;
+    this.lastError = null;
+    this.listener = null;
+
+    // An invalid file at startup is fatal - there is nothing to fall back to
+    this.load();
+  }
+
+  /**
+   * Read and validate the rules file, replacing the active rules.
+   * Throws if the file cannot be parsed or fails validation.
+   */
+  load() {
+    let rules;
+    try {
+      rules = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read routing rules from ${this.filePath}: ${error.message}`);
+    }
+
+    const errors = this.validate(rules);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid routing rules in ${this.filePath}: ${errors.join('; ')}`);
+      error.details = errors;
+      throw error;
+    }
+
+    this.rules = rules;
+    this.version++;
+    this.loadedAt = new Date().toISOString();
+    this.lastError = null;
+    return rules;
+  }
+
+  /**
+   * Reload the file, keeping the current rules if the new ones are invalid
+   */
+  reload() {
+    try {
+      this.load();
+      this.logger.info(`📐 Routing rules reloaded from ${this.filePath} (version ${this.version})`);
+      return true;
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error('❌ Routing rules reload failed, keeping previous rules', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Reload automatically when the file changes
+   */
+  watch() {
+    if (this.listener) return;
+
+    this.listener = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) this.reload();
+    };
+    fs.watchFile(this.filePath, { interval: this.watchInterval, persistent: false }, this.listener);
+  }
+
+  unwatch() {
+    if (this.listener) {
+      fs.unwatchFile(this.filePath, this.listener);
+      this.listener = null;
+    }
+  }
+
+  /**
+   * The active rules
+   */
+  getRules() {
+    return this.rules;
+  }
+
+  /**
+   * Active rules plus load state, for GET /api/routing
+   */
+  getStatus() {
+    return {
+      file: this.filePath,
+      version: this.version,
+      loadedAt: this.loadedAt,
+      watching: Boolean(this.listener),
+      lastError: this.lastError,
+      rules: this.rules
+    };
+  }
+
+  /**
+   * Check a rules object and return a list of problems (empty when valid)
+   */
+  validate(rules) {
+    const errors = [];
+    if (!this._isObject(rules)) {
+      return ['rules must be a JSON object'];
+    }
+
+    if (rules.defaultModel !== undefined && !this._isNonEmptyString(rules.defaultModel)) {
+      errors.push('defaultModel must be a non-empty string');
+    }
+
+    if (!this._isObject(rules.categories) || Object.keys(rules.categories).length === 0) {
+      errors.push('categories must be an object with at least one category');
+    } else {
+      for (const [name, category] of Object.entries(rules.categories)) {
+        this._validateCategory(`categories.${name}`, category, errors);
+      }
+    }
+
+    if (!this._isObject(rules.complexity)) {
+      errors.push(`complexity must define the levels ${COMPLEXITY_LEVELS.join(', ')}`);
+    } else {
+      for (const level of COMPLEXITY_LEVELS) {
+        const pattern = rules.complexity[level];
+        if (!this._isObject(pattern)) {
+          errors.push(`complexity.${level} is required`);
+          continue;
+        }
+        this._checkStringList(`complexity.${level}.keywords`, pattern.keywords, errors);
+        if (!Number.isInteger(pattern.maxTokens) || pattern.maxTokens <= 0) {
+          errors.push(`complexity.${level}.maxTokens must be a positive integer`);
+        }
+      }
+    }
+
+    if (!this._isObject(rules.languages)) {
+      errors.push('languages must be an object of keyword lists');
+    } else {
+      for (const [language, keywords] of Object.entries(rules.languages)) {
+        this._checkStringList(`languages.${language}`, keywords, errors);
+      }
+    }
+
+    if (rules.models !== undefined) {
+      if (!this._isObject(rules.models)) {
+        errors.push('models must be an object keyed by model name');
+      } else {
+        for (const [name, model] of Object.entries(rules.models)) {
+          this._validateModel(`models.${name}`, model, errors);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  _validateCategory(prefix, category, errors) {
+    if (!this._isObject(category)) {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+
+    this._checkStringList(`${prefix}.keywords`, category.keywords, errors);
+    this._checkStringList(`${prefix}.models`, category.models, errors);
+    if (category.examples !== undefined) this._checkStringList(`${prefix}.examples`, category.examples, errors);
+    if (category.requiredKeywords !== undefined) {
+      this._checkStringList(`${prefix}.requiredKeywords`, category.requiredKeywords, errors);
+    }
+    if (category.patterns !== undefined) {
+      this._checkStringList(`${prefix}.patterns`, category.patterns, errors);
+      for (const pattern of Array.isArray(category.patterns) ? category.patterns : []) {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (error) {
+          errors.push(`${prefix}.patterns has an invalid regular expression: ${error.message}`);
+        }
+      }
+    }
+
+    if (category.languageOverrides !== undefined) {
+      if (!this._isObject(category.languageOverrides)) {
+        errors.push(`${prefix}.languageOverrides must be an object of model lists`);
+      } else {
+        for (const [language, models] of Object.entries(category.languageOverrides)) {
+          this._checkStringList(`${prefix}.languageOverrides.${language}`, models, errors);
+        }
+      }
+    }
+
+    if (category.complexityOverrides !== undefined) {
+      if (!this._isObject(category.complexityOverrides)) {
+        errors.push(`${prefix}.complexityOverrides must be an object of model lists`);
+      } else {
+        for (const [level, models] of Object.entries(category.complexityOverrides)) {
+          if (!COMPLEXITY_LEVELS.includes(level)) {
+            errors.push(`${prefix}.complexityOverrides.${level} is not a complexity level (${COMPLEXITY_LEVELS.join(', ')})`);
+          }
+          this._checkStringList(`${prefix}.complexityOverrides.${level}`, models, errors);
+        }
+      }
+    }
+  }
+
+  _validateModel(prefix, model, errors) {
+    if (!this._isObject(model)) {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+
+    for (const field of ['type', 'size', 'quantization', 'performance']) {
+      if (!this._isNonEmptyString(model[field])) errors.push(`${prefix}.${field} must be a non-empty string`);
+    }
+    for (const field of ['capabilities', 'languages', 'specializations']) {
+      if (!Array.isArray(model[field]) || !model[field].every(item => typeof item === 'string')) {
+        errors.push(`${prefix}.${field} must be an array of strings`);
+      }
+    }
+    if (!Number.isInteger(model.contextWindow) || model.contextWindow <= 0) {
+      errors.push(`${prefix}.contextWindow must be a positive integer`);
+    }
+  }
+
+  _checkStringList(name, value, errors) {
+    if (!Array.isArray(value) || value.length === 0 || !value.every(item => this._isNonEmptyString(item))) {
+      errors.push(`${name} must be a non-empty array of strings`);
+    }
+  }
+
+  _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  _isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+  }
+}
+
+module.exports = { RoutingRules, COMPLEXITY_LEVELS };
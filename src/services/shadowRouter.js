@@ -0,0 +1,200 @@
+const { Logger } = require('../utils/logger');
+const { BackendPool } = require('./backendPool');
+const PerformanceMonitor = require('./performanceMonitor');
+
+/**
+ * 🌓 Shadow Router
+ *
+ * Compares a candidate model with the routed one on live traffic. A sample
+ * (SHADOW_SAMPLE_RATE) of /api/chat requests is sent again to the shadow
+ * model once the client has its answer, at background priority; the client
+ * only ever sees the primary response. Both answers, their latency and
+ * token counts are stored through PerformanceMonitor in shadow_comparisons
+ * for GET /api/shadow/report; the shadow run also counts in model_performance.
+ *
+ * SHADOW_MODEL is one model for every task type, or one per task type:
+ * `coding=qwen2.5-coder:14b-instruct-q4_K_M,general=llama3.1:8b-instruct-q4_K_M`.
+ */
+class ShadowRouter {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.backendPool = options.backendPool || new BackendPool();
+    this.performanceMonitor = options.performanceMonitor || new PerformanceMonitor();
+    // Optional: skip shadow models that are not installed
+    this.modelDiscovery = options.modelDiscovery || null;
+
+    this.sampleRate = options.sampleRate !== undefined ? options.sampleRate : parseFloat(process.env.SHADOW_SAMPLE_RATE) || 0;
+    this.models = options.models || this._parseModels(process.env.SHADOW_MODEL || '');
+    // Shadow runs still cost GPU time, so don't let them pile up behind each other
+    this.maxPending = options.maxPending || parseInt(process.env.SHADOW_MAX_PENDING) || 2;
+    this.random = options.random || Math.random;
+    this.pending = 0;
+  }
+
+  isEnabled() {
+    return this.sampleRate > 0 && (Boolean(this.models.default) || Object.keys(this.models.byTaskType).length > 0);
+  }
+
+  /**
+   * Shadow model for a task type, or null if there is none to compare with
+   */
+  shadowModelFor(taskType, primaryModel) {
+    const model = this.models.byTaskType[taskType] || this.models.default;
+    if (!model || model === primaryModel) return null;
+    if (this.modelDiscovery?.hasInventory() && !this.modelDiscovery.isInstalled(model)) return null;
+    return model;
+  }
+
+  /**
+   * Decide whether to shadow an Ollama chat request. Returns the shadow run
+   * to hand to `compare()` once the primary answer is complete, or null.
+   * A returned run holds one of the `maxPending` slots until compare() ends
+   * or release() gives it back.
+   */
+  sample(chatRequest, routed) {
+    if (!this.isEnabled() || this.pending >= this.maxPending) return null;
+
+    const model = this.shadowModelFor(routed.analysis.taskType, chatRequest.model);
+    if (!model || this.random() >= this.sampleRate) return null;
+
+    this.pending++;
+    return {
+      model,
+      taskType: routed.analysis.taskType,
+      complexity: routed.analysis.complexity,
+      request: { ...chatRequest, model, stream: false },
+      slot: 'reserved'
+    };
+  }
+
+  /**
+   * Give back the slot of a sampled run that never reached compare(), e.g.
+   * because the primary request failed. Runs already compared are left alone.
+   */
+  release(shadow) {
+    if (shadow?.slot !== 'reserved') return;
+    shadow.slot = 'released';
+    this.pending--;
+  }
+
+  /**
+   * Send the shadow request and store it next to the primary response.
+   * Resolves to the stored comparison, or null on failure; never rejects.
+   */
+  async compare(shadow, primaryResponse, primaryResponseTime) {
+    if (shadow.slot !== 'reserved') return null;
+    shadow.slot = 'running';
+    try {
+      const startTime = Date.now();
+      let shadowResult;
+      try {
+        const response = await this.backendPool.post('/api/chat', shadow.request, {
+          headers: { 'Content-Type': 'application/json' }
+        }, { priority: 'background', countUsage: false });
+
+        shadowResult = {
+          model: shadow.model,
+          response: response.data?.message?.content || '',
+          responseTime: Date.now() - startTime,
+          tokens: this._tokens(response.data),
+          success: true
+        };
+      } catch (error) {
+        shadowResult = {
+          model: shadow.model,
+          response: null,
+          responseTime: Date.now() - startTime,
+          tokens: null,
+          success: false,
+          error: error.message
+        };
+      }
+
+      const primaryText = primaryResponse?.message?.content || '';
+      const comparison = {
+        taskType: shadow.taskType,
+        complexity: shadow.complexity,
+        prompt: this._lastUserMessage(shadow.request.messages),
+        primary: {
+          model: primaryResponse?.model || shadow.request.model,
+          response: primaryText,
+          responseTime: primaryResponseTime,
+          tokens: this._tokens(primaryResponse)
+        },
+        shadow: shadowResult,
+        similarity: shadowResult.success ? this.similarity(primaryText, shadowResult.response) : null
+      };
+
+      this.performanceMonitor.recordShadowComparison(comparison);
+      this.logger.info(`🌓 Shadowed ${comparison.primary.model} with ${shadow.model} (${shadow.taskType})`, {
+        primaryMs: primaryResponseTime,
+        shadowMs: shadowResult.responseTime,
+        similarity: comparison.similarity
+      });
+      return comparison;
+    } catch (error) {
+      this.logger.error('🌓 Shadow comparison failed', { model: shadow.model, error: error.message });
+      return null;
+    } finally {
+      shadow.slot = 'released';
+      this.pending--;
+    }
+  }
+
+  /**
+   * Word overlap (Jaccard) of two answers: a rough agreement signal, 0 to 1
+   */
+  similarity(a, b) {
+    const words = text => new Set((text || '').toLowerCase().match(/\w+/g) || []);
+    const first = words(a);
+    const second = words(b);
+    if (first.size === 0 && second.size === 0) return 1;
+
+    let shared = 0;
+    for (const word of first) {
+      if (second.has(word)) shared++;
+    }
+    return Math.round((shared / (first.size + second.size - shared)) * 1000) / 1000;
+  }
+
+  /**
+   * Settings plus the per-task-type comparison report
+   */
+  getReport({ days = 7, taskType = null } = {}) {
+    return {
+      enabled: this.isEnabled(),
+      sampleRate: this.sampleRate,
+      models: this.models,
+      pending: this.pending,
+      days,
+      taskType,
+      comparisons: this.performanceMonitor.getShadowReport({ days, taskType })
+    };
+  }
+
+  _parseModels(value) {
+    const models = { default: null, byTaskType: {} };
+    for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+      const separator = entry.indexOf('=');
+      if (separator === -1) {
+        models.default = entry;
+      } else {
+        models.byTaskType[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+      }
+    }
+    return models;
+  }
+
+  _tokens(response) {
+    if (!response) return null;
+    const tokens = (response.prompt_eval_count || 0) + (response.eval_count || 0);
+    return tokens > 0 ? tokens : null;
+  }
+
+  _lastUserMessage(messages = []) {
+    const message = [...messages].reverse().find(candidate => candidate.role === 'user');
+    return typeof message?.content === 'string' ? message.content : null;
+  }
+}
+
+module.exports = { ShadowRouter };
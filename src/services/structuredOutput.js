@@ -0,0 +1,148 @@
+const { Logger } = require('../utils/logger');
+const { validateSchema, schemaProblems } = require('../utils/jsonSchema');
+const { BackendPool } = require('./backendPool');
+
+/**
+ * 🧩 Structured Output
+ *
+ * Gets JSON that matches a JSON Schema out of a model. The schema goes to
+ * Ollama as `format`, so the model is constrained while it generates; the
+ * reply is then parsed and validated, and on a mismatch the model is asked
+ * again with the validation errors, up to STRUCTURED_OUTPUT_MAX_RETRIES
+ * times. A reply that never validates fails with status 502 and the errors
+ * in `details`; a schema that can't be checked safely (see schemaProblems)
+ * fails with status 400 before anything is sent.
+ *
+ * Internal callers use `generate()` directly. Public /api/chat and
+ * /api/generate requests whose `format` is a schema go through it with
+ * ENABLE_STRUCTURED_OUTPUT=true or the header `X-OllamaGeek-Structured: true`
+ * (`false` opts out).
+ */
+class StructuredOutput {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    // Created on first use when not given, so services that never ask for JSON don't open a pool
+    this.backendPool = options.backendPool || null;
+
+    const retries = parseInt(process.env.STRUCTURED_OUTPUT_MAX_RETRIES);
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : Number.isNaN(retries) ? 2 : retries;
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.ENABLE_STRUCTURED_OUTPUT === 'true';
+  }
+
+  /**
+   * Whether a public request asks for schema-checked output
+   */
+  isEnabledFor(requestBody, headers = {}) {
+    const format = requestBody.format;
+    if (!format || typeof format !== 'object') return false;
+
+    const header = String(headers['x-ollamageek-structured'] || '').toLowerCase();
+    if (header === 'true') return true;
+    if (header === 'false') return false;
+    return this.enabled;
+  }
+
+  /**
+   * Send an Ollama /api/chat or /api/generate request with `format` set to
+   * the schema and repair the reply until it validates.
+   * Options: `signal`, `timeout`, `priority`, `taskType`, `maxRetries`.
+   * Resolves to { data, response, attempts }: the parsed JSON, the last
+   * Ollama response and the number of requests it took.
+   */
+  async generate(path, request, schema, options = {}) {
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : this.maxRetries;
+    const config = { signal: options.signal };
+    if (options.timeout) config.timeout = options.timeout;
+
+    const problems = schemaProblems(schema);
+    if (problems.length > 0) {
+      const error = new Error(`Unsupported JSON schema in format: ${problems.slice(0, 5).join('; ')}`);
+      error.status = 400;
+      error.code = 'STRUCTURED_OUTPUT_SCHEMA';
+      error.details = problems;
+      throw error;
+    }
+
+    if (!this.backendPool) this.backendPool = new BackendPool();
+
+    let current = { ...request, format: schema, stream: false };
+    let reply = '';
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      const response = await this.backendPool.post(path, current, config, {
+        priority: options.priority,
+        taskType: options.taskType
+      });
+
+      reply = response.data?.message?.content ?? response.data?.response ?? '';
+      const parsed = this.parse(reply, schema);
+      if (parsed.errors.length === 0) {
+        if (attempt > 1) this.logger.info(`🧩 Structured reply from ${request.model} repaired after ${attempt} attempts`);
+        return { data: parsed.value, response: response.data, attempts: attempt };
+      }
+
+      errors = parsed.errors;
+      this.logger.warn(`🧩 Structured reply from ${request.model} failed validation (attempt ${attempt})`, { errors: errors.slice(0, 5) });
+      current = this._repairRequest(path, request, schema, reply, errors);
+    }
+
+    const error = new Error(`Reply from ${request.model} did not match the schema after ${maxRetries + 1} attempts: ${errors.slice(0, 5).join('; ')}`);
+    error.status = 502;
+    error.code = 'STRUCTURED_OUTPUT_INVALID';
+    error.details = errors;
+    error.reply = reply;
+    throw error;
+  }
+
+  /**
+   * Parse a reply and validate it. Only a surrounding code fence is
+   * tolerated; anything else is reported back to the model.
+   */
+  parse(text, schema) {
+    const fenced = String(text).trim().match(/^```\w*\n([\s\S]*?)\n?```$/);
+    let value;
+    try {
+      value = JSON.parse(fenced ? fenced[1] : text);
+    } catch (error) {
+      return { value: null, errors: [`the reply is not valid JSON (${error.message})`] };
+    }
+    return { value, errors: validateSchema(value, schema) };
+  }
+
+  /**
+   * The original request plus the rejected reply and what was wrong with it
+   */
+  _repairRequest(path, request, schema, reply, errors) {
+    const instructions = [
+      'Your previous reply did not match the required JSON schema:',
+      ...errors.slice(0, 10).map(error => `- ${error}`),
+      '',
+      `Schema: ${JSON.stringify(schema)}`,
+      '',
+      'Reply again with only the corrected JSON.'
+    ].join('\n');
+
+    if (path === '/api/chat') {
+      return {
+        ...request,
+        format: schema,
+        stream: false,
+        messages: [
+          ...(request.messages || []),
+          { role: 'assistant', content: reply },
+          { role: 'user', content: instructions }
+        ]
+      };
+    }
+
+    return {
+      ...request,
+      format: schema,
+      stream: false,
+      prompt: `${request.prompt || ''}\n\nYour previous reply:\n${reply}\n\n${instructions}`
+    };
+  }
+}
+
+module.exports = { StructuredOutput };
@@ -381,6 +381,57 @@ class ToolExecutionEngine {
     return paramMap[toolName] || [];
   }
 
+  /**
+   * Get optional parameters for a tool
+   */
+  getOptionalParams(toolName) {
+    const paramMap = {
+      run_terminal: ['cwd'],
+      install_dependency: ['cwd', 'packageManager'],
+      configure_linter: ['cwd'],
+      run_tests: ['cwd', 'testScript']
+    };
+
+    return paramMap[toolName] || [];
+  }
+
+  /**
+   * Get function-calling definitions (Ollama/OpenAI tools format) for all supported tools
+   */
+  getToolDefinitions() {
+    const descriptions = {
+      create_file: 'Create a file with the given content',
+      create_directory: 'Create a directory (and any missing parents)',
+      run_terminal: 'Run a shell command and return stdout/stderr',
+      install_dependency: 'Install a package with npm or yarn',
+      configure_linter: 'Write a linter configuration file',
+      run_tests: 'Run an npm test script',
+      copy_file: 'Copy a file',
+      move_file: 'Move a file',
+      delete_file: 'Delete a file',
+      rename_file: 'Rename a file',
+      list_files: 'List the entries of a directory'
+    };
+
+    return Array.from(this.supportedTools).map(toolName => {
+      const required = this.getRequiredParams(toolName);
+      const params = [...required, ...this.getOptionalParams(toolName)];
+
+      return {
+        type: 'function',
+        function: {
+          name: toolName,
+          description: descriptions[toolName] || toolName,
+          parameters: {
+            type: 'object',
+            properties: Object.fromEntries(params.map(param => [param, { type: 'string' }])),
+            required
+          }
+        }
+      };
+    });
+  }
+
   /**
    * Get tool execution statistics
    */
@@ -0,0 +1,13 @@
+/**
+ * Whether an error comes from an aborted request: axios' CanceledError
+ * (ERR_CANCELED) or an AbortSignal's reason (AbortError)
+ */
+function isCancellation(error) {
+  return Boolean(error) && (
+    error.code === 'ERR_CANCELED' ||
+    error.name === 'CanceledError' ||
+    error.name === 'AbortError'
+  );
+}
+
+module.exports = { isCancellation };
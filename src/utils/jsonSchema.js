@@ -0,0 +1,204 @@
+// Schemas can come from public requests, so `pattern` is only compiled when
+// it is short and free of the shapes behind catastrophic backtracking
+const MAX_PATTERN_LENGTH = 200;
+const OPEN_REPEAT = /^\{\d+,\d*\}/;
+const compiledPatterns = new Map();
+
+/**
+ * Minimal JSON Schema validation for model replies. Covers the keywords the
+ * structured-output schemas use: type, enum, const, properties, required,
+ * additionalProperties, items, min/maxItems, min/maxLength, pattern,
+ * minimum/maximum, anyOf, oneOf and allOf. Unknown keywords are ignored.
+ *
+ * Returns a list of human-readable errors (empty when the value is valid);
+ * they are phrased to be sent back to the model as-is.
+ */
+function validateSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} should be ${types.join(' or ')}, got ${describeType(value)}`];
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} should have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} should have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined) {
+      const pattern = compilePattern(schema.pattern);
+      if (!pattern) {
+        errors.push(`${path} cannot be checked against /${schema.pattern}/`);
+      } else if (!pattern.test(value)) {
+        errors.push(`${path} should match /${schema.pattern}/`);
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(part => errors.push(...validateSchema(value, part, path)));
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(part => validateSchema(value, part, path).length === 0)) {
+    errors.push(`${path} should match at least one of the allowed shapes`);
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter(part => validateSchema(value, part, path).length === 0).length;
+    if (matches !== 1) errors.push(`${path} should match exactly one of the allowed shapes (matched ${matches})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Problems with a schema that make it unsafe to validate against: `pattern`
+ * keywords that are not strings, don't compile, are too long or could
+ * backtrack catastrophically. Empty when the schema is fine.
+ */
+function schemaProblems(schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+
+  const problems = [];
+  if (schema.pattern !== undefined) {
+    const problem = patternProblem(schema.pattern);
+    if (problem) problems.push(`${path}.pattern ${problem}`);
+  }
+
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    problems.push(...schemaProblems(child, `${path}.properties.${key}`));
+  }
+  for (const keyword of ['items', 'additionalProperties']) {
+    if (schema[keyword] && typeof schema[keyword] === 'object') {
+      problems.push(...schemaProblems(schema[keyword], `${path}.${keyword}`));
+    }
+  }
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    if (Array.isArray(schema[keyword])) {
+      schema[keyword].forEach((part, index) => problems.push(...schemaProblems(part, `${path}.${keyword}[${index}]`)));
+    }
+  }
+  return problems;
+}
+
+function patternProblem(pattern) {
+  if (typeof pattern !== 'string') return 'should be a string';
+  if (pattern.length > MAX_PATTERN_LENGTH) return `should be at most ${MAX_PATTERN_LENGTH} characters`;
+  if (/\\[1-9]|\\k</.test(pattern)) return 'should not use backreferences';
+  if (repeatsRepetition(pattern)) return 'should not repeat a group that holds a repetition or alternatives';
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return `is not a valid regular expression (${error.message})`;
+  }
+  return null;
+}
+
+/**
+ * Whether a group that repeats without bound (*, + or {n,}) holds a
+ * repetition or alternatives, e.g. (a+)+, ((a+)b)* or (a|aa)*
+ */
+function repeatsRepetition(pattern) {
+  // One flag per open group: does it hold a repetition or alternatives?
+  const groups = [];
+  const isRepeat = index => pattern[index] === '*' || pattern[index] === '+' ||
+    (pattern[index] === '{' && OPEN_REPEAT.test(pattern.slice(index)));
+  const markOpenGroup = () => {
+    if (groups.length > 0) groups[groups.length - 1] = true;
+  };
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const risky = groups.pop();
+      const repeated = isRepeat(i + 1);
+      if (risky && repeated) return true;
+      if (risky || repeated) markOpenGroup();
+    } else if (char === '|' || isRepeat(i)) {
+      markOpenGroup();
+    }
+  }
+  return false;
+}
+
+// Null for patterns that patternProblem rejects
+function compilePattern(pattern) {
+  if (!compiledPatterns.has(pattern)) {
+    if (compiledPatterns.size >= 500) compiledPatterns.clear();
+    compiledPatterns.set(pattern, patternProblem(pattern) ? null : new RegExp(pattern));
+  }
+  return compiledPatterns.get(pattern);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+module.exports = { validateSchema, schemaProblems };
@@ -0,0 +1,173 @@
+const { Transform, Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * 🌊 NDJSON Stream Transform
+ *
+ * Buffers raw socket chunks into complete lines, parses each line as JSON,
+ * hands the object to a mapper and re-serialises whatever the mapper returns.
+ * Lines split across TCP chunks, several lines merged into one chunk and
+ * escaped quotes in content are all handled because edits are made on parsed
+ * objects rather than on the raw text.
+ *
+ * The mapper may return an object, an array of objects, or null to drop the line.
+ * Options: `serialize` (defaults to one JSON object per line) and
+ * `passInvalidLines` (defaults to true; lines that are not JSON objects or
+ * arrays are forwarded as-is).
+ */
+class NdjsonTransform extends Transform {
+  constructor(mapObject, options = {}) {
+    super();
+    this.mapObject = mapObject;
+    this.serialize = options.serialize || (obj => JSON.stringify(obj) + '\n');
+    this.passInvalidLines = options.passInvalidLines !== false;
+    this.buffer = '';
+    this.decoder = new StringDecoder('utf8');
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffer += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+
+    try {
+      lines.forEach(line => this._processLine(line));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    this.buffer += this.decoder.end();
+
+    try {
+      this._processLine(this.buffer);
+      this.buffer = '';
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _processLine(line) {
+    if (!line.trim()) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch {
+      parsed = undefined;
+    }
+
+    // Not JSON, or a bare value like `null` the mappers can't read fields
+    // from - pass it through untouched rather than losing data
+    if (!parsed || typeof parsed !== 'object') {
+      if (this.passInvalidLines) this.push(line + '\n');
+      return;
+    }
+
+    const mapped = this.mapObject(parsed);
+    if (mapped === null || mapped === undefined) return;
+
+    for (const obj of Array.isArray(mapped) ? mapped : [mapped]) {
+      this.push(this.serialize(obj));
+    }
+  }
+}
+
+/**
+ * Create a transform that applies OllamaGeek's enrichment to an Ollama
+ * /api/chat or /api/generate stream:
+ * - modelLabel: replaces the `model` field on every object
+ * - footer: appended to the content of the final (done) object
+ * - metadata: attached as `_ollamaGeek` on the final (done) object
+ */
+function createEnrichmentTransform({ modelLabel = null, footer = null, metadata = null } = {}) {
+  return new NdjsonTransform((obj) => {
+    if (obj.error) return obj;
+
+    if (modelLabel && obj.model) {
+      obj.model = modelLabel;
+    }
+
+    if (obj.done) {
+      if (footer) {
+        if (obj.message) {
+          obj.message.content = (obj.message.content || '') + footer;
+        } else if ('response' in obj) {
+          obj.response = (obj.response || '') + footer;
+        }
+      }
+
+      if (metadata) {
+        obj._ollamaGeek = metadata;
+      }
+    }
+
+    return obj;
+  });
+}
+
+/**
+ * Create a pass-through transform that rebuilds the complete (non-streaming)
+ * response from an Ollama /api/chat or /api/generate stream and hands it to
+ * `onComplete` once the done object arrives. Streams that end in an error
+ * are not reported.
+ */
+function createResponseCollector(onComplete) {
+  let content = '';
+  let toolCalls = [];
+  let role = 'assistant';
+  let failed = false;
+
+  return new NdjsonTransform((obj) => {
+    if (obj.error) {
+      failed = true;
+      return obj;
+    }
+
+    if (obj.message) {
+      role = obj.message.role || role;
+      content += obj.message.content || '';
+      if (Array.isArray(obj.message.tool_calls)) toolCalls = toolCalls.concat(obj.message.tool_calls);
+    } else if (typeof obj.response === 'string') {
+      content += obj.response;
+    }
+
+    if (obj.done && !failed) {
+      const complete = { ...obj };
+      if (obj.message) {
+        complete.message = { role, content };
+        if (toolCalls.length > 0) complete.message.tool_calls = toolCalls;
+      } else {
+        complete.response = content;
+      }
+      onComplete(complete);
+    }
+
+    return obj;
+  });
+}
+
+/**
+ * Replay a complete /api/chat or /api/generate response as an NDJSON stream:
+ * one object carrying the content, then the done object with the stats
+ */
+function createReplayStream(response) {
+  const { message, response: text, ...stats } = response;
+  const chunks = message
+    ? [
+      { model: response.model, created_at: response.created_at, message, done: false },
+      { ...stats, message: { role: message.role || 'assistant', content: '' }, done: true }
+    ]
+    : [
+      { model: response.model, created_at: response.created_at, response: text || '', done: false },
+      { ...stats, response: '', done: true }
+    ];
+
+  return Readable.from(chunks.map(chunk => JSON.stringify(chunk) + '\n'));
+}
+
+module.exports = { NdjsonTransform, createEnrichmentTransform, createResponseCollector, createReplayStream };
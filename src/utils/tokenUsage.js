@@ -0,0 +1,92 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { Transform, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * 🧮 Upstream token usage
+ *
+ * Counts the tokens Ollama reports (`prompt_eval_count` + `eval_count`) for
+ * every upstream call made while handling a request. A meter is bound to the
+ * request with `withTokenMeter` and BackendPool feeds it from each response,
+ * so the count does not depend on what the client-facing translation chose
+ * to report (e.g. OpenAI streams without `stream_options.include_usage`).
+ */
+const meters = new AsyncLocalStorage();
+
+// Ollama's usage lines are short; anything longer is not worth buffering
+const MAX_LINE_CHARS = 64 * 1024;
+
+/**
+ * Run `fn` with `meter` (an object with a `tokens` count) collecting the
+ * usage of every upstream call it makes, including ones made asynchronously
+ */
+function withTokenMeter(meter, fn) {
+  return meters.run(meter, fn);
+}
+
+/**
+ * Tokens reported in one Ollama response object (0 if none)
+ */
+function ollamaTokenCount(body) {
+  if (!body || typeof body !== 'object') return 0;
+  return (Number(body.prompt_eval_count) || 0) + (Number(body.eval_count) || 0);
+}
+
+/**
+ * Add the usage of an upstream result to the current request's meter. The
+ * result is an axios response or an OllamaClient return value; a streamed
+ * body is replaced by a pass-through copy that counts the `done` line as it
+ * goes by. Returns the (possibly updated) result.
+ */
+function meterUpstreamResult(result) {
+  const meter = meters.getStore();
+  if (!meter || !result || typeof result !== 'object') return result;
+
+  const body = 'data' in result ? result.data : result;
+  if (body && typeof body.pipe === 'function') {
+    result.data = pipeline(body, createUsageTap(meter), () => {});
+    return result;
+  }
+
+  meter.tokens += ollamaTokenCount(body);
+  return result;
+}
+
+/**
+ * Pass NDJSON through unchanged while adding the token counts of each line
+ * to `meter`. Destroying the tap also destroys the upstream stream.
+ */
+function createUsageTap(meter) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  const countLine = (line) => {
+    if (!line.includes('eval_count')) return;
+    try {
+      meter.tokens += ollamaTokenCount(JSON.parse(line));
+    } catch {
+      // Not a JSON line; nothing to count
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      if (buffer.length > MAX_LINE_CHARS) buffer = '';
+      lines.forEach(countLine);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      countLine(buffer + decoder.end());
+      callback();
+    }
+  });
+}
+
+module.exports = {
+  withTokenMeter,
+  meterUpstreamResult,
+  ollamaTokenCount
+};
@@ -0,0 +1,158 @@
+const { AgentLoop } = require('../../src/services/agentLoop');
+
+jest.mock('../../src/utils/logger', () => ({
+  Logger: jest.fn().mockImplementation(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+const serverTool = (name) => ({ type: 'function', function: { name, parameters: { type: 'object', properties: {}, required: [] } } });
+const toolCall = (name, args = {}) => ({ function: { name, arguments: args } });
+const reply = (content, toolCalls) => ({
+  model: 'qwen2.5-coder:7b-instruct-q6_K',
+  message: { role: 'assistant', content, ...(toolCalls ? { tool_calls: toolCalls } : {}) },
+  done: true,
+  eval_count: 3
+});
+
+describe('AgentLoop', () => {
+  let toolExecutionEngine;
+  let chat;
+  let agentLoop;
+
+  const baseRequest = {
+    model: 'qwen2.5-coder:7b-instruct-q6_K',
+    messages: [{ role: 'user', content: 'list the files in src' }],
+    tools: [serverTool('client_search')],
+    stream: true
+  };
+
+  beforeEach(() => {
+    toolExecutionEngine = {
+      getToolDefinitions: jest.fn(() => [serverTool('list_files'), serverTool('create_file')]),
+      executeTool: jest.fn().mockResolvedValue({ success: true, result: { files: ['a.js'] } })
+    };
+    chat = jest.fn();
+    agentLoop = new AgentLoop({ toolExecutionEngine, chat, maxIterations: 3, toolContext: { targetDir: '/workspace' } });
+  });
+
+  test('should offer server tools alongside client tools', async () => {
+    chat.mockResolvedValue(reply('no tools needed'));
+
+    const { response, agentLoop: info } = await agentLoop.run(baseRequest);
+
+    const sentTools = chat.mock.calls[0][0].tools.map(t => t.function.name);
+    expect(sentTools).toEqual(['client_search', 'list_files', 'create_file']);
+    expect(chat.mock.calls[0][0].stream).toBe(false);
+    expect(response.message.content).toBe('no tools needed');
+    expect(info).toEqual({ iterations: 1, executedTools: [], hitIterationCap: false });
+  });
+
+  test('should execute server tool calls and feed results back', async () => {
+    chat
+      .mockResolvedValueOnce(reply('', [toolCall('list_files', { path: 'src' })]))
+      .mockResolvedValueOnce(reply('src contains a.js'));
+
+    const { response, agentLoop: info } = await agentLoop.run(baseRequest);
+
+    expect(toolExecutionEngine.executeTool).toHaveBeenCalledWith('list_files', { path: 'src' }, { targetDir: '/workspace' });
+    const secondMessages = chat.mock.calls[1][0].messages;
+    expect(secondMessages).toHaveLength(3);
+    expect(secondMessages[1].tool_calls[0].function.name).toBe('list_files');
+    expect(secondMessages[2]).toEqual({ role: 'tool', tool_name: 'list_files', content: JSON.stringify({ files: ['a.js'] }) });
+    expect(response.message.content).toBe('src contains a.js');
+    expect(info.executedTools).toEqual([{ tool: 'list_files', success: true }]);
+  });
+
+  test('should parse JSON string arguments and report tool errors to the model', async () => {
+    toolExecutionEngine.executeTool.mockResolvedValue({ success: false, error: 'ENOENT' });
+    chat
+      .mockResolvedValueOnce(reply('', [toolCall('list_files', '{"path":"missing"}')]))
+      .mockResolvedValueOnce(reply('that folder does not exist'));
+
+    await agentLoop.run(baseRequest);
+
+    expect(toolExecutionEngine.executeTool.mock.calls[0][1]).toEqual({ path: 'missing' });
+    expect(chat.mock.calls[1][0].messages[2].content).toBe(JSON.stringify({ error: 'ENOENT' }));
+  });
+
+  test('should hand client tool calls back to the client', async () => {
+    chat.mockResolvedValue(reply('', [toolCall('list_files', { path: '.' }), toolCall('client_search', { q: 'x' })]));
+
+    const { response, agentLoop: info } = await agentLoop.run(baseRequest);
+
+    expect(chat).toHaveBeenCalledTimes(1);
+    expect(response.message.tool_calls).toEqual([toolCall('client_search', { q: 'x' })]);
+    expect(info.executedTools).toEqual([{ tool: 'list_files', success: true }]);
+  });
+
+  test('should return server tool results with client calls from the same reply', async () => {
+    chat.mockResolvedValue(reply('', [toolCall('list_files', { path: 'src' }), toolCall('client_search', { q: 'x' })]));
+
+    const { response, agentLoop: info } = await agentLoop.run(baseRequest);
+
+    expect(response.message.tool_calls).toEqual([toolCall('client_search', { q: 'x' })]);
+    expect(info.toolMessages).toEqual([
+      { role: 'assistant', content: '', tool_calls: [toolCall('list_files', { path: 'src' })] },
+      { role: 'tool', tool_name: 'list_files', content: JSON.stringify({ files: ['a.js'] }) }
+    ]);
+  });
+
+  test('should leave tools the client declared itself to the client', async () => {
+    chat.mockResolvedValue(reply('', [toolCall('list_files', { path: '.' })]));
+
+    const { response } = await agentLoop.run({ ...baseRequest, tools: [serverTool('list_files')] });
+
+    expect(toolExecutionEngine.executeTool).not.toHaveBeenCalled();
+    expect(response.message.tool_calls[0].function.name).toBe('list_files');
+  });
+
+  test('should stop at the iteration cap and ask for a final answer without tools', async () => {
+    chat.mockImplementation(async (request) => (
+      request.tools ? reply('', [toolCall('list_files', { path: '.' })]) : reply('final answer')
+    ));
+
+    const { response, agentLoop: info } = await agentLoop.run(baseRequest);
+
+    expect(chat).toHaveBeenCalledTimes(4);
+    expect(chat.mock.calls[3][0].tools).toBeUndefined();
+    expect(response.message.content).toBe('final answer');
+    expect(info.hitIterationCap).toBe(true);
+    expect(info.executedTools).toHaveLength(3);
+  });
+
+  test('should pass the abort signal to every chat call, including the final answer', async () => {
+    chat.mockImplementation(async (request) => (
+      request.tools ? reply('', [toolCall('list_files', { path: '.' })]) : reply('final answer')
+    ));
+    const { signal } = new AbortController();
+
+    await agentLoop.run(baseRequest, { signal });
+
+    expect(chat).toHaveBeenCalledTimes(4);
+    chat.mock.calls.forEach(([, options]) => expect(options).toEqual({ signal }));
+  });
+
+  test('should only be enabled for requests that declare tools', () => {
+    const original = process.env.ENABLE_TOOL_CALLING;
+    process.env.ENABLE_TOOL_CALLING = 'true';
+    expect(agentLoop.isEnabledFor(baseRequest)).toBe(true);
+    expect(agentLoop.isEnabledFor({ messages: [] })).toBe(false);
+    process.env.ENABLE_TOOL_CALLING = 'false';
+    expect(agentLoop.isEnabledFor(baseRequest)).toBe(false);
+    if (original === undefined) {
+      delete process.env.ENABLE_TOOL_CALLING;
+    } else {
+      process.env.ENABLE_TOOL_CALLING = original;
+    }
+  });
+
+  test('should split a final response into stream chunks', () => {
+    const chunks = agentLoop.toStreamChunks(reply('hello'));
+    expect(chunks[0]).toMatchObject({ message: { content: 'hello' }, done: false });
+    expect(chunks[1]).toMatchObject({ message: { content: '' }, done: true, eval_count: 3 });
+  });
+});
@@ -0,0 +1,43 @@
+const { AgenticWorkflowExecutor } = require('../../src/services/agenticWorkflowExecutor');
+
+describe('AgenticWorkflowExecutor tool planning', () => {
+  const plan = {
+    description: 'Create notes.txt',
+    tools: [{ tool: 'create_file', description: 'Write the file', parameters: { name: 'notes.txt', content: 'hi' } }]
+  };
+  const modelDiscovery = { modelForCategory: jest.fn(() => 'qwen2.5-coder:7b-instruct-q6_K') };
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('should ask for a schema-checked plan from the coding model', async () => {
+    const structuredOutput = { generate: jest.fn().mockResolvedValue({ data: plan }) };
+    const executor = new AgenticWorkflowExecutor({ backendPool: {}, modelDiscovery, structuredOutput });
+    const signal = new AbortController().signal;
+
+    expect(await executor.planTools({ prompt: 'create notes.txt saying hi' }, { signal })).toEqual(plan);
+
+    const [path, request, schema, options] = structuredOutput.generate.mock.calls[0];
+    expect(path).toBe('/api/generate');
+    expect(request.model).toBe('qwen2.5-coder:7b-instruct-q6_K');
+    expect(schema.properties.tools.items.properties.tool.enum).toContain('create_file');
+    expect(options).toMatchObject({ signal, taskType: 'tool_planning' });
+  });
+
+  test('should fall back to the built-in plan when the reply never validates', async () => {
+    const invalid = Object.assign(new Error('no valid plan'), { code: 'STRUCTURED_OUTPUT_INVALID' });
+    const structuredOutput = { generate: jest.fn().mockRejectedValue(invalid) };
+    const executor = new AgenticWorkflowExecutor({ backendPool: {}, modelDiscovery, structuredOutput });
+
+    const fallback = await executor.planTools({ prompt: 'create a node app in mathGeek' }, {});
+
+    expect(fallback.tools.length).toBeGreaterThan(0);
+    expect(fallback.description).toMatch(/Node.js application/);
+  });
+});
@@ -1,4 +1,7 @@
 const AIToolGenerator = require('../../src/services/aiToolGenerator');
+const { StructuredOutput } = require('../../src/services/structuredOutput');
+const PerformanceMonitor = require('../../src/services/performanceMonitor');
+const MemoryManager = require('../../src/services/memoryManager');
 
 describe('AI Tool Generator - Phase 1 Core Tests', () => {
   let aiToolGenerator;
@@ -12,7 +15,8 @@ describe('AI Tool Generator - Phase 1 Core Tests', () => {
       debug: jest.fn()
     };
 
-    aiToolGenerator = new AIToolGenerator(mockLogger);
+    aiToolGenerator = new AIToolGenerator({ performanceMonitor: new PerformanceMonitor({ memoryManager: new MemoryManager({ dbPath: ':memory:' }) }) });
+    aiToolGenerator.logger = mockLogger;
   });
 
   afterEach(() => {
@@ -72,4 +76,28 @@ describe('AI Tool Generator - Phase 1 Core Tests', () => {
       expect(typeof aiToolGenerator.validateToolsBeforeExecution).toBe('function');
     });
   });
+
+  describe('Structured tool plans', () => {
+    test('Re-prompts until the planned tools match the tool plan schema', async () => {
+      const backendPool = { post: jest.fn() };
+      const plan = [{ toolName: 'run_terminal', description: 'Run the linter', context: { targetDir: '.' } }];
+      backendPool.post
+        .mockResolvedValueOnce({ data: { response: 'Here are your tools: [{"toolName": "lint"}]' } })
+        .mockResolvedValueOnce({ data: { response: JSON.stringify(plan) } });
+
+      const structuredOutput = new StructuredOutput({ backendPool, maxRetries: 2 });
+      structuredOutput.logger = mockLogger;
+      const generator = new AIToolGenerator({ backendPool, structuredOutput, performanceMonitor: new PerformanceMonitor({ memoryManager: new MemoryManager({ dbPath: ':memory:' }) }) });
+      generator.logger = mockLogger;
+
+      const tools = await generator.generateCodeAnalysisTools('lint my code', { intent: 'code_analysis' }, {});
+
+      expect(tools).toEqual(plan);
+      expect(backendPool.post).toHaveBeenCalledTimes(2);
+      expect(backendPool.post).toHaveBeenCalledWith('/api/generate',
+        expect.objectContaining({ format: expect.objectContaining({ type: 'array' }), stream: false }),
+        expect.any(Object),
+        expect.not.objectContaining({ priority: 'background' }));
+    });
+  });
 });
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const express = require('express');
+const { Readable } = require('stream');
+const { createAnthropicRoutes } = require('../../src/routes/anthropicRoutes');
+
+describe('Anthropic Routes', () => {
+  let app;
+  let routingPipeline;
+  let backendPool;
+
+  beforeEach(() => {
+    routingPipeline = {
+      route: jest.fn().mockResolvedValue({
+        analysis: { taskType: 'coding', complexity: 'medium', reasoning: 'test' },
+        context: { files: [] },
+        recommendedModel: 'qwen2.5-coder:7b-instruct-q6_K'
+      }),
+      buildMetadata: jest.fn().mockReturnValue({ selectedModel: 'qwen2.5-coder:7b-instruct-q6_K' }),
+      buildHeaders: jest.fn().mockReturnValue({ 'X-OllamaGeek-Model': 'qwen2.5-coder:7b-instruct-q6_K' }),
+      trackUsage: jest.fn()
+    };
+    backendPool = { post: jest.fn() };
+
+    app = express();
+    app.use(express.json());
+    app.use('/v1', createAnthropicRoutes({ routingPipeline, backendPool }));
+  });
+
+  test('POST /v1/messages should route and translate a non-streaming reply', async () => {
+    backendPool.post.mockResolvedValue({
+      data: { model: 'qwen2.5-coder:7b-instruct-q6_K', message: { role: 'assistant', content: 'done' }, done: true, eval_count: 2 }
+    });
+
+    const response = await request(app)
+      .post('/v1/messages')
+      .send({ model: 'claude-sonnet-4-5', max_tokens: 64, messages: [{ role: 'user', content: 'write a function' }] })
+      .expect(200);
+
+    expect(routingPipeline.route).toHaveBeenCalledWith(expect.objectContaining({
+      messages: [{ role: 'user', content: 'write a function' }]
+    }));
+    expect(backendPool.post.mock.calls[0][0]).toBe('/api/chat');
+    expect(backendPool.post.mock.calls[0][1].model).toBe('qwen2.5-coder:7b-instruct-q6_K');
+    expect(response.body).toMatchObject({
+      type: 'message',
+      content: [{ type: 'text', text: 'done' }],
+      stop_reason: 'end_turn',
+      _ollamaGeek: { selectedModel: 'qwen2.5-coder:7b-instruct-q6_K' }
+    });
+    expect(response.body.id).toMatch(/^msg_/);
+    expect(response.headers['x-ollamageek-model']).toBe('qwen2.5-coder:7b-instruct-q6_K');
+  });
+
+  test('POST /v1/messages should stream named server-sent events', async () => {
+    const lines = [
+      JSON.stringify({ message: { content: 'Hel' }, done: false }),
+      JSON.stringify({ message: { content: 'lo' }, done: false }),
+      JSON.stringify({ message: { content: '' }, done: true, eval_count: 2 })
+    ].join('\n') + '\n';
+    backendPool.post.mockResolvedValue({ data: Readable.from([lines.slice(0, 20), lines.slice(20)]) });
+
+    const response = await request(app)
+      .post('/v1/messages')
+      .send({ model: 'claude-sonnet-4-5', max_tokens: 64, stream: true, messages: [{ role: 'user', content: 'hi' }] })
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    const events = response.text.split('\n\n').filter(Boolean).map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { name: eventLine.replace(/^event: /, ''), data: JSON.parse(dataLine.replace(/^data: /, '')) };
+    });
+
+    expect(events.every(event => event.name === event.data.type)).toBe(true);
+    expect(events[0].name).toBe('message_start');
+    expect(events[events.length - 1].name).toBe('message_stop');
+    const text = events
+      .filter(event => event.name === 'content_block_delta')
+      .map(event => event.data.delta.text)
+      .join('');
+    expect(text).toBe('Hello');
+  });
+
+  test('should return Anthropic-style errors', async () => {
+    const response = await request(app)
+      .post('/v1/messages')
+      .send({ model: 'claude-sonnet-4-5', max_tokens: 64 })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      type: 'error',
+      error: { type: 'invalid_request_error', message: 'messages: field required and must be an array' }
+    });
+    expect(backendPool.post).not.toHaveBeenCalled();
+  });
+});
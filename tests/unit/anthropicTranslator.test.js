@@ -0,0 +1,179 @@
+const { AnthropicTranslator } = require('../../src/services/anthropicTranslator');
+
+describe('AnthropicTranslator', () => {
+  let translator;
+
+  beforeEach(() => {
+    translator = new AnthropicTranslator();
+  });
+
+  describe('toOllamaChatRequest', () => {
+    test('should map system, content blocks and sampling options', () => {
+      const request = translator.toOllamaChatRequest({
+        model: 'claude-sonnet-4-5',
+        system: [{ type: 'text', text: 'Be brief' }],
+        messages: [
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: 'What is this?' },
+              { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'aGVsbG8=' } }
+            ]
+          }
+        ],
+        max_tokens: 256,
+        temperature: 0.3,
+        top_k: 40,
+        stop_sequences: ['END']
+      });
+
+      expect(request).toEqual({
+        model: 'claude-sonnet-4-5',
+        messages: [
+          { role: 'system', content: 'Be brief' },
+          { role: 'user', content: 'What is this?', images: ['aGVsbG8='] }
+        ],
+        stream: false,
+        options: { num_predict: 256, temperature: 0.3, top_k: 40, stop: ['END'] }
+      });
+    });
+
+    test('should convert tool_use and tool_result blocks', () => {
+      const request = translator.toOllamaChatRequest({
+        model: 'claude-sonnet-4-5',
+        max_tokens: 100,
+        tools: [{ name: 'get_weather', description: 'Weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }],
+        messages: [
+          { role: 'user', content: 'Weather in Paris?' },
+          {
+            role: 'assistant',
+            content: [
+              { type: 'text', text: 'Checking.' },
+              { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+            ]
+          },
+          {
+            role: 'user',
+            content: [
+              { type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: 'Sunny' }] },
+              { type: 'text', text: 'Thanks' }
+            ]
+          }
+        ]
+      });
+
+      expect(request.messages.slice(1)).toEqual([
+        {
+          role: 'assistant',
+          content: 'Checking.',
+          tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }]
+        },
+        { role: 'tool', content: 'Sunny', tool_name: 'get_weather' },
+        { role: 'user', content: 'Thanks' }
+      ]);
+      expect(request.tools[0]).toEqual({
+        type: 'function',
+        function: { name: 'get_weather', description: 'Weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } }
+      });
+    });
+
+    test('should drop tools when tool_choice is none', () => {
+      const request = translator.toOllamaChatRequest({
+        messages: [{ role: 'user', content: 'hi' }],
+        tools: [{ name: 'noop', input_schema: { type: 'object' } }],
+        tool_choice: { type: 'none' }
+      });
+
+      expect(request.tools).toBeUndefined();
+    });
+
+    test('should reject URL image sources and missing messages', () => {
+      expect(() => translator.toOllamaChatRequest({
+        messages: [{ role: 'user', content: [{ type: 'image', source: { type: 'url', url: 'https://example.com/a.png' } }] }]
+      })).toThrow('Only base64 image sources are supported');
+
+      expect(() => translator.toOllamaChatRequest({})).toThrow('messages');
+    });
+  });
+
+  describe('fromOllamaChatResponse', () => {
+    test('should build text and tool_use content blocks', () => {
+      const message = translator.fromOllamaChatResponse({
+        model: 'qwen2.5-coder',
+        message: {
+          role: 'assistant',
+          content: 'Let me check',
+          tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }]
+        },
+        done: true,
+        prompt_eval_count: 12,
+        eval_count: 5
+      }, { id: 'msg_1', model: 'qwen2.5-coder' });
+
+      expect(message).toMatchObject({
+        id: 'msg_1',
+        type: 'message',
+        role: 'assistant',
+        model: 'qwen2.5-coder',
+        stop_reason: 'tool_use',
+        stop_sequence: null,
+        usage: { input_tokens: 12, output_tokens: 5 }
+      });
+      expect(message.content[0]).toEqual({ type: 'text', text: 'Let me check' });
+      expect(message.content[1]).toMatchObject({ type: 'tool_use', name: 'get_weather', input: { city: 'Paris' } });
+      expect(message.content[1].id).toMatch(/^toolu_/);
+    });
+
+    test('should report max_tokens when generation was cut off', () => {
+      const message = translator.fromOllamaChatResponse(
+        { message: { content: 'partial' }, done: true, done_reason: 'length' },
+        { id: 'msg_1', model: 'm' }
+      );
+
+      expect(message.stop_reason).toBe('max_tokens');
+    });
+  });
+
+  describe('fromOllamaChatChunk', () => {
+    test('should emit the Anthropic stream event sequence', () => {
+      const state = { id: 'msg_1', model: 'm', started: false, openBlock: null, blockIndex: 0, sawToolUse: false };
+      const events = [
+        { message: { content: 'Hel' }, done: false },
+        { message: { content: 'lo' }, done: false },
+        { message: { content: '', tool_calls: [{ function: { name: 'noop', arguments: { a: 1 } } }] }, done: false },
+        { message: { content: '' }, done: true, prompt_eval_count: 3, eval_count: 4 }
+      ].flatMap(chunk => translator.fromOllamaChatChunk(chunk, state));
+
+      expect(events.map(event => event.type)).toEqual([
+        'message_start',
+        'content_block_start',
+        'content_block_delta',
+        'content_block_delta',
+        'content_block_stop',
+        'content_block_start',
+        'content_block_delta',
+        'content_block_stop',
+        'message_delta',
+        'message_stop'
+      ]);
+      expect(events[3]).toEqual({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'lo' } });
+      expect(events[5]).toMatchObject({ index: 1, content_block: { type: 'tool_use', name: 'noop', input: {} } });
+      expect(events[6].delta).toEqual({ type: 'input_json_delta', partial_json: '{"a":1}' });
+      expect(events[8]).toEqual({
+        type: 'message_delta',
+        delta: { stop_reason: 'tool_use', stop_sequence: null },
+        usage: { input_tokens: 3, output_tokens: 4 }
+      });
+    });
+  });
+
+  test('toErrorBody should map statuses to Anthropic error types', () => {
+    const notFound = Object.assign(new Error('boom'), { response: { status: 404, data: { error: 'model not found' } } });
+
+    expect(translator.toErrorBody(notFound)).toEqual({
+      type: 'error',
+      error: { type: 'not_found_error', message: 'model not found' }
+    });
+    expect(translator.toErrorBody(new Error('down')).error.type).toBe('api_error');
+  });
+});
@@ -0,0 +1,168 @@
+const request = require('supertest');
+const express = require('express');
+const { PassThrough } = require('stream');
+const { createApiKeyAuth, requiredScope } = require('../../src/middleware/apiKeyAuth');
+const { meterUpstreamResult } = require('../../src/utils/tokenUsage');
+const { ApiKeyStore } = require('../../src/services/apiKeyStore');
+const { ApiKeyLimiter } = require('../../src/services/apiKeyLimiter');
+const { createApiKeyRoutes } = require('../../src/routes/apiKeyRoutes');
+
+describe('API key auth middleware', () => {
+  let store;
+  let app;
+  let releaseStream;
+
+  beforeEach(() => {
+    store = new ApiKeyStore({ dbPath: ':memory:' });
+    releaseStream = null;
+
+    app = express();
+    app.use(express.json());
+    app.use(createApiKeyAuth({ apiKeyStore: store, limiter: new ApiKeyLimiter(), enabled: true }));
+    app.get('/health', (req, res) => res.json({ status: 'healthy' }));
+    // Upstream results go through the same metering BackendPool applies
+    app.post('/api/chat', (req, res) => {
+      if (req.body.hold) {
+        // Keep the stream open until the test releases it
+        const upstream = new PassThrough();
+        upstream.write('{"message":{"content":"hi"},"done":false}\n');
+        releaseStream = () => upstream.end('{"done":true,"prompt_eval_count":10,"eval_count":5}\n');
+        meterUpstreamResult({ data: upstream }).data.pipe(res);
+        return;
+      }
+      const upstream = meterUpstreamResult({ data: { message: { content: 'hi' }, done: true, prompt_eval_count: 10, eval_count: 5 } });
+      res.json(upstream.data);
+    });
+    app.post('/v1/chat/completions', (req, res) => {
+      // Translated to SSE without a usage chunk, as when include_usage is not asked for
+      const upstream = new PassThrough();
+      meterUpstreamResult({ data: upstream }).data.on('data', chunk => {
+        const line = JSON.parse(chunk.toString());
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: line.message?.content || '' } }] })}\n\n`);
+      }).on('end', () => res.end('data: [DONE]\n\n'));
+      upstream.write('{"message":{"content":"hi"},"done":false}\n');
+      upstream.end('{"done":true,"prompt_eval_count":7,"eval_count":6}\n');
+    });
+    app.post('/api/workflows/execute-tool', (req, res) => res.json({ success: true }));
+    app.use('/api/keys', createApiKeyRoutes({ apiKeyStore: store }));
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  const chat = (key, body = { stream: false }) => request(app).post('/api/chat').set('Authorization', `Bearer ${key}`).send(body);
+
+  test('should leave public endpoints open and require a key elsewhere', async () => {
+    await request(app).get('/health').expect(200);
+
+    const response = await request(app).post('/api/chat').send({ stream: false }).expect(401);
+    expect(response.body.error).toMatchObject({ status: 401, path: '/api/chat' });
+
+    await chat('ogk_unknown').expect(401);
+  });
+
+  test('should enforce scopes', async () => {
+    const { key } = store.createKey({ name: 'chat-only', scopes: ['chat'] });
+
+    await chat(key).expect(200);
+    await request(app).post('/api/workflows/execute-tool').set('x-api-key', key).send({}).expect(403);
+    await request(app).get('/api/keys').set('x-api-key', key).expect(403);
+  });
+
+  test('should enforce scopes whatever the case or trailing slash of the path', async () => {
+    const { key } = store.createKey({ name: 'chat-only', scopes: ['chat'] });
+
+    await request(app).post('/Api/Workflows/execute-tool').set('x-api-key', key).send({}).expect(403);
+    await request(app).post('/api/workflows/execute-tool/').set('x-api-key', key).send({}).expect(403);
+    await request(app).get('/API/KEYS').set('x-api-key', key).expect(403);
+    await request(app).post('/API/keys').set('x-api-key', key).send({ name: 'escalated', scopes: ['admin'] }).expect(403);
+    expect(store.listKeys()).toHaveLength(1);
+  });
+
+  test('should rate limit requests per minute', async () => {
+    const { key } = store.createKey({ name: 'ci', requestsPerMinute: 2 });
+
+    await chat(key).expect(200);
+    await chat(key).expect(200);
+    const response = await chat(key).expect(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('should count response tokens against the daily quota', async () => {
+    const created = store.createKey({ name: 'ci', dailyTokenLimit: 20 });
+
+    await chat(created.key).expect(200);
+    expect(store.getUsage(created.id)).toMatchObject({ requests: 1, tokens: 15 });
+
+    await chat(created.key).expect(200);
+    const response = await chat(created.key).expect(429);
+    expect(response.body.error.message).toMatch(/Daily token quota/);
+  });
+
+  test('should count upstream tokens when the client-facing stream reports no usage', async () => {
+    const created = store.createKey({ name: 'ci' });
+
+    const response = await request(app).post('/v1/chat/completions').set('Authorization', `Bearer ${created.key}`)
+      .send({ stream: true }).expect(200);
+    expect(response.text).not.toMatch(/usage|eval_count/);
+    expect(store.getUsage(created.id).tokens).toBe(13);
+  });
+
+  test('should limit concurrent streams and free the slot when a stream ends', async () => {
+    const created = store.createKey({ name: 'ci', maxConcurrentStreams: 1 });
+
+    const first = chat(created.key, { hold: true }).then(response => response);
+    await new Promise(resolve => {
+      const wait = () => (releaseStream ? resolve() : setTimeout(wait, 5));
+      wait();
+    });
+
+    const rejected = await chat(created.key, { hold: true }).expect(429);
+    expect(rejected.body.error.message).toMatch(/concurrent streams/);
+    await chat(created.key, { stream: false }).expect(200);
+
+    releaseStream();
+    await first;
+    releaseStream = null;
+    await chat(created.key, { stream: false }).expect(200);
+    expect(store.getUsage(created.id).tokens).toBe(45);
+  });
+
+  test('should let admin keys manage keys', async () => {
+    const { key } = store.createKey({ name: 'admin', scopes: ['admin'] });
+
+    const created = await request(app).post('/api/keys').set('Authorization', `Bearer ${key}`)
+      .send({ name: 'laptop', scopes: ['chat', 'tools'] }).expect(201);
+    expect(created.body.data.key).toMatch(/^ogk_/);
+
+    await request(app).post('/api/workflows/execute-tool').set('x-api-key', created.body.data.key).send({}).expect(200);
+
+    await request(app).post('/api/keys').set('Authorization', `Bearer ${key}`).send({ name: 'bad', scopes: ['root'] }).expect(400);
+    await request(app).delete(`/api/keys/${created.body.data.id}`).set('Authorization', `Bearer ${key}`).expect(200);
+    await request(app).post('/api/workflows/execute-tool').set('x-api-key', created.body.data.key).send({}).expect(401);
+  });
+
+  test('should do nothing when disabled', async () => {
+    const open = express();
+    open.use(createApiKeyAuth({ apiKeyStore: store, enabled: false }));
+    open.get('/api/tags', (req, res) => res.json({ models: [] }));
+
+    await request(open).get('/api/tags').expect(200);
+  });
+
+  test('should map routes to scopes', () => {
+    expect(requiredScope({ path: '/health', method: 'GET' })).toBeNull();
+    expect(requiredScope({ path: '/v1/chat/completions', method: 'POST' })).toBe('chat');
+    expect(requiredScope({ path: '/api/chat/unified', method: 'POST' })).toBe('tools');
+    expect(requiredScope({ path: '/api/pull', method: 'POST' })).toBe('admin');
+    expect(requiredScope({ path: '/api/blobs/sha256:abc', method: 'POST' })).toBe('admin');
+    expect(requiredScope({ path: '/api/cache', method: 'DELETE' })).toBe('admin');
+    expect(requiredScope({ path: '/api/chat/unified/', method: 'POST' })).toBe('tools');
+    expect(requiredScope({ path: '/Api/Workflows/execute-tool', method: 'POST' })).toBe('tools');
+    expect(requiredScope({ path: '/api/pull/', method: 'POST' })).toBe('admin');
+    expect(requiredScope({ path: '/API/PULL', method: 'POST' })).toBe('admin');
+    expect(requiredScope({ path: '/API/blobs/sha256:abc', method: 'POST' })).toBe('admin');
+    expect(requiredScope({ path: '/Health/', method: 'GET' })).toBeNull();
+  });
+});
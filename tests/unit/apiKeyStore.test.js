@@ -0,0 +1,64 @@
+const { ApiKeyStore } = require('../../src/services/apiKeyStore');
+
+describe('ApiKeyStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new ApiKeyStore({ dbPath: ':memory:' });
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  test('should create keys and authenticate them by their plaintext value only', () => {
+    const created = store.createKey({ name: 'ci', scopes: ['chat'], requestsPerMinute: 30 });
+
+    expect(created.key).toMatch(/^ogk_/);
+    expect(created).toMatchObject({ name: 'ci', scopes: ['chat'], limits: { requestsPerMinute: 30, dailyTokenLimit: null } });
+    expect(store.authenticate(created.key)).toMatchObject({ id: created.id, name: 'ci' });
+    expect(store.authenticate('ogk_wrong')).toBeNull();
+    expect(JSON.stringify(store.listKeys())).not.toContain(created.key);
+  });
+
+  test('should reject revoked keys', () => {
+    const created = store.createKey({ name: 'laptop' });
+
+    expect(store.revokeKey(created.id)).toBe(true);
+    expect(store.authenticate(created.key)).toBeNull();
+    expect(store.getKey(created.id).revokedAt).toBeTruthy();
+    expect(store.revokeKey('missing')).toBe(false);
+  });
+
+  test('should validate scopes and limits', () => {
+    expect(() => store.createKey({ name: 'x', scopes: ['root'] })).toThrow(/scopes/);
+    expect(() => store.createKey({ name: 'x', dailyTokenLimit: -5 })).toThrow(/dailyTokenLimit/);
+    expect(() => store.createKey({ scopes: ['chat'] })).toThrow(/name/);
+  });
+
+  test('should update scopes and clear limits with null', () => {
+    const created = store.createKey({ name: 'ci', maxConcurrentStreams: 2 });
+
+    const updated = store.updateKey(created.id, { scopes: ['chat', 'tools'], maxConcurrentStreams: null });
+
+    expect(updated.scopes).toEqual(['chat', 'tools']);
+    expect(updated.limits.maxConcurrentStreams).toBeNull();
+    expect(store.updateKey('missing', { name: 'y' })).toBeNull();
+  });
+
+  test('should accumulate daily usage', () => {
+    const created = store.createKey({ name: 'ci' });
+
+    store.recordUsage(created.id, 120);
+    store.recordUsage(created.id, 30);
+
+    expect(store.getUsage(created.id)).toMatchObject({ requests: 2, tokens: 150 });
+    expect(store.getUsage(created.id, '2000-01-01')).toMatchObject({ requests: 0, tokens: 0 });
+  });
+
+  test('should treat scopes as a hierarchy', () => {
+    expect(ApiKeyStore.hasScope({ scopes: ['admin'] }, 'tools')).toBe(true);
+    expect(ApiKeyStore.hasScope({ scopes: ['tools'] }, 'chat')).toBe(true);
+    expect(ApiKeyStore.hasScope({ scopes: ['chat'] }, 'tools')).toBe(false);
+  });
+});
@@ -0,0 +1,231 @@
+const http = require('http');
+const { BackendPool } = require('../../src/services/backendPool');
+const { withTokenMeter } = require('../../src/utils/tokenUsage');
+
+/**
+ * Minimal Ollama stand-in: serves /api/tags and /api/ps with the given models and
+ * answers /api/chat with its own name so tests can see who handled it.
+ * With `slow`, the answer streams until the client hangs up.
+ */
+function startMockOllama(name, models, options = {}) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      server.requests.push(req.url);
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url === '/api/tags' || req.url === '/api/ps') {
+        res.end(JSON.stringify({ models: models.map(model => ({ name: model })) }));
+        return;
+      }
+
+      if (options.failWith) {
+        res.statusCode = options.failWith;
+        res.end(JSON.stringify({ error: `${name} failed` }));
+        return;
+      }
+
+      const request = JSON.parse(body || '{}');
+      if (options.slow) {
+        const timer = setInterval(() => res.write(JSON.stringify({ model: request.model, message: { role: 'assistant', content: name }, done: false }) + '\n'), 10);
+        res.on('close', () => {
+          clearInterval(timer);
+          server.cancelled = true;
+        });
+        return;
+      }
+      res.end(JSON.stringify({ model: request.model, message: { role: 'assistant', content: name }, done: true, prompt_eval_count: 4, eval_count: 2 }));
+    });
+  });
+  server.requests = [];
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      server.url = `http://127.0.0.1:${server.address().port}`;
+      resolve(server);
+    });
+  });
+}
+
+function closeServer(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+describe('BackendPool', () => {
+  let servers;
+
+  beforeEach(() => {
+    servers = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.map(closeServer));
+  });
+
+  function quietPool(urls) {
+    const pool = new BackendPool({ urls });
+    pool.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    pool.backends.forEach(backend => { backend.client.logger = pool.logger; });
+    return pool;
+  }
+
+  async function createPool(...backendSpecs) {
+    const urls = [];
+    for (const [name, models, options] of backendSpecs) {
+      const server = await startMockOllama(name, models, options);
+      servers.push(server);
+      urls.push(server.url);
+    }
+    return quietPool(urls);
+  }
+
+  test('should parse comma-separated backend URLs', () => {
+    expect(BackendPool.parseUrls(' http://a:11434/, http://b:11434 ,,')).toEqual(['http://a:11434', 'http://b:11434']);
+  });
+
+  test('should track health and installed models per backend', async () => {
+    const pool = await createPool(['one', ['llama3.1:8b']], ['two', ['qwen2.5:7b', 'llama3.1:8b']]);
+
+    const status = await pool.checkHealth();
+
+    expect(status.healthyCount).toBe(2);
+    expect(status.backends[1].models).toEqual(['qwen2.5:7b', 'llama3.1:8b']);
+  });
+
+  test('should send requests to a healthy backend that has the model', async () => {
+    const pool = await createPool(['one', ['llama3.1:8b']], ['two', ['qwen2.5:7b']]);
+    await pool.checkHealth();
+
+    for (let i = 0; i < 3; i++) {
+      const response = await pool.post('/api/chat', { model: 'qwen2.5:7b', messages: [] });
+      expect(response.data.message.content).toBe('two');
+    }
+    expect(servers[0].requests).not.toContain('/api/chat');
+  });
+
+  test('should fail over to the next backend when one is down', async () => {
+    const pool = await createPool(['one', ['llama3.1:8b']], ['two', ['llama3.1:8b']]);
+    await pool.checkHealth();
+
+    // Take the first backend down after it was seen healthy
+    await closeServer(servers.shift());
+
+    const responses = [];
+    for (let i = 0; i < 2; i++) {
+      responses.push((await pool.post('/api/chat', { model: 'llama3.1:8b', messages: [] })).data.message.content);
+    }
+
+    expect(responses).toEqual(['two', 'two']);
+    expect(pool.backends[0].healthy).toBe(false);
+  });
+
+  test('should fail over on server errors but not on client errors', async () => {
+    const pool = await createPool(['one', ['m'], { failWith: 500 }], ['two', ['m']]);
+    await pool.checkHealth();
+    pool.nextIndex = 0;
+
+    const response = await pool.post('/api/chat', { model: 'm', messages: [] });
+    expect(response.data.message.content).toBe('two');
+
+    const badPool = await createPool(['three', ['m'], { failWith: 400 }], ['four', ['m']]);
+    await badPool.checkHealth();
+    badPool.nextIndex = 0;
+
+    await expect(badPool.post('/api/chat', { model: 'm', messages: [] })).rejects.toMatchObject({
+      response: { status: 400 }
+    });
+    expect(servers[3].requests).not.toContain('/api/chat');
+  });
+
+  test('should report unreachable backends as unhealthy', async () => {
+    servers.push(await startMockOllama('one', ['m']));
+    const pool = quietPool([servers[0].url, 'http://127.0.0.1:1']);
+
+    const status = await pool.checkHealth();
+
+    expect(status.backends.map(backend => backend.healthy)).toEqual([true, false]);
+    expect(pool.selectBackends('m').map(backend => backend.url)).toEqual([servers[0].url, 'http://127.0.0.1:1']);
+  });
+
+  test('should hold the scheduler slot until a streamed response ends', async () => {
+    const pool = await createPool(['one', ['m']]);
+
+    const response = await pool.post('/api/chat', { model: 'm', messages: [] }, { responseType: 'stream' });
+    expect(pool.scheduler.getStats().active.byModel).toEqual({ m: 1 });
+
+    response.data.resume();
+    await new Promise(resolve => response.data.on('end', resolve));
+    expect(pool.scheduler.getStats().active.byModel).toEqual({});
+  });
+
+  test('should cancel without failing over when the signal aborts', async () => {
+    const pool = await createPool(['one', ['m'], { slow: true }], ['two', ['m']]);
+    pool.performanceMonitor = { recordCancellation: jest.fn() };
+    pool.nextIndex = 0;
+    const controller = new AbortController();
+
+    const pending = pool.post('/api/chat', { model: 'm', messages: [] }, { signal: controller.signal }, { taskType: 'coding' });
+    setTimeout(() => controller.abort(), 30);
+
+    await expect(pending).rejects.toMatchObject({ code: 'ERR_CANCELED' });
+    expect(servers[1].requests).toEqual([]);
+    expect(pool.performanceMonitor.recordCancellation).toHaveBeenCalledWith('m', 'coding', expect.any(Number));
+    expect(pool.scheduler.getStats().active.byModel).toEqual({});
+  });
+
+  test('should stop a streamed response upstream when the signal aborts', async () => {
+    const pool = await createPool(['one', ['m'], { slow: true }]);
+    pool.performanceMonitor = { recordCancellation: jest.fn() };
+    const controller = new AbortController();
+
+    const response = await pool.post('/api/chat', { model: 'm', messages: [] }, { responseType: 'stream', signal: controller.signal });
+    response.data.resume();
+    controller.abort();
+    await new Promise(resolve => response.data.once('close', resolve));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(servers[0].cancelled).toBe(true);
+    expect(pool.performanceMonitor.recordCancellation).toHaveBeenCalledWith('m', 'chat', expect.any(Number));
+    expect(pool.scheduler.getStats().active.byModel).toEqual({});
+  });
+
+  test('should add upstream token counts to the calling request\'s meter', async () => {
+    const pool = await createPool(['one', ['m']]);
+    const meter = { tokens: 0 };
+
+    await withTokenMeter(meter, async () => {
+      await pool.post('/api/chat', { model: 'm', messages: [] });
+      const response = await pool.post('/api/chat', { model: 'm', messages: [] }, { responseType: 'stream' });
+      response.data.resume();
+      await new Promise(resolve => response.data.on('end', resolve));
+      await pool.post('/api/chat', { model: 'm', messages: [] }, {}, { countUsage: false });
+    });
+
+    expect(meter.tokens).toBe(12);
+  });
+
+  test('should merge model lists across backends', async () => {
+    const pool = await createPool(['one', ['a', 'b']], ['two', ['b', 'c']]);
+
+    const tags = await pool.listModels();
+
+    expect(tags.models.map(model => model.name)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should list loaded models per backend and unload from the one named', async () => {
+    const pool = await createPool(['one', ['a']], ['two', ['b']]);
+    pool.backends.push({ url: 'http://127.0.0.1:1', client: { ps: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')) } });
+
+    const loaded = await pool.listLoaded();
+    await pool.unload(servers[1].url, 'b');
+
+    expect(loaded.map(({ backend, models }) => [backend.url, models.map(model => model.name)])).toEqual([
+      [servers[0].url, ['a']],
+      [servers[1].url, ['b']]
+    ]);
+    expect(servers[0].requests).not.toContain('/api/generate');
+    expect(servers[1].requests).toContain('/api/generate');
+    expect(pool.scheduler.getStats().queueDepth.total).toBe(0);
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { CascadePolicy } = require('../../src/services/cascadePolicy');
+const { ModelSelector } = require('../../src/services/modelSelector');
+
+const DEFAULT_RULES = JSON.parse(fs.readFileSync(path.join(__dirname, '../../src/config/routingRules.json'), 'utf8'));
+
+describe('CascadePolicy', () => {
+  let backendPool;
+  let cascade;
+
+  const reply = content => ({ data: { model: 'any', message: { role: 'assistant', content }, done: true } });
+  const chain = ['small:3b', 'medium:7b', 'large:13b'];
+
+  beforeEach(() => {
+    backendPool = { post: jest.fn() };
+    cascade = new CascadePolicy({ backendPool, modelSelector: {}, enabled: true, minConfidence: 0.5 });
+    cascade.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  });
+
+  test('should stop at the first model whose reply passes', async () => {
+    backendPool.post.mockResolvedValueOnce(reply('Paris is the capital of France.'));
+
+    const { response, cascade: info } = await cascade.run('/api/chat', { messages: [], stream: true }, chain);
+
+    expect(response.message.content).toBe('Paris is the capital of France.');
+    expect(backendPool.post).toHaveBeenCalledTimes(1);
+    expect(backendPool.post.mock.calls[0][1]).toMatchObject({ model: 'small:3b', stream: false });
+    expect(info).toMatchObject({ finalModel: 'small:3b', escalations: 0, passed: true });
+  });
+
+  test('should escalate on failed requests and invalid JSON', async () => {
+    backendPool.post
+      .mockRejectedValueOnce(new Error('model not found'))
+      .mockResolvedValueOnce(reply('Sure! {"name": "Ada",'))
+      .mockResolvedValueOnce(reply('```json\n{"name": "Ada"}\n```'));
+
+    const { cascade: info } = await cascade.run('/api/chat', { messages: [], format: 'json' }, chain);
+
+    expect(info.finalModel).toBe('large:13b');
+    expect(info.escalations).toBe(2);
+    expect(info.attempts.map(attempt => attempt.reason)).toEqual([
+      'request failed: model not found',
+      'invalid JSON for the requested format',
+      null
+    ]);
+  });
+
+  test('should return the last reply even when it fails the check', async () => {
+    backendPool.post.mockResolvedValue(reply(''));
+
+    const { response, cascade: info } = await cascade.run('/api/generate', { prompt: 'hi' }, chain);
+
+    expect(backendPool.post).toHaveBeenCalledTimes(3);
+    expect(response.message.content).toBe('');
+    expect(info).toMatchObject({ finalModel: 'large:13b', passed: false });
+  });
+
+  test('should check code blocks and confidence', () => {
+    const check = content => cascade.check({ message: { content } });
+
+    expect(check('```js\nconst add = (a, b) => a + b;\n```').passed).toBe(true);
+    expect(check('```js\nimport fs from \'fs\';\nexport default async function read() { await fs.promises.readFile(\'x\'); }\n```').passed).toBe(true);
+    expect(check('```javascript\nfunction add(a, b) {\n  return a + \n```').reason).toMatch(/javascript code does not parse/);
+    expect(check('```python\ndef add(a, b):\n    return a +').reason).toBe('unterminated code block');
+    expect(check('```python\ndef add(a, b): return a +\n```').passed).toBe(true);
+    expect(check('I\'m not sure. As an AI I cannot help with that.').reason).toMatch(/low confidence/);
+    expect(cascade.confidence({ response: 'x', logprobs: [{ logprob: -0.1 }, { logprob: -0.3 }] })).toBe(0.82);
+  });
+
+  test('should not cascade tool-calling requests', () => {
+    expect(cascade.isEnabledFor({ messages: [] })).toBe(true);
+    expect(cascade.isEnabledFor({ messages: [], tools: [{ type: 'function' }] })).toBe(false);
+    expect(new CascadePolicy({ backendPool, modelSelector: {}, enabled: false }).isEnabledFor({})).toBe(false);
+  });
+
+  test('should build the chain from ranked candidates, cheapest first', async () => {
+    const modelSelector = new ModelSelector({ routingRules: { getRules: () => DEFAULT_RULES } });
+    modelSelector.logger = cascade.logger;
+    cascade.modelSelector = modelSelector;
+
+    const models = await cascade.buildChain({
+      analysis: { taskType: 'coding', complexity: 'low', language: 'python' },
+      recommendedModel: 'qwen2.5-coder:7b-instruct-q6_K'
+    });
+
+    expect(models).toHaveLength(3);
+    expect(models[0]).toBe('sovit123/starcoder2-3b-instruct:latest');
+    expect(models).toContain('qwen2.5-coder:7b-instruct-q6_K');
+  });
+});
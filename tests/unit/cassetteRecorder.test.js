@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const { CassetteRecorder } = require('../../src/services/cassetteRecorder');
+
+/**
+ * Ollama stand-in: streams /api/chat as NDJSON, answers /api/generate in one
+ * piece and fails /api/show, counting the requests it actually served.
+ */
+function startMockOllama() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      server.hits++;
+      res.setHeader('Content-Type', 'application/json');
+      const request = JSON.parse(body || '{}');
+
+      if (req.url === '/api/chat') {
+        res.write(JSON.stringify({ model: request.model, message: { role: 'assistant', content: 'Hé' }, done: false }) + '\n');
+        res.end(JSON.stringify({ model: request.model, message: { role: 'assistant', content: '' }, done: true }) + '\n');
+        return;
+      }
+      if (req.url === '/api/show') {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: `model '${request.name}' not found` }));
+        return;
+      }
+      res.end(JSON.stringify({ model: request.model, response: `hits: ${server.hits}`, done: true }));
+    });
+  });
+  server.hits = 0;
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      server.url = `http://127.0.0.1:${server.address().port}`;
+      resolve(server);
+    });
+  });
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    stream.on('data', chunk => { text += chunk; });
+    stream.on('end', () => resolve(text));
+    stream.on('error', reject);
+  });
+}
+
+describe('CassetteRecorder', () => {
+  let server;
+  let filePath;
+
+  const recorder = mode => {
+    const cassette = new CassetteRecorder({ mode, filePath });
+    cassette.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    return cassette;
+  };
+
+  beforeEach(async () => {
+    server = await startMockOllama();
+    filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-')), 'ollama.json');
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+
+  test('should record responses, streams and errors and replay them offline', async () => {
+    const recording = recorder('record').install(axios.create({ baseURL: server.url }));
+
+    const generated = await recording.post('/api/generate', { model: 'm', prompt: 'hi', stream: false });
+    const streamed = await recording.post('/api/chat', { model: 'm', messages: [] }, { responseType: 'stream' });
+    const streamedText = await readStream(streamed.data);
+    await expect(recording.post('/api/show', { name: 'missing' })).rejects.toMatchObject({ response: { status: 404 } });
+    expect(server.hits).toBe(3);
+
+    // Another "host" and a different key order still match the recordings
+    const replaying = recorder('replay').install(axios.create({ baseURL: 'http://elsewhere:11434' }));
+
+    expect((await replaying.post('/api/generate', { stream: false, prompt: 'hi', model: 'm' })).data).toEqual(generated.data);
+    const replayed = await replaying.post('/api/chat', { model: 'm', messages: [] }, { responseType: 'stream' });
+    expect(await readStream(replayed.data)).toBe(streamedText);
+    expect(streamedText).toContain('Hé');
+    await expect(replaying.post('/api/show', { name: 'missing' })).rejects.toMatchObject({
+      response: { status: 404, data: { error: "model 'missing' not found" } }
+    });
+    expect(server.hits).toBe(3);
+  });
+
+  test('should replay repeated requests in order and reject unknown ones', async () => {
+    const recording = recorder('record').install(axios.create({ baseURL: server.url }));
+    await recording.post('/api/generate', { model: 'm', prompt: 'again' });
+    await recording.post('/api/generate', { model: 'm', prompt: 'again' });
+
+    const replaying = recorder('replay').install(axios.create({ baseURL: server.url }));
+    const answers = [];
+    for (let i = 0; i < 3; i++) {
+      answers.push((await replaying.post('/api/generate', { model: 'm', prompt: 'again' })).data.response);
+    }
+
+    expect(answers).toEqual(['hits: 1', 'hits: 2', 'hits: 2']);
+    await expect(replaying.post('/api/generate', { model: 'm', prompt: 'new' })).rejects.toMatchObject({ code: 'ERR_CASSETTE_MISS' });
+  });
+
+  test('should leave axios alone when no mode is set', () => {
+    const instance = axios.create();
+    const adapter = instance.defaults.adapter;
+
+    expect(recorder(null).install(instance).defaults.adapter).toBe(adapter);
+    expect(() => recorder('rewind')).toThrow(/Unknown cassette mode/);
+  });
+});
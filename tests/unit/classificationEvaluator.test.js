@@ -0,0 +1,80 @@
+const { ClassificationEvaluator } = require('../../src/services/classificationEvaluator');
+
+describe('ClassificationEvaluator', () => {
+  const dataset = [
+    '{"id": "hi", "prompt": "hello there", "taskType": "general", "intentCategory": "conversational", "actionType": "simple_chat"}',
+    '// comments and blank lines are skipped',
+    '',
+    '{"id": "code", "prompt": "write a function", "taskType": "coding", "intentCategory": "app_development"}',
+    '{"prompt": "explain closures", "taskType": "general"}'
+  ].join('\n');
+
+  let evaluator;
+
+  beforeEach(() => {
+    const taskTypes = { 'hello there': 'general', 'write a function': 'coding', 'explain closures': 'coding' };
+    evaluator = new ClassificationEvaluator({
+      embeddingClassifier: { classifyRequest: jest.fn(async body => ({ taskType: taskTypes[body.messages[0].content] })) },
+      intentRecognizer: {
+        recognizeIntent: jest.fn(async prompt => {
+          if (prompt === 'write a function') throw new Error('cassette miss');
+          return { intent: 'general_assistance', intentCategory: 'conversational' };
+        })
+      },
+      approachMapper: { mapIntentToApproach: jest.fn(async () => ({ actionType: 'simple_chat' })) }
+    });
+    evaluator.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  });
+
+  test('should parse labelled JSONL and reject lines without a prompt or label', () => {
+    const cases = ClassificationEvaluator.parseDataset(dataset);
+
+    expect(cases.map(testCase => testCase.id)).toEqual(['hi', 'code', '5']);
+    expect(cases[1].expected).toEqual({ taskType: 'coding', intentCategory: 'app_development' });
+    expect(() => ClassificationEvaluator.parseDataset('{"taskType": "coding"}')).toThrow('line 1: prompt is required');
+    expect(() => ClassificationEvaluator.parseDataset('{"prompt": "x"}\n{')).toThrow(/line 1: no label/);
+  });
+
+  test('should report precision, recall and the confusion matrix per label', async () => {
+    const report = await evaluator.run(ClassificationEvaluator.parseDataset(dataset));
+
+    expect(report.labels.taskType).toMatchObject({
+      total: 3,
+      correct: 2,
+      confusion: { general: { general: 1, coding: 1 }, coding: { coding: 1 } }
+    });
+    expect(report.labels.taskType.classes.coding).toMatchObject({ precision: 0.5, recall: 1, support: 1 });
+    expect(report.labels.taskType.classes.general).toMatchObject({ precision: 1, recall: 0.5, support: 2 });
+
+    // The failed intent call counts as a wrong prediction and is kept with the case
+    expect(report.labels.intentCategory.confusion).toEqual({ conversational: { conversational: 1 }, app_development: { '(none)': 1 } });
+    expect(report.cases[1].errors).toEqual({ intent: 'cassette miss' });
+    expect(report.labels.actionType.accuracy).toBe(1);
+    expect(Object.keys(report.latency)).toEqual(['task', 'intent', 'approach']);
+    expect(evaluator.approachMapper.mapIntentToApproach).toHaveBeenCalledTimes(1);
+  });
+
+  test('should only run the requested stages', async () => {
+    const report = await evaluator.run(ClassificationEvaluator.parseDataset(dataset), { stages: ['task'] });
+
+    expect(Object.keys(report.labels)).toEqual(['taskType']);
+    expect(evaluator.intentRecognizer.recognizeIntent).not.toHaveBeenCalled();
+  });
+
+  test('should list regressed and fixed cases against a baseline', async () => {
+    const cases = ClassificationEvaluator.parseDataset(dataset);
+    const baseline = await evaluator.run(cases, { stages: ['task'] });
+    baseline.cases[2].predicted.taskType = 'general';
+    baseline.cases[1].predicted.taskType = 'general';
+    baseline.labels.taskType.accuracy = 2 / 3;
+
+    const comparison = evaluator.compare(await evaluator.run(cases, { stages: ['task'] }), baseline);
+
+    expect(comparison.regressions).toBe(1);
+    expect(comparison.labels.taskType.regressed).toEqual([
+      { id: '5', prompt: 'explain closures', expected: 'general', before: 'general', after: 'coding' }
+    ]);
+    expect(comparison.labels.taskType.fixed.map(change => change.id)).toEqual(['code']);
+    expect(comparison.labels.taskType.accuracy.delta).toBeCloseTo(0);
+  });
+});
@@ -0,0 +1,78 @@
+const { ClassificationFeedback } = require('../../src/services/classificationFeedback');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('ClassificationFeedback', () => {
+  let now;
+  let embeddingService;
+  let feedback;
+
+  // Prompts mentioning "deploy" point one way, everything else the other
+  const vectorFor = text => (/deploy/i.test(text) ? [1, 0] : [0, 1]);
+
+  beforeEach(() => {
+    now = Date.UTC(2026, 9, 19);
+    embeddingService = { embedMany: jest.fn(texts => Promise.resolve(texts.map(vectorFor))) };
+    feedback = new ClassificationFeedback({
+      dbPath: ':memory:',
+      embeddingService,
+      halfLifeDays: 30,
+      minScore: 0.8,
+      getLabels: () => ({ task: ['coding', 'devops', 'general'], intent: ['conversational', 'system_operations'] }),
+      now: () => now
+    });
+    feedback.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  });
+
+  afterEach(() => {
+    feedback.close();
+  });
+
+  test('should validate feedback and derive the rating from the label', () => {
+    expect(() => feedback.record({ classifier: 'mood', prompt: 'x', label: 'coding' })).toThrow(/classifier/);
+    expect(() => feedback.record({ prompt: ' ', label: 'coding' })).toThrow(/prompt is required/);
+    expect(() => feedback.record({ prompt: 'x', label: 'cooking' })).toThrow(/unknown task label "cooking"/);
+    expect(() => feedback.record({ prompt: 'x', rating: 'down' })).toThrow(/label or predicted/);
+
+    expect(feedback.record({ prompt: 'deploy the app', predicted: 'coding', label: 'devops' })).toMatchObject({
+      classifier: 'task',
+      rating: 'down',
+      label: 'devops'
+    });
+    expect(feedback.record({ classifier: 'intent', prompt: 'hi', predicted: 'conversational', rating: 'up' }).label).toBe('conversational');
+    expect(feedback.getStats()).toEqual({
+      intent: { up: 1, down: 0, examples: 1 },
+      task: { up: 0, down: 1, examples: 1 }
+    });
+  });
+
+  test('should weight examples by recency and agreement', () => {
+    now -= 30 * DAY_MS;
+    feedback.record({ prompt: 'deploy the app', predicted: 'coding', label: 'devops' });
+    now += 30 * DAY_MS;
+    expect(feedback.getExamples('task')[0]).toMatchObject({ label: 'devops', weight: 0.5 });
+
+    // devops has 0.5 + 1 of the 2.5 votes
+    feedback.record({ prompt: 'Deploy the app', predicted: 'coding', label: 'devops' });
+    feedback.record({ prompt: 'deploy the app', predicted: 'devops', label: 'coding' });
+    const [example] = feedback.getExamples('task');
+    expect(example.label).toBe('devops');
+    expect(example.weight).toBeCloseTo(0.6);
+
+    // A thumbs-down without a correction only counts against the prediction
+    feedback.record({ prompt: 'tell me a joke', predicted: 'coding', rating: 'down' });
+    expect(feedback.getExamples('task').map(item => item.prompt)).toEqual(['deploy the app']);
+  });
+
+  test('should match similar prompts only when the weighted score is high enough', async () => {
+    feedback.record({ prompt: 'deploy the app', predicted: 'coding', label: 'devops' });
+
+    expect(await feedback.match('task', [1, 0])).toMatchObject({ label: 'devops', similarity: 1, weight: 1, score: 1 });
+    expect(await feedback.match('task', [0, 1])).toBeNull();
+    expect(await feedback.match('intent', [1, 0])).toBeNull();
+
+    now += 60 * DAY_MS;
+    feedback.examples.clear();
+    expect(await feedback.match('task', [1, 0])).toBeNull();
+  });
+});
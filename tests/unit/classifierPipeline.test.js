@@ -0,0 +1,138 @@
+const { ClassifierPipeline } = require('../../src/services/classifierPipeline');
+const { PatternStage, KeywordStage, EmbeddingKnnStage, LlmJudgeStage } = require('../../src/services/classifierStages');
+
+describe('ClassifierPipeline', () => {
+  const categories = {
+    greeting: { examples: ['hello there'], patterns: ['^(hi|hey)\\b'] },
+    coding: { examples: ['write a function'], keywords: ['function', 'class'], requiredKeywords: ['write', 'create'] },
+    general: { examples: ['tell me a joke'], keywords: ['joke', 'story'] }
+  };
+  const fixed = (name, result) => ({ name, classify: jest.fn().mockResolvedValue(result) });
+  const quiet = pipeline => {
+    pipeline.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    return pipeline;
+  };
+
+  test('should combine weighted stage votes and stop once confident', async () => {
+    const pipeline = quiet(new ClassifierPipeline({
+      threshold: 0.6,
+      weights: { a: 1, b: 3, c: 1, off: 0 },
+      stages: [
+        fixed('a', { labels: { general: 1 }, confidence: 0.8 }),
+        fixed('off', { labels: { general: 1 }, confidence: 1 }),
+        fixed('b', { labels: { coding: 3, general: 1, unknown: 5 }, confidence: 0.9 }),
+        fixed('c', { labels: { general: 1 }, confidence: 1 })
+      ]
+    }));
+
+    const vote = await pipeline.classify({ classifier: 'task', text: 'x', categories });
+
+    expect(vote).toMatchObject({ label: 'general', confidence: 0.8, stoppedAt: 'a' });
+    expect(vote.trace.map(step => [step.stage, step.status])).toEqual([
+      ['a', 'answered'], ['off', 'disabled'], ['b', 'skipped'], ['c', 'skipped']
+    ]);
+
+    pipeline.threshold = 0.9;
+    const outvoted = await pipeline.classify({ classifier: 'task', text: 'x', categories });
+
+    // general: (1 x 0.8 + 3 x 0.9 x 0.25 + 1 x 1) / 5, coding: 3 x 0.9 x 0.75 / 5; unknown labels are dropped
+    expect(outvoted).toMatchObject({ label: 'general', confidence: 0.495, stoppedAt: null });
+    expect(outvoted.trace[2].labels).toEqual({ coding: 0.75, general: 0.25 });
+    expect(outvoted.labels).toEqual({ general: 0.55, coding: 0.45 });
+  });
+
+  test('should carry on when a stage fails or abstains, and let stages be replaced', async () => {
+    const pipeline = quiet(new ClassifierPipeline({
+      stages: [
+        { name: 'broken', classify: jest.fn().mockRejectedValue(new Error('backend down')) },
+        fixed('silent', null),
+        fixed('keyword', { labels: { coding: 1 }, confidence: 0.6 })
+      ]
+    }));
+
+    const vote = await pipeline.classify({ classifier: 'task', text: 'x', categories });
+    expect(vote).toMatchObject({ label: 'coding', confidence: 0.6 });
+    expect(vote.trace.map(step => step.status)).toEqual(['failed', 'abstained', 'answered']);
+    expect(vote.trace[0].error).toBe('backend down');
+
+    pipeline.register(fixed('pattern', { labels: { greeting: 1 }, confidence: 1 }), { before: 'broken', weight: 2 });
+    pipeline.register(fixed('silent', { labels: { general: 1 }, confidence: 1 }));
+    expect(pipeline.describe().stages).toEqual([
+      { name: 'pattern', weight: 2 }, { name: 'broken', weight: 1 }, { name: 'silent', weight: 1 }, { name: 'keyword', weight: 1 }
+    ]);
+    expect((await pipeline.classify({ classifier: 'task', text: 'x', categories })).label).toBe('greeting');
+
+    const aborted = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    pipeline.register({ name: 'pattern', classify: jest.fn().mockRejectedValue(aborted) });
+    await expect(pipeline.classify({ classifier: 'task', text: 'x', categories })).rejects.toThrow('aborted');
+  });
+
+  test('should match examples, patterns, feedback and keywords', async () => {
+    const feedback = { match: jest.fn().mockResolvedValue(null) };
+    const pattern = new PatternStage({ feedback });
+    const input = text => ({ classifier: 'task', text, embedding: [1, 0], categories });
+
+    expect(await pattern.classify(input('Hello there!'))).toMatchObject({ labels: { greeting: 0.95 }, confidence: 0.95 });
+    expect(await pattern.classify(input('hey, write a function'))).toMatchObject({ labels: { greeting: 0.9 } });
+    expect(await pattern.classify(input('write a class'))).toBeNull();
+
+    feedback.match.mockResolvedValueOnce({ label: 'general', prompt: 'write a class', score: 0.88 });
+    expect(await pattern.classify(input('write a class'))).toMatchObject({ labels: { general: 1 }, confidence: 0.88 });
+
+    const keyword = new KeywordStage();
+    expect(await keyword.classify(input('write a function with a class'))).toMatchObject({ labels: { coding: 2 }, confidence: 0.7 });
+    expect(await keyword.classify(input('a function story'))).toMatchObject({ labels: { general: 1 }, confidence: 0.6 });
+  });
+
+  test('should vote with the nearest examples and ask the judge for a valid label', async () => {
+    const vectors = { 'hello there': [0, 1], 'write a function': [1, 0], 'tell me a joke': [0.6, 0.8] };
+    const embeddingService = {
+      embedMany: jest.fn(async texts => texts.map(text => vectors[text])),
+      // One example per category, so each centroid is that example
+      getCentroids: jest.fn(async (namespace, examples) =>
+        Object.fromEntries(Object.entries(examples).map(([label, texts]) => [label, vectors[texts[0]]])))
+    };
+    const knn = new EmbeddingKnnStage({ embeddingService, k: 2 });
+
+    const neighbours = await knn.classify({ classifier: 'task', embedding: [1, 0], categories });
+    expect(neighbours.labels).toEqual({ coding: 2, general: 0.6 });
+    expect(neighbours.confidence).toBe(1);
+    expect(neighbours.detail).toContain('centroid coding');
+    expect(embeddingService.getCentroids).toHaveBeenCalledWith('task', {
+      greeting: ['hello there'], coding: ['write a function'], general: ['tell me a joke']
+    }, expect.any(Object));
+    expect(await knn.classify({ embedding: null, categories })).toBeNull();
+
+    const structuredOutput = { generate: jest.fn().mockResolvedValue({ data: { label: 'general', confidence: 0.7, reason: 'a joke' } }) };
+    expect(await new LlmJudgeStage({ structuredOutput, model: null }).classify({ text: 'x', categories })).toBeNull();
+
+    const judge = new LlmJudgeStage({ structuredOutput, model: 'granite3.3:8b' });
+    expect(await judge.classify({ text: 'make me laugh', categories })).toEqual({ labels: { general: 1 }, confidence: 0.7, detail: 'a joke' });
+
+    const [path, request, schema] = structuredOutput.generate.mock.calls[0];
+    expect(path).toBe('/api/generate');
+    expect(request).toMatchObject({ model: 'granite3.3:8b' });
+    expect(request.prompt).toContain('- coding: "write a function"');
+    expect(schema.properties.label.enum).toEqual(['greeting', 'coding', 'general']);
+  });
+
+  test('should read stage weights and the threshold from the environment', () => {
+    process.env.CLASSIFIER_STAGE_WEIGHTS = 'keyword=0.5, llm=0, bogus';
+    process.env.CLASSIFIER_CONFIDENCE_THRESHOLD = '0.9';
+    try {
+      const pipeline = new ClassifierPipeline({ embeddingService: {}, structuredOutput: {} });
+      expect(pipeline.describe()).toEqual({
+        threshold: 0.9,
+        stages: [
+          { name: 'pattern', weight: 1 },
+          { name: 'keyword', weight: 0.5 },
+          { name: 'embedding', weight: 2 },
+          { name: 'llm', weight: 0 }
+        ]
+      });
+    } finally {
+      delete process.env.CLASSIFIER_STAGE_WEIGHTS;
+      delete process.env.CLASSIFIER_CONFIDENCE_THRESHOLD;
+    }
+  });
+});
@@ -0,0 +1,117 @@
+const { ContextBudgeter } = require('../../src/services/contextBudgeter');
+
+describe('ContextBudgeter', () => {
+  let backendPool;
+  let budgeter;
+
+  // ~100 tokens of content per message
+  const text = (label) => `${label} ${'x'.repeat(400)}`;
+
+  const conversation = (turns) => {
+    const messages = [{ role: 'system', content: 'You are a helpful assistant' }];
+    for (let i = 0; i < turns; i++) {
+      messages.push({ role: 'user', content: text(`question ${i}`) });
+      messages.push({ role: 'assistant', content: text(`answer ${i}`) });
+    }
+    messages.push({ role: 'user', content: 'latest question' });
+    return messages;
+  };
+
+  beforeEach(() => {
+    backendPool = {
+      post: jest.fn().mockResolvedValue({ data: { message: { role: 'assistant', content: 'They discussed questions 0-5.' } } })
+    };
+    budgeter = new ContextBudgeter({
+      backendPool,
+      modelSelector: { getModelInfo: name => ({ small: { contextWindow: 1024 }, long: { contextWindow: 131072 } })[name] || null },
+      responseReserve: 256,
+      keepRecent: 2,
+      summaryModel: 'tiny'
+    });
+    budgeter.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  });
+
+  test('should leave conversations that fit untouched', async () => {
+    const messages = conversation(1);
+    const { messages: fitted, report } = await budgeter.fit({ messages }, 'small');
+
+    expect(fitted).toBe(messages);
+    expect(report).toMatchObject({ contextWindow: 1024, budgetTokens: 768, trimmedTokens: 0, summarized: false });
+  });
+
+  test('should summarise the oldest turns and keep system, pinned and recent messages', async () => {
+    const messages = conversation(8);
+    messages[3].pinned = true; // question 1
+
+    const { messages: fitted, report } = await budgeter.fit({ messages }, 'small');
+
+    expect(fitted[0]).toEqual(messages[0]);
+    expect(fitted[1].role).toBe('system');
+    expect(fitted[1].content).toMatch(/^Summary of earlier conversation \(\d+ messages\):\nThey discussed/);
+    expect(fitted).toContain(messages[3]);
+    expect(fitted.slice(-3)).toEqual(messages.slice(-3));
+    expect(fitted).not.toContain(messages[1]);
+
+    expect(backendPool.post).toHaveBeenCalledWith('/api/chat', expect.objectContaining({ model: 'tiny', stream: false }));
+    expect(report.summarized).toBe(true);
+    expect(report.trimmedTokens).toBe(report.originalTokens - report.promptTokens);
+    expect(report.trimmedTokens).toBeGreaterThan(0);
+    expect(report.promptTokens).toBeLessThanOrEqual(report.budgetTokens);
+  });
+
+  test('should reuse summaries for the same dropped turns', async () => {
+    await budgeter.fit({ messages: conversation(8) }, 'small');
+    await budgeter.fit({ messages: conversation(8) }, 'small');
+
+    expect(backendPool.post).toHaveBeenCalledTimes(1);
+  });
+
+  test('should drop turns without a summary when summarisation fails', async () => {
+    backendPool.post.mockRejectedValue(new Error('model not found'));
+
+    const { messages: fitted, report } = await budgeter.fit({ messages: conversation(8) }, 'small');
+
+    expect(report.summarized).toBe(false);
+    expect(report.droppedMessages).toBeGreaterThan(0);
+    expect(fitted.filter(message => message.role === 'system')).toHaveLength(1);
+  });
+
+  test('should keep tool results with the call that produced them', async () => {
+    const messages = [
+      { role: 'user', content: text('old question') },
+      { role: 'assistant', content: '', tool_calls: [{ function: { name: 'read_file', arguments: { path: 'a.js' } } }] },
+      { role: 'tool', content: text('file contents') },
+      ...conversation(6).slice(1)
+    ];
+    budgeter.summarize = false;
+
+    const { messages: fitted } = await budgeter.fit({ messages }, 'small');
+
+    expect(fitted[0].role).not.toBe('tool');
+    expect(fitted.some(message => message.role === 'tool')).toBe(false);
+  });
+
+  test('should report when nothing can be trimmed', async () => {
+    const { report } = await budgeter.fit({
+      messages: [{ role: 'system', content: 'x'.repeat(8000) }, { role: 'user', content: 'hi' }]
+    }, 'small');
+
+    expect(report).toMatchObject({ overBudget: true, trimmedTokens: 0 });
+  });
+
+  test('should honour num_ctx and num_predict from the request', async () => {
+    const { report } = await budgeter.fit({ messages: [], options: { num_ctx: 4096, num_predict: 512 } }, 'unknown');
+
+    expect(report).toMatchObject({ contextWindow: 4096, budgetTokens: 3584 });
+  });
+
+  test('should budget against the window Ollama serves, not the trained context length', async () => {
+    expect(budgeter.getContextWindow('long')).toBe(4096);
+    expect(budgeter.getContextWindow('small')).toBe(1024);
+    expect(budgeter.getContextWindow('unknown')).toBe(4096);
+
+    const serving = new ContextBudgeter({ backendPool, modelSelector: budgeter.modelSelector, defaultContextWindow: 16384 });
+    expect(serving.getContextWindow('long')).toBe(16384);
+    expect(serving.getContextWindow('long', { num_ctx: 32768 })).toBe(32768);
+  });
+});
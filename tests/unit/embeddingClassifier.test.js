@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { EmbeddingClassifier } = require('../../src/services/embeddingClassifier');
+
+const DEFAULT_RULES = JSON.parse(fs.readFileSync(path.join(__dirname, '../../src/config/routingRules.json'), 'utf8'));
+
+describe('EmbeddingClassifier', () => {
+  let rules;
+  let classifier;
+  let embeddingService;
+
+  beforeEach(() => {
+    rules = JSON.parse(JSON.stringify(DEFAULT_RULES));
+    // Example embeddings share nothing with the prompt, so the keyword stage decides
+    embeddingService = { embedMany: jest.fn(async texts => texts.map(() => [0, 0])), getCentroids: jest.fn(async () => ({})) };
+    classifier = new EmbeddingClassifier({ routingRules: { getRules: () => rules }, embeddingService });
+    classifier.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    classifier._getEmbedding = jest.fn().mockResolvedValue([0.1, 0.2]);
+  });
+
+  const classify = (content) => classifier.classifyRequest({ model: 'any', messages: [{ role: 'user', content }] });
+
+  test('should route with the bundled rules', async () => {
+    const coding = await classify('write a python function to parse dates');
+    expect(coding).toMatchObject({ taskType: 'coding', language: 'python', recommendedModel: 'deepseek-coder:6.7b-instruct-q6_K' });
+
+    const general = await classify('tell me a joke');
+    expect(general).toMatchObject({ taskType: 'general', recommendedModel: 'qwen2.5:7b-instruct-q6_K' });
+  });
+
+  test('should pick up rule changes on the next request', async () => {
+    rules.categories.general.models = ['llama3.1:8b-instruct-q4_K_M'];
+    rules.categories.coding.complexityOverrides = { very_high: ['codestral:22b-v0.1-q4_K_M'] };
+
+    expect((await classify('tell me a joke')).recommendedModel).toBe('llama3.1:8b-instruct-q4_K_M');
+    expect((await classify('write a function for an enterprise microservices gateway'))).toMatchObject({
+      taskType: 'coding',
+      complexity: 'very_high',
+      recommendedModel: 'codestral:22b-v0.1-q4_K_M'
+    });
+  });
+
+  test('should require a category\'s requiredKeywords', async () => {
+    // "web" is a coding keyword but there is no coding verb
+    const result = await classify('what are the benefits of the web');
+    expect(result.taskType).toBe('general');
+  });
+
+  test('should only recommend installed models when discovery is available', async () => {
+    const installed = new Set(['codellama:13b-instruct-q4_K_M', 'llama3.1:8b-instruct-q4_K_M']);
+    classifier.modelDiscovery = {
+      pickInstalled: jest.fn(candidates => candidates.find(name => installed.has(name)))
+    };
+
+    // deepseek-coder (python override) is not installed; codellama is next in line
+    expect((await classify('write a python function to parse dates')).recommendedModel).toBe('codellama:13b-instruct-q4_K_M');
+    expect((await classify('tell me a joke')).recommendedModel).toBe('llama3.1:8b-instruct-q4_K_M');
+  });
+
+  test('should prefer a corrected task type from feedback over the keyword rules', async () => {
+    const feedback = {
+      match: jest.fn().mockResolvedValueOnce({ label: 'general', prompt: 'write a python function', score: 0.93 }).mockResolvedValue(null)
+    };
+    classifier = new EmbeddingClassifier({ routingRules: { getRules: () => rules }, embeddingService, feedback });
+    classifier._getEmbedding = jest.fn().mockResolvedValue([0.1, 0.2]);
+
+    const corrected = await classify('write a python function to parse dates');
+    expect(corrected).toMatchObject({ taskType: 'general', confidence: 0.93 });
+    expect(corrected._trace.map(step => step.status)).toEqual(['answered', 'skipped', 'skipped', 'skipped']);
+    expect(feedback.match).toHaveBeenCalledWith('task', [0.1, 0.2], expect.any(Object));
+    expect((await classify('write a python function to parse dates')).taskType).toBe('coding');
+  });
+
+  test('should raise complexity when the prompt exceeds a level\'s maxTokens', async () => {
+    rules.complexity.low.maxTokens = 5;
+
+    const result = await classify('tell me a joke about a cat that lives in a small house');
+    expect(result.complexity).toBe('medium');
+  });
+
+  test('should route by the language of the files attached in context', async () => {
+    const request = context => classifier.classifyRequest({
+      model: 'any',
+      messages: [{ role: 'user', content: 'write a function to parse these dates' }],
+      context
+    });
+
+    expect(await request(undefined)).toMatchObject({ language: 'general', languageConfidence: 0, recommendedModel: 'codellama:13b-instruct-q4_K_M' });
+    expect(await request({ 'file_src/dates.py': { type: 'file', path: 'src/dates.py' } })).toMatchObject({
+      language: 'python',
+      languageConfidence: 0.8,
+      recommendedModel: 'deepseek-coder:6.7b-instruct-q6_K'
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EmbeddingService } = require('../../src/services/embeddingService');
+
+describe('EmbeddingService', () => {
+  let backendPool;
+  let dbPath;
+  const services = [];
+
+  // One-dimensional "embedding" per text: its length
+  const embedTexts = body => ({ data: { model: body.model, embeddings: body.input.map(text => [text.length, 1]) } });
+
+  function createService(options = {}) {
+    const service = new EmbeddingService({ backendPool, dbPath, batchWindowMs: 5, ...options });
+    service.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    services.push(service);
+    return service;
+  }
+
+  beforeEach(() => {
+    dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'embeddings-')), 'embeddings.db');
+    backendPool = { post: jest.fn((apiPath, body) => Promise.resolve(embedTexts(body))) };
+  });
+
+  afterEach(() => {
+    services.splice(0).forEach(service => service.close());
+    fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+  });
+
+  test('should batch concurrent requests into one /api/embed call', async () => {
+    const service = createService();
+
+    const results = await Promise.all([
+      service.embed('hello'),
+      service.embed('hi', { model: 'nomic-embed-text:latest' }),
+      service.embed('hello'),
+      service.embedMany(['a longer text', 'hi'])
+    ]);
+
+    expect(results).toEqual([[5, 1], [2, 1], [5, 1], [[13, 1], [2, 1]]]);
+    expect(backendPool.post).toHaveBeenCalledTimes(1);
+    expect(backendPool.post).toHaveBeenCalledWith('/api/embed',
+      { model: 'nomic-embed-text', input: ['hello', 'hi', 'a longer text'] },
+      expect.any(Object),
+      { taskType: 'embedding' });
+  });
+
+  test('should serve repeats from memory and from disk after a restart', async () => {
+    const service = createService({ cacheSize: 1 });
+    await service.embed('first');
+    await service.embed('second');
+
+    // "first" was evicted from memory but is still on disk
+    expect(await service.embed('second')).toEqual([6, 1]);
+    expect(await service.embed('first')).toEqual([5, 1]);
+    expect(service.getStats()).toMatchObject({ memoryHits: 1, diskHits: 1, misses: 2, storedEntries: 2 });
+
+    const restarted = createService();
+    expect(await restarted.embed('second')).toEqual([6, 1]);
+    expect(await restarted.embed('second', { model: 'other-embedder' })).toEqual([6, 1]);
+    expect(backendPool.post).toHaveBeenCalledTimes(3);
+  });
+
+  test('should persist category centroids until the examples change', async () => {
+    const categories = { greeting: ['hi', 'hello'], coding: ['write code'] };
+
+    expect(await createService().getCentroids('intent', categories)).toEqual({ greeting: [3.5, 1], coding: [10, 1] });
+    expect(backendPool.post).toHaveBeenCalledTimes(1);
+
+    const restarted = createService();
+    expect(await restarted.getCentroids('intent', categories)).toEqual({ greeting: [3.5, 1], coding: [10, 1] });
+    expect(backendPool.post).toHaveBeenCalledTimes(1);
+
+    const changed = await restarted.getCentroids('intent', { ...categories, greeting: ['hey'] });
+    expect(changed.greeting).toEqual([3, 1]);
+    expect(backendPool.post).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reject every waiter when a batch fails and stop waiting on abort', async () => {
+    const service = createService();
+    backendPool.post.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    const results = await Promise.allSettled([service.embed('one'), service.embed('two')]);
+    expect(results.map(result => result.reason.message)).toEqual([
+      'Failed to get embedding: connect ECONNREFUSED',
+      'Failed to get embedding: connect ECONNREFUSED'
+    ]);
+
+    const controller = new AbortController();
+    const pending = service.embed('three', { signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+
+    // The batch still completes and is cached for the next caller
+    expect(await service.embed('three')).toEqual([5, 1]);
+    expect(backendPool.post).toHaveBeenCalledTimes(2);
+  });
+});
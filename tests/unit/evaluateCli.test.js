@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+
+const CLI = path.join(__dirname, '../../src/cli/evaluate.js');
+
+// Stand-in reply that satisfies both the intent analysis and the approach schema
+const MODEL_REPLY = {
+  intent: 'conversation',
+  complexity: 'simple',
+  approach: 'direct_response',
+  requiresApproval: false,
+  actionType: 'simple_chat',
+  reasoning: 'stand-in reply',
+  riskAssessment: 'low',
+  estimatedSteps: 1
+};
+
+/**
+ * Minimal Ollama stand-in for recording: /api/embed hashes words into a small
+ * vector, /api/generate answers with MODEL_REPLY
+ */
+function startMockOllama() {
+  const embed = text => {
+    const vector = new Array(16).fill(0);
+    for (const word of text.toLowerCase().split(/\W+/).filter(Boolean)) {
+      let hash = 0;
+      for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) % 16;
+      vector[hash] += 1;
+    }
+    return vector;
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body || '{}');
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/api/embed') {
+        res.end(JSON.stringify({ model: request.model, embeddings: [].concat(request.input).map(embed) }));
+      } else if (req.url === '/api/generate') {
+        res.end(JSON.stringify({ model: request.model, response: JSON.stringify(MODEL_REPLY), done: true }));
+      } else {
+        res.end(JSON.stringify({ models: [] }));
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function runCli(args, env = {}) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], {
+      env: { ...process.env, ...env },
+      timeout: 60000
+    }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+}
+
+describe('npm run eval', () => {
+  let dir;
+  let server;
+  let paths;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ollamageek-eval-test-'));
+    paths = [
+      '--embeddings', path.join(dir, 'embeddings.db'),
+      '--cassette', path.join(dir, 'cassette.json'),
+      '--baseline', path.join(dir, 'baseline.json')
+    ];
+    server = await startMockOllama();
+  });
+
+  afterEach(async () => {
+    if (server.listening) await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should record once, then replay offline against the saved baseline', async () => {
+    const recorded = await runCli([...paths, '--record', '--save-baseline'], {
+      OLLAMA_BACKENDS: `http://127.0.0.1:${server.address().port}`
+    });
+    expect(recorded.code).toBe(0);
+    await new Promise(resolve => server.close(resolve));
+
+    const cassette = fs.readFileSync(path.join(dir, 'cassette.json'), 'utf8');
+    const embeddings = fs.readFileSync(path.join(dir, 'embeddings.db'));
+    const replayed = await runCli([...paths, '--json'], { OLLAMA_BACKENDS: 'http://127.0.0.1:9' });
+
+    expect(replayed.stderr).not.toMatch(/❌/);
+    expect(replayed.code).toBe(0);
+    const report = JSON.parse(replayed.stdout);
+    expect(Object.keys(report.labels)).toEqual(expect.arrayContaining(['taskType', 'intentCategory', 'actionType']));
+    expect(report.labels.taskType.total).toBeGreaterThan(0);
+    expect(report.cases.filter(result => result.errors)).toEqual([]);
+    expect(report.comparison.regressions).toBe(0);
+    // Offline runs leave the recordings as they were
+    expect(fs.readFileSync(path.join(dir, 'cassette.json'), 'utf8')).toBe(cassette);
+    expect(fs.readFileSync(path.join(dir, 'embeddings.db')).equals(embeddings)).toBe(true);
+  }, 120000);
+
+  test('should explain how to record when the recordings are missing', async () => {
+    const result = await runCli(paths);
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toMatch(/run once with --record/);
+  });
+});
@@ -2,6 +2,8 @@
 jest.mock('axios');
 
 const IntentRecognizer = require('../../src/services/intentRecognizer');
+const PerformanceMonitor = require('../../src/services/performanceMonitor');
+const MemoryManager = require('../../src/services/memoryManager');
 
 describe('Intent Recognizer - Phase 1 Core Tests', () => {
   let intentRecognizer;
@@ -16,7 +18,7 @@ describe('Intent Recognizer - Phase 1 Core Tests', () => {
     };
 
     // Create instance with mock logger
-    intentRecognizer = new IntentRecognizer();
+    intentRecognizer = new IntentRecognizer({ performanceMonitor: new PerformanceMonitor({ memoryManager: new MemoryManager({ dbPath: ':memory:' }) }) });
     // Override the logger to use our mock
     intentRecognizer.logger = mockLogger;
   });
@@ -64,9 +66,17 @@ describe('Intent Recognizer - Phase 1 Core Tests', () => {
   });
 
   describe('Configuration', () => {
-    test('Has Ollama base URL configured', () => {
-      expect(intentRecognizer.ollamaBaseUrl).toBeDefined();
-      expect(typeof intentRecognizer.ollamaBaseUrl).toBe('string');
+    test('Sends analysis through the backend pool ahead of background work', async () => {
+      const backendPool = { post: jest.fn().mockResolvedValue({ data: { response: '{"approach":"simple_execution"}' } }) };
+      const pooled = new IntentRecognizer({ backendPool, performanceMonitor: new PerformanceMonitor({ memoryManager: new MemoryManager({ dbPath: ':memory:' }) }) });
+      pooled.logger = mockLogger;
+
+      const approach = await pooled.determineApproach('list files', { intent: 'file_ops' }, { complexity: 'low', factors: [], stepCount: 1, riskLevel: 'low' });
+
+      expect(approach.approach).toBe('simple_execution');
+      expect(backendPool.post).toHaveBeenCalledWith('/api/generate', expect.objectContaining({ stream: false }), expect.any(Object));
+      // The chat request is waiting on this, so it must not queue behind /api/ai/* jobs
+      expect(backendPool.post.mock.calls[0][3]?.priority).not.toBe('background');
     });
 
     test('Logger methods are callable', () => {
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const { LanguageDetector, LANGUAGES } = require('../../src/services/languageDetector');
+
+const DEFAULT_RULES = JSON.parse(fs.readFileSync(path.join(__dirname, '../../src/config/routingRules.json'), 'utf8'));
+
+describe('LanguageDetector', () => {
+  const detector = new LanguageDetector({ routingRules: { getRules: () => DEFAULT_RULES } });
+  const detect = (text, context) => detector.detect({ text, context });
+
+  test('should read code fence tags, file names and syntax', () => {
+    expect(detect('why does this panic?\n```rust\nfn main() { let v: Vec<i32> = vec![]; }\n```')).toMatchObject({ language: 'rust', confidence: 0.98 });
+    expect(detect('```src/app.tsx\nexport const App = () => null;\n```').language).toBe('typescript');
+    expect(detect('fix the failing test in utils.py').language).toBe('python');
+    expect(detect('the Dockerfile build is slow').language).toBe('docker');
+    expect(detect('#include <iostream>\nint main() { std::cout << "hi"; }').language).toBe('cpp');
+  });
+
+  test('should weigh attached files and the workspace language from context', () => {
+    const attached = { 'file_src/Main.kt': { type: 'file', path: 'src/Main.kt' } };
+    expect(detect('refactor this', attached)).toMatchObject({ language: 'kotlin', confidence: 0.8 });
+    expect(detect('refactor this', { activeFile: 'lib/models/user.rb' }).language).toBe('ruby');
+
+    // The workspace is a weak prior: a fenced snippet in another language wins
+    const workspace = { workspace: { language: 'TypeScript' } };
+    expect(detect('add a loading state', workspace)).toMatchObject({ language: 'typescript', confidence: 0.3 });
+    expect(detect('```python\nprint(1)\n```', workspace).language).toBe('python');
+    expect(detect('add a loading state', { workspace: { language: 'Unknown' }, files: ['a.go', 'b.go', 'README.md'] }).language).toBe('go');
+
+    // Agreeing signals add up
+    expect(detect('optimise this python script', { language: 'python' }).confidence).toBe(0.95);
+  });
+
+  test('should match keywords as whole words and fall back to general', () => {
+    expect(detect('a good approach to estimating').language).toBe('general');
+    expect(detect('a bug in my c# service').language).toBe('csharp');
+    expect(detect('explain this, e.g. version 1.2 of the spec')).toMatchObject({ language: 'general', confidence: 0 });
+    expect(detect('tell me a joke')).toMatchObject({ language: 'general', signals: [] });
+  });
+
+  test('should know at least 20 languages by name and extension', () => {
+    expect(Object.keys(LANGUAGES).length).toBeGreaterThanOrEqual(20);
+    for (const [language, definition] of Object.entries(LANGUAGES)) {
+      expect(detector.languageOfName(definition.name)).toBe(language);
+      if (definition.extensions.length > 0) expect(detector.languageOfPath(`src/file${definition.extensions[0]}`)).toBe(language);
+    }
+    expect(detector.languageOfName('C++')).toBe('cpp');
+    expect(detector.languageOfPath('notes.txt')).toBeNull();
+  });
+});
@@ -1,28 +1,11 @@
 const MemoryManager = require('../../src/services/memoryManager');
-const path = require('path');
-const fs = require('fs');
 
 describe('MemoryManager', () => {
   let memoryManager;
-  let testDbPath;
 
   beforeEach(() => {
-    // Create a temporary test database
-    testDbPath = path.join(__dirname, '../../data/test_sage_memories.db');
-    const testDataDir = path.dirname(testDbPath);
-    if (!fs.existsSync(testDataDir)) {
-      fs.mkdirSync(testDataDir, { recursive: true });
-    }
-
-    // Mock the database path for testing
-    jest.spyOn(MemoryManager.prototype, 'constructor').mockImplementation(function() {
-      this.logger = { info: jest.fn(), error: jest.fn() };
-      this.dbPath = testDbPath;
-      this.db = require('better-sqlite3')(this.dbPath);
-      this.initializeDatabase();
-    });
-
-    memoryManager = new MemoryManager();
+    // A private in-memory database, so runs never touch data/sage_memories.db or each other
+    memoryManager = new MemoryManager({ dbPath: ':memory:' });
 
     // Ensure logger is properly mocked
     memoryManager.logger = {
@@ -37,9 +20,6 @@ describe('MemoryManager', () => {
     if (memoryManager && memoryManager.db) {
       memoryManager.close();
     }
-    if (fs.existsSync(testDbPath)) {
-      fs.unlinkSync(testDbPath);
-    }
   });
 
   describe('Basic Functionality', () => {
@@ -112,6 +92,22 @@ describe('MemoryManager', () => {
         expect.stringContaining('Project model mapping stored')
       );
     });
+
+    test('should report model usage by hour from performance and conversations', () => {
+      const since = memoryManager.db.prepare("SELECT datetime('now', '-1 minute') as since").get().since;
+      memoryManager.trackModelPerformance('usage-test:7b', 'coding', 100);
+      memoryManager.trackModelPerformance('usage-test:7b', 'coding', 100, false, 'cancelled by client', null, 'cancelled');
+      memoryManager.storeConversation('default', 's1', 'hi', 'hello', 'chat', 'low', 0, 50, true, ['usage-test:7b', 'usage-embed']);
+
+      const usage = memoryManager.getModelUsageByHour(since);
+      const hour = new Date().getHours();
+
+      expect(usage).toEqual(expect.arrayContaining([
+        expect.objectContaining({ model: 'usage-test:7b', hour, requests: 1 }),
+        expect.objectContaining({ model: 'usage-embed', hour, requests: 1 })
+      ]));
+      expect(usage.filter(row => row.model === 'usage-test:7b')).toHaveLength(2);
+    });
   });
 
   describe('Model Selection', () => {
@@ -0,0 +1,131 @@
+const { ModelDiscovery } = require('../../src/services/modelDiscovery');
+const { RoutingRules } = require('../../src/services/routingRules');
+
+describe('ModelDiscovery', () => {
+  let tags;
+  let shows;
+  let backendPool;
+  let discovery;
+
+  beforeEach(() => {
+    tags = {
+      models: [
+        { name: 'qwen2.5:7b-instruct-q6_K', digest: 'a1', details: { family: 'qwen2', parameter_size: '7.6B', quantization_level: 'Q6_K' } },
+        { name: 'nomic-embed-text:latest', digest: 'b1', details: { family: 'nomic-bert', parameter_size: '137M', quantization_level: 'F16' } },
+        { name: 'qwen2.5-coder:14b', digest: 'c1', details: { family: 'qwen2', parameter_size: '14.8B', quantization_level: 'Q4_K_M' } }
+      ]
+    };
+    shows = {
+      'qwen2.5:7b-instruct-q6_K': {
+        capabilities: ['completion', 'tools'],
+        model_info: { 'general.architecture': 'qwen2', 'qwen2.context_length': 32768 }
+      },
+      'nomic-embed-text:latest': {
+        capabilities: ['embedding'],
+        model_info: { 'general.architecture': 'nomic-bert', 'nomic-bert.context_length': 2048 }
+      },
+      // Older Ollama: no capabilities list, detect from the template and projector
+      'qwen2.5-coder:14b': {
+        template: '{{ if .Tools }}tools{{ end }}',
+        projector_info: { 'clip.has_vision_encoder': true },
+        model_info: { 'general.architecture': 'qwen2', 'qwen2.context_length': 32768 }
+      }
+    };
+
+    const getModelInfo = jest.fn(async name => shows[name]);
+    backendPool = {
+      listModels: jest.fn(async () => tags),
+      withFailover: jest.fn((model, operation) => operation({ url: 'http://localhost:11434', client: { getModelInfo } })),
+      getModelInfo
+    };
+
+    discovery = new ModelDiscovery({ backendPool, routingRules: new RoutingRules() });
+    discovery.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  });
+
+  test('should learn family, size, quantization, context length and capabilities', async () => {
+    const status = await discovery.refresh();
+
+    expect(status.installed['qwen2.5:7b-instruct-q6_K']).toMatchObject({
+      family: 'qwen2',
+      parameterSize: '7.6B',
+      quantization: 'Q6_K',
+      contextLength: 32768,
+      features: { tools: true, vision: false, embedding: false }
+    });
+    expect(status.installed['nomic-embed-text:latest'].features.embedding).toBe(true);
+    expect(status.installed['qwen2.5-coder:14b'].features).toEqual({ tools: true, vision: true, embedding: false });
+    expect(status.missing).toContain('codellama:13b-instruct-q4_K_M');
+  });
+
+  test('should only fetch details for new or changed models', async () => {
+    await discovery.refresh();
+    tags.models[0].digest = 'a2';
+    await discovery.refresh();
+
+    expect(backendPool.getModelInfo).toHaveBeenCalledTimes(4);
+    expect(backendPool.getModelInfo).toHaveBeenLastCalledWith('qwen2.5:7b-instruct-q6_K');
+  });
+
+  test('should pick the first installed candidate or an installed model of the right kind', async () => {
+    // No inventory yet: trust the rules
+    expect(discovery.pickInstalled(['codellama:13b-instruct-q4_K_M'])).toBe('codellama:13b-instruct-q4_K_M');
+
+    await discovery.refresh();
+
+    expect(discovery.pickInstalled(['codellama:13b-instruct-q4_K_M', 'qwen2.5-coder:14b'])).toBe('qwen2.5-coder:14b');
+    expect(discovery.pickInstalled(['codellama:13b-instruct-q4_K_M'])).toBe('qwen2.5:7b-instruct-q6_K');
+    expect(discovery.pickInstalled(['mxbai-embed-large'], { embedding: true })).toBe('nomic-embed-text:latest');
+  });
+
+  test('should pick a category\'s model from the routing rules, installed first', async () => {
+    expect(discovery.modelForCategory('coding')).toBe('codellama:13b-instruct-q4_K_M');
+
+    await discovery.refresh();
+
+    // None of the coding models is pulled, so any installed chat model beats a 404
+    expect(discovery.modelForCategory('coding')).toBe('qwen2.5:7b-instruct-q6_K');
+    expect(discovery.modelForCategory('general')).toBe('qwen2.5:7b-instruct-q6_K');
+    expect(discovery.modelForCategory('embeddings')).toBe('nomic-embed-text:latest');
+  });
+
+  test('should honour a requested embedding model only when it is an installed embedding model', async () => {
+    await discovery.refresh();
+
+    expect(discovery.embeddingModelFor('nomic-embed-text')).toBe('nomic-embed-text:latest');
+    expect(discovery.embeddingModelFor('text-embedding-3-small')).toBe('nomic-embed-text:latest');
+    // Installed, but a chat model
+    expect(discovery.embeddingModelFor('qwen2.5:7b-instruct-q6_K')).toBe('nomic-embed-text:latest');
+    expect(discovery.embeddingModelFor(undefined)).toBe('nomic-embed-text:latest');
+  });
+
+  test('should merge discoveries into the registry and drop models that are not installed', async () => {
+    await discovery.refresh();
+    const registry = discovery.mergeRegistry(new RoutingRules().getRules().models);
+
+    expect(registry['codellama:13b-instruct-q4_K_M']).toBeUndefined();
+    // Hand-written entry keeps its tuning and gains discovered facts
+    expect(registry['qwen2.5:7b-instruct-q6_K']).toMatchObject({
+      performance: 'medium',
+      contextWindow: 32768,
+      discovered: true
+    });
+    expect(registry['qwen2.5:7b-instruct-q6_K'].capabilities).toContain('tool_calling');
+    // Unknown model gets a derived entry
+    expect(registry['qwen2.5-coder:14b']).toMatchObject({
+      type: 'coding',
+      size: '14.8b',
+      performance: 'high',
+      capabilities: expect.arrayContaining(['code_generation', 'tool_calling', 'vision'])
+    });
+  });
+
+  test('should keep the last inventory when a refresh fails', async () => {
+    await discovery.refresh();
+    backendPool.listModels.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    await expect(discovery.refresh()).rejects.toThrow('ECONNREFUSED');
+    expect(discovery.isInstalled('qwen2.5:7b-instruct-q6_K')).toBe(true);
+    expect(discovery.getStatus().lastError).toBe('connect ECONNREFUSED');
+  });
+});
@@ -0,0 +1,110 @@
+const { ModelPreloader } = require('../../src/services/modelPreloader');
+
+const GB = 1024 ** 3;
+
+// SQLite CURRENT_TIMESTAMP format
+const stamp = date => date.toISOString().replace('T', ' ').slice(0, 19);
+
+describe('ModelPreloader', () => {
+  // 09:30 local time
+  const now = new Date(2026, 9, 19, 9, 30);
+  const minutesAgo = minutes => stamp(new Date(now.getTime() - minutes * 60 * 1000));
+  let backendPool;
+  let memoryManager;
+  let loadedModels;
+
+  function createPreloader(options = {}) {
+    const preloader = new ModelPreloader({
+      backendPool,
+      memoryManager,
+      enabled: true,
+      interval: 10 * 60 * 1000,
+      minRequests: 3,
+      maxModels: 2,
+      idleMinutes: 15,
+      now: () => new Date(now),
+      ...options
+    });
+    preloader.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    return preloader;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const backend = { url: 'http://gpu:11434' };
+    backendPool = {
+      backends: [backend],
+      post: jest.fn().mockResolvedValue({ data: { done: true } }),
+      listLoaded: jest.fn(async () => [{ backend, models: loadedModels }]),
+      unload: jest.fn().mockResolvedValue({ data: {} })
+    };
+    memoryManager = {
+      getModelUsageByHour: jest.fn().mockReturnValue([
+        { model: 'qwen2.5-coder:7b', hour: 9, requests: 5, last_used: minutesAgo(60 * 24) },
+        { model: 'qwen2.5-coder:7b', hour: 10, requests: 2, last_used: minutesAgo(60 * 23) },
+        { model: 'qwen2.5-coder:7b', hour: 11, requests: 1, last_used: minutesAgo(60 * 22) },
+        { model: 'nomic-embed-text', hour: 10, requests: 4, last_used: minutesAgo(60 * 23) },
+        { model: 'llama3.1:8b', hour: 9, requests: 2, last_used: minutesAgo(5) },
+        { model: 'qwen2.5:14b', hour: 20, requests: 9, last_used: minutesAgo(60 * 13) }
+      ])
+    };
+    loadedModels = [];
+  });
+
+  test('should warm the busiest models of this hour and the next until their busy hours end', () => {
+    const preloader = createPreloader();
+    preloader.usage = preloader._loadUsage(now);
+
+    // 09:30 to 12:00, plus one interval
+    expect(preloader.plan(now)).toEqual([
+      { model: 'qwen2.5-coder:7b', requests: 7, keepAlive: '160m' },
+      { model: 'nomic-embed-text', requests: 4, keepAlive: '100m' }
+    ]);
+    expect(preloader.getSchedule()[20]).toEqual(['qwen2.5:14b']);
+    expect(preloader.getSchedule()[3]).toEqual([]);
+  });
+
+  test('should preload at background priority and record its decisions', async () => {
+    loadedModels = [{ name: 'qwen2.5-coder:7b', size_vram: 5 * GB }];
+    const preloader = createPreloader();
+
+    await preloader.run();
+
+    expect(backendPool.post).toHaveBeenCalledWith('/api/generate',
+      { model: 'qwen2.5-coder:7b', prompt: '', stream: false, keep_alive: '160m' },
+      expect.any(Object),
+      { priority: 'background', taskType: 'preload' });
+    expect(backendPool.post).toHaveBeenCalledWith('/api/embed',
+      expect.objectContaining({ model: 'nomic-embed-text', keep_alive: '100m' }),
+      expect.any(Object),
+      expect.any(Object));
+    expect(preloader.getStatus().decisions.map(decision => [decision.action, decision.model])).toEqual([
+      ['preload', 'nomic-embed-text'],
+      ['extend', 'qwen2.5-coder:7b']
+    ]);
+  });
+
+  test('should unload idle unscheduled models when a backend is over its memory budget', async () => {
+    loadedModels = [
+      { name: 'qwen2.5-coder:7b', size_vram: 5 * GB },
+      { name: 'qwen2.5:14b', size_vram: 6 * GB },
+      { name: 'llama3.1:8b', size_vram: 3 * GB }
+    ];
+    const preloader = createPreloader({ memoryBudgetGb: 8 });
+
+    await preloader.run();
+
+    // 14 GB loaded: the 14b model has been idle for hours, llama3.1 was used 5 minutes ago
+    expect(backendPool.unload).toHaveBeenCalledTimes(1);
+    expect(backendPool.unload).toHaveBeenCalledWith('http://gpu:11434', 'qwen2.5:14b');
+    expect(preloader.getStatus().decisions[0]).toMatchObject({ action: 'unload', model: 'qwen2.5:14b', backend: 'http://gpu:11434' });
+  });
+
+  test('should not start when disabled', () => {
+    const preloader = createPreloader({ enabled: false });
+    preloader.start();
+
+    expect(preloader.timer).toBeNull();
+    expect(memoryManager.getModelUsageByHour).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,178 @@
+const { Readable } = require('stream');
+const {
+  NdjsonTransform,
+  createEnrichmentTransform,
+  createResponseCollector,
+  createReplayStream
+} = require('../../src/utils/ndjsonStream');
+
+/**
+ * Pipe the given raw chunks through a transform and collect the output text
+ */
+function runThrough(transform, chunks) {
+  return new Promise((resolve, reject) => {
+    let output = '';
+    transform.on('data', data => { output += data.toString(); });
+    transform.on('end', () => resolve(output));
+    transform.on('error', reject);
+    Readable.from(chunks.map(chunk => Buffer.from(chunk))).pipe(transform);
+  });
+}
+
+function parseLines(output) {
+  return output.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('NdjsonTransform', () => {
+  test('should reassemble a JSON line split across chunks', async () => {
+    const line = JSON.stringify({ message: { content: 'He said "hi"' }, done: false }) + '\n';
+    const output = await runThrough(new NdjsonTransform(obj => obj), [line.slice(0, 7), line.slice(7, 25), line.slice(25)]);
+
+    expect(parseLines(output)).toEqual([{ message: { content: 'He said "hi"' }, done: false }]);
+  });
+
+  test('should split several lines merged into one chunk', async () => {
+    const merged = [{ n: 1 }, { n: 2 }, { n: 3 }].map(obj => JSON.stringify(obj)).join('\n') + '\n';
+    const seen = [];
+    const output = await runThrough(new NdjsonTransform(obj => { seen.push(obj.n); return obj; }), [merged]);
+
+    expect(seen).toEqual([1, 2, 3]);
+    expect(parseLines(output)).toHaveLength(3);
+  });
+
+  test('should pass bare JSON values through without calling the mapper', async () => {
+    const mapper = jest.fn(obj => obj);
+    const output = await runThrough(createEnrichmentTransform({ modelLabel: 'x' }), ['null\n42\n"text"\n{"model":"m","done":false}\n']);
+    await runThrough(new NdjsonTransform(mapper), ['null\n']);
+
+    expect(output).toBe('null\n42\n"text"\n{"model":"x","done":false}\n');
+    expect(mapper).not.toHaveBeenCalled();
+  });
+
+  test('should flush a final line without a trailing newline', async () => {
+    const output = await runThrough(new NdjsonTransform(obj => obj), ['{"a":1}\n{"b"', ':2}']);
+    expect(parseLines(output)).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+
+  test('should keep multi-byte characters split across chunks intact', async () => {
+    const bytes = Buffer.from(JSON.stringify({ content: '🤖 ok' }) + '\n');
+    const transform = new NdjsonTransform(obj => obj);
+    const result = new Promise(resolve => {
+      let output = '';
+      transform.on('data', data => { output += data.toString(); });
+      transform.on('end', () => resolve(output));
+    });
+    Readable.from([bytes.subarray(0, 14), bytes.subarray(14)]).pipe(transform);
+
+    expect(parseLines(await result)).toEqual([{ content: '🤖 ok' }]);
+  });
+
+  test('should drop objects when the mapper returns null and expand arrays', async () => {
+    const output = await runThrough(
+      new NdjsonTransform(obj => (obj.skip ? null : [obj, { copy: true }])),
+      ['{"skip":true}\n{"keep":true}\n']
+    );
+    expect(parseLines(output)).toEqual([{ keep: true }, { copy: true }]);
+  });
+
+  test('should pass invalid lines through unless disabled', async () => {
+    expect(await runThrough(new NdjsonTransform(obj => obj), ['not json\n'])).toBe('not json\n');
+    expect(await runThrough(new NdjsonTransform(obj => obj, { passInvalidLines: false }), ['not json\n'])).toBe('');
+  });
+
+  test('should use a custom serializer', async () => {
+    const output = await runThrough(
+      new NdjsonTransform(obj => obj, { serialize: obj => `data: ${JSON.stringify(obj)}\n\n` }),
+      ['{"a":1}\n']
+    );
+    expect(output).toBe('data: {"a":1}\n\n');
+  });
+});
+
+describe('createEnrichmentTransform', () => {
+  const chatStream = [
+    JSON.stringify({ model: 'qwen', message: { role: 'assistant', content: 'Use "quotes"' }, done: false }),
+    JSON.stringify({ model: 'qwen', message: { role: 'assistant', content: '' }, done: true, eval_count: 4 })
+  ].join('\n') + '\n';
+
+  test('should label the model, append the footer and attach metadata on done', async () => {
+    const transform = createEnrichmentTransform({
+      modelLabel: 'qwen (OllamaGeek enhanced)',
+      footer: '\n---\nfooter',
+      metadata: { selectedModel: 'qwen' }
+    });
+
+    // Split in the middle of the escaped quotes
+    const splitAt = chatStream.indexOf('\\"') + 1;
+    const [first, last] = parseLines(await runThrough(transform, [chatStream.slice(0, splitAt), chatStream.slice(splitAt)]));
+
+    expect(first).toEqual({ model: 'qwen (OllamaGeek enhanced)', message: { role: 'assistant', content: 'Use "quotes"' }, done: false });
+    expect(last.model).toBe('qwen (OllamaGeek enhanced)');
+    expect(last.message.content).toBe('\n---\nfooter');
+    expect(last._ollamaGeek).toEqual({ selectedModel: 'qwen' });
+    expect(last.eval_count).toBe(4);
+  });
+
+  test('should append the footer to generate responses', async () => {
+    const output = await runThrough(createEnrichmentTransform({ footer: ' [end]' }), ['{"response":"hi","done":true}\n']);
+    expect(parseLines(output)).toEqual([{ response: 'hi [end]', done: true }]);
+  });
+
+  test('should leave the stream untouched without options', async () => {
+    const [first, last] = parseLines(await runThrough(createEnrichmentTransform(), [chatStream]));
+    expect(first.model).toBe('qwen');
+    expect(last).not.toHaveProperty('_ollamaGeek');
+  });
+
+  test('should pass error objects through unchanged', async () => {
+    const output = await runThrough(createEnrichmentTransform({ modelLabel: 'x', metadata: { a: 1 } }), ['{"error":"model not found"}\n']);
+    expect(parseLines(output)).toEqual([{ error: 'model not found' }]);
+  });
+});
+
+describe('createResponseCollector', () => {
+  test('should rebuild a complete chat response and pass the stream through', async () => {
+    const lines = [
+      { model: 'm', message: { role: 'assistant', content: 'Hel' }, done: false },
+      { model: 'm', message: { role: 'assistant', content: 'lo' }, done: false },
+      { model: 'm', message: { role: 'assistant', content: '' }, done: true, eval_count: 2 }
+    ].map(obj => JSON.stringify(obj) + '\n');
+    const onComplete = jest.fn();
+
+    const output = await runThrough(createResponseCollector(onComplete), lines);
+
+    expect(parseLines(output)).toHaveLength(3);
+    expect(onComplete).toHaveBeenCalledWith({
+      model: 'm',
+      message: { role: 'assistant', content: 'Hello' },
+      done: true,
+      eval_count: 2
+    });
+  });
+
+  test('should rebuild generate responses and skip streams that fail', async () => {
+    const onComplete = jest.fn();
+    await runThrough(createResponseCollector(onComplete), ['{"response":"a","done":false}\n{"response":"b","done":true}\n']);
+    expect(onComplete).toHaveBeenCalledWith({ response: 'ab', done: true });
+
+    const onFailure = jest.fn();
+    await runThrough(createResponseCollector(onFailure), ['{"error":"boom"}\n{"response":"","done":true}\n']);
+    expect(onFailure).not.toHaveBeenCalled();
+  });
+});
+
+describe('createReplayStream', () => {
+  test('should replay a complete response as content and done objects', async () => {
+    const replayed = await new Promise(resolve => {
+      let text = '';
+      createReplayStream({ model: 'm', message: { role: 'assistant', content: 'Hi' }, done: true, eval_count: 1 })
+        .on('data', chunk => { text += chunk; })
+        .on('end', () => resolve(parseLines(text)));
+    });
+
+    expect(replayed).toEqual([
+      { model: 'm', message: { role: 'assistant', content: 'Hi' }, done: false },
+      { model: 'm', message: { role: 'assistant', content: '' }, done: true, eval_count: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,187 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { BackendPool } = require('../../src/services/backendPool');
+const { createOllamaPassthroughRoutes } = require('../../src/routes/ollamaPassthroughRoutes');
+
+/**
+ * Ollama stand-in for the management endpoints: `models` are installed,
+ * `loaded` are in memory, blobs are kept by digest and every request is
+ * logged as "METHOD /path". With `failPull`, pulls answer 500.
+ */
+function startMockOllama(name, { models = [], loaded = [], failPull = false } = {}) {
+  const blobs = new Map();
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      server.requests.push(`${req.method} ${req.url}`);
+      const raw = Buffer.concat(chunks);
+      const body = req.url.startsWith('/api/blobs/') ? {} : JSON.parse(raw.toString() || '{}');
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+
+      if (req.url === '/api/version') return res.end(JSON.stringify({ version: '0.6.2' }));
+      if (req.url === '/api/tags') return res.end(JSON.stringify({ models: models.map(model => ({ name: model })) }));
+      if (req.url === '/api/ps') return res.end(JSON.stringify({ models: loaded.map(model => ({ name: model, size_vram: 1 })) }));
+
+      if (req.url === '/api/pull' && failPull) {
+        res.statusCode = 500;
+        return res.end(JSON.stringify({ error: `${name} ran out of disk space` }));
+      }
+
+      if (req.url === '/api/pull') {
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.write(JSON.stringify({ status: 'pulling manifest' }) + '\n');
+        res.write(JSON.stringify({ status: 'pulling abc', digest: 'sha256:abc', total: 10, completed: 5 }) + '\n');
+        models.push(body.model);
+        return res.end(JSON.stringify({ status: 'success' }) + '\n');
+      }
+
+      if (req.url === '/api/delete') {
+        if (!models.includes(body.model)) {
+          res.statusCode = 404;
+          return res.end(JSON.stringify({ error: `model '${body.model}' not found` }));
+        }
+        models.splice(models.indexOf(body.model), 1);
+        return res.end();
+      }
+
+      if (req.url === '/api/copy') {
+        if (!models.includes(body.source)) {
+          res.statusCode = 404;
+          return res.end(JSON.stringify({ error: `model '${body.source}' not found` }));
+        }
+        models.push(body.destination);
+        return res.end();
+      }
+
+      if (req.url.startsWith('/api/blobs/')) {
+        const digest = decodeURIComponent(req.url.slice('/api/blobs/'.length));
+        if (req.method === 'POST') {
+          blobs.set(digest, raw);
+          res.statusCode = 201;
+        } else if (!blobs.has(digest)) {
+          res.statusCode = 404;
+        }
+        return res.end();
+      }
+
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: `${name} does not serve ${req.url}` }));
+    });
+  });
+  server.requests = [];
+  server.blobs = blobs;
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      server.url = `http://127.0.0.1:${server.address().port}`;
+      resolve(server);
+    });
+  });
+}
+
+describe('Ollama Passthrough Routes', () => {
+  let servers;
+  let modelDiscovery;
+  let backendPool;
+
+  async function createApp(...specs) {
+    for (const [name, options] of specs) {
+      servers.push(await startMockOllama(name, options));
+    }
+    backendPool = new BackendPool({ urls: servers.map(server => server.url) });
+    backendPool.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    backendPool.backends.forEach(backend => { backend.client.logger = backendPool.logger; });
+    await backendPool.checkHealth();
+
+    const app = express();
+    app.use(express.json({ type: req => !req.path.startsWith('/api/blobs/') && Boolean(req.is('application/json')) }));
+    app.use('/api', createOllamaPassthroughRoutes({ backendPool, modelDiscovery }));
+    return app;
+  }
+
+  beforeEach(() => {
+    servers = [];
+    modelDiscovery = { refresh: jest.fn().mockResolvedValue({}) };
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  });
+
+  test('should relay the version and merge loaded models across backends', async () => {
+    const app = await createApp(['one', { loaded: ['llama3.1:8b'] }], ['two', { loaded: ['qwen2.5:7b'] }]);
+
+    const version = await request(app).get('/api/version').expect(200);
+    expect(version.body).toEqual({ version: '0.6.2' });
+
+    const ps = await request(app).get('/api/ps').expect(200);
+    expect(ps.body.models.map(model => model.name)).toEqual(['llama3.1:8b', 'qwen2.5:7b']);
+  });
+
+  test('should stream pull progress and refresh model discovery', async () => {
+    const app = await createApp(['one', {}]);
+
+    const response = await request(app).post('/api/pull').send({ model: 'llama3.1:8b' }).expect(200);
+
+    expect(response.headers['content-type']).toBe('application/x-ndjson');
+    const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.status)).toEqual(['pulling manifest', 'pulling abc', 'success']);
+    expect(lines[1]).toMatchObject({ total: 10, completed: 5 });
+    expect(modelDiscovery.refresh).toHaveBeenCalled();
+  });
+
+  test('should fail pulls over on server errors without taking a scheduler slot', async () => {
+    const app = await createApp(['one', { failPull: true }], ['two', {}]);
+    const acquire = jest.spyOn(backendPool.scheduler, 'acquire');
+
+    const response = await request(app).post('/api/pull').send({ model: 'llama3.1:8b' }).expect(200);
+
+    expect(response.text).toContain('success');
+    expect(servers.every(server => server.requests.includes('POST /api/pull'))).toBe(true);
+    expect(acquire).not.toHaveBeenCalled();
+  });
+
+  test('should pass the last server error on when every backend fails the pull', async () => {
+    const app = await createApp(['one', { failPull: true }], ['two', { failPull: true }]);
+
+    const response = await request(app).post('/api/pull').send({ model: 'llama3.1:8b' }).expect(500);
+
+    expect(response.body.error).toMatch(/ran out of disk space/);
+  });
+
+  test('should delete from every backend and keep Ollama errors', async () => {
+    const app = await createApp(['one', { models: ['llama3.1:8b'] }], ['two', { models: ['llama3.1:8b'] }]);
+
+    await request(app).delete('/api/delete').send({ model: 'llama3.1:8b' }).expect(200);
+    expect(servers.map(server => server.requests)).toEqual([
+      expect.arrayContaining(['DELETE /api/delete']),
+      expect.arrayContaining(['DELETE /api/delete'])
+    ]);
+
+    const missing = await request(app).delete('/api/delete').send({ model: 'llama3.1:8b' }).expect(404);
+    expect(missing.body.error).toBe("model 'llama3.1:8b' not found");
+
+    const copy = await request(app).post('/api/copy').send({ source: 'gone', destination: 'mine' }).expect(404);
+    expect(copy.body.error).toBe("model 'gone' not found");
+  });
+
+  test('should stream blob uploads to the primary backend untouched', async () => {
+    const app = await createApp(['one', {}], ['two', {}]);
+    const digest = 'sha256:0123';
+    // Labelled JSON like the ollama CLI does, but not JSON at all
+    const bytes = '{"gguf":\x00\x01';
+
+    await request(app).head(`/api/blobs/${digest}`).expect(404);
+    await request(app)
+      .post(`/api/blobs/${digest}`)
+      .set('Content-Type', 'application/json')
+      .send(bytes)
+      .expect(201);
+    await request(app).head(`/api/blobs/${digest}`).expect(200);
+
+    expect(servers[0].blobs.get(digest).toString()).toBe(bytes);
+    expect(servers[1].requests).not.toContain(`POST /api/blobs/${encodeURIComponent(digest)}`);
+  });
+});
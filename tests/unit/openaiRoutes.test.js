@@ -0,0 +1,136 @@
+const request = require('supertest');
+const express = require('express');
+const { Readable } = require('stream');
+
+jest.mock('axios');
+
+const axios = require('axios');
+const { createOpenAIRoutes } = require('../../src/routes/openaiRoutes');
+
+describe('OpenAI Routes', () => {
+  let app;
+  let routingPipeline;
+  let orchestrator;
+  let embeddingService;
+  let modelDiscovery;
+
+  beforeEach(() => {
+    routingPipeline = {
+      route: jest.fn().mockResolvedValue({
+        analysis: { taskType: 'coding', complexity: 'medium', reasoning: 'test' },
+        context: { files: [] },
+        recommendedModel: 'qwen2.5-coder:7b-instruct-q6_K'
+      }),
+      buildMetadata: jest.fn().mockReturnValue({ selectedModel: 'qwen2.5-coder:7b-instruct-q6_K' }),
+      buildHeaders: jest.fn().mockReturnValue({ 'X-OllamaGeek-Model': 'qwen2.5-coder:7b-instruct-q6_K' }),
+      trackUsage: jest.fn()
+    };
+    orchestrator = {
+      handleTags: jest.fn().mockResolvedValue({ models: [{ name: 'qwen2.5-coder:7b-instruct-q6_K' }] })
+    };
+    embeddingService = { model: 'nomic-embed-text', embedMany: jest.fn(async texts => texts.map(() => [0.1, 0.2])) };
+    modelDiscovery = { embeddingModelFor: jest.fn(requested => (requested === 'mxbai-embed-large' ? 'mxbai-embed-large:latest' : 'nomic-embed-text:latest')) };
+
+    app = express();
+    app.use(express.json());
+    // Single-backend pool that forwards straight to the mocked axios
+    const backendPool = { post: (path, body, config) => axios.post(`http://localhost:11434${path}`, body, config) };
+    app.use('/v1', createOpenAIRoutes({ routingPipeline, orchestrator, backendPool, embeddingService, modelDiscovery }));
+  });
+
+  test('POST /v1/chat/completions should route and translate a non-streaming reply', async () => {
+    axios.post.mockResolvedValue({
+      data: { model: 'qwen2.5-coder:7b-instruct-q6_K', message: { role: 'assistant', content: 'done' }, done: true, eval_count: 2 }
+    });
+
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .send({ model: 'gpt-4o', messages: [{ role: 'user', content: 'write a function' }] })
+      .expect(200);
+
+    expect(routingPipeline.route).toHaveBeenCalledWith(expect.objectContaining({
+      messages: [{ role: 'user', content: 'write a function' }]
+    }));
+    expect(axios.post.mock.calls[0][0]).toBe('http://localhost:11434/api/chat');
+    expect(axios.post.mock.calls[0][1].model).toBe('qwen2.5-coder:7b-instruct-q6_K');
+    expect(response.body.object).toBe('chat.completion');
+    expect(response.body.choices[0].message.content).toBe('done');
+    expect(response.body._ollamaGeek).toEqual({ selectedModel: 'qwen2.5-coder:7b-instruct-q6_K' });
+    expect(response.headers['x-ollamageek-model']).toBe('qwen2.5-coder:7b-instruct-q6_K');
+  });
+
+  test('POST /v1/chat/completions should stream server-sent events', async () => {
+    const lines = [
+      JSON.stringify({ message: { content: 'Hel' }, done: false }),
+      JSON.stringify({ message: { content: 'lo' }, done: false }),
+      JSON.stringify({ message: { content: '' }, done: true, eval_count: 2 })
+    ].join('\n') + '\n';
+    // Split mid-line to make sure partial lines are buffered
+    axios.post.mockResolvedValue({ data: Readable.from([lines.slice(0, 20), lines.slice(20)]) });
+
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .send({ model: 'gpt-4o', stream: true, messages: [{ role: 'user', content: 'hi' }] })
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    const events = response.text.split('\n\n').filter(Boolean).map(e => e.replace(/^data: /, ''));
+    expect(events[events.length - 1]).toBe('[DONE]');
+
+    const chunks = events.slice(0, -1).map(e => JSON.parse(e));
+    const text = chunks.map(c => c.choices[0]?.delta?.content || '').join('');
+    expect(text).toBe('Hello');
+    expect(chunks[chunks.length - 1].choices[0].finish_reason).toBe('stop');
+  });
+
+  test('POST /v1/embeddings should embed every input in one batch with the embedding model', async () => {
+    const response = await request(app)
+      .post('/v1/embeddings')
+      .send({ model: 'text-embedding-3-small', input: ['a', 'b'] })
+      .expect(200);
+
+    expect(embeddingService.embedMany).toHaveBeenCalledTimes(1);
+    expect(embeddingService.embedMany).toHaveBeenCalledWith(['a', 'b'], expect.objectContaining({ model: 'nomic-embed-text:latest' }));
+    expect(response.body.model).toBe('nomic-embed-text:latest');
+    expect(response.body.data).toHaveLength(2);
+    expect(response.body.data[1]).toEqual({ object: 'embedding', index: 1, embedding: [0.1, 0.2] });
+  });
+
+  test('POST /v1/embeddings should use the requested model when it is an installed embedding model', async () => {
+    const response = await request(app)
+      .post('/v1/embeddings')
+      .send({ model: 'mxbai-embed-large', input: 'a' })
+      .expect(200);
+
+    expect(modelDiscovery.embeddingModelFor).toHaveBeenCalledWith('mxbai-embed-large');
+    expect(embeddingService.embedMany.mock.calls[0][1].model).toBe('mxbai-embed-large:latest');
+    expect(response.body.model).toBe('mxbai-embed-large:latest');
+  });
+
+  test('GET /v1/models should list installed models', async () => {
+    const response = await request(app).get('/v1/models').expect(200);
+    expect(response.body.data[0].id).toBe('qwen2.5-coder:7b-instruct-q6_K');
+  });
+
+  test('should reject message content that is neither a string nor an array with a 400', async () => {
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .send({ model: 'gpt-4o', messages: [{ role: 'user', content: { type: 'text', text: 'hi' } }] })
+      .expect(400);
+
+    expect(response.body.error).toMatchObject({ type: 'invalid_request_error', param: 'messages' });
+  });
+
+  test('should return OpenAI-style errors', async () => {
+    axios.post.mockRejectedValue(Object.assign(new Error('boom'), { response: { status: 404, data: { error: 'model not found' } } }));
+
+    const response = await request(app)
+      .post('/v1/completions')
+      .send({ model: 'gpt-3.5-turbo-instruct', prompt: 'hi' })
+      .expect(404);
+
+    expect(response.body).toEqual({
+      error: { message: 'model not found', type: 'invalid_request_error', param: null, code: null }
+    });
+  });
+});
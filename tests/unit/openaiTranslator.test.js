@@ -0,0 +1,217 @@
+const { OpenAITranslator } = require('../../src/services/openaiTranslator');
+
+describe('OpenAITranslator', () => {
+  let translator;
+
+  beforeEach(() => {
+    translator = new OpenAITranslator();
+  });
+
+  describe('toOllamaChatRequest', () => {
+    test('should map messages, options and response_format', () => {
+      const request = translator.toOllamaChatRequest({
+        model: 'gpt-4o',
+        messages: [
+          { role: 'developer', content: 'Be brief' },
+          { role: 'user', content: [{ type: 'text', text: 'Hello' }, { type: 'text', text: 'there' }] }
+        ],
+        temperature: 0.2,
+        max_tokens: 128,
+        stop: 'END',
+        response_format: { type: 'json_object' }
+      });
+
+      expect(request).toEqual({
+        model: 'gpt-4o',
+        messages: [
+          { role: 'system', content: 'Be brief' },
+          { role: 'user', content: 'Hello\nthere' }
+        ],
+        stream: false,
+        options: { temperature: 0.2, num_predict: 128, stop: ['END'] },
+        format: 'json'
+      });
+    });
+
+    test('should convert assistant tool_calls and tool results', () => {
+      const request = translator.toOllamaChatRequest({
+        model: 'gpt-4o',
+        messages: [
+          { role: 'user', content: 'Weather in Paris?' },
+          {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+          },
+          { role: 'tool', tool_call_id: 'call_1', content: '{"temp":21}' }
+        ],
+        tools: [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } }]
+      });
+
+      expect(request.messages[1]).toEqual({
+        role: 'assistant',
+        content: '',
+        tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }]
+      });
+      expect(request.messages[2]).toEqual({ role: 'tool', content: '{"temp":21}', tool_name: 'get_weather' });
+      expect(request.tools).toHaveLength(1);
+    });
+
+    test('should extract base64 images and reject remote image URLs', () => {
+      const request = translator.toOllamaChatRequest({
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: 'What is this?' },
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,aGVsbG8=' } }
+          ]
+        }]
+      });
+      expect(request.messages[0].images).toEqual(['aGVsbG8=']);
+
+      expect(() => translator.toOllamaChatRequest({
+        messages: [{ role: 'user', content: [{ type: 'image_url', image_url: { url: 'https://example.com/a.png' } }] }]
+      })).toThrow('Only base64 data URLs');
+    });
+
+    test('should reject malformed messages and content with a 400', () => {
+      const invalid = [
+        { messages: { role: 'user', content: 'hi' } },
+        { messages: ['hi'] },
+        { messages: [{ role: 'user', content: { type: 'text', text: 'hi' } }] },
+        { messages: [{ role: 'user', content: [null] }] },
+        { messages: [{ role: 'user', content: [{ type: 'text', text: 42 }] }] }
+      ];
+
+      for (const body of invalid) {
+        expect(() => translator.toOllamaChatRequest(body)).toThrow(expect.objectContaining({ status: 400, param: 'messages' }));
+      }
+    });
+
+    test('should drop tools when tool_choice is none', () => {
+      const request = translator.toOllamaChatRequest({
+        messages: [],
+        tools: [{ type: 'function', function: { name: 'noop' } }],
+        tool_choice: 'none'
+      });
+      expect(request.tools).toBeUndefined();
+    });
+  });
+
+  describe('fromOllamaChatResponse', () => {
+    test('should build a chat.completion with usage', () => {
+      const completion = translator.fromOllamaChatResponse({
+        model: 'qwen2.5:7b-instruct-q6_K',
+        message: { role: 'assistant', content: 'Hi!' },
+        done: true,
+        done_reason: 'stop',
+        prompt_eval_count: 10,
+        eval_count: 3
+      }, { id: 'chatcmpl-1', created: 1, model: 'qwen2.5:7b-instruct-q6_K' });
+
+      expect(completion).toEqual({
+        id: 'chatcmpl-1',
+        object: 'chat.completion',
+        created: 1,
+        model: 'qwen2.5:7b-instruct-q6_K',
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: 'Hi!' },
+          logprobs: null,
+          finish_reason: 'stop'
+        }],
+        usage: { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 }
+      });
+    });
+
+    test('should report tool_calls with JSON string arguments', () => {
+      const completion = translator.fromOllamaChatResponse({
+        message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }] },
+        done: true
+      }, { id: 'chatcmpl-1', created: 1, model: 'm' });
+
+      const choice = completion.choices[0];
+      expect(choice.finish_reason).toBe('tool_calls');
+      expect(choice.message.content).toBeNull();
+      expect(choice.message.tool_calls[0]).toEqual({
+        id: expect.stringMatching(/^call_/),
+        type: 'function',
+        function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+      });
+    });
+  });
+
+  describe('fromOllamaChatChunk', () => {
+    test('should emit role, content, finish and usage chunks', () => {
+      const state = { id: 'chatcmpl-1', created: 1, model: 'm', includeUsage: true, sentRole: false, toolCallCount: 0, sawToolCalls: false };
+
+      const first = translator.fromOllamaChatChunk({ message: { content: 'Hel' }, done: false }, state);
+      expect(first.map(c => c.choices[0].delta)).toEqual([{ role: 'assistant', content: '' }, { content: 'Hel' }]);
+
+      const last = translator.fromOllamaChatChunk({ message: { content: '' }, done: true, done_reason: 'length', prompt_eval_count: 2, eval_count: 5 }, state);
+      expect(last[0].choices[0]).toMatchObject({ delta: {}, finish_reason: 'length' });
+      expect(last[1]).toMatchObject({ choices: [], usage: { prompt_tokens: 2, completion_tokens: 5, total_tokens: 7 } });
+    });
+
+    test('should index streamed tool calls and finish with tool_calls', () => {
+      const state = { id: 'chatcmpl-1', created: 1, model: 'm', sentRole: true, toolCallCount: 0, sawToolCalls: false };
+
+      const chunks = translator.fromOllamaChatChunk({
+        message: { tool_calls: [{ function: { name: 'a', arguments: {} } }, { function: { name: 'b', arguments: { x: 1 } } }] },
+        done: false
+      }, state);
+      expect(chunks[0].choices[0].delta.tool_calls.map(t => t.index)).toEqual([0, 1]);
+
+      const done = translator.fromOllamaChatChunk({ message: { content: '' }, done: true }, state);
+      expect(done[0].choices[0].finish_reason).toBe('tool_calls');
+    });
+  });
+
+  describe('completions', () => {
+    test('should create one generate request per prompt', () => {
+      const requests = translator.toOllamaGenerateRequests({ model: 'm', prompt: ['a', 'b'], suffix: '}', max_tokens: 16 });
+      expect(requests).toEqual([
+        { model: 'm', prompt: 'a', stream: false, suffix: '}', options: { num_predict: 16 } },
+        { model: 'm', prompt: 'b', stream: false, suffix: '}', options: { num_predict: 16 } }
+      ]);
+    });
+
+    test('should reject token array prompts', () => {
+      expect(() => translator.toOllamaGenerateRequests({ prompt: [[1, 2, 3]] })).toThrow('Token array prompts');
+    });
+
+    test('should combine generate responses into a text_completion', () => {
+      const completion = translator.fromOllamaGenerateResponses([
+        { model: 'm', response: 'one', done: true, prompt_eval_count: 1, eval_count: 2 },
+        { model: 'm', response: 'two', done: true, done_reason: 'length', prompt_eval_count: 3, eval_count: 4 }
+      ], { id: 'cmpl-1', created: 1, model: 'm' });
+
+      expect(completion.choices.map(c => [c.text, c.finish_reason])).toEqual([['one', 'stop'], ['two', 'length']]);
+      expect(completion.usage).toEqual({ prompt_tokens: 4, completion_tokens: 6, total_tokens: 10 });
+    });
+  });
+
+  describe('embeddings and models', () => {
+    test('should return float or base64 embeddings', () => {
+      const floatResult = translator.fromEmbeddings([[0.5, 1]], ['abcd'], 'nomic');
+      expect(floatResult.data[0]).toEqual({ object: 'embedding', index: 0, embedding: [0.5, 1] });
+      expect(floatResult.usage).toEqual({ prompt_tokens: 1, total_tokens: 1 });
+
+      const base64Result = translator.fromEmbeddings([[0.5, 1]], ['abcd'], 'nomic', 'base64');
+      const bytes = Buffer.from(base64Result.data[0].embedding, 'base64');
+      expect([bytes.readFloatLE(0), bytes.readFloatLE(4)]).toEqual([0.5, 1]);
+    });
+
+    test('should reject non-string embedding inputs', () => {
+      expect(() => translator.toEmbeddingInputs({ input: [1, 2] })).toThrow('input must be a string');
+    });
+
+    test('should list Ollama tags as models', () => {
+      const list = translator.fromOllamaTags({ models: [{ name: 'llama3.1:8b', modified_at: '2024-01-01T00:00:00Z' }] });
+      expect(list).toEqual({
+        object: 'list',
+        data: [{ id: 'llama3.1:8b', object: 'model', created: 1704067200, owned_by: 'ollama' }]
+      });
+    });
+  });
+});
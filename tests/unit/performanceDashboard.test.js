@@ -1,11 +1,13 @@
 const PerformanceDashboard = require('../../src/services/performanceDashboard');
+const PerformanceMonitor = require('../../src/services/performanceMonitor');
+const MemoryManager = require('../../src/services/memoryManager');
 
 describe('PerformanceDashboard', () => {
   let performanceDashboard;
 
   beforeEach(() => {
     // Create a simple test instance
-    performanceDashboard = new PerformanceDashboard();
+    performanceDashboard = new PerformanceDashboard({ performanceMonitor: new PerformanceMonitor({ memoryManager: new MemoryManager({ dbPath: ':memory:' }) }) });
 
     // Mock the logger to reduce noise
     performanceDashboard.logger = {
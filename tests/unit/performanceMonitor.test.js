@@ -1,11 +1,12 @@
 const PerformanceMonitor = require('../../src/services/performanceMonitor');
+const MemoryManager = require('../../src/services/memoryManager');
 
 describe('PerformanceMonitor', () => {
   let performanceMonitor;
 
   beforeEach(() => {
-    // Create a simple test instance
-    performanceMonitor = new PerformanceMonitor();
+    // Create a simple test instance on a private in-memory database
+    performanceMonitor = new PerformanceMonitor({ memoryManager: new MemoryManager({ dbPath: ':memory:' }) });
 
     // Mock the logger to reduce noise
     performanceMonitor.logger = {
@@ -116,6 +117,54 @@ describe('PerformanceMonitor', () => {
     });
   });
 
+  describe('Shadow Comparisons', () => {
+    test('should report primary and shadow models per task type', () => {
+      const taskType = `shadow_test_${Date.now()}`;
+      const comparison = (responseTime, shadowSuccess) => ({
+        taskType,
+        complexity: 'medium',
+        prompt: 'write a sort function',
+        primary: { model: 'primary:7b', response: 'a', responseTime, tokens: 30 },
+        shadow: { model: 'shadow:14b', response: shadowSuccess ? 'a' : null, responseTime: 3000, tokens: shadowSuccess ? 40 : null, success: shadowSuccess },
+        similarity: shadowSuccess ? 1 : null
+      });
+
+      performanceMonitor.recordShadowComparison(comparison(1000, true));
+      performanceMonitor.recordShadowComparison(comparison(2000, false));
+
+      const report = performanceMonitor.getShadowReport({ taskType });
+
+      expect(report).toHaveLength(1);
+      expect(report[0]).toMatchObject({
+        task_type: taskType,
+        primary_model: 'primary:7b',
+        shadow_model: 'shadow:14b',
+        comparisons: 2,
+        primary_avg_response_time: 1500,
+        shadow_avg_response_time: 3000,
+        shadow_success_rate: 50,
+        avg_similarity: 1,
+        latency_delta_ms: -1500
+      });
+    });
+  });
+
+  describe('Cancellations', () => {
+    test('should record cancellations as their own outcome', () => {
+      const taskType = `cancel_test_${Date.now()}`;
+
+      performanceMonitor.recordTiming('cancel:7b', taskType, 1000, true);
+      performanceMonitor.recordCancellation('cancel:7b', taskType, 300);
+      performanceMonitor.startTiming('cancelled_op', 'cancel:7b', taskType);
+      performanceMonitor.cancelTiming('cancelled_op');
+
+      const row = performanceMonitor.getPerformanceSummary().recentModels.find(model => model.task_type === taskType);
+      expect(row).toMatchObject({ request_count: 3, cancelled_count: 2, avg_response_time: 1000, success_rate: 100 });
+      expect(performanceMonitor.memoryManager.getModelPerformance('cancel:7b', taskType)).toMatchObject({ total_requests: 1, success_rate: 100 });
+      expect(performanceMonitor.startTimes.has('cancelled_op')).toBe(false);
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle invalid timing data gracefully', () => {
       const operationId = 'test-operation-123';
@@ -0,0 +1,97 @@
+const { RequestScheduler } = require('../../src/services/requestScheduler');
+
+describe('RequestScheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new RequestScheduler({ maxPerModel: 1, maxPerBackend: 2 });
+    scheduler.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  });
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('should cap concurrent requests per model', async () => {
+    const first = await scheduler.acquire({ model: 'm', backends: ['a'] });
+
+    let secondStarted = false;
+    const second = scheduler.acquire({ model: 'm', backends: ['a'] }).then(slot => {
+      secondStarted = true;
+      return slot;
+    });
+    await flush();
+
+    expect(secondStarted).toBe(false);
+    expect(scheduler.getStats().queueDepth).toMatchObject({ total: 1, byModel: { m: 1 } });
+
+    first.release();
+    const slot = await second;
+    expect(slot.backend).toBe('a');
+    expect(scheduler.getStats().active.byModel).toEqual({ m: 1 });
+  });
+
+  test('should cap concurrent requests per backend and use the next candidate', async () => {
+    await scheduler.acquire({ model: 'x', backends: ['a', 'b'] });
+    await scheduler.acquire({ model: 'y', backends: ['a', 'b'] });
+
+    const third = await scheduler.acquire({ model: 'z', backends: ['a', 'b'] });
+
+    expect(third.backend).toBe('b');
+    expect(scheduler.getStats().active.byBackend).toEqual({ a: 2, b: 1 });
+  });
+
+  test('should dispatch interactive requests before background ones', async () => {
+    const busy = await scheduler.acquire({ model: 'm', backends: ['a'] });
+    const order = [];
+
+    const background = scheduler.acquire({ model: 'm', backends: ['a'], priority: 'background' })
+      .then(slot => { order.push('background'); slot.release(); });
+    const interactive = scheduler.acquire({ model: 'm', backends: ['a'], priority: 'interactive' })
+      .then(slot => { order.push('interactive'); slot.release(); });
+    await flush();
+
+    expect(scheduler.getStats().queueDepth.byPriority).toEqual({ interactive: 1, background: 1 });
+
+    busy.release();
+    await Promise.all([background, interactive]);
+
+    expect(order).toEqual(['interactive', 'background']);
+  });
+
+  test('should not let a busy model block other models', async () => {
+    await scheduler.acquire({ model: 'm', backends: ['a'] });
+    scheduler.acquire({ model: 'm', backends: ['a'] });
+
+    const other = await scheduler.acquire({ model: 'other', backends: ['a'], priority: 'background' });
+
+    expect(other.backend).toBe('a');
+  });
+
+  test('should release after run and record wait times', async () => {
+    const result = await scheduler.run({ model: 'm', backends: ['a'] }, async backend => `ran on ${backend}`);
+
+    expect(result).toBe('ran on a');
+    const stats = scheduler.getStats();
+    expect(stats.active.byBackend).toEqual({});
+    expect(stats.dispatched).toBe(1);
+    expect(stats.waitTimeMs.byPriority.interactive.dispatched).toBe(1);
+  });
+
+  test('should drop a queued request when its signal aborts', async () => {
+    const first = await scheduler.acquire({ model: 'm', backends: ['a'] });
+    const controller = new AbortController();
+    const queued = scheduler.acquire({ model: 'm', backends: ['a'], signal: controller.signal });
+    expect(scheduler.getStats().queueDepth.total).toBe(1);
+
+    controller.abort();
+
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    expect(scheduler.getStats().queueDepth.total).toBe(0);
+    first.release();
+    expect(scheduler.getStats().active.byBackend).toEqual({});
+    await expect(scheduler.acquire({ model: 'm', backends: ['a'], signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('should reject unknown priorities', () => {
+    expect(() => scheduler.acquire({ model: 'm', backends: ['a'], priority: 'urgent' })).toThrow('Unknown request priority');
+  });
+});
@@ -0,0 +1,114 @@
+const { ResponseCache } = require('../../src/services/responseCache');
+
+describe('ResponseCache', () => {
+  let cache;
+
+  const chatRequest = (content, extra = {}) => ({
+    model: 'llama3.1:8b',
+    messages: [
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content }
+    ],
+    ...extra
+  });
+  const reply = content => ({ model: 'llama3.1:8b', message: { role: 'assistant', content }, done: true, eval_count: 3 });
+
+  beforeEach(() => {
+    cache = new ResponseCache({ enabled: true, dbPath: ':memory:', ttlMs: 60000, similarityThreshold: 0.9 });
+    cache.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  });
+
+  afterEach(() => {
+    cache.close();
+  });
+
+  test('should serve exact matches regardless of key order, whitespace and stream flag', () => {
+    cache.store(cache.createKey('chat', chatRequest('What is a closure?')), null, reply('A function with its scope.'));
+
+    const hit = cache.lookup(cache.createKey('chat', {
+      stream: true,
+      messages: [{ content: 'Be brief', role: 'system' }, { role: 'user', content: '  What is a closure?\n' }],
+      model: 'llama3.1:8b'
+    }));
+
+    expect(hit).toEqual({ response: reply('A function with its scope.'), match: 'exact', similarity: 1 });
+  });
+
+  test('should keep endpoints and options apart', () => {
+    cache.store(cache.createKey('chat', chatRequest('hi')), null, reply('hello'));
+
+    expect(cache.lookup(cache.createKey('generate', chatRequest('hi')))).toBeNull();
+    expect(cache.lookup(cache.createKey('chat', chatRequest('hi', { options: { temperature: 1 } })))).toBeNull();
+  });
+
+  test('should serve near-duplicates with the same context by embedding similarity', () => {
+    cache.store(cache.createKey('chat', chatRequest('How do I reverse a list in Python?')), [1, 0, 0.1], reply('Use reversed().'));
+
+    const near = cache.lookup(cache.createKey('chat', chatRequest('how to reverse a python list')), [0.98, 0.02, 0.12]);
+    expect(near).toMatchObject({ match: 'semantic', response: reply('Use reversed().') });
+    expect(near.similarity).toBeGreaterThan(0.9);
+
+    const unrelated = cache.lookup(cache.createKey('chat', chatRequest('Tell me a joke')), [0, 1, 0]);
+    expect(unrelated).toBeNull();
+
+    // Same question, different system prompt - a different conversation
+    const otherContext = chatRequest('how to reverse a python list');
+    otherContext.messages[0].content = 'Answer in French';
+    expect(cache.lookup(cache.createKey('chat', otherContext), [0.98, 0.02, 0.12])).toBeNull();
+  });
+
+  test('should expire entries after the TTL', () => {
+    const key = cache.createKey('generate', { model: 'm', prompt: 'def add(' });
+    cache.store(key, null, { model: 'm', response: 'a, b):', done: true });
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 120000;
+    try {
+      expect(cache.lookup(key)).toBeNull();
+      expect(cache.purgeExpired()).toBe(1);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  test('should not store errors or partial responses', () => {
+    const key = cache.createKey('chat', chatRequest('hi'));
+    cache.store(key, null, { error: 'model not found' });
+    cache.store(key, null, { message: { content: 'par' }, done: false });
+
+    expect(cache.getStats().entries).toBe(0);
+  });
+
+  test('should honour per-request opt-outs and skip tool requests', () => {
+    expect(cache.isCacheable(chatRequest('hi'), {})).toBe(true);
+    expect(cache.isCacheable(chatRequest('hi'), { 'cache-control': 'no-cache' })).toBe(false);
+    expect(cache.isCacheable(chatRequest('hi'), { 'x-ollamageek-cache': 'skip' })).toBe(false);
+    expect(cache.isCacheable(chatRequest('hi', { tools: [{ type: 'function', function: { name: 'x' } }] }), {})).toBe(false);
+
+    const disabled = new ResponseCache({ enabled: false });
+    expect(disabled.isCacheable(chatRequest('hi'), {})).toBe(false);
+    expect(disabled.db).toBeNull();
+  });
+
+  test('should report hit and miss stats', () => {
+    const key = cache.createKey('chat', chatRequest('hi'));
+    cache.lookup(key);
+    cache.store(key, null, reply('hello'));
+    cache.lookup(key);
+    cache.isCacheable(chatRequest('hi'), { 'cache-control': 'no-store' });
+
+    expect(cache.getStats()).toMatchObject({
+      enabled: true,
+      exactHits: 1,
+      semanticHits: 0,
+      misses: 1,
+      stores: 1,
+      skips: 1,
+      hits: 1,
+      hitRate: 0.5,
+      entries: 1
+    });
+
+    expect(cache.clear()).toEqual({ success: true, removed: 1 });
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const express = require('express');
+const { RoutingPipeline } = require('../../src/services/routingPipeline');
+
+describe('RoutingPipeline', () => {
+  const routed = {
+    analysis: { taskType: 'coding', complexity: 'medium', reasoning: '🎯 Coding task:\nmatched "function"' },
+    context: { files: [{ path: 'src/server.js' }, { path: 'package.json' }] },
+    recommendedModel: 'qwen2.5-coder:7b-instruct-q6_K',
+    budget: { trimmedTokens: 120 }
+  };
+
+  test('should report routing decisions in X-OllamaGeek-* headers', () => {
+    const pipeline = new RoutingPipeline({ footer: false });
+
+    expect(pipeline.buildHeaders({ model: 'gpt-4o' }, routed)).toEqual({
+      'X-OllamaGeek-Model': 'qwen2.5-coder:7b-instruct-q6_K',
+      'X-OllamaGeek-Original-Model': 'gpt-4o',
+      'X-OllamaGeek-Task-Type': 'coding',
+      'X-OllamaGeek-Complexity': 'medium',
+      'X-OllamaGeek-Reasoning': 'Coding task: matched "function"',
+      'X-OllamaGeek-Context-Files': 'src/server.js, package.json',
+      'X-OllamaGeek-Trimmed-Tokens': '120'
+    });
+  });
+
+  test('should list the context files in the metadata', () => {
+    const pipeline = new RoutingPipeline({ footer: false });
+
+    expect(pipeline.buildMetadata({ model: 'gpt-4o' }, routed)).toMatchObject({
+      originalModel: 'gpt-4o',
+      selectedModel: 'qwen2.5-coder:7b-instruct-q6_K',
+      contextFiles: ['src/server.js', 'package.json']
+    });
+  });
+
+  test('should only add the footer when the request or client asks for it', () => {
+    const pipeline = new RoutingPipeline({ footer: false, footerClients: ['open-webui'] });
+
+    expect(pipeline.wantsFooter({ 'user-agent': 'Continue/1.0' })).toBe(false);
+    expect(pipeline.wantsFooter({ 'user-agent': 'Open-WebUI/0.6' })).toBe(true);
+    expect(pipeline.wantsFooter({ 'user-agent': 'Open-WebUI/0.6', 'x-ollamageek-footer': 'off' })).toBe(false);
+    expect(pipeline.wantsFooter({ 'x-ollamageek-footer': 'true' })).toBe(true);
+    expect(new RoutingPipeline({ footer: true }).wantsFooter({})).toBe(true);
+    expect(pipeline.buildFooter(routed)).toContain('qwen2.5-coder:7b-instruct-q6_K');
+  });
+
+  test('should record answered requests under the model that answered, but not cache hits', async () => {
+    const performanceMonitor = { recordTiming: jest.fn() };
+    const pipeline = new RoutingPipeline({ footer: false, performanceMonitor });
+    const app = express();
+    app.get('/answer', (req, res) => {
+      pipeline.trackUsage(res, routed);
+      // A cascade escalated to a larger model
+      res.set('X-OllamaGeek-Model', 'qwen2.5-coder:14b').json({ done: true });
+    });
+    app.get('/cached', (req, res) => {
+      pipeline.trackUsage(res, routed);
+      res.set('X-OllamaGeek-Cache', 'exact').json({ done: true });
+    });
+    app.get('/failed', (req, res) => {
+      pipeline.trackUsage(res, routed);
+      res.status(502).json({ error: 'upstream' });
+    });
+
+    await request(app).get('/answer').expect(200);
+    await request(app).get('/cached').expect(200);
+    await request(app).get('/failed').expect(502);
+
+    expect(performanceMonitor.recordTiming).toHaveBeenCalledTimes(2);
+    expect(performanceMonitor.recordTiming).toHaveBeenNthCalledWith(1, 'qwen2.5-coder:14b', 'coding', expect.any(Number), true, null);
+    expect(performanceMonitor.recordTiming).toHaveBeenNthCalledWith(2, 'qwen2.5-coder:7b-instruct-q6_K', 'coding', expect.any(Number), false, 'HTTP 502');
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RoutingRules } = require('../../src/services/routingRules');
+
+const DEFAULT_RULES = JSON.parse(fs.readFileSync(path.join(__dirname, '../../src/config/routingRules.json'), 'utf8'));
+
+describe('RoutingRules', () => {
+  let dir;
+  let filePath;
+
+  const writeRules = (rules) => fs.writeFileSync(filePath, typeof rules === 'string' ? rules : JSON.stringify(rules));
+  const quiet = (routingRules) => {
+    routingRules.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    return routingRules;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-rules-'));
+    filePath = path.join(dir, 'rules.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should load and validate the bundled rules', () => {
+    const routingRules = new RoutingRules();
+
+    expect(routingRules.validate(routingRules.getRules())).toEqual([]);
+    expect(Object.keys(routingRules.getRules().categories)).toEqual(['coding', 'technical_analysis', 'general', 'embeddings']);
+    expect(routingRules.getStatus()).toMatchObject({ version: 1, lastError: null, watching: false });
+  });
+
+  test('should refuse to start with an invalid file', () => {
+    writeRules({ ...DEFAULT_RULES, categories: { coding: { keywords: [], models: 'codellama' } } });
+
+    expect(() => new RoutingRules({ filePath })).toThrow(
+      /categories\.coding\.keywords must be a non-empty array of strings; categories\.coding\.models must be/
+    );
+  });
+
+  test('should report every validation problem', () => {
+    const routingRules = new RoutingRules();
+    const errors = routingRules.validate({
+      categories: { coding: { keywords: ['x'], models: ['m'], patterns: ['(x'], complexityOverrides: { extreme: ['m'] } } },
+      complexity: { low: { keywords: ['simple'], maxTokens: 0 } },
+      languages: { python: 'python' },
+      models: { m: { type: 'coding' } }
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'categories.coding.complexityOverrides.extreme is not a complexity level (low, medium, high, very_high)',
+      expect.stringMatching(/^categories\.coding\.patterns has an invalid regular expression/),
+      'complexity.low.maxTokens must be a positive integer',
+      'complexity.medium is required',
+      'languages.python must be a non-empty array of strings',
+      'models.m.contextWindow must be a positive integer'
+    ]));
+  });
+
+  test('should keep the previous rules when a reload is invalid', () => {
+    writeRules(DEFAULT_RULES);
+    const routingRules = quiet(new RoutingRules({ filePath }));
+
+    writeRules('{ not json');
+    expect(routingRules.reload()).toBe(false);
+    expect(routingRules.getRules()).toEqual(DEFAULT_RULES);
+    expect(routingRules.getStatus().lastError).toMatch(/Cannot read routing rules/);
+
+    writeRules({ ...DEFAULT_RULES, defaultModel: 'llama3.1:8b' });
+    expect(routingRules.reload()).toBe(true);
+    expect(routingRules.getStatus()).toMatchObject({ version: 2, lastError: null });
+    expect(routingRules.getRules().defaultModel).toBe('llama3.1:8b');
+  });
+
+  test('should reload when the file changes on disk', async () => {
+    writeRules(DEFAULT_RULES);
+    const routingRules = quiet(new RoutingRules({ filePath, watchInterval: 20 }));
+    routingRules.watch();
+
+    try {
+      // Make sure the new mtime differs from the original one
+      await new Promise(resolve => setTimeout(resolve, 50));
+      writeRules({ ...DEFAULT_RULES, defaultModel: 'granite3.3:8b' });
+      const future = new Date(Date.now() + 5000);
+      fs.utimesSync(filePath, future, future);
+
+      for (let i = 0; i < 50 && routingRules.version < 2; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      expect(routingRules.getRules().defaultModel).toBe('granite3.3:8b');
+    } finally {
+      routingRules.unwatch();
+    }
+  });
+});
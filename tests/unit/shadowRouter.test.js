@@ -0,0 +1,106 @@
+const { ShadowRouter } = require('../../src/services/shadowRouter');
+
+describe('ShadowRouter', () => {
+  let backendPool;
+  let performanceMonitor;
+  let shadowRouter;
+
+  const routed = { analysis: { taskType: 'coding', complexity: 'medium' } };
+  const chatRequest = {
+    model: 'qwen2.5-coder:7b-instruct-q6_K',
+    stream: true,
+    messages: [{ role: 'user', content: 'write a sort function' }]
+  };
+  const primaryResponse = {
+    model: 'qwen2.5-coder:7b-instruct-q6_K',
+    message: { role: 'assistant', content: 'here is a sort function' },
+    prompt_eval_count: 10,
+    eval_count: 20
+  };
+
+  beforeEach(() => {
+    backendPool = {
+      post: jest.fn().mockResolvedValue({
+        data: { message: { role: 'assistant', content: 'a sort function' }, prompt_eval_count: 10, eval_count: 5 }
+      })
+    };
+    performanceMonitor = { recordShadowComparison: jest.fn(), getShadowReport: jest.fn().mockReturnValue([]) };
+    shadowRouter = new ShadowRouter({
+      backendPool,
+      performanceMonitor,
+      sampleRate: 0.5,
+      models: { default: 'llama3.1:8b-instruct-q4_K_M', byTaskType: { coding: 'qwen2.5-coder:14b-instruct-q4_K_M' } },
+      random: () => 0.1
+    });
+    shadowRouter.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  });
+
+  test('should sample requests for the task type\'s shadow model', () => {
+    const shadow = shadowRouter.sample(chatRequest, routed);
+
+    expect(shadow).toMatchObject({ model: 'qwen2.5-coder:14b-instruct-q4_K_M', taskType: 'coding' });
+    expect(shadow.request).toMatchObject({ model: 'qwen2.5-coder:14b-instruct-q4_K_M', stream: false });
+    expect(chatRequest.model).toBe('qwen2.5-coder:7b-instruct-q6_K');
+  });
+
+  test('should skip unsampled requests, the primary model itself and uninstalled models', () => {
+    shadowRouter.random = () => 0.9;
+    expect(shadowRouter.sample(chatRequest, routed)).toBeNull();
+
+    shadowRouter.random = () => 0.1;
+    expect(shadowRouter.sample({ ...chatRequest, model: 'qwen2.5-coder:14b-instruct-q4_K_M' }, routed)).toBeNull();
+
+    shadowRouter.modelDiscovery = { hasInventory: () => true, isInstalled: () => false };
+    expect(shadowRouter.sample(chatRequest, routed)).toBeNull();
+  });
+
+  test('should store both answers with latency and tokens', async () => {
+    const shadow = shadowRouter.sample(chatRequest, routed);
+    const comparison = await shadowRouter.compare(shadow, primaryResponse, 1200);
+
+    expect(backendPool.post).toHaveBeenCalledWith('/api/chat', shadow.request, expect.any(Object), { priority: 'background', countUsage: false });
+    expect(comparison).toMatchObject({
+      taskType: 'coding',
+      prompt: 'write a sort function',
+      primary: { model: 'qwen2.5-coder:7b-instruct-q6_K', responseTime: 1200, tokens: 30 },
+      shadow: { model: 'qwen2.5-coder:14b-instruct-q4_K_M', response: 'a sort function', tokens: 15, success: true }
+    });
+    expect(comparison.similarity).toBe(0.6);
+    expect(performanceMonitor.recordShadowComparison).toHaveBeenCalledWith(comparison);
+    expect(shadowRouter.pending).toBe(0);
+  });
+
+  test('should record shadow failures without affecting the caller', async () => {
+    backendPool.post.mockRejectedValue(new Error('model not found'));
+
+    const comparison = await shadowRouter.compare(shadowRouter.sample(chatRequest, routed), primaryResponse, 900);
+
+    expect(comparison.shadow).toMatchObject({ success: false, error: 'model not found' });
+    expect(comparison.similarity).toBeNull();
+  });
+
+  test('should reserve a slot when sampling and give it back on release', async () => {
+    const first = shadowRouter.sample(chatRequest, routed);
+    const second = shadowRouter.sample(chatRequest, routed);
+
+    expect(shadowRouter.pending).toBe(2);
+    expect(shadowRouter.sample(chatRequest, routed)).toBeNull();
+
+    shadowRouter.release(first);
+    shadowRouter.release(first);
+    expect(shadowRouter.pending).toBe(1);
+    expect(await shadowRouter.compare(first, primaryResponse, 100)).toBeNull();
+
+    const running = shadowRouter.compare(second, primaryResponse, 100);
+    shadowRouter.release(second);
+    expect(shadowRouter.pending).toBe(1);
+    await running;
+    expect(shadowRouter.pending).toBe(0);
+  });
+
+  test('should parse SHADOW_MODEL settings', () => {
+    expect(shadowRouter._parseModels('coding=a:7b, general=b:8b')).toEqual({ default: null, byTaskType: { coding: 'a:7b', general: 'b:8b' } });
+    expect(shadowRouter._parseModels('c:13b')).toEqual({ default: 'c:13b', byTaskType: {} });
+    expect(new ShadowRouter({ backendPool, performanceMonitor, sampleRate: 0, models: { default: 'x', byTaskType: {} } }).isEnabled()).toBe(false);
+  });
+});
@@ -0,0 +1,134 @@
+const { StructuredOutput } = require('../../src/services/structuredOutput');
+const { validateSchema, schemaProblems } = require('../../src/utils/jsonSchema');
+
+const TOOL_SCHEMA = {
+  type: 'object',
+  required: ['name', 'parameters'],
+  properties: {
+    name: { type: 'string', enum: ['create_file', 'run_terminal'] },
+    parameters: {
+      type: 'object',
+      required: ['path'],
+      properties: { path: { type: 'string', minLength: 1 } },
+      additionalProperties: false
+    },
+    steps: { type: 'array', items: { type: 'integer', minimum: 1 }, maxItems: 3 }
+  }
+};
+
+describe('validateSchema', () => {
+  test('should accept a matching value', () => {
+    expect(validateSchema({ name: 'create_file', parameters: { path: 'a.js' }, steps: [1, 2] }, TOOL_SCHEMA)).toEqual([]);
+  });
+
+  test('should describe every mismatch with its path', () => {
+    const errors = validateSchema({ name: 'delete_everything', parameters: { path: '', mode: 'x' }, steps: [0, 1.5, 2, 3] }, TOOL_SCHEMA);
+
+    expect(errors).toEqual([
+      '$.name should be one of "create_file", "run_terminal"',
+      '$.parameters.path should have at least 1 characters',
+      '$.parameters.mode is not allowed',
+      '$.steps should have at most 3 items',
+      '$.steps[0] should be >= 1',
+      '$.steps[1] should be integer, got number'
+    ]);
+    expect(validateSchema([], TOOL_SCHEMA)).toEqual(['$ should be object, got array']);
+    expect(validateSchema({}, TOOL_SCHEMA)).toEqual(['$.name is required', '$.parameters is required']);
+  });
+
+  test('should support anyOf, oneOf and nullable types', () => {
+    const schema = { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] };
+    expect(validateSchema(['a'], schema)).toEqual([]);
+    expect(validateSchema(3, schema)).toEqual(['$ should match at least one of the allowed shapes']);
+    expect(validateSchema(5, { oneOf: [{ type: 'number' }, { type: 'integer' }] })).toHaveLength(1);
+    expect(validateSchema(null, { type: ['string', 'null'] })).toEqual([]);
+  });
+
+  test('should only compile patterns that cannot backtrack catastrophically', () => {
+    expect(validateSchema('abc-12', { pattern: '^[a-z]+-\\d{2,}$' })).toEqual([]);
+    expect(validateSchema('abc', { pattern: '^\\d+$' })).toEqual(['$ should match /^\\d+$/']);
+
+    const evil = { type: 'object', properties: { name: { type: 'string', pattern: '^(a+)+$' } } };
+    expect(validateSchema({ name: `${'a'.repeat(40)}!` }, evil)).toEqual(['$.name cannot be checked against /^(a+)+$/']);
+    expect(schemaProblems(evil)).toEqual(['$.properties.name.pattern should not repeat a group that holds a repetition or alternatives']);
+    expect(schemaProblems({ items: { anyOf: [{ pattern: '((a|aa))*' }, { pattern: '(x)\\1' }, { pattern: '(' }] } })).toHaveLength(3);
+    expect(schemaProblems({ pattern: 'a'.repeat(201) })).toHaveLength(1);
+    expect(schemaProblems(TOOL_SCHEMA)).toEqual([]);
+  });
+});
+
+describe('StructuredOutput', () => {
+  let backendPool;
+  let structuredOutput;
+
+  const replyWith = (...replies) => {
+    replies.forEach(content => {
+      backendPool.post.mockResolvedValueOnce({ data: { model: 'm', message: { role: 'assistant', content }, done: true } });
+    });
+  };
+
+  beforeEach(() => {
+    backendPool = { post: jest.fn() };
+    structuredOutput = new StructuredOutput({ backendPool, maxRetries: 2, enabled: false });
+    structuredOutput.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  });
+
+  test('should send the schema as format and return the parsed reply', async () => {
+    replyWith('{"name":"create_file","parameters":{"path":"a.js"}}');
+
+    const result = await structuredOutput.generate('/api/chat', { model: 'm', messages: [{ role: 'user', content: 'make a file' }], stream: true }, TOOL_SCHEMA);
+
+    expect(result.data).toEqual({ name: 'create_file', parameters: { path: 'a.js' } });
+    expect(result.attempts).toBe(1);
+    expect(backendPool.post).toHaveBeenCalledWith('/api/chat',
+      expect.objectContaining({ format: TOOL_SCHEMA, stream: false }),
+      expect.any(Object),
+      expect.any(Object));
+  });
+
+  test('should re-prompt with the validation errors until the reply validates', async () => {
+    replyWith('not json', '{"name":"create_file","parameters":{}}', '```json\n{"name":"create_file","parameters":{"path":"a.js"}}\n```');
+
+    const result = await structuredOutput.generate('/api/chat', { model: 'm', messages: [{ role: 'user', content: 'make a file' }] }, TOOL_SCHEMA);
+
+    expect(result.attempts).toBe(3);
+    expect(result.data.parameters.path).toBe('a.js');
+
+    const repair = backendPool.post.mock.calls[2][1].messages;
+    expect(repair).toHaveLength(3);
+    expect(repair[1]).toEqual({ role: 'assistant', content: '{"name":"create_file","parameters":{}}' });
+    expect(repair[2].content).toContain('- $.parameters.path is required');
+  });
+
+  test('should fail with the errors once the retries are used up', async () => {
+    backendPool.post.mockResolvedValue({ data: { model: 'm', response: '{"name":"rm"}', done: true } });
+
+    await expect(structuredOutput.generate('/api/generate', { model: 'm', prompt: 'tool please' }, TOOL_SCHEMA)).rejects.toMatchObject({
+      status: 502,
+      code: 'STRUCTURED_OUTPUT_INVALID',
+      details: expect.arrayContaining(['$.parameters is required']),
+      reply: '{"name":"rm"}'
+    });
+    expect(backendPool.post).toHaveBeenCalledTimes(3);
+    expect(backendPool.post.mock.calls[1][1].prompt).toMatch(/^tool please\n\nYour previous reply:\n\{"name":"rm"\}/);
+  });
+
+  test('should refuse a schema with an unsafe pattern before calling the model', async () => {
+    const schema = { type: 'object', properties: { id: { type: 'string', pattern: '(\\w+\\s?)*$' } } };
+
+    await expect(structuredOutput.generate('/api/chat', { model: 'm', messages: [] }, schema)).rejects.toMatchObject({
+      status: 400,
+      code: 'STRUCTURED_OUTPUT_SCHEMA'
+    });
+    expect(backendPool.post).not.toHaveBeenCalled();
+  });
+
+  test('should only handle public requests with a schema format that opt in', () => {
+    const request = { model: 'm', format: TOOL_SCHEMA };
+
+    expect(structuredOutput.isEnabledFor(request, {})).toBe(false);
+    expect(structuredOutput.isEnabledFor(request, { 'x-ollamageek-structured': 'true' })).toBe(true);
+    expect(structuredOutput.isEnabledFor({ model: 'm', format: 'json' }, { 'x-ollamageek-structured': 'true' })).toBe(false);
+    expect(new StructuredOutput({ backendPool, enabled: true }).isEnabledFor(request, { 'x-ollamageek-structured': 'false' })).toBe(false);
+  });
+});
@@ -79,6 +79,19 @@ describe('ToolExecutionEngine', () => {
       expect(params).toEqual([]);
     });
 
+    test('should build function-calling definitions for every tool', () => {
+      const definitions = toolExecutionEngine.getToolDefinitions();
+      expect(definitions).toHaveLength(11);
+
+      const runTerminal = definitions.find(d => d.function.name === 'run_terminal');
+      expect(runTerminal.type).toBe('function');
+      expect(runTerminal.function.parameters).toEqual({
+        type: 'object',
+        properties: { command: { type: 'string' }, cwd: { type: 'string' } },
+        required: ['command']
+      });
+    });
+
     test('should validate required parameters correctly', () => {
       const validParams = { path: 'test.txt', content: 'test content' };
       expect(() => toolExecutionEngine.validateToolParams('create_file', validParams)).not.toThrow();